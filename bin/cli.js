@@ -3,6 +3,7 @@
 import { Command } from 'commander';
 import chalk from 'chalk';
 import * as readline from 'readline';
+import { relative } from 'path';
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 const pkg = require('../package.json');
@@ -10,19 +11,68 @@ const pkg = require('../package.json');
 import {
   initConfig,
   configExists,
+  useConfig,
+  getConfigPath,
+  listProfiles,
   loadConfig,
+  getConfigLayers,
+  loadMergedConfig,
+  validateConfigFile,
   addSecret,
   removeSecret,
+  listArchivedSecrets,
+  restoreSecret,
   listSecrets,
   checkSecrets,
+  SECRET_SORTS,
   rotateSecret,
+  touchSecret,
+  syncScannedSecret,
+  acknowledgeSecret,
+  clearAcknowledgement,
+  grantWaiver,
+  revokeWaiver,
+  listWaivers,
+  unacknowledged,
+  updateSecret,
+  getSecret,
+  diffSecret,
+  getRotationHistory,
+  importSecrets,
+  parseInventory,
+  detectFormat,
   getStatusEmoji,
   getStatusMessage,
+  resolvePolicy,
+  renewalDue,
+  DEFAULT_THRESHOLDS,
+  WAIVER_SCOPES,
+  PRIVILEGE_LEVELS,
+  EXPOSURE_LEVELS,
+  calculateRisk,
+  resolveRiskPolicy,
+  setEvaluationDate,
+  getEvaluationDate,
   calculateAge,
   daysUntilExpiry,
   generateTextReport,
   generateJsonReport,
   generateMarkdownReport,
+  forecastSecrets,
+  generateForecastTextReport,
+  generateForecastJsonReport,
+  generateForecastMarkdownReport,
+  lintSecrets,
+  generateLintSarif,
+  generateLintTextReport,
+  generateLintJsonReport,
+  loadFramework,
+  evaluateCompliance,
+  generateComplianceTextReport,
+  generateComplianceJsonReport,
+  generateComplianceMarkdownReport,
+  buildCalendarEvents,
+  generateCalendarReport,
   getSchema,
   startMCPServer,
   awsScanner,
@@ -45,6 +95,9 @@ program
   .option('-q, --quiet', 'Suppress non-essential output')
   .option('--no-color', 'Disable colored output')
   .option('--schema', 'Output JSON schema describing all commands and flags')
+  .option('--config <path>', 'Use this config file (overrides MPX_SECRETS_AUDIT_CONFIG)')
+  .option('--profile <name>', 'Use a named profile from ~/.config/mpx-secrets-audit/profiles/')
+  .option('--as-of <date>', 'Evaluate statuses as of this date (YYYY-MM-DD) instead of today (check, list, report, forecast)')
   .passThroughOptions();
 
 // Error handling — must be set BEFORE .command() so subcommands inherit exitOverride
@@ -59,18 +112,38 @@ if (process.argv.includes('--no-color') || !process.stdout.isTTY) {
 }
 
 // Propagate global --json and --quiet to subcommands
-program.hook('preAction', (thisCommand) => {
-  const parentOpts = thisCommand.parent?.opts() || {};
-  const opts = thisCommand.opts();
+program.hook('preAction', (thisCommand, actionCommand) => {
+  const parentOpts = thisCommand.opts();
+  const opts = actionCommand.opts();
   // Global --json and --quiet flow down to subcommands
   if (parentOpts.json && !opts.json) {
-    thisCommand.setOptionValue('json', true);
+    actionCommand.setOptionValue('json', true);
   }
   if (parentOpts.quiet && !opts.quiet) {
-    thisCommand.setOptionValue('quiet', true);
+    actionCommand.setOptionValue('quiet', true);
+  }
+  // --config / --profile may be given before or after the subcommand
+  useConfig({
+    path: opts.config || parentOpts.config,
+    profile: opts.profile || parentOpts.profile
+  });
+  // --as-of only applies to commands that read statuses
+  const asOf = opts.asOf || parentOpts.asOf;
+  if (asOf && !actionCommand.options.some(o => o.long === '--as-of')) {
+    throw new Error(`--as-of is not supported by "${actionCommand.name()}". Use it with check, list, report or forecast.`);
+  }
+  try {
+    setEvaluationDate(asOf);
+  } catch {
+    throw new Error(`Invalid --as-of date "${asOf}". Use YYYY-MM-DD.`);
   }
 });
 
+// The --as-of date in effect, as YYYY-MM-DD, or undefined when evaluating at today
+function asOfDate() {
+  return getEvaluationDate()?.toISOString().split('T')[0];
+}
+
 // Helper function for interactive prompts
 function prompt(question) {
   const rl = readline.createInterface({
@@ -86,6 +159,31 @@ function prompt(question) {
   });
 }
 
+// Parse "expiryWarningDays=60,rotationWarningPercent=80" into a thresholds object.
+// "off" becomes null (e.g. staleDays=off); other non-numeric values are kept as
+// typed so validation can report them.
+function parseThresholds(spec) {
+  const thresholds = {};
+  for (const pair of spec.split(',')) {
+    const [key, value] = pair.split('=').map(part => part?.trim());
+    if (!key || value === undefined) {
+      throw new Error(`Invalid threshold "${pair.trim()}". Use key=value, e.g. expiryWarningDays=60`);
+    }
+    thresholds[key] = value === 'off' ? null : value !== '' && !isNaN(Number(value)) ? Number(value) : value;
+  }
+  return thresholds;
+}
+
+// Build a renewal cadence from --renew-every/--renew-grace on top of the
+// current one. Non-numeric values are kept as typed so validation can report them.
+function parseRenewal(every, grace, current = {}) {
+  const days = value => (value !== '' && !isNaN(Number(value)) ? Number(value) : value);
+  const renewal = { ...current };
+  if (every !== undefined) renewal.everyDays = days(every);
+  if (grace !== undefined) renewal.graceDays = days(grace);
+  return renewal;
+}
+
 // Init command
 program
   .command('init')
@@ -130,11 +228,21 @@ program
   .command('add <name>')
   .description('Add a new secret to track')
   .option('-p, --provider <provider>', 'Service provider (e.g., stripe, aws, github)')
-  .option('-t, --type <type>', 'Secret type (api_key, token, password)', 'api_key')
+  .option('-t, --type <type>', 'Secret type (api_key, token, password) (default: "api_key")')
   .option('-c, --created <date>', 'Creation date (YYYY-MM-DD)')
-  .option('-e, --expires <date>', 'Expiry date (YYYY-MM-DD)')
-  .option('-r, --rotation <days>', 'Rotation policy in days', '90')
+  .option('-e, --expires <date>', 'Expiry date (YYYY-MM-DD, defaults from the policy\'s max lifetime)')
+  .option('-r, --rotation <days>', 'Rotation policy in days (default: 90, or the config defaults)')
   .option('-n, --notes <notes>', 'Additional notes')
+  .option('--owner <owner>', 'Person responsible for rotating this secret')
+  .option('--team <team>', 'Team that owns this secret')
+  .option('--env <environment>', 'Environment (e.g., prod, staging, dev)')
+  .option('--tags <tags>', 'Comma-separated tags')
+  .option('--privilege <level>', `Privilege level for risk scoring (${PRIVILEGE_LEVELS.join(', ')})`)
+  .option('--exposure <exposure>', `Who can see the secret, for risk scoring (${EXPOSURE_LEVELS.join(', ')})`)
+  .option('--last-used <date>', 'Date the secret was last used (YYYY-MM-DD)')
+  .option('--thresholds <spec>', 'Status thresholds for this secret, e.g. "expiryWarningDays=60,rotationWarningPercent=80"')
+  .option('--renew-every <days>', 'The secret renews itself every this many days (e.g. ACME certificates); only missed renewals are flagged')
+  .option('--renew-grace <days>', 'Days a renewal may run late before it counts as missed (default: 0)')
   .option('-i, --interactive', 'Interactive mode (prompts for all fields)')
   .option('--json', 'Output as JSON')
   .option('-q, --quiet', 'Suppress non-essential output')
@@ -157,20 +265,41 @@ program
 
       if (options.interactive && !options.json) {
         secretData.provider = await prompt('Provider (e.g., stripe, aws, github): ');
-        secretData.type = await prompt('Type (api_key, token, password) [api_key]: ') || 'api_key';
+        secretData.type = await prompt('Type (api_key, token, password) [api_key]: ') || undefined;
         secretData.createdAt = await prompt('Created date (YYYY-MM-DD) [today]: ') || undefined;
         const expires = await prompt('Expires date (YYYY-MM-DD) [none]: ');
         secretData.expiresAt = expires || null;
         const rotation = await prompt('Rotation policy in days [90]: ');
-        secretData.rotationPolicy = rotation ? parseInt(rotation, 10) : 90;
+        secretData.rotationPolicy = rotation ? parseInt(rotation, 10) : undefined;
         secretData.notes = await prompt('Notes [optional]: ') || '';
+        secretData.owner = await prompt('Owner [optional]: ') || null;
+        secretData.team = await prompt('Team [optional]: ') || null;
+        secretData.environment = await prompt('Environment (prod, staging, dev) [optional]: ') || null;
+        secretData.tags = await prompt('Tags (comma-separated) [optional]: ');
+        secretData.privilege = await prompt(`Privilege (${PRIVILEGE_LEVELS.join(', ')}) [optional]: `) || null;
+        secretData.exposure = await prompt(`Exposure (${EXPOSURE_LEVELS.join(', ')}) [optional]: `) || null;
       } else {
         secretData.provider = options.provider;
         secretData.type = options.type;
         secretData.createdAt = options.created;
         secretData.expiresAt = options.expires || null;
-        secretData.rotationPolicy = parseInt(options.rotation, 10);
+        secretData.rotationPolicy = options.rotation ? parseInt(options.rotation, 10) : undefined;
         secretData.notes = options.notes || '';
+        secretData.owner = options.owner || null;
+        secretData.team = options.team || null;
+        secretData.environment = options.env || null;
+        secretData.tags = options.tags;
+        secretData.privilege = options.privilege || null;
+        secretData.exposure = options.exposure || null;
+        secretData.lastUsed = options.lastUsed;
+      }
+
+      if (options.thresholds) {
+        secretData.thresholds = parseThresholds(options.thresholds);
+      }
+
+      if (options.renewEvery !== undefined || options.renewGrace !== undefined) {
+        secretData.renewal = parseRenewal(options.renewEvery, options.renewGrace);
       }
 
       const secret = addSecret(secretData);
@@ -192,7 +321,17 @@ program
         console.log(chalk.green('✓ Secret added:'), secret.name);
         console.log(`  Status: ${emoji} ${secret.status}`);
         console.log(`  Provider: ${secret.provider}`);
-        console.log(`  Rotation Policy: ${secret.rotationPolicy} days`);
+        if (secret.owner || secret.team) {
+          console.log(`  Owner: ${secret.owner || 'Unassigned'}${secret.team ? ` (${secret.team})` : ''}`);
+        }
+        if (secret.renewal) {
+          console.log(`  Renews: every ${secret.renewal.everyDays} days, next by ${renewalDue(secret)}`);
+        } else {
+          console.log(`  Rotation Policy: ${secret.rotationPolicy} days`);
+        }
+        if (secret.expiryDerived) {
+          console.log(`  Expires: ${secret.expiresAt} ${chalk.gray('(max lifetime from policy)')}`);
+        }
       }
     } catch (error) {
       if (options.json) {
@@ -212,7 +351,12 @@ program
 program
   .command('list')
   .description('List all tracked secrets')
-  .option('-s, --status <status>', 'Filter by status (healthy, warning, critical, expired)')
+  .option('-s, --status <status>', 'Filter by status (healthy, warning, critical, stale, expired, waived)')
+  .option('--owner <owner>', 'Only show secrets owned by this person')
+  .option('--team <team>', 'Only show secrets owned by this team')
+  .option('--filter <expr>', 'Filter expression (e.g., "provider=aws and env=prod and age>60")')
+  .option('--sort <order>', `Sort by ${SECRET_SORTS.join(' or ')} (risk: riskiest first)`)
+  .option('--as-of <date>', 'Evaluate statuses as of this date (YYYY-MM-DD)')
   .option('--json', 'Output as JSON')
   .option('-q, --quiet', 'Suppress non-essential output')
   .action((options) => {
@@ -230,7 +374,8 @@ program
         process.exit(1);
       }
 
-      let secrets = listSecrets();
+      let secrets = listSecrets({ owner: options.owner, team: options.team, filter: options.filter, sort: options.sort });
+      const layered = getConfigLayers().length > 1;
 
       if (options.status) {
         secrets = secrets.filter(s => s.status === options.status);
@@ -241,10 +386,12 @@ program
           ...secret,
           age: calculateAge(secret),
           daysUntilExpiry: daysUntilExpiry(secret),
-          message: getStatusMessage(secret)
+          message: getStatusMessage(secret),
+          risk: secret.risk || calculateRisk(secret)
         }));
         console.log(JSON.stringify({
           success: true,
+          asOf: asOfDate(),
           count: enrichedSecrets.length,
           secrets: enrichedSecrets
         }, null, 2));
@@ -260,7 +407,8 @@ program
       }
 
       if (!options.quiet) {
-        console.log(chalk.bold(`\n${secrets.length} secret${secrets.length === 1 ? '' : 's'} tracked:\n`));
+        const asOf = asOfDate() ? ` as of ${asOfDate()}` : '';
+        console.log(chalk.bold(`\n${secrets.length} secret${secrets.length === 1 ? '' : 's'} tracked${asOf}:\n`));
       }
 
       secrets.forEach(secret => {
@@ -274,16 +422,46 @@ program
         } else {
           console.log(`${emoji} ${chalk.bold(secret.name)}`);
           console.log(`   Provider: ${secret.provider} | Type: ${secret.type}`);
-          console.log(`   Status: ${chalk[secret.status === 'healthy' ? 'green' : secret.status === 'warning' ? 'yellow' : 'red'](secret.status.toUpperCase())} - ${message}`);
+          if (secret.owner || secret.team) {
+            console.log(`   Owner: ${secret.owner || 'Unassigned'}${secret.team ? ` (${secret.team})` : ''}`);
+          }
+          if (secret.environment || secret.tags?.length) {
+            console.log(`   Environment: ${secret.environment || 'N/A'}${secret.tags?.length ? ` | Tags: ${secret.tags.join(', ')}` : ''}`);
+          }
+          console.log(`   Status: ${chalk[{ healthy: 'green', warning: 'yellow', stale: 'magenta', waived: 'blue' }[secret.status] || 'red'](secret.status.toUpperCase())} - ${message}`);
+          
+          if (secret.acknowledged) {
+            console.log(chalk.gray(`   Acknowledged until ${secret.ack.until} by ${secret.ack.by}: ${secret.ack.reason}`));
+          }
+          
+          if (secret.status === 'waived') {
+            console.log(chalk.gray(`   Waiver: ${secret.waiver.justification}`));
+          }
           
           if (age !== null) {
             console.log(`   Age: ${age} day${age === 1 ? '' : 's'}`);
           }
           
+          if (secret.lastUsed) {
+            console.log(`   Last used: ${secret.lastUsed}`);
+          }
+          
+          if (secret.renewal) {
+            console.log(`   Renews: every ${secret.renewal.everyDays} days, next by ${renewalDue(secret)}`);
+          }
+          
+          const risk = secret.risk || calculateRisk(secret);
+          const riskColor = { critical: 'red', high: 'red', medium: 'yellow' }[risk.level] || 'green';
+          console.log(`   Risk: ${chalk[riskColor](`${risk.score} (${risk.level})`)}${risk.drivers.length ? chalk.gray(` - ${risk.drivers.join(', ')}`) : ''}`);
+          
           if (secret.notes) {
             console.log(`   Notes: ${secret.notes}`);
           }
           
+          if (layered) {
+            console.log(chalk.gray(`   Layer: ${relative(process.cwd(), secret.source) || secret.source}`));
+          }
+          
           console.log('');
         }
       });
@@ -306,7 +484,11 @@ program
   .command('check')
   .description('Run audit and check for expiring/old secrets')
   .option('--ci', 'CI mode: exit with code 1 for warnings, 2 for critical/expired (default --fail-on warning)')
-  .option('--fail-on <level>', 'Fail on this level or higher (warning, critical, expired)')
+  .option('--fail-on <level>', 'Fail on this level or higher (warning, critical, stale, expired)')
+  .option('--owner <owner>', 'Only check secrets owned by this person')
+  .option('--team <team>', 'Only check secrets owned by this team')
+  .option('--filter <expr>', 'Filter expression (e.g., "provider=aws and env=prod and age>60")')
+  .option('--as-of <date>', 'Evaluate statuses as of this date (YYYY-MM-DD), e.g. a release freeze')
   .option('--json', 'Output as JSON')
   .option('-q, --quiet', 'Suppress non-essential output')
   .action((options) => {
@@ -324,8 +506,20 @@ program
         process.exit(1);
       }
 
-      const results = checkSecrets();
-      const total = results.healthy.length + results.warning.length + results.critical.length + results.expired.length;
+      // CI gate levels, least to most severe
+      const levels = ['warning', 'critical', 'stale', 'expired'];
+      const failLevel = options.failOn || 'warning';
+      if (!levels.includes(failLevel)) {
+        throw new Error(`Invalid --fail-on level: "${failLevel}". Use warning, critical, stale or expired.`);
+      }
+
+      const results = checkSecrets({ owner: options.owner, team: options.team, filter: options.filter });
+      const total = Object.values(results).reduce((sum, secrets) => sum + secrets.length, 0);
+      // What still needs action once acknowledged secrets are set aside
+      const open = unacknowledged(results);
+      const acknowledgedCount = ['warning', 'critical', 'stale']
+        .reduce((sum, status) => sum + results[status].length - open[status].length, 0);
+      const ackNote = s => (s.acknowledged ? chalk.gray(` (acknowledged until ${s.ack.until} by ${s.ack.by}: ${s.ack.reason})`) : '');
 
       // Enrich secrets with additional info
       const enrichResults = {};
@@ -341,23 +535,36 @@ program
       if (options.json) {
         console.log(JSON.stringify({
           success: true,
+          asOf: asOfDate(),
           total,
           summary: {
             healthy: results.healthy.length,
             warning: results.warning.length,
             critical: results.critical.length,
-            expired: results.expired.length
+            stale: results.stale.length,
+            expired: results.expired.length,
+            waived: results.waived.length,
+            acknowledged: acknowledgedCount
           },
           secrets: enrichResults,
-          actionRequired: results.critical.length > 0 || results.expired.length > 0
+          actionRequired: open.critical.length > 0 || open.stale.length > 0 || open.expired.length > 0
         }, null, 2));
       } else if (!options.quiet) {
-        console.log(chalk.bold('\n🔍 Secrets Audit Results\n'));
+        console.log(chalk.bold(`\n🔍 Secrets Audit Results${asOfDate() ? ` as of ${asOfDate()}` : ''}\n`));
         console.log(`Total secrets: ${total}`);
         console.log(chalk.green(`🟢 Healthy: ${results.healthy.length}`));
         console.log(chalk.yellow(`🟡 Warning: ${results.warning.length}`));
         console.log(chalk.red(`🔴 Critical: ${results.critical.length}`));
+        if (results.stale.length > 0) {
+          console.log(chalk.magenta(`💤 Stale: ${results.stale.length}`));
+        }
         console.log(chalk.red(`⛔ Expired: ${results.expired.length}`));
+        if (results.waived.length > 0) {
+          console.log(chalk.blue(`🔵 Waived: ${results.waived.length}`));
+        }
+        if (acknowledgedCount > 0) {
+          console.log(chalk.gray(`🔕 Acknowledged: ${acknowledgedCount}`));
+        }
         console.log('');
 
         // Show issues
@@ -369,10 +576,18 @@ program
           console.log('');
         }
 
+        if (results.stale.length > 0) {
+          console.log(chalk.magenta.bold('💤 STALE (unused, revoke rather than rotate):'));
+          results.stale.forEach(s => {
+            console.log(chalk.magenta(`  • ${s.name}: ${getStatusMessage(s)}`) + ackNote(s));
+          });
+          console.log('');
+        }
+
         if (results.critical.length > 0) {
           console.log(chalk.red.bold('🔴 CRITICAL:'));
           results.critical.forEach(s => {
-            console.log(chalk.red(`  • ${s.name}: ${getStatusMessage(s)}`));
+            console.log(chalk.red(`  • ${s.name}: ${getStatusMessage(s)}`) + ackNote(s));
           });
           console.log('');
         }
@@ -380,15 +595,32 @@ program
         if (results.warning.length > 0) {
           console.log(chalk.yellow.bold('🟡 WARNINGS:'));
           results.warning.forEach(s => {
-            console.log(chalk.yellow(`  • ${s.name}: ${getStatusMessage(s)}`));
+            console.log(chalk.yellow(`  • ${s.name}: ${getStatusMessage(s)}`) + ackNote(s));
+          });
+          console.log('');
+        }
+
+        if (results.waived.length > 0) {
+          console.log(chalk.blue.bold('🔵 WAIVED:'));
+          results.waived.forEach(s => {
+            console.log(chalk.blue(`  • ${s.name}: ${getStatusMessage(s)}`) + chalk.gray(` - ${s.waiver.justification}`));
           });
           console.log('');
         }
 
-        if (results.expired.length > 0 || results.critical.length > 0) {
+        if (open.expired.length > 0 || open.critical.length > 0) {
           console.log(chalk.red('⚠️  Action required! Rotate or renew these secrets.'));
-        } else if (results.warning.length > 0) {
+          if (open.stale.length > 0) {
+            console.log(chalk.magenta('⚠️  Revoke stale secrets that are no longer needed.'));
+          }
+        } else if (open.stale.length > 0) {
+          console.log(chalk.magenta('⚠️  Action required! Revoke stale secrets that are no longer needed.'));
+        } else if (open.warning.length > 0) {
           console.log(chalk.yellow('⚠️  Some secrets need attention soon.'));
+        } else if (acknowledgedCount > 0) {
+          console.log(chalk.gray('✓ All issues are acknowledged.'));
+        } else if (results.waived.length > 0) {
+          console.log(chalk.green('✓ All secrets are healthy or covered by a waiver.'));
         } else {
           console.log(chalk.green('✓ All secrets are healthy!'));
         }
@@ -396,17 +628,9 @@ program
 
       // CI mode exit codes
       if (options.ci) {
-        const failLevel = options.failOn || 'warning';
-        
-        if (results.expired.length > 0 && ['expired', 'critical', 'warning'].includes(failLevel)) {
-          process.exit(1);
-        }
-        
-        if (results.critical.length > 0 && ['critical', 'warning'].includes(failLevel)) {
-          process.exit(1);
-        }
-        
-        if (results.warning.length > 0 && failLevel === 'warning') {
+        // Acknowledged secrets don't fail the build; expired ones always count
+        const failing = levels.slice(levels.indexOf(failLevel));
+        if (failing.some(level => open[level].length > 0)) {
           process.exit(1);
         }
       }
@@ -427,7 +651,10 @@ program
 // Remove command
 program
   .command('remove <name>')
-  .description('Stop tracking a secret')
+  .description('Stop tracking a secret (archived as decommissioned unless --purge)')
+  .option('--reason <reason>', 'Why the secret was decommissioned (e.g., "revoked after vendor offboarding")')
+  .option('--actor <actor>', 'Who decommissioned it (defaults to the current user)')
+  .option('--purge', 'Delete permanently instead of archiving (also purges an archived secret)')
   .option('--json', 'Output as JSON')
   .option('-q, --quiet', 'Suppress non-essential output')
   .action((name, options) => {
@@ -445,18 +672,27 @@ program
         process.exit(1);
       }
 
-      const removed = removeSecret(name);
+      const removed = removeSecret(name, {
+        reason: options.reason,
+        actor: options.actor,
+        purge: options.purge
+      });
+      const message = options.purge ? `Secret "${name}" permanently deleted` : `Secret "${name}" archived`;
       
       if (options.json) {
         console.log(JSON.stringify({
           success: true,
           removed,
-          message: `Secret "${name}" removed`
+          purged: Boolean(options.purge),
+          message
         }, null, 2));
       } else if (options.quiet) {
         console.log(name);
+      } else if (options.purge) {
+        console.log(chalk.green('✓ Secret permanently deleted:'), name);
       } else {
-        console.log(chalk.green('✓ Secret removed:'), name);
+        console.log(chalk.green('✓ Secret archived:'), name);
+        console.log(chalk.gray(`  Restore with: mpx-secrets-audit restore ${name}`));
       }
     } catch (error) {
       if (options.json) {
@@ -472,54 +708,86 @@ program
     }
   });
 
-// Rotate command
+// Import command
 program
-  .command('rotate <name>')
-  .description('Mark a secret as rotated (updates last-rotated date)')
+  .command('import <file>')
+  .description('Bulk-add secrets from a CSV, JSON or .env-style inventory file')
+  .option('-f, --format <format>', 'Input format (csv, json, env); detected from the file extension by default')
+  .option('--map <mapping>', 'Map columns to fields, e.g. "Key Name=name,Vendor=provider"')
+  .option('--dry-run', 'Validate every row and show what would change without saving')
+  .option('--upsert', 'Update secrets that already exist instead of reporting them as errors')
   .option('--json', 'Output as JSON')
   .option('-q, --quiet', 'Suppress non-essential output')
-  .action((name, options) => {
+  .action(async (file, options) => {
     try {
       if (!configExists()) {
         if (options.json) {
           console.log(JSON.stringify({
             success: false,
-            error: 'No config file found.',
+            error: 'No config file found. Run "mpx-secrets-audit init" first.',
             code: 'ERR_NO_CONFIG'
           }, null, 2));
         } else {
-          console.error(chalk.red('Error:'), 'No config file found.');
+          console.error(chalk.red('Error:'), 'No config file found. Run "mpx-secrets-audit init" first.');
         }
         process.exit(1);
       }
 
-      const secret = rotateSecret(name);
-      
+      const format = options.format || detectFormat(file);
+      if (!format) {
+        throw new Error(`Cannot detect the format of "${file}". Use --format csv, json or env.`);
+      }
+
+      const { readFileSync } = await import('fs');
+      const text = readFileSync(file, 'utf8');
+      const { records, columns, ignoredColumns } = parseInventory(text, { format, map: options.map });
+      const result = importSecrets(records, { upsert: options.upsert, dryRun: options.dryRun });
+
       if (options.json) {
         console.log(JSON.stringify({
-          success: true,
-          secret: {
-            ...secret,
-            age: calculateAge(secret),
-            daysUntilExpiry: daysUntilExpiry(secret),
-            message: getStatusMessage(secret)
-          },
-          message: `Secret "${name}" rotated`
+          success: result.failed === 0,
+          format,
+          columns,
+          ignoredColumns,
+          ...result
         }, null, 2));
       } else if (options.quiet) {
-        console.log(name);
+        result.results.filter(r => r.action !== 'error').forEach(r => console.log(r.name));
       } else {
-        const emoji = getStatusEmoji(secret.status);
-        console.log(chalk.green('✓ Secret rotated:'), secret.name);
-        console.log(`  New status: ${emoji} ${secret.status}`);
-        console.log(`  Last rotated: ${secret.lastRotated}`);
+        console.log(chalk.bold(`\n${records.length} row${records.length === 1 ? '' : 's'} read from ${file} (${format})${options.dryRun ? ' — dry run' : ''}\n`));
+
+        if (ignoredColumns.length > 0) {
+          console.log(chalk.gray(`  Ignored columns: ${ignoredColumns.join(', ')} (map them with --map)\n`));
+        }
+
+        result.results.forEach(r => {
+          if (r.action === 'error') {
+            console.log(`  ${chalk.red('✗')} Row ${r.row}${r.name ? ` (${r.name})` : ''}: ${r.error}`);
+          } else if (r.action === 'update') {
+            const fields = r.changes.map(c => c.field).join(', ');
+            console.log(`  ${chalk.yellow('~')} Row ${r.row}: ${r.name}${fields ? chalk.gray(` (${fields})`) : chalk.gray(' (no changes)')}`);
+          } else {
+            console.log(`  ${chalk.green('+')} Row ${r.row}: ${r.name}`);
+          }
+        });
+
+        console.log('');
+        console.log(`  ${chalk.green(`${result.created} created`)}, ${chalk.yellow(`${result.updated} updated`)}, ${result.failed > 0 ? chalk.red(`${result.failed} failed`) : '0 failed'}`);
+        if (options.dryRun) {
+          console.log(chalk.gray('  Dry run: nothing was saved.'));
+        }
+        console.log('');
+      }
+
+      if (result.failed > 0) {
+        process.exit(1);
       }
     } catch (error) {
       if (options.json) {
         console.log(JSON.stringify({
           success: false,
           error: error.message,
-          code: 'ERR_ROTATE'
+          code: 'ERR_IMPORT'
         }, null, 2));
       } else {
         console.error(chalk.red('Error:'), error.message);
@@ -528,99 +796,78 @@ program
     }
   });
 
-// Report command
-program
-  .command('report')
-  .description('Generate audit report')
-  .option('-f, --format <format>', 'Report format (text, json, markdown)', 'text')
-  .option('--json', 'Output as JSON (shorthand for --format json)')
-  .option('--pdf <filename>', 'Export report as PDF')
-  .option('-o, --output <file>', 'Output file (defaults to stdout)')
+// Archive commands
+const archive = program
+  .command('archive')
+  .description('Inspect decommissioned secrets');
+
+archive
+  .command('list')
+  .description('List decommissioned (archived) secrets')
+  .option('--owner <owner>', 'Only show secrets owned by this person')
+  .option('--team <team>', 'Only show secrets owned by this team')
+  .option('--filter <expr>', 'Filter expression (e.g., "provider=aws")')
+  .option('--json', 'Output as JSON')
   .option('-q, --quiet', 'Suppress non-essential output')
-  .action(async (options) => {
-    // --json flag overrides --format
-    if (options.json) {
-      options.format = 'json';
-    }
+  .action((options) => {
     try {
       if (!configExists()) {
-        const errorMsg = 'No config file found.';
-        if (options.format === 'json') {
+        if (options.json) {
           console.log(JSON.stringify({
             success: false,
-            error: errorMsg,
+            error: 'No config file found. Run "mpx-secrets-audit init" first.',
             code: 'ERR_NO_CONFIG'
           }, null, 2));
         } else {
-          console.error(chalk.red('Error:'), errorMsg);
+          console.error(chalk.red('Error:'), 'No config file found. Run "mpx-secrets-audit init" first.');
         }
         process.exit(1);
       }
 
-      const config = loadConfig();
-      
-      if (config.tier === 'free' && options.format !== 'text') {
-        const errorMsg = 'JSON and Markdown reports are Pro features. Upgrade to use this feature.';
-        if (options.format === 'json') {
-          console.log(JSON.stringify({
-            success: false,
-            error: errorMsg,
-            code: 'ERR_PRO_REQUIRED'
-          }, null, 2));
-        } else {
-          console.error(chalk.red('Error:'), errorMsg);
-        }
-        process.exit(1);
-      }
+      const archived = listArchivedSecrets({ owner: options.owner, team: options.team, filter: options.filter });
 
-      const secrets = listSecrets();
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          count: archived.length,
+          archived
+        }, null, 2));
+        return;
+      }
 
-      // PDF export
-      if (options.pdf) {
-        const { generatePDFReport } = await import('../lib/pdf-reporter.js');
-        const pdfPath = await generatePDFReport(secrets, options.pdf);
-        if (options.json || options.format === 'json') {
-          console.log(JSON.stringify({
-            success: true,
-            format: 'pdf',
-            outputPath: pdfPath,
-            secretsCount: secrets.length
-          }, null, 2));
-        } else if (!options.quiet) {
-          console.log(chalk.green('✓ PDF report saved to:'), pdfPath);
+      if (archived.length === 0) {
+        if (!options.quiet) {
+          console.log(chalk.yellow('No decommissioned secrets.'));
         }
         return;
       }
 
-      let report;
-
-      switch (options.format) {
-        case 'json':
-          report = generateJsonReport(secrets);
-          break;
-        case 'markdown':
-          report = generateMarkdownReport(secrets);
-          break;
-        case 'text':
-        default:
-          report = generateTextReport(secrets);
+      if (!options.quiet) {
+        console.log(chalk.bold(`\n${archived.length} decommissioned secret${archived.length === 1 ? '' : 's'}:\n`));
       }
 
-      if (options.output) {
-        const { writeFileSync } = await import('fs');
-        writeFileSync(options.output, report, 'utf8');
-        if (!options.quiet) {
-          console.log(chalk.green('✓ Report saved to:'), options.output);
+      archived.forEach(secret => {
+        if (options.quiet) {
+          console.log(secret.name);
+          return;
         }
-      } else {
-        console.log(report);
-      }
+        console.log(`🗄️  ${chalk.bold(secret.name)}`);
+        console.log(`   Provider: ${secret.provider} | Type: ${secret.type}`);
+        if (secret.owner || secret.team) {
+          console.log(`   Owner: ${secret.owner || 'Unassigned'}${secret.team ? ` (${secret.team})` : ''}`);
+        }
+        console.log(`   Decommissioned: ${secret.archivedAt} by ${secret.archivedBy || 'unknown'}`);
+        if (secret.archiveReason) {
+          console.log(`   Reason: ${secret.archiveReason}`);
+        }
+        console.log('');
+      });
     } catch (error) {
-      if (options.format === 'json') {
+      if (options.json) {
         console.log(JSON.stringify({
           success: false,
           error: error.message,
-          code: 'ERR_REPORT'
+          code: 'ERR_ARCHIVE'
         }, null, 2));
       } else {
         console.error(chalk.red('Error:'), error.message);
@@ -629,130 +876,1160 @@ program
     }
   });
 
-// AWS Scanner
+// Restore command
 program
-  .command('scan-aws')
-  .description('Scan AWS IAM for access keys (Pro feature)')
-  .option('--auto-add', 'Automatically add discovered keys to tracking')
+  .command('restore <name>')
+  .description('Move a decommissioned secret back into the active inventory')
   .option('--json', 'Output as JSON')
   .option('-q, --quiet', 'Suppress non-essential output')
-  .action(async (options) => {
+  .action((name, options) => {
     try {
       if (!configExists()) {
         if (options.json) {
           console.log(JSON.stringify({
             success: false,
-            error: 'No config file found. Run "mpx-secrets-audit init" first.',
+            error: 'No config file found.',
             code: 'ERR_NO_CONFIG'
           }, null, 2));
         } else {
-          console.error(chalk.red('Error:'), 'No config file found. Run "mpx-secrets-audit init" first.');
+          console.error(chalk.red('Error:'), 'No config file found.');
         }
         process.exit(1);
       }
 
-      const config = loadConfig();
-      
-      if (config.tier === 'free') {
-        if (options.json) {
-          console.log(JSON.stringify({
-            success: false,
-            error: 'AWS scanning is a Pro feature. Upgrade to use this feature.',
-            code: 'ERR_PRO_REQUIRED'
-          }, null, 2));
-        } else {
-          console.error(chalk.red('Error:'), 'AWS scanning is a Pro feature. Upgrade to use this feature.');
-          console.log(chalk.cyan('\nPro features include:'));
-          console.log('  • Unlimited secrets');
-          console.log('  • AWS IAM scanner');
-          console.log('  • GitHub PAT scanner');
-          console.log('  • JSON/Markdown reports');
-          console.log('  • CI/CD integration');
-        }
-        process.exit(1);
+      const secret = restoreSecret(name);
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          secret: {
+            ...secret,
+            age: calculateAge(secret),
+            daysUntilExpiry: daysUntilExpiry(secret),
+            message: getStatusMessage(secret)
+          }
+        }, null, 2));
+      } else if (options.quiet) {
+        console.log(secret.name);
+      } else {
+        console.log(chalk.green('✓ Secret restored:'), secret.name);
+        console.log(`  Status: ${getStatusEmoji(secret.status)} ${secret.status} - ${getStatusMessage(secret)}`);
+      }
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_RESTORE'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
       }
+      process.exit(1);
+    }
+  });
 
-      if (!awsScanner.isAvailable()) {
+// Edit command
+program
+  .command('edit <name>')
+  .description('Edit fields of a tracked secret')
+  .option('--rename <newName>', 'Rename the secret')
+  .option('-p, --provider <provider>', 'Service provider')
+  .option('-t, --type <type>', 'Secret type (api_key, token, password)')
+  .option('-c, --created <date>', 'Creation date (YYYY-MM-DD)')
+  .option('-e, --expires <date>', 'Expiry date (YYYY-MM-DD, or "none" to clear)')
+  .option('--last-rotated <date>', 'Last rotation date (YYYY-MM-DD)')
+  .option('-r, --rotation <days>', 'Rotation policy in days')
+  .option('-n, --notes <notes>', 'Additional notes')
+  .option('--owner <owner>', 'Person responsible for rotating this secret ("none" to clear)')
+  .option('--team <team>', 'Team that owns this secret ("none" to clear)')
+  .option('--env <environment>', 'Environment ("none" to clear)')
+  .option('--tags <tags>', 'Comma-separated tags (replaces existing tags)')
+  .option('--privilege <level>', `Privilege level (${PRIVILEGE_LEVELS.join(', ')}, or "none" to clear)`)
+  .option('--exposure <exposure>', `Who can see the secret (${EXPOSURE_LEVELS.join(', ')}, or "none" to clear)`)
+  .option('--last-used <date>', 'Date the secret was last used (YYYY-MM-DD, or "none" to clear)')
+  .option('--thresholds <spec>', 'Status thresholds for this secret, e.g. "expiryWarningDays=60" ("none" to use the config policy)')
+  .option('--renew-every <days>', 'Renewal cadence in days ("none" to stop treating it as self-renewing)')
+  .option('--renew-grace <days>', 'Days a renewal may run late before it counts as missed')
+  .option('-i, --interactive', 'Interactive mode (prompts for each field, Enter keeps current value)')
+  .option('--json', 'Output as JSON')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action(async (name, options) => {
+    try {
+      if (!configExists()) {
         if (options.json) {
           console.log(JSON.stringify({
             success: false,
-            error: 'AWS SDK not installed.',
-            code: 'ERR_MISSING_DEPENDENCY',
-            suggestion: 'npm install @aws-sdk/client-iam'
+            error: 'No config file found.',
+            code: 'ERR_NO_CONFIG'
           }, null, 2));
         } else {
-          console.error(chalk.red('Error:'), 'AWS SDK not installed.');
-          console.log('Install with: npm install @aws-sdk/client-iam');
+          console.error(chalk.red('Error:'), 'No config file found.');
         }
         process.exit(1);
       }
 
-      if (!options.quiet && !options.json) {
-        console.log(chalk.cyan('Scanning AWS IAM access keys...'));
+      // Prompts would mix with the JSON on stdout
+      if (options.interactive && options.json) {
+        throw new Error('--interactive cannot be combined with --json. Pass the fields as flags instead.');
       }
-      
-      const keys = await awsScanner.scanAwsKeys();
-      
-      if (options.json) {
-        const result = { success: true, count: keys.length, keys };
-        
-        if (options.autoAdd) {
-          const secrets = awsScanner.convertToSecrets(keys);
-          let added = 0;
-          const errors = [];
-          
-          for (const secret of secrets) {
-            try {
-              addSecret(secret);
-              added++;
-            } catch (error) {
-              if (!error.message.includes('already exists')) {
-                errors.push({ name: secret.name, error: error.message });
-              }
-            }
+
+      const before = { ...getSecret(name) };
+      const updates = {};
+      const clearable = value => (value === 'none' ? null : value);
+
+      if (options.interactive) {
+        // Enter keeps the current value, "none" clears optional fields
+        const ask = async (label, field) => {
+          const current = Array.isArray(before[field]) ? before[field].join(',') : before[field];
+          const answer = await prompt(`${label} [${current ?? 'none'}]: `);
+          if (answer !== '') {
+            updates[field] = answer;
+          }
+        };
+        await ask('Name', 'name');
+        await ask('Provider', 'provider');
+        await ask('Type', 'type');
+        await ask('Created date (YYYY-MM-DD)', 'createdAt');
+        await ask('Expires date (YYYY-MM-DD)', 'expiresAt');
+        await ask('Last rotated (YYYY-MM-DD)', 'lastRotated');
+        await ask('Rotation policy in days', 'rotationPolicy');
+        await ask('Notes', 'notes');
+        await ask('Owner', 'owner');
+        await ask('Team', 'team');
+        await ask('Environment', 'environment');
+        await ask('Tags (comma-separated)', 'tags');
+        await ask(`Privilege (${PRIVILEGE_LEVELS.join(', ')})`, 'privilege');
+        await ask(`Exposure (${EXPOSURE_LEVELS.join(', ')})`, 'exposure');
+        for (const field of ['expiresAt', 'owner', 'team', 'environment', 'privilege', 'exposure']) {
+          if (field in updates) {
+            updates[field] = clearable(updates[field]);
           }
-          
-          result.autoAdd = { added, errors };
         }
-        
-        console.log(JSON.stringify(result, null, 2));
       } else {
-        if (keys.length === 0) {
-          console.log(chalk.yellow('No AWS access keys found.'));
-          return;
+        if (options.rename !== undefined) updates.name = options.rename;
+        if (options.provider !== undefined) updates.provider = options.provider;
+        if (options.type !== undefined) updates.type = options.type;
+        if (options.created !== undefined) updates.createdAt = options.created;
+        if (options.expires !== undefined) updates.expiresAt = clearable(options.expires);
+        if (options.lastRotated !== undefined) updates.lastRotated = options.lastRotated;
+        if (options.rotation !== undefined) updates.rotationPolicy = options.rotation;
+        if (options.notes !== undefined) updates.notes = options.notes;
+        if (options.owner !== undefined) updates.owner = clearable(options.owner);
+        if (options.team !== undefined) updates.team = clearable(options.team);
+        if (options.env !== undefined) updates.environment = clearable(options.env);
+        if (options.tags !== undefined) updates.tags = options.tags;
+        if (options.privilege !== undefined) updates.privilege = clearable(options.privilege);
+        if (options.exposure !== undefined) updates.exposure = clearable(options.exposure);
+        if (options.lastUsed !== undefined) updates.lastUsed = clearable(options.lastUsed);
+        if (options.thresholds !== undefined) {
+          updates.thresholds = options.thresholds === 'none' ? null : parseThresholds(options.thresholds);
         }
+        if (options.renewEvery === 'none') {
+          updates.renewal = null;
+        } else if (options.renewEvery !== undefined || options.renewGrace !== undefined) {
+          updates.renewal = parseRenewal(options.renewEvery, options.renewGrace, before.renewal || {});
+        }
+      }
+
+      // Keep non-numeric input as-is so the validation error shows what was typed
+      if ('rotationPolicy' in updates && !isNaN(Number(updates.rotationPolicy))) {
+        updates.rotationPolicy = Number(updates.rotationPolicy);
+      }
+
+      if (Object.keys(updates).length === 0) {
+        throw new Error('Nothing to update. Pass at least one field flag or use --interactive.');
+      }
+
+      const secret = updateSecret(name, updates);
+      const changes = diffSecret(before, secret);
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          secret: {
+            ...secret,
+            age: calculateAge(secret),
+            daysUntilExpiry: daysUntilExpiry(secret),
+            message: getStatusMessage(secret)
+          },
+          changes,
+          message: `Secret "${name}" updated`
+        }, null, 2));
+      } else if (options.quiet) {
+        console.log(secret.name);
+      } else {
+        console.log(chalk.green('✓ Secret updated:'), secret.name);
+        if (changes.length === 0) {
+          console.log('  No changes');
+        }
+        changes.forEach(c => {
+          const fmt = v => (
+            v === null ? 'none'
+              : Array.isArray(v) ? v.join(', ') || 'none'
+                : typeof v === 'object' ? Object.entries(v).map(([k, x]) => `${k}=${x}`).join(', ')
+                  : String(v)
+          );
+          console.log(`  ${c.field}: ${chalk.red(fmt(c.from))} → ${chalk.green(fmt(c.to))}`);
+        });
+      }
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_EDIT'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+// Rotate command
+program
+  .command('rotate <name>')
+  .description('Mark a secret as rotated, or a self-renewing one as renewed (updates last-rotated date and records history)')
+  .option('--actor <actor>', 'Who performed the rotation (defaults to current user)')
+  .option('--reason <reason>', 'Why the secret was rotated')
+  .option('--ticket <ref>', 'Ticket or change reference (e.g., SEC-123)')
+  .option('--json', 'Output as JSON')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action((name, options) => {
+    try {
+      if (!configExists()) {
+        if (options.json) {
+          console.log(JSON.stringify({
+            success: false,
+            error: 'No config file found.',
+            code: 'ERR_NO_CONFIG'
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), 'No config file found.');
+        }
+        process.exit(1);
+      }
+
+      const secret = rotateSecret(name, {
+        actor: options.actor,
+        reason: options.reason,
+        ticket: options.ticket
+      });
+      
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          secret: {
+            ...secret,
+            age: calculateAge(secret),
+            daysUntilExpiry: daysUntilExpiry(secret),
+            message: getStatusMessage(secret)
+          },
+          message: `Secret "${name}" rotated`
+        }, null, 2));
+      } else if (options.quiet) {
+        console.log(name);
+      } else {
+        const emoji = getStatusEmoji(secret.status);
+        console.log(chalk.green('✓ Secret rotated:'), secret.name);
+        console.log(`  New status: ${emoji} ${secret.status}`);
+        console.log(`  Last ${secret.renewal ? 'renewed' : 'rotated'}: ${secret.lastRotated}`);
+        if (secret.renewal) {
+          console.log(`  Next renewal by: ${renewalDue(secret)}`);
+        }
+        if (secret.expiryDerived) {
+          console.log(`  Expires: ${secret.expiresAt} ${chalk.gray('(max lifetime from policy)')}`);
+        }
+      }
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_ROTATE'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+// Touch command
+program
+  .command('touch <name>')
+  .description('Record that a secret was used (updates its last-used date)')
+  .option('--date <date>', 'Day it was used (YYYY-MM-DD, defaults to today)')
+  .option('--json', 'Output as JSON')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action((name, options) => {
+    try {
+      if (!configExists()) {
+        if (options.json) {
+          console.log(JSON.stringify({
+            success: false,
+            error: 'No config file found.',
+            code: 'ERR_NO_CONFIG'
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), 'No config file found.');
+        }
+        process.exit(1);
+      }
+
+      const secret = touchSecret(name, { date: options.date });
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          secret: {
+            ...secret,
+            message: getStatusMessage(secret)
+          },
+          message: `Secret "${name}" last used ${secret.lastUsed}`
+        }, null, 2));
+      } else if (options.quiet) {
+        console.log(name);
+      } else {
+        console.log(chalk.green('✓ Usage recorded:'), secret.name);
+        console.log(`  Last used: ${secret.lastUsed}`);
+        console.log(`  Status: ${getStatusEmoji(secret.status)} ${secret.status} - ${getStatusMessage(secret)}`);
+      }
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_TOUCH'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+// Ack command
+program
+  .command('ack <name>')
+  .description('Acknowledge a warning, critical or stale secret until a date so CI checks pass meanwhile (never covers expired secrets)')
+  .option('--until <date>', 'Last day the acknowledgement covers (YYYY-MM-DD)')
+  .option('--reason <reason>', 'Why it is acceptable for now (e.g., "Rotation scheduled in CHG-1234")')
+  .option('--actor <actor>', 'Who acknowledged it (defaults to current user)')
+  .option('--clear', 'Remove the acknowledgement')
+  .option('--json', 'Output as JSON')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action((name, options) => {
+    try {
+      if (!configExists()) {
+        if (options.json) {
+          console.log(JSON.stringify({
+            success: false,
+            error: 'No config file found. Run "mpx-secrets-audit init" first.',
+            code: 'ERR_NO_CONFIG'
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), 'No config file found. Run "mpx-secrets-audit init" first.');
+        }
+        process.exit(1);
+      }
+
+      const secret = options.clear
+        ? clearAcknowledgement(name)
+        : acknowledgeSecret(name, { until: options.until, reason: options.reason, actor: options.actor });
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          secret: {
+            ...secret,
+            message: getStatusMessage(secret)
+          },
+          message: options.clear ? `Acknowledgement of "${name}" removed` : `Secret "${name}" acknowledged until ${secret.ack.until}`
+        }, null, 2));
+      } else if (options.quiet) {
+        console.log(name);
+      } else if (options.clear) {
+        console.log(chalk.green('✓ Acknowledgement removed:'), secret.name);
+        console.log(`  Status: ${getStatusEmoji(secret.status)} ${secret.status} - ${getStatusMessage(secret)}`);
+      } else {
+        console.log(chalk.green('✓ Secret acknowledged:'), secret.name);
+        console.log(`  Status: ${getStatusEmoji(secret.status)} ${secret.status} - ${getStatusMessage(secret)}`);
+        console.log(`  Until: ${secret.ack.until} (by ${secret.ack.by})`);
+        console.log(`  Reason: ${secret.ack.reason}`);
+        console.log(chalk.gray('  check --ci ignores it until then, unless it expires. Rotating clears it.'));
+      }
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_ACK'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+// Waiver commands
+const waiver = program
+  .command('waiver')
+  .description('Manage formal policy exceptions for secrets that cannot follow policy');
+
+waiver
+  .command('grant <name>')
+  .description('Grant a waiver: skip the checks in its scope until a date and report the secret as waived')
+  .option('--scope <scope>', `Checks the waiver covers (${WAIVER_SCOPES.join(', ')})`, 'rotation')
+  .option('--justification <text>', 'Why the secret cannot follow policy (e.g., "Vendor does not support rotation")')
+  .option('--approver <approver>', 'Who approved the exception')
+  .option('--until <date>', 'Date the waiver expires (YYYY-MM-DD, inclusive)')
+  .option('--actor <actor>', 'Who recorded the waiver (defaults to current user)')
+  .option('--json', 'Output as JSON')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action((name, options) => {
+    try {
+      if (!configExists()) {
+        if (options.json) {
+          console.log(JSON.stringify({
+            success: false,
+            error: 'No config file found. Run "mpx-secrets-audit init" first.',
+            code: 'ERR_NO_CONFIG'
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), 'No config file found. Run "mpx-secrets-audit init" first.');
+        }
+        process.exit(1);
+      }
+
+      const secret = grantWaiver(name, {
+        scope: options.scope,
+        justification: options.justification,
+        approver: options.approver,
+        until: options.until,
+        actor: options.actor
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          secret: {
+            ...secret,
+            message: getStatusMessage(secret)
+          },
+          message: `Waiver granted for "${name}" until ${secret.waiver.until}`
+        }, null, 2));
+      } else if (options.quiet) {
+        console.log(name);
+      } else {
+        console.log(chalk.green('✓ Waiver granted:'), secret.name);
+        console.log(`  Scope: ${secret.waiver.scope}`);
+        console.log(`  Until: ${secret.waiver.until}`);
+        console.log(`  Approver: ${secret.waiver.approver}`);
+        console.log(`  Justification: ${secret.waiver.justification}`);
+        console.log(`  Status: ${getStatusEmoji(secret.status)} ${secret.status} - ${getStatusMessage(secret)}`);
+      }
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_WAIVER'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+waiver
+  .command('list')
+  .description('List secrets with an active waiver')
+  .option('--all', 'Include lapsed waivers')
+  .option('--owner <owner>', 'Only show secrets owned by this person')
+  .option('--team <team>', 'Only show secrets owned by this team')
+  .option('--filter <expr>', 'Filter expression (e.g., "provider=aws")')
+  .option('--json', 'Output as JSON')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action((options) => {
+    try {
+      if (!configExists()) {
+        if (options.json) {
+          console.log(JSON.stringify({
+            success: false,
+            error: 'No config file found. Run "mpx-secrets-audit init" first.',
+            code: 'ERR_NO_CONFIG'
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), 'No config file found. Run "mpx-secrets-audit init" first.');
+        }
+        process.exit(1);
+      }
+
+      const waivers = listWaivers({ owner: options.owner, team: options.team, filter: options.filter, lapsed: options.all });
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          count: waivers.length,
+          waivers
+        }, null, 2));
+        return;
+      }
+
+      if (waivers.length === 0) {
+        if (!options.quiet) {
+          console.log(chalk.yellow(options.all ? 'No waivers.' : 'No active waivers.'));
+        }
+        return;
+      }
+
+      if (!options.quiet) {
+        console.log(chalk.bold(`\n${waivers.length} waiver${waivers.length === 1 ? '' : 's'}:\n`));
+      }
+
+      waivers.forEach(w => {
+        if (options.quiet) {
+          console.log(w.name);
+          return;
+        }
+        const state = w.state === 'active' ? chalk.blue('ACTIVE') : chalk.red('LAPSED');
+        console.log(`${getStatusEmoji(w.status)} ${chalk.bold(w.name)} (${w.provider})`);
+        console.log(`   Waiver: ${state} - ${w.scope} until ${w.until}`);
+        console.log(`   Approver: ${w.approver} | Granted: ${w.grantedAt} by ${w.grantedBy}`);
+        console.log(`   Justification: ${w.justification}`);
+        console.log('');
+      });
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_WAIVER'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+waiver
+  .command('revoke <name>')
+  .description('Remove the waiver of a secret')
+  .option('--json', 'Output as JSON')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action((name, options) => {
+    try {
+      if (!configExists()) {
+        if (options.json) {
+          console.log(JSON.stringify({
+            success: false,
+            error: 'No config file found. Run "mpx-secrets-audit init" first.',
+            code: 'ERR_NO_CONFIG'
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), 'No config file found. Run "mpx-secrets-audit init" first.');
+        }
+        process.exit(1);
+      }
+
+      const secret = revokeWaiver(name);
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          secret: {
+            ...secret,
+            message: getStatusMessage(secret)
+          },
+          message: `Waiver of "${name}" revoked`
+        }, null, 2));
+      } else if (options.quiet) {
+        console.log(name);
+      } else {
+        console.log(chalk.green('✓ Waiver revoked:'), secret.name);
+        console.log(`  Status: ${getStatusEmoji(secret.status)} ${secret.status} - ${getStatusMessage(secret)}`);
+      }
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_WAIVER'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+// History command
+program
+  .command('history <name>')
+  .description('Show the rotation history of a secret')
+  .option('--since <date>', 'Only show rotations on or after this date (YYYY-MM-DD)')
+  .option('--json', 'Output as JSON')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action((name, options) => {
+    try {
+      if (!configExists()) {
+        if (options.json) {
+          console.log(JSON.stringify({
+            success: false,
+            error: 'No config file found.',
+            code: 'ERR_NO_CONFIG'
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), 'No config file found.');
+        }
+        process.exit(1);
+      }
+
+      const history = getRotationHistory(name, { since: options.since });
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          ...history
+        }, null, 2));
+        return;
+      }
+
+      if (options.quiet) {
+        history.rotations.forEach(r => console.log(r.date));
+        return;
+      }
+
+      console.log(chalk.bold(`\nRotation history for ${history.name}\n`));
+
+      if (history.rotations.length === 0) {
+        console.log(chalk.yellow('  No rotations recorded.'));
+        console.log(`  Last rotated: ${history.lastRotated || 'never'}`);
+        return;
+      }
+
+      history.rotations.forEach(r => {
+        console.log(`  ${r.date}  ${chalk.cyan(r.actor)}${r.ticket ? ` [${r.ticket}]` : ''}`);
+        if (r.reason) {
+          console.log(`              ${r.reason}`);
+        }
+      });
+      console.log('');
+      console.log(`${history.count} rotation${history.count === 1 ? '' : 's'} recorded`);
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_HISTORY'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+// Report command
+program
+  .command('report')
+  .description('Generate audit report')
+  .option('-f, --format <format>', 'Report format (text, json, markdown, ics)', 'text')
+  .option('--json', 'Output as JSON (shorthand for --format json)')
+  .option('--pdf <filename>', 'Export report as PDF')
+  .option('--framework <framework>', 'Compliance report mapping secrets to the controls of a framework (soc2, pci-dss, iso-27001, or a framework JSON file)')
+  .option('-o, --output <file>', 'Output file (defaults to stdout)')
+  .option('--owner <owner>', 'Only include secrets owned by this person')
+  .option('--team <team>', 'Only include secrets owned by this team')
+  .option('--filter <expr>', 'Filter expression (e.g., "provider=aws and env=prod and age>60")')
+  .option('--as-of <date>', 'Evaluate statuses as of this date (YYYY-MM-DD)')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action(async (options) => {
+    // --json flag overrides --format
+    if (options.json) {
+      options.format = 'json';
+    }
+    try {
+      if (!configExists()) {
+        const errorMsg = 'No config file found.';
+        if (options.format === 'json') {
+          console.log(JSON.stringify({
+            success: false,
+            error: errorMsg,
+            code: 'ERR_NO_CONFIG'
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), errorMsg);
+        }
+        process.exit(1);
+      }
+
+      const config = loadConfig();
+      
+      if (config.tier === 'free' && ['json', 'markdown'].includes(options.format)) {
+        const errorMsg = 'JSON and Markdown reports are Pro features. Upgrade to use this feature.';
+        if (options.format === 'json') {
+          console.log(JSON.stringify({
+            success: false,
+            error: errorMsg,
+            code: 'ERR_PRO_REQUIRED'
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), errorMsg);
+        }
+        process.exit(1);
+      }
+
+      const filters = { owner: options.owner, team: options.team, filter: options.filter };
+      const secrets = listSecrets(filters);
+      const archived = listArchivedSecrets(filters);
+
+      // Compliance framework mode
+      if (options.framework) {
+        const compliance = evaluateCompliance(secrets, loadFramework(options.framework));
+
+        if (options.pdf) {
+          const { generateCompliancePDFReport } = await import('../lib/pdf-reporter.js');
+          const pdfPath = await generateCompliancePDFReport(compliance, options.pdf);
+          if (options.format === 'json') {
+            console.log(JSON.stringify({
+              success: true,
+              format: 'pdf',
+              framework: compliance.framework.id,
+              outputPath: pdfPath,
+              summary: compliance.summary
+            }, null, 2));
+          } else if (!options.quiet) {
+            console.log(chalk.green('✓ Compliance report saved to:'), pdfPath);
+          }
+          return;
+        }
+
+        let report;
+        switch (options.format) {
+          case 'json':
+            report = generateComplianceJsonReport(compliance);
+            break;
+          case 'markdown':
+            report = generateComplianceMarkdownReport(compliance);
+            break;
+          case 'text':
+            report = generateComplianceTextReport(compliance);
+            break;
+          default:
+            throw new Error(`Invalid format for a compliance report: "${options.format}". Use text, json, markdown or --pdf.`);
+        }
+
+        if (options.output) {
+          const { writeFileSync } = await import('fs');
+          writeFileSync(options.output, report, 'utf8');
+          if (!options.quiet) {
+            console.log(chalk.green('✓ Compliance report saved to:'), options.output);
+          }
+        } else {
+          console.log(report);
+        }
+        return;
+      }
+
+      // PDF export
+      if (options.pdf) {
+        const { generatePDFReport } = await import('../lib/pdf-reporter.js');
+        const pdfPath = await generatePDFReport(secrets, options.pdf, { archived });
+        if (options.json || options.format === 'json') {
+          console.log(JSON.stringify({
+            success: true,
+            format: 'pdf',
+            outputPath: pdfPath,
+            secretsCount: secrets.length
+          }, null, 2));
+        } else if (!options.quiet) {
+          console.log(chalk.green('✓ PDF report saved to:'), pdfPath);
+        }
+        return;
+      }
+
+      let report;
+
+      switch (options.format) {
+        case 'json':
+          report = generateJsonReport(secrets, { archived });
+          break;
+        case 'markdown':
+          report = generateMarkdownReport(secrets, { archived });
+          break;
+        case 'ics':
+          report = generateCalendarReport(secrets, { archived });
+          break;
+        case 'text':
+        default:
+          report = generateTextReport(secrets, { archived });
+      }
+
+      if (options.output) {
+        const { writeFileSync } = await import('fs');
+        writeFileSync(options.output, report, 'utf8');
+        if (!options.quiet) {
+          console.log(chalk.green('✓ Report saved to:'), options.output);
+        }
+      } else {
+        console.log(report);
+      }
+    } catch (error) {
+      if (options.format === 'json') {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_REPORT'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+// Calendar command
+program
+  .command('calendar')
+  .description('Export expiry and rotation due dates as an iCalendar (.ics) file')
+  .option('-o, --output <file>', 'Output file (defaults to stdout)')
+  .option('--name <name>', 'Calendar name shown in calendar apps', 'Secrets rotation & expiry')
+  .option('--owner <owner>', 'Only include secrets owned by this person')
+  .option('--team <team>', 'Only include secrets owned by this team')
+  .option('--filter <expr>', 'Filter expression (e.g., "provider=aws and env=prod")')
+  .option('--json', 'Output as JSON')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action(async (options) => {
+    try {
+      if (!configExists()) {
+        if (options.json) {
+          console.log(JSON.stringify({
+            success: false,
+            error: 'No config file found. Run "mpx-secrets-audit init" first.',
+            code: 'ERR_NO_CONFIG'
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), 'No config file found. Run "mpx-secrets-audit init" first.');
+        }
+        process.exit(1);
+      }
+
+      const filters = { owner: options.owner, team: options.team, filter: options.filter };
+      const secrets = listSecrets(filters);
+      const archived = listArchivedSecrets(filters);
+      const calendar = generateCalendarReport(secrets, { archived, name: options.name });
+
+      if (options.output) {
+        const { writeFileSync } = await import('fs');
+        writeFileSync(options.output, calendar, 'utf8');
+      }
+
+      if (options.json) {
+        const events = buildCalendarEvents(secrets, { archived });
+        console.log(JSON.stringify({
+          success: true,
+          outputPath: options.output,
+          count: events.length,
+          events: events.map(({ uid, kind, name, date, cancelled, alarms }) => ({ uid, kind, name, date, cancelled, alarms })),
+          calendar: options.output ? undefined : calendar
+        }, null, 2));
+      } else if (options.output) {
+        if (!options.quiet) {
+          console.log(chalk.green('✓ Calendar saved to:'), options.output);
+          console.log(chalk.gray('  Import it again after changes: events are updated, not duplicated.'));
+        }
+      } else {
+        process.stdout.write(calendar);
+      }
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_CALENDAR'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+// Forecast command
+program
+  .command('forecast')
+  .description('Project upcoming expirations, status changes and rotation due dates')
+  .option('-d, --days <days>', 'Number of days to look ahead', '90')
+  .option('--by <period>', 'Group the timeline by day or week', 'week')
+  .option('-f, --format <format>', 'Output format (text, json, markdown)', 'text')
+  .option('--json', 'Output as JSON (shorthand for --format json)')
+  .option('-o, --output <file>', 'Output file (defaults to stdout)')
+  .option('--owner <owner>', 'Only include secrets owned by this person')
+  .option('--team <team>', 'Only include secrets owned by this team')
+  .option('--filter <expr>', 'Filter expression (e.g., "provider=aws and env=prod")')
+  .option('--as-of <date>', 'Start the forecast at this date (YYYY-MM-DD) instead of today')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action(async (options) => {
+    if (options.json) {
+      options.format = 'json';
+    }
+    try {
+      if (!configExists()) {
+        const errorMsg = 'No config file found. Run "mpx-secrets-audit init" first.';
+        if (options.format === 'json') {
+          console.log(JSON.stringify({
+            success: false,
+            error: errorMsg,
+            code: 'ERR_NO_CONFIG'
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), errorMsg);
+        }
+        process.exit(1);
+      }
 
+      const secrets = listSecrets({ owner: options.owner, team: options.team, filter: options.filter });
+      const forecast = forecastSecrets(secrets, { days: options.days, by: options.by });
+
+      let report;
+
+      switch (options.format) {
+        case 'json':
+          report = generateForecastJsonReport(forecast);
+          break;
+        case 'markdown':
+          report = generateForecastMarkdownReport(forecast);
+          break;
+        case 'text':
+          report = generateForecastTextReport(forecast);
+          break;
+        default:
+          throw new Error(`Invalid format: "${options.format}". Use text, json or markdown.`);
+      }
+
+      if (options.output) {
+        const { writeFileSync } = await import('fs');
+        writeFileSync(options.output, report, 'utf8');
         if (!options.quiet) {
+          console.log(chalk.green('✓ Forecast saved to:'), options.output);
+        }
+      } else {
+        console.log(report);
+      }
+    } catch (error) {
+      if (options.format === 'json') {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_FORECAST'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+// AWS Scanner
+/**
+ * Track secrets found by a cloud scanner (see syncScannedSecret()), reporting
+ * failures per secret
+ */
+function autoAddScanned(found, actor) {
+  const result = { added: 0, updated: 0, errors: [] };
+  for (const secret of found) {
+    try {
+      const outcome = syncScannedSecret(secret, { actor });
+      if (outcome !== 'unchanged') {
+        result[outcome]++;
+      }
+    } catch (error) {
+      result.errors.push({ name: secret.name, error: error.message });
+    }
+  }
+  return result;
+}
+
+const AWS_SOURCE_LABELS = {
+  iam: 'IAM access keys',
+  secretsmanager: 'Secrets Manager secrets',
+  ssm: 'SSM SecureString parameters'
+};
+
+program
+  .command('scan-aws')
+  .description('Scan AWS for IAM access keys, Secrets Manager secrets and SSM parameters (Pro feature)')
+  .option('--source <sources>', 'Comma-separated sources to scan: iam, secretsmanager, ssm', 'iam')
+  .option('--auto-add', 'Automatically add discovered credentials to tracking and update the last-used dates of tracked ones')
+  .option('--roles <arns>', 'Comma-separated ARNs of cross-account roles to assume and scan as well')
+  .option('--endpoint-url <url>', 'AWS API endpoint URL (e.g. a local mock)')
+  .option('--region <region>', 'AWS region for the API calls (default: AWS_REGION, else us-east-1)')
+  .option('--json', 'Output as JSON')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action(async (options) => {
+    try {
+      if (!configExists()) {
+        if (options.json) {
+          console.log(JSON.stringify({
+            success: false,
+            error: 'No config file found. Run "mpx-secrets-audit init" first.',
+            code: 'ERR_NO_CONFIG'
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), 'No config file found. Run "mpx-secrets-audit init" first.');
+        }
+        process.exit(1);
+      }
+
+      const config = loadConfig();
+      
+      if (config.tier === 'free') {
+        if (options.json) {
+          console.log(JSON.stringify({
+            success: false,
+            error: 'AWS scanning is a Pro feature. Upgrade to use this feature.',
+            code: 'ERR_PRO_REQUIRED'
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), 'AWS scanning is a Pro feature. Upgrade to use this feature.');
+          console.log(chalk.cyan('\nPro features include:'));
+          console.log('  • Unlimited secrets');
+          console.log('  • AWS IAM scanner');
+          console.log('  • GitHub credential scanner');
+          console.log('  • JSON/Markdown reports');
+          console.log('  • CI/CD integration');
+        }
+        process.exit(1);
+      }
+
+      const sources = (options.source || 'iam').split(',').map(source => source.trim().toLowerCase()).filter(Boolean);
+      const unknownSource = sources.find(source => !(source in awsScanner.AWS_SOURCES));
+      if (unknownSource) {
+        throw new Error(`Unknown source "${unknownSource}". Use one of: ${Object.keys(awsScanner.AWS_SOURCES).join(', ')}`);
+      }
+
+      const missing = sources.filter(source => !awsScanner.isAvailable(source)).map(source => awsScanner.AWS_SOURCES[source]);
+      if (missing.length > 0) {
+        if (options.json) {
+          console.log(JSON.stringify({
+            success: false,
+            error: 'AWS SDK not installed.',
+            code: 'ERR_MISSING_DEPENDENCY',
+            suggestion: `npm install ${missing.join(' ')}`
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), 'AWS SDK not installed.');
+          console.log(`Install with: npm install ${missing.join(' ')}`);
+        }
+        process.exit(1);
+      }
+
+      if (!options.quiet && !options.json) {
+        console.log(chalk.cyan(`Scanning AWS ${sources.map(source => AWS_SOURCE_LABELS[source]).join(', ')}...`));
+      }
+      
+      const scanOptions = {
+        roles: options.roles ? options.roles.split(',').map(role => role.trim()).filter(Boolean) : [],
+        endpoint: options.endpointUrl,
+        region: options.region
+      };
+      const scanned = {};
+      const scanErrors = [];
+      for (const source of sources) {
+        const { errors, ...found } = source === 'iam'
+          ? await awsScanner.scanAwsKeys(scanOptions)
+          : source === 'secretsmanager'
+            ? await awsScanner.scanAwsSecrets(scanOptions)
+            : await awsScanner.scanAwsParameters(scanOptions);
+        Object.assign(scanned, found);
+        scanErrors.push(...errors.map(error => ({ source, ...error })));
+      }
+      const { keys = [], secrets = [], parameters = [] } = scanned;
+      const count = keys.length + secrets.length + parameters.length;
+
+      // Track new findings; for tracked ones, record rotations and use seen by AWS
+      const autoAdd = () => autoAddScanned(awsScanner.convertToSecrets([...keys, ...secrets, ...parameters]), 'scan-aws');
+      
+      if (options.json) {
+        const result = { success: true, count, ...scanned, errors: scanErrors };
+        
+        if (options.autoAdd) {
+          result.autoAdd = autoAdd();
+        }
+        
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        scanErrors.forEach(({ source, role, error }) => {
+          console.error(chalk.yellow(`  Warning: Could not scan ${AWS_SOURCE_LABELS[source]} through ${role}: ${error}`));
+        });
+
+        if (count === 0) {
+          console.log(chalk.yellow(`No AWS ${sources.map(source => AWS_SOURCE_LABELS[source]).join(', ')} found.`));
+          return;
+        }
+
+        const account = item => (item.accountId ? chalk.gray(` (account ${item.accountId})`) : '');
+
+        if (keys.length > 0 && !options.quiet) {
           console.log(chalk.green(`\n✓ Found ${keys.length} AWS access key${keys.length === 1 ? '' : 's'}:\n`));
         }
 
         keys.forEach(key => {
           const ageWarning = key.age > 90 ? chalk.red(' ⚠️  OLD') : '';
-          console.log(`  • ****${key.keyId}`);
+          console.log(`  • ${key.userName} ****${key.keyId}${account(key)}`);
           console.log(`    Status: ${key.status}`);
           console.log(`    Created: ${key.createdAt} (${key.age} days ago)${ageWarning}`);
           console.log(`    Last used: ${key.lastUsed}`);
           console.log('');
         });
 
-        if (options.autoAdd) {
-          const secrets = awsScanner.convertToSecrets(keys);
-          let added = 0;
-          
-          for (const secret of secrets) {
-            try {
-              addSecret(secret);
-              added++;
-            } catch (error) {
-              if (!error.message.includes('already exists')) {
-                console.error(chalk.yellow(`  Warning: Could not add ${secret.name}: ${error.message}`));
-              }
-            }
+        if (secrets.length > 0 && !options.quiet) {
+          console.log(chalk.green(`\n✓ Found ${secrets.length} Secrets Manager secret${secrets.length === 1 ? '' : 's'}:\n`));
+        }
+
+        secrets.forEach(secret => {
+          const rotation = !secret.rotationEnabled
+            ? chalk.yellow('off')
+            : `${secret.rotationDays ? `every ${secret.rotationDays} days` : 'scheduled'}${secret.nextRotation ? `, next ${secret.nextRotation}` : ''}`;
+          console.log(`  • ${secret.secretName}${account(secret)}`);
+          console.log(`    Rotation: ${rotation}`);
+          console.log(`    Last rotated: ${secret.lastRotated || `never (created ${secret.createdAt})`}`);
+          console.log(`    Last accessed: ${secret.lastAccessed || 'unknown'}`);
+          console.log('');
+        });
+
+        if (parameters.length > 0 && !options.quiet) {
+          console.log(chalk.green(`\n✓ Found ${parameters.length} SSM SecureString parameter${parameters.length === 1 ? '' : 's'}:\n`));
+        }
+
+        parameters.forEach(parameter => {
+          const ageWarning = parameter.age > 90 ? chalk.red(' ⚠️  OLD') : '';
+          console.log(`  • ${parameter.parameterName}${account(parameter)}`);
+          console.log(`    Last modified: ${parameter.lastModified} (${parameter.age} days ago, version ${parameter.version})${ageWarning}`);
+          if (parameter.expiresAt) {
+            console.log(`    Expires: ${parameter.expiresAt}`);
           }
+          console.log('');
+        });
+
+        if (options.autoAdd) {
+          const { added, updated, errors } = autoAdd();
+          errors.forEach(({ name, error }) => {
+            console.error(chalk.yellow(`  Warning: Could not add ${name}: ${error}`));
+          });
           
           console.log(chalk.green(`✓ Added ${added} new secret${added === 1 ? '' : 's'} to tracking`));
+          if (updated > 0) {
+            console.log(chalk.green(`✓ Updated ${updated} tracked secret${updated === 1 ? '' : 's'} with rotations or use seen by AWS`));
+          }
         } else if (!options.quiet) {
-          console.log(chalk.cyan('Use --auto-add to automatically track these keys'));
+          console.log(chalk.cyan('Use --auto-add to automatically track these'));
         }
       }
     } catch (error) {
@@ -770,10 +2047,24 @@ program
   });
 
 // GitHub Scanner
+const GITHUB_SOURCE_LABELS = {
+  token: 'token',
+  pats: 'fine-grained PATs',
+  'deploy-keys': 'deploy keys',
+  actions: 'Actions secrets',
+  dependabot: 'Dependabot secrets',
+  apps: 'GitHub App installations',
+  repos: 'repositories'
+};
+
 program
   .command('scan-github')
-  .description('Scan GitHub for Personal Access Tokens (Pro feature)')
-  .option('--auto-add', 'Automatically add discovered tokens to tracking')
+  .description('Scan GitHub for tokens, fine-grained PATs, deploy keys, Actions/Dependabot secrets and App installations (Pro feature)')
+  .option('--source <sources>', 'Comma-separated sources to scan: token, pats, deploy-keys, actions, dependabot, apps (default: all)')
+  .option('--orgs <orgs>', 'Comma-separated organizations to scan, including their repositories')
+  .option('--repos <repos>', 'Comma-separated owner/name repositories to scan')
+  .option('--base-url <url>', 'GitHub API base URL (default: GITHUB_API_URL, else https://api.github.com; https://<host>/api/v3 for Enterprise Server)')
+  .option('--auto-add', 'Automatically add discovered credentials to tracking and update the last-used dates of tracked ones')
   .option('--json', 'Output as JSON')
   .option('-q, --quiet', 'Suppress non-essential output')
   .action(async (options) => {
@@ -821,67 +2112,97 @@ program
         process.exit(1);
       }
 
+      const list = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+      const sources = options.source ? list(options.source).map(source => source.toLowerCase()) : Object.keys(githubScanner.GITHUB_SOURCES);
+      const unknownSource = sources.find(source => !(source in githubScanner.GITHUB_SOURCES));
+      if (unknownSource) {
+        throw new Error(`Unknown source "${unknownSource}". Use one of: ${Object.keys(githubScanner.GITHUB_SOURCES).join(', ')}`);
+      }
+      const badRepo = list(options.repos).find(repo => !/^[^/\s]+\/[^/\s]+$/.test(repo));
+      if (badRepo) {
+        throw new Error(`Invalid repository "${badRepo}". Use owner/name.`);
+      }
+
       if (!options.quiet && !options.json) {
-        console.log(chalk.cyan('Scanning GitHub tokens...'));
+        console.log(chalk.cyan(`Scanning GitHub ${sources.map(source => GITHUB_SOURCE_LABELS[source]).join(', ')}...`));
       }
       
-      const tokens = await githubScanner.scanGitHubTokens();
+      const { credentials, errors: scanErrors } = await githubScanner.scanGitHub({
+        sources,
+        orgs: list(options.orgs),
+        repos: list(options.repos),
+        baseUrl: options.baseUrl
+      });
+
+      // Track new findings; for tracked ones, record rotations and use seen by GitHub
+      const autoAdd = () => autoAddScanned(githubScanner.convertToSecrets(credentials), 'scan-github');
       
       if (options.json) {
-        const result = { success: true, count: tokens.length, tokens };
+        const result = { success: true, count: credentials.length, credentials, errors: scanErrors };
         
         if (options.autoAdd) {
-          const secrets = githubScanner.convertToSecrets(tokens);
-          let added = 0;
-          const errors = [];
-          
-          for (const secret of secrets) {
-            try {
-              addSecret(secret);
-              added++;
-            } catch (error) {
-              if (!error.message.includes('already exists')) {
-                errors.push({ name: secret.name, error: error.message });
-              }
-            }
-          }
-          
-          result.autoAdd = { added, errors };
-          result.note = 'GitHub API does not expose token expiry dates. Set expiry date manually if known.';
+          result.autoAdd = autoAdd();
         }
         
         console.log(JSON.stringify(result, null, 2));
       } else {
+        scanErrors.forEach(({ source, target, error }) => {
+          console.error(chalk.yellow(`  Warning: Could not scan ${GITHUB_SOURCE_LABELS[source]} of ${target}: ${error}`));
+        });
+
+        if (credentials.length === 0) {
+          console.log(chalk.yellow('No GitHub credentials found.'));
+          return;
+        }
+
         if (!options.quiet) {
-          console.log(chalk.green(`\n✓ GitHub token verified\n`));
+          console.log(chalk.green(`\n✓ Found ${credentials.length} GitHub credential${credentials.length === 1 ? '' : 's'}:\n`));
         }
 
-        tokens.forEach(token => {
-          console.log(`  • ${token.name}`);
-          console.log(`    ${token.note}`);
+        const expiry = credential => (credential.expiresAt ? `expires ${credential.expiresAt}` : chalk.yellow('no expiry'));
+
+        credentials.forEach(credential => {
+          switch (credential.source) {
+            case 'token':
+              console.log(`  • Token of ${credential.login} (${credential.tokenType})`);
+              console.log(`    Expiry: ${expiry(credential)}`);
+              if (credential.scopes) {
+                console.log(`    Scopes: ${credential.scopes.join(', ') || 'none'}`);
+              }
+              break;
+            case 'pats':
+              console.log(`  • Fine-grained PAT${credential.tokenName ? ` "${credential.tokenName}"` : ''} of ${credential.owner} (org ${credential.org})`);
+              console.log(`    Granted: ${credential.grantedAt}, ${credential.expired ? chalk.red('expired') : expiry(credential)}`);
+              console.log(`    Last used: ${credential.lastUsed || 'never'}`);
+              break;
+            case 'deploy-keys':
+              console.log(`  • Deploy key "${credential.title}" on ${credential.repo}${credential.readOnly ? '' : chalk.yellow(' (read-write)')}`);
+              console.log(`    Created: ${credential.createdAt}`);
+              console.log(`    Last used: ${credential.lastUsed || 'unknown'}`);
+              break;
+            case 'apps':
+              console.log(`  • GitHub App ${credential.appSlug} on ${credential.org}`);
+              console.log(`    Installed: ${credential.createdAt}`);
+              break;
+            default:
+              console.log(`  • ${credential.source === 'actions' ? 'Actions' : 'Dependabot'} secret ${credential.secretName} (${credential.repo || `org ${credential.org}`})`);
+              console.log(`    Created: ${credential.createdAt}, updated: ${credential.updatedAt || credential.createdAt}`);
+          }
           console.log('');
         });
 
         if (options.autoAdd) {
-          const secrets = githubScanner.convertToSecrets(tokens);
-          let added = 0;
-          
-          for (const secret of secrets) {
-            try {
-              addSecret(secret);
-              added++;
-            } catch (error) {
-              if (!error.message.includes('already exists')) {
-                console.error(chalk.yellow(`  Warning: Could not add ${secret.name}: ${error.message}`));
-              }
-            }
-          }
+          const { added, updated, errors } = autoAdd();
+          errors.forEach(({ name, error }) => {
+            console.error(chalk.yellow(`  Warning: Could not add ${name}: ${error}`));
+          });
           
           console.log(chalk.green(`✓ Added ${added} new secret${added === 1 ? '' : 's'} to tracking`));
-          console.log(chalk.yellow('\n⚠️  Note: GitHub API does not expose token expiry dates.'));
-          console.log(chalk.yellow('    You must manually set the expiry date if known.'));
+          if (updated > 0) {
+            console.log(chalk.green(`✓ Updated ${updated} tracked secret${updated === 1 ? '' : 's'} with rotations or use seen by GitHub`));
+          }
         } else if (!options.quiet) {
-          console.log(chalk.cyan('Use --auto-add to automatically track this token'));
+          console.log(chalk.cyan('Use --auto-add to automatically track these'));
         }
       }
     } catch (error) {
@@ -898,6 +2219,350 @@ program
     }
   });
 
+// Validate command
+program
+  .command('validate')
+  .description('Validate the config file against the schema')
+  .option('--json', 'Output as JSON')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action((options) => {
+    try {
+      const result = validateConfigFile();
+      const valid = result.problems.length === 0;
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: valid,
+          ...result
+        }, null, 2));
+      } else if (valid) {
+        if (!options.quiet) {
+          console.log(chalk.green('✓ Config is valid:'), result.configPath);
+          result.pendingMigrations.forEach(m => {
+            console.log(chalk.cyan(`  Will migrate ${m}`));
+          });
+        }
+      } else {
+        console.error(chalk.red(`✗ ${result.problems.length} problem${result.problems.length === 1 ? '' : 's'} in ${result.configPath}:`));
+        result.problems.forEach(p => {
+          console.error(`  ${chalk.bold(p.path)}: ${p.message}`);
+        });
+      }
+
+      if (!valid) {
+        process.exit(1);
+      }
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_VALIDATE'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+// Profiles command
+program
+  .command('profiles')
+  .description('List named config profiles')
+  .option('--json', 'Output as JSON')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action((options) => {
+    try {
+      const profiles = listProfiles();
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          count: profiles.length,
+          profiles,
+          activeConfigPath: getConfigPath()
+        }, null, 2));
+        return;
+      }
+
+      if (profiles.length === 0) {
+        if (!options.quiet) {
+          console.log(chalk.yellow('No profiles yet.'));
+          console.log('Create one with: mpx-secrets-audit --profile <name> init');
+        }
+        return;
+      }
+
+      profiles.forEach(name => console.log(options.quiet ? name : `  • ${name}`));
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_PROFILES'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+// Policy command
+program
+  .command('policy [name]')
+  .description('Show the status thresholds, rotation rules and risk weights in effect, globally or for one secret')
+  .option('--json', 'Output as JSON')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action((name, options) => {
+    try {
+      if (!configExists()) {
+        if (options.json) {
+          console.log(JSON.stringify({
+            success: false,
+            error: 'No config file found. Run "mpx-secrets-audit init" first.',
+            code: 'ERR_NO_CONFIG'
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), 'No config file found. Run "mpx-secrets-audit init" first.');
+        }
+        process.exit(1);
+      }
+
+      const policy = loadMergedConfig().policy || {};
+      const thresholds = { ...DEFAULT_THRESHOLDS, ...policy.thresholds };
+      const rules = policy.rules || {};
+      const describe = t => [
+        `Rotation warning: ${t.rotationWarningPercent}% of rotation policy`,
+        `Expiry warning: ${t.expiryWarningDays} days`,
+        `Expiry critical: ${t.expiryCriticalDays} days`,
+        `Stale after: ${t.staleDays ? `${t.staleDays} days unused` : 'off'}`
+      ];
+
+      if (name) {
+        const secret = getSecret(name);
+        const effective = resolvePolicy(secret);
+
+        if (options.json) {
+          console.log(JSON.stringify({
+            success: true,
+            name: secret.name,
+            status: secret.status,
+            message: getStatusMessage(secret),
+            policy: effective
+          }, null, 2));
+          return;
+        }
+
+        console.log(chalk.bold(`\nPolicy for ${secret.name}`) + chalk.gray(` (${secret.provider}/${secret.type})\n`));
+        console.log(`  Rotation policy: ${effective.rotationPolicy ? `${effective.rotationPolicy} days` : 'none'}`);
+        if (effective.maxLifetimeDays) {
+          console.log(`  Max lifetime: ${effective.maxLifetimeDays} days`);
+        }
+        describe(effective).forEach(line => console.log(`  ${line}`));
+        console.log(`  Status: ${getStatusEmoji(secret.status)} ${secret.status} - ${getStatusMessage(secret)}`);
+        console.log('');
+        return;
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          thresholds,
+          rules,
+          risk: resolveRiskPolicy(policy)
+        }, null, 2));
+        return;
+      }
+
+      console.log(chalk.bold('\nStatus thresholds\n'));
+      describe(thresholds).forEach(line => console.log(`  ${line}`));
+
+      const keys = Object.keys(rules);
+      if (keys.length > 0 && !options.quiet) {
+        console.log(chalk.bold('\nRules\n'));
+        keys.forEach(key => {
+          const rule = rules[key];
+          const parts = [];
+          if (rule.rotationPolicy) parts.push(`rotation ${rule.rotationPolicy} days`);
+          if (rule.maxLifetimeDays) parts.push(`max lifetime ${rule.maxLifetimeDays} days`);
+          Object.entries(rule.thresholds || {}).forEach(([k, v]) => parts.push(`${k}=${v}`));
+          console.log(`  ${key.padEnd(24)} ${parts.join(', ')}`);
+        });
+      }
+
+      if (!options.quiet) {
+        const { weights } = resolveRiskPolicy(policy);
+        console.log(chalk.bold('\nRisk weights\n'));
+        console.log(`  ${Object.entries(weights).map(([factor, weight]) => `${factor}=${weight}`).join(', ')}`);
+      }
+      console.log('');
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_POLICY'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+// Lint command
+program
+  .command('lint')
+  .description('Check the inventory against the hygiene rules under policy.lint')
+  .option('-f, --format <format>', 'Output format (text, json, sarif)', 'text')
+  .option('--json', 'Output as JSON (shorthand for --format json)')
+  .option('-o, --output <file>', 'Output file (defaults to stdout)')
+  .option('--rule <id>', 'Only run this rule')
+  .option('--ci', 'CI mode: exit with code 1 on violations (default --fail-on warning)')
+  .option('--fail-on <severity>', 'Fail on this severity or higher (error, warning, note)')
+  .option('--owner <owner>', 'Only lint secrets owned by this person')
+  .option('--team <team>', 'Only lint secrets owned by this team')
+  .option('--filter <expr>', 'Filter expression (e.g., "provider=aws and env=prod")')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action(async (options) => {
+    if (options.json) {
+      options.format = 'json';
+    }
+    try {
+      if (!configExists()) {
+        const errorMsg = 'No config file found. Run "mpx-secrets-audit init" first.';
+        if (options.format === 'json') {
+          console.log(JSON.stringify({
+            success: false,
+            error: errorMsg,
+            code: 'ERR_NO_CONFIG'
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), errorMsg);
+        }
+        process.exit(1);
+      }
+
+      const severities = ['error', 'warning', 'note'];
+      const failOn = options.failOn || 'warning';
+      if (!severities.includes(failOn)) {
+        throw new Error(`Invalid --fail-on severity: "${failOn}". Use error, warning or note.`);
+      }
+
+      const secrets = listSecrets({ owner: options.owner, team: options.team, filter: options.filter });
+      const lint = lintSecrets(secrets, { rule: options.rule });
+
+      let report;
+
+      switch (options.format) {
+        case 'json':
+          report = generateLintJsonReport(lint);
+          break;
+        case 'sarif':
+          report = generateLintSarif(lint);
+          break;
+        case 'text':
+          report = generateLintTextReport(lint);
+          break;
+        default:
+          throw new Error(`Invalid format: "${options.format}". Use text, json or sarif.`);
+      }
+
+      if (options.output) {
+        const { writeFileSync } = await import('fs');
+        writeFileSync(options.output, report, 'utf8');
+        if (!options.quiet) {
+          console.log(chalk.green('✓ Lint report saved to:'), options.output);
+        }
+      } else {
+        console.log(report);
+      }
+
+      // CI mode exit codes: notes only fail with --fail-on note
+      if (options.ci) {
+        const failing = severities.slice(0, severities.indexOf(failOn) + 1);
+        if (failing.some(severity => lint.summary[severity] > 0)) {
+          process.exit(1);
+        }
+      }
+    } catch (error) {
+      if (options.format === 'json') {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_LINT'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
+// Layers command
+program
+  .command('layers')
+  .description('Show the config files merged into the active config, lowest precedence first')
+  .option('--json', 'Output as JSON')
+  .option('-q, --quiet', 'Suppress non-essential output')
+  .action((options) => {
+    try {
+      if (!configExists()) {
+        if (options.json) {
+          console.log(JSON.stringify({
+            success: false,
+            error: 'No config file found. Run "mpx-secrets-audit init" first.',
+            code: 'ERR_NO_CONFIG'
+          }, null, 2));
+        } else {
+          console.error(chalk.red('Error:'), 'No config file found. Run "mpx-secrets-audit init" first.');
+        }
+        process.exit(1);
+      }
+
+      const layers = getConfigLayers().map(({ path, config }) => ({
+        path,
+        include: config.include || [],
+        secrets: config.secrets.length
+      }));
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: true,
+          count: layers.length,
+          layers
+        }, null, 2));
+        return;
+      }
+
+      if (options.quiet) {
+        layers.forEach(layer => console.log(layer.path));
+        return;
+      }
+
+      console.log(chalk.bold(`\n${layers.length} config layer${layers.length === 1 ? '' : 's'} (lowest precedence first):\n`));
+      layers.forEach((layer, i) => {
+        const primary = i === layers.length - 1 ? chalk.cyan(' (primary)') : '';
+        console.log(`  ${i + 1}. ${layer.path}${primary}`);
+        console.log(chalk.gray(`     ${layer.secrets} secret${layer.secrets === 1 ? '' : 's'}`));
+      });
+      console.log('');
+    } catch (error) {
+      if (options.json) {
+        console.log(JSON.stringify({
+          success: false,
+          error: error.message,
+          code: 'ERR_LAYERS'
+        }, null, 2));
+      } else {
+        console.error(chalk.red('Error:'), error.message);
+      }
+      process.exit(1);
+    }
+  });
+
 // Update subcommand
 program
   .command('update')
@@ -987,6 +2652,17 @@ program
     }
   });
 
+// Every config-using subcommand accepts --config / --profile after its name too
+const leafCommands = cmd => (cmd.commands.length > 0 ? cmd.commands.flatMap(leafCommands) : [cmd]);
+program.commands
+  .flatMap(leafCommands)
+  .filter(cmd => !['update'].includes(cmd.name()))
+  .forEach(cmd => {
+    cmd
+      .option('--config <path>', 'Use this config file (overrides MPX_SECRETS_AUDIT_CONFIG)')
+      .option('--profile <name>', 'Use a named profile from ~/.config/mpx-secrets-audit/profiles/');
+  });
+
 try {
   await program.parseAsync(process.argv);
 } catch (err) {
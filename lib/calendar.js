@@ -0,0 +1,245 @@
+/**
+ * iCalendar Export
+ *
+ * Builds an RFC 5545 .ics calendar with an all-day event for every expiry
+ * date and rotation due date, with alarms when the secret turns warning and
+ * critical. Secrets with a renewal cadence get a renewal due event instead
+ * of a rotation one, alarmed only once the renewal is missed. UIDs are
+ * derived from the secret name, so importing a newer export into a shared
+ * calendar updates the existing events instead of duplicating them, and
+ * decommissioned secrets are exported as cancelled events.
+ */
+
+import { createHash } from 'crypto';
+import { createRequire } from 'module';
+import { resolvePolicy, renewalDue, isRenewalMissed } from './status.js';
+
+const require = createRequire(import.meta.url);
+const pkg = require('../package.json');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function isoDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * DAY_MS);
+}
+
+/**
+ * Stable UID for one kind of event of one secret. Only the name is unique and
+ * survives edits of the other fields.
+ */
+function eventUid(kind, secret) {
+  const hash = createHash('sha256').update(secret.name).digest('hex').slice(0, 24);
+  return `${kind}-${hash}@mpx-secrets-audit`;
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+/**
+ * Alarm trigger `days` before (negative) or after the start of an all-day event
+ */
+function trigger(days) {
+  if (days === 0) return 'PT0S';
+  return days < 0 ? `-P${-days}D` : `P${days}D`;
+}
+
+/**
+ * Build the expiry and rotation due events for a list of secrets.
+ *
+ * @param {Array} secrets - Active secrets
+ * @param {object} [options] - { archived } decommissioned secrets, exported as cancelled events
+ * @returns {Array<{ uid: string, kind: 'expiry'|'rotation', name: string, date: string, cancelled: boolean, summary: string, description: string, alarms: Array<{ trigger: string, description: string }> }>}
+ */
+export function buildCalendarEvents(secrets, { archived = [] } = {}) {
+  const events = [];
+
+  // Only the latest archived entry of a name that is not active again
+  const active = new Set(secrets.map(s => s.name));
+  const latestArchived = new Map();
+  for (const entry of archived) {
+    if (!active.has(entry.name) && !(latestArchived.get(entry.name)?.archivedAt > entry.archivedAt)) {
+      latestArchived.set(entry.name, entry);
+    }
+  }
+
+  const add = (secret, cancelled) => {
+    const { rotationPolicy, rotationWarningPercent, expiryWarningDays, expiryCriticalDays } = resolvePolicy(secret);
+    const details = [
+      `Provider: ${secret.provider}`,
+      `Type: ${secret.type}`,
+      secret.owner && `Owner: ${secret.owner}`,
+      secret.team && `Team: ${secret.team}`,
+      secret.environment && `Environment: ${secret.environment}`,
+      cancelled && `Decommissioned on ${secret.archivedAt}${secret.archiveReason ? `: ${secret.archiveReason}` : ''}`
+    ].filter(Boolean);
+
+    // A self-renewing secret is replaced before it expires while its renewals are on schedule
+    const renewing = secret.renewal && !isRenewalMissed(secret);
+
+    if (secret.expiresAt) {
+      // Statuses change when fewer than N days remain, i.e. N - 1 days before
+      const alarms = [];
+      if (renewing) {
+        // No expiry alarms: the renewal event alarms if a renewal is missed
+      } else if (expiryWarningDays > 0) {
+        alarms.push({ trigger: trigger(-(expiryWarningDays - 1)), description: `${secret.name} expires on ${secret.expiresAt} (warning)` });
+      }
+      if (!renewing && expiryCriticalDays > 0 && expiryCriticalDays !== expiryWarningDays) {
+        alarms.push({ trigger: trigger(-(expiryCriticalDays - 1)), description: `${secret.name} expires on ${secret.expiresAt} (critical)` });
+      }
+      events.push({
+        uid: eventUid('expiry', secret),
+        kind: 'expiry',
+        name: secret.name,
+        date: secret.expiresAt,
+        cancelled,
+        summary: `${secret.name} expires (${secret.provider})`,
+        description: [`${secret.name} expires. ${renewing ? `It renews every ${secret.renewal.everyDays} days before this date.` : 'Renew or rotate it before this date.'}`, ...details].join('\n'),
+        alarms
+      });
+    }
+
+    if (secret.renewal) {
+      const due = renewalDue(secret);
+      if (due) {
+        // Critical once more than graceDays late (see isRenewalMissed())
+        const missedAfter = (secret.renewal.graceDays || 0) + 1;
+        events.push({
+          uid: eventUid('rotation', secret),
+          kind: 'rotation',
+          name: secret.name,
+          date: due,
+          cancelled,
+          summary: `Renewal due: ${secret.name} (${secret.provider})`,
+          description: [`Renews every ${secret.renewal.everyDays} days (last renewed ${secret.lastRotated || secret.createdAt}). Critical if not renewed within ${plural(missedAfter - 1, 'day')}.`, ...details].join('\n'),
+          alarms: [{ trigger: trigger(missedAfter), description: `${secret.name} missed its renewal due on ${due} (critical)` }]
+        });
+      }
+    } else if (rotationPolicy && secret.lastRotated) {
+      const due = isoDate(addDays(secret.lastRotated, rotationPolicy));
+      // Warning starts the first day past rotationWarningPercent of the policy, critical the day after the due date
+      const warningAge = Math.floor(rotationPolicy * (rotationWarningPercent / 100)) + 1;
+      const alarms = [];
+      if (warningAge < rotationPolicy) {
+        alarms.push({ trigger: trigger(warningAge - rotationPolicy), description: `${secret.name} rotation due on ${due} (warning)` });
+      }
+      alarms.push({ trigger: trigger(1), description: `${secret.name} is past its ${rotationPolicy}-day rotation policy (critical)` });
+      events.push({
+        uid: eventUid('rotation', secret),
+        kind: 'rotation',
+        name: secret.name,
+        date: due,
+        cancelled,
+        summary: `Rotate ${secret.name} (${secret.provider})`,
+        description: [`${rotationPolicy}-day rotation policy reached (last rotated ${secret.lastRotated}).`, ...details].join('\n'),
+        alarms
+      });
+    }
+  };
+
+  secrets.forEach(secret => add(secret, false));
+  latestArchived.forEach(entry => add(entry, true));
+
+  return events.sort((a, b) => a.date.localeCompare(b.date) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets per line (RFC 5545 section 3.1)
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward their 75 octets
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Generate an iCalendar (.ics) file with expiry and rotation due events
+ *
+ * @param {Array} secrets - Active secrets
+ * @param {object} [options] - { archived } decommissioned secrets, { name } calendar name,
+ *   { generatedAt } timestamp for DTSTAMP and SEQUENCE (defaults to now)
+ * @returns {string} - Calendar with CRLF line endings
+ */
+export function generateCalendarReport(secrets, { archived = [], name = 'Secrets rotation & expiry', generatedAt = new Date() } = {}) {
+  const stamp = formatTimestamp(generatedAt);
+  // Minutes since the epoch: increases with every export, so calendar clients
+  // accept changed dates as updates, and fits the 32-bit SEQUENCE integer
+  const sequence = Math.floor(generatedAt.getTime() / 60000);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//Mesaplex//mpx-secrets-audit ${pkg.version}//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of buildCalendarEvents(secrets, { archived })) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `SEQUENCE:${sequence}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+      `DTEND;VALUE=DATE:${formatDate(isoDate(addDays(event.date, 1)))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`,
+      `CATEGORIES:Secrets,${event.kind === 'expiry' ? 'Expiry' : 'Rotation'}`,
+      'TRANSP:TRANSPARENT',
+      `STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+    );
+    if (!event.cancelled) {
+      for (const alarm of event.alarms) {
+        lines.push(
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          `TRIGGER:${alarm.trigger}`,
+          `DESCRIPTION:${escapeText(alarm.description)}`,
+          'END:VALARM'
+        );
+      }
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,260 @@
+/**
+ * Compliance Framework Mapping
+ *
+ * Maps the inventory and its rotation history to the control requirements of
+ * a compliance framework (SOC 2, PCI DSS, ISO 27001, or an internal control
+ * set) and records pass/fail per control with an evidence line per secret.
+ * Frameworks are JSON data files: the built-in ones live in lib/frameworks/,
+ * and any other file with the same format can be passed by path.
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { compileChecks, failedChecks } from './lint.js';
+import { calculateAge, calculateStatus, daysSinceUsed, resolvePolicy, getActiveWaiver, getEvaluationDate, parseEvaluationDate } from './status.js';
+
+const FRAMEWORKS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'frameworks');
+
+// Control keys besides the lint checks (where, require, assert, match)
+const CONTROL_KEYS = [
+  'id', 'title', 'description', 'where', 'require', 'assert', 'match',
+  'maxRotationDays', 'rotatedWithinPolicy', 'rotationEvidence', 'maxUnusedDays'
+];
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+/**
+ * List the built-in frameworks
+ *
+ * @returns {Array<{ id: string, name: string, version: string|null, controls: number }>}
+ */
+export function listFrameworks() {
+  return readdirSync(FRAMEWORKS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => loadFramework(join(FRAMEWORKS_DIR, file)))
+    .map(framework => ({
+      id: framework.id,
+      name: framework.name,
+      version: framework.version || null,
+      controls: framework.controls.length
+    }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Check a parsed framework definition, throwing on the first problem
+ */
+function validateFramework(framework, file) {
+  const fail = message => {
+    throw new Error(`Invalid framework ${file}: ${message}`);
+  };
+  if (!framework || typeof framework !== 'object' || Array.isArray(framework)) {
+    fail('expected a JSON object');
+  }
+  for (const key of ['id', 'name']) {
+    if (typeof framework[key] !== 'string' || !framework[key]) {
+      fail(`"${key}" must be a non-empty string`);
+    }
+  }
+  if (!Array.isArray(framework.controls) || framework.controls.length === 0) {
+    fail('"controls" must be a non-empty array');
+  }
+
+  const ids = new Set();
+  framework.controls.forEach((control, i) => {
+    if (typeof control?.id !== 'string' || !control.id) {
+      fail(`controls[${i}].id must be a non-empty string`);
+    }
+    const label = `control ${control.id}`;
+    if (ids.has(control.id)) {
+      fail(`duplicate ${label}`);
+    }
+    ids.add(control.id);
+    if (typeof control.title !== 'string' || !control.title) {
+      fail(`${label} needs a "title"`);
+    }
+    const unknown = Object.keys(control).find(key => !CONTROL_KEYS.includes(key));
+    if (unknown) {
+      fail(`${label} has unknown property "${unknown}"`);
+    }
+    for (const key of ['maxRotationDays', 'maxUnusedDays']) {
+      if (control[key] !== undefined && !(Number.isInteger(control[key]) && control[key] > 0)) {
+        fail(`${label}: "${key}" must be a positive whole number of days`);
+      }
+    }
+    compileChecks(`Invalid framework ${file}: ${label}`, control);
+  });
+}
+
+/**
+ * Load a framework definition by built-in id (e.g. "pci-dss") or file path
+ *
+ * @param {string} idOrPath - Built-in framework id, or path to a framework JSON file
+ * @returns {object} - Framework definition
+ */
+export function loadFramework(idOrPath) {
+  const builtin = join(FRAMEWORKS_DIR, `${String(idOrPath).toLowerCase()}.json`);
+  const file = /^[a-z0-9-]+$/i.test(idOrPath) && existsSync(builtin) ? builtin : resolve(String(idOrPath));
+
+  if (!existsSync(file)) {
+    const available = readdirSync(FRAMEWORKS_DIR).filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, ''));
+    throw new Error(`Unknown framework "${idOrPath}". Use one of: ${available.join(', ')}, or the path to a framework JSON file`);
+  }
+
+  let framework;
+  try {
+    framework = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid framework ${file}: ${error.message}`);
+  }
+  validateFramework(framework, file);
+  return framework;
+}
+
+/**
+ * Evidence line for one secret: rotation policy, last rotation and its history
+ */
+function describeEvidence(secret, asOf) {
+  const { rotationPolicy } = resolvePolicy(secret);
+  const history = secret.rotations || [];
+  const latest = history[history.length - 1];
+  const parts = [`rotation policy ${rotationPolicy ? `${rotationPolicy} days` : 'none'}`];
+
+  if (secret.lastRotated) {
+    const by = latest?.date === secret.lastRotated && latest.actor ? ` by ${latest.actor}` : '';
+    const ticket = latest?.date === secret.lastRotated && latest.ticket ? ` (${latest.ticket})` : '';
+    parts.push(`last rotated ${secret.lastRotated}${by}${ticket}, ${plural(calculateAge(secret, asOf), 'day')} ago`);
+  } else {
+    parts.push('never rotated');
+  }
+  parts.push(`${plural(history.length, 'rotation')} recorded`);
+  if (secret.expiresAt) {
+    parts.push(`expires ${secret.expiresAt}`);
+  }
+  if (secret.lastUsed) {
+    parts.push(`last used ${secret.lastUsed}`);
+  }
+  parts.push(`owner ${secret.owner || 'none'}`);
+  parts.push(`status ${calculateStatus(secret, undefined, asOf)}`);
+  return parts.join('; ');
+}
+
+/**
+ * Why a secret fails the rotation and usage requirements of a control, each
+ * reason tagged with the waiver scope that covers it (rotation or usage)
+ */
+function failedRequirements(control, secret, asOf) {
+  const reasons = [];
+  const rotation = reason => reasons.push({ check: 'rotation', reason });
+  const usage = reason => reasons.push({ check: 'usage', reason });
+  const { rotationPolicy } = resolvePolicy(secret);
+  const age = calculateAge(secret, asOf);
+
+  if (control.maxRotationDays) {
+    if (!rotationPolicy || rotationPolicy > control.maxRotationDays) {
+      rotation(`rotation policy ${rotationPolicy ? `${rotationPolicy} days` : 'not set'} exceeds ${control.maxRotationDays} days`);
+    }
+    if (age === null || age > control.maxRotationDays) {
+      rotation(age === null ? 'no rotation date recorded' : `not rotated in ${plural(age, 'day')} (limit ${control.maxRotationDays})`);
+    }
+  }
+
+  if (control.rotatedWithinPolicy) {
+    if (!rotationPolicy) {
+      rotation('no rotation policy');
+    } else if (age === null || age > rotationPolicy) {
+      rotation(age === null ? 'no rotation date recorded' : `${plural(age - rotationPolicy, 'day')} past its ${rotationPolicy}-day rotation policy`);
+    }
+  }
+
+  if (control.rotationEvidence && (secret.rotations || []).length === 0) {
+    rotation('no rotation recorded in the history');
+  }
+
+  if (control.maxUnusedDays) {
+    const unused = daysSinceUsed(secret, asOf);
+    if (unused === null) {
+      usage('no last-used date recorded');
+    } else if (unused > control.maxUnusedDays) {
+      usage(`unused for ${plural(unused, 'day')} (limit ${control.maxUnusedDays})`);
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Evaluate secrets against every control of a framework.
+ *
+ * A control passes when every secret it applies to meets it, and is not
+ * applicable when it applies to none. A failing secret is recorded as waived,
+ * and does not fail the control, when an active waiver's scope covers every
+ * reason it fails: rotation and usage requirements by their scope, anything
+ * by scope `all`. Failed require, assert and match checks are never waived.
+ *
+ * @param {Array} secrets - Secrets to assess (as returned by listSecrets())
+ * @param {object} framework - Framework definition (see loadFramework())
+ * @param {object} [options] - { asOf } evaluation date (defaults to the active one, else now)
+ * @returns {{ framework: object, asOf: string|null, summary: object, controls: Array }}
+ */
+export function evaluateCompliance(secrets, framework, { asOf = getEvaluationDate() } = {}) {
+  const controls = framework.controls.map(control => {
+    const checks = compileChecks(`Control ${control.id}`, control);
+    const evidence = secrets.filter(checks.applies).map(secret => {
+      const failures = [
+        ...failedChecks(checks, secret).map(reason => ({ check: null, reason })),
+        ...failedRequirements(control, secret, asOf)
+      ];
+      const reasons = failures.map(failure => failure.reason);
+      const activeWaiver = failures.length > 0 ? getActiveWaiver(secret, asOf) : null;
+      const waives = ({ check }) => activeWaiver && check && (activeWaiver.scope === 'all' || activeWaiver.scope === check);
+      const waiver = failures.length > 0 && failures.every(waives) ? activeWaiver : null;
+      return {
+        name: secret.name,
+        provider: secret.provider,
+        owner: secret.owner || null,
+        result: reasons.length === 0 ? 'pass' : waiver ? 'waived' : 'fail',
+        details: describeEvidence(secret, asOf),
+        reasons,
+        ...(waiver && { waiver: `waived until ${waiver.until}, approved by ${waiver.approver}: ${waiver.justification}` })
+      };
+    });
+    const count = result => evidence.filter(e => e.result === result).length;
+
+    return {
+      id: control.id,
+      title: control.title,
+      description: control.description || null,
+      where: control.where || null,
+      status: evidence.length === 0 ? 'not_applicable' : count('fail') > 0 ? 'fail' : 'pass',
+      checked: evidence.length,
+      passed: count('pass'),
+      failed: count('fail'),
+      waived: count('waived'),
+      evidence
+    };
+  });
+
+  const count = status => controls.filter(c => c.status === status).length;
+
+  return {
+    framework: {
+      id: framework.id,
+      name: framework.name,
+      version: framework.version || null,
+      description: framework.description || null
+    },
+    asOf: asOf ? parseEvaluationDate(asOf).toISOString().split('T')[0] : null,
+    summary: {
+      controls: controls.length,
+      passed: count('pass'),
+      failed: count('fail'),
+      notApplicable: count('not_applicable'),
+      secrets: secrets.length
+    },
+    controls
+  };
+}
@@ -0,0 +1,334 @@
+/**
+ * Config File Schema
+ *
+ * Formal description of the .secrets-audit.json format and a validator that
+ * reports every problem with its JSON path (e.g. `$.secrets[2].expiresAt`),
+ * so a corrupted or hand-edited file fails loudly instead of producing
+ * wrong statuses.
+ */
+
+const DATE = { type: ['string', 'null'], format: 'date' };
+const OPTIONAL_STRING = { type: ['string', 'null'] };
+
+const THRESHOLDS = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    rotationWarningPercent: { type: 'number', exclusiveMinimum: 0, maximum: 100 },
+    expiryWarningDays: { type: 'integer', minimum: 0 },
+    expiryCriticalDays: { type: 'integer', minimum: 0 },
+    staleDays: { type: ['integer', 'null'], exclusiveMinimum: 0 }
+  }
+};
+
+const SECRET_PROPERTIES = {
+  name: { type: 'string', minLength: 1 },
+  provider: { type: 'string' },
+  type: { type: 'string' },
+  createdAt: DATE,
+  expiresAt: DATE,
+  // Set when expiresAt was computed from a policy rule's maxLifetimeDays
+  expiryDerived: { type: 'boolean' },
+  lastRotated: DATE,
+  rotationPolicy: { type: ['integer', 'null'], exclusiveMinimum: 0 },
+  notes: { type: 'string' },
+  owner: OPTIONAL_STRING,
+  team: OPTIONAL_STRING,
+  environment: OPTIONAL_STRING,
+  tags: { type: 'array', items: { type: 'string' } },
+  privilege: { type: ['string', 'null'], enum: ['read', 'write', 'admin'] },
+  exposure: { type: ['string', 'null'], enum: ['private', 'shared', 'ci', 'public'] },
+  lastUsed: DATE,
+  status: { type: 'string' },
+  thresholds: { ...THRESHOLDS, type: ['object', 'null'] },
+  // Cadence of a secret that renews itself, see calculateStatus() in status.js
+  renewal: {
+    type: ['object', 'null'],
+    required: ['everyDays'],
+    additionalProperties: false,
+    properties: {
+      everyDays: { type: 'integer', exclusiveMinimum: 0 },
+      graceDays: { type: 'integer', minimum: 0 }
+    }
+  },
+  ack: {
+    type: ['object', 'null'],
+    required: ['until'],
+    properties: {
+      until: { type: 'string', format: 'date' },
+      reason: { type: 'string' },
+      by: { type: 'string' },
+      at: { type: 'string', format: 'date' }
+    }
+  },
+  waiver: {
+    type: ['object', 'null'],
+    required: ['scope', 'until', 'justification', 'approver'],
+    properties: {
+      scope: { type: 'string', enum: ['rotation', 'expiry', 'usage', 'all'] },
+      justification: { type: 'string', minLength: 1 },
+      approver: { type: 'string', minLength: 1 },
+      until: { type: 'string', format: 'date' },
+      grantedBy: { type: 'string' },
+      grantedAt: { type: 'string', format: 'date' }
+    }
+  },
+  rotations: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['date'],
+      properties: {
+        date: { type: 'string', format: 'date' },
+        actor: { type: 'string' },
+        reason: { type: 'string' },
+        ticket: OPTIONAL_STRING
+      }
+    }
+  }
+};
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['version', 'secrets'],
+  properties: {
+    version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+    tier: { type: 'string', enum: ['free', 'pro'] },
+    include: { type: 'array', items: { type: 'string', minLength: 1 } },
+    defaults: {
+      type: 'object',
+      properties: {
+        provider: { type: 'string' },
+        type: { type: 'string' },
+        rotationPolicy: { type: 'integer', exclusiveMinimum: 0 },
+        owner: OPTIONAL_STRING,
+        team: OPTIONAL_STRING,
+        environment: OPTIONAL_STRING,
+        tags: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    // Status thresholds and default rotation policies, see resolvePolicy() in status.js
+    policy: {
+      type: 'object',
+      properties: {
+        thresholds: THRESHOLDS,
+        rules: {
+          type: 'object',
+          propertyNames: { pattern: '^[^/]+/[^/]+$' },
+          additionalProperties: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              rotationPolicy: { type: 'integer', exclusiveMinimum: 0 },
+              maxLifetimeDays: { type: 'integer', exclusiveMinimum: 0 },
+              thresholds: THRESHOLDS
+            }
+          }
+        },
+        // Risk score weights and environment values, see calculateRisk() in risk.js
+        risk: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            weights: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                overdue: { type: 'number', minimum: 0 },
+                privilege: { type: 'number', minimum: 0 },
+                environment: { type: 'number', minimum: 0 },
+                exposure: { type: 'number', minimum: 0 },
+                usage: { type: 'number', minimum: 0 }
+              }
+            },
+            environments: {
+              type: 'object',
+              additionalProperties: { type: 'number', minimum: 0, maximum: 1 }
+            }
+          }
+        },
+        // Inventory hygiene rules keyed by rule id, see lintSecrets() in lint.js
+        lint: {
+          type: 'object',
+          propertyNames: { pattern: '^[A-Za-z0-9][A-Za-z0-9._-]*$' },
+          additionalProperties: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              description: { type: 'string' },
+              severity: { type: 'string', enum: ['error', 'warning', 'note', 'off'] },
+              where: { type: 'string' },
+              require: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                  enum: ['owner', 'team', 'environment', 'tags', 'notes', 'createdAt', 'expiresAt', 'lastRotated', 'rotationPolicy', 'privilege', 'exposure', 'lastUsed']
+                }
+              },
+              assert: { type: 'string', minLength: 1 },
+              match: {
+                type: 'object',
+                propertyNames: { pattern: '^(name|provider|type|owner|team|environment|notes|tags)$' },
+                additionalProperties: { type: 'string', minLength: 1 }
+              }
+            }
+          }
+        }
+      }
+    },
+    secrets: {
+      type: 'array',
+      uniqueBy: 'name',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: SECRET_PROPERTIES
+      }
+    },
+    // Decommissioned secrets; a name may appear more than once
+    archived: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'archivedAt'],
+        properties: {
+          ...SECRET_PROPERTIES,
+          archivedAt: { type: 'string', format: 'date' },
+          archivedBy: { type: 'string' },
+          archiveReason: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Check that a value is a real calendar date in YYYY-MM-DD form
+ */
+function isValidDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const [y, m, d] = value.split('-').map(Number);
+  const check = new Date(y, m - 1, d);
+  return check.getFullYear() === y && check.getMonth() === m - 1 && check.getDate() === d;
+}
+
+/**
+ * Name the JSON type of a value the way the schema spells it
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  return expected === actual || (expected === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a (sub)schema, pushing problems onto `problems`
+ */
+function validateNode(value, schema, path, problems) {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(t => matchesType(value, t))) {
+    problems.push({
+      path,
+      message: `expected ${types.join(' or ')}, got ${typeOf(value)}`
+    });
+    return;
+  }
+
+  if (value === null) {
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push({ path, message: `must be one of: ${schema.enum.join(', ')} (got "${value}")` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push({ path, message: 'must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      problems.push({ path, message: `invalid format "${value}"` });
+    }
+    if (schema.format === 'date' && !isValidDate(value)) {
+      problems.push({ path, message: `invalid date "${value}", use YYYY-MM-DD` });
+    }
+  }
+
+  if (typeof value === 'number' && schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    problems.push({ path, message: `must be greater than ${schema.exclusiveMinimum} (got ${value})` });
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    problems.push({ path, message: `must be at least ${schema.minimum} (got ${value})` });
+  }
+  if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+    problems.push({ path, message: `must be at most ${schema.maximum} (got ${value})` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(item, schema.items, `${path}[${i}]`, problems));
+    }
+    if (schema.uniqueBy) {
+      const seen = new Map();
+      value.forEach((item, i) => {
+        const key = item?.[schema.uniqueBy];
+        if (key === undefined) return;
+        if (seen.has(key)) {
+          problems.push({
+            path: `${path}[${i}].${schema.uniqueBy}`,
+            message: `duplicate ${schema.uniqueBy} "${key}" (first defined at ${path}[${seen.get(key)}])`
+          });
+        } else {
+          seen.set(key, i);
+        }
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        problems.push({ path: `${path}.${field}`, message: 'is required' });
+      }
+    }
+    for (const [field, subschema] of Object.entries(schema.properties || {})) {
+      if (value[field] !== undefined) {
+        validateNode(value[field], subschema, `${path}.${field}`, problems);
+      }
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (schema.properties && field in schema.properties) {
+        continue;
+      }
+      const fieldPath = /^[A-Za-z_$][\w$]*$/.test(field) ? `${path}.${field}` : `${path}["${field}"]`;
+      if (schema.propertyNames?.pattern && !new RegExp(schema.propertyNames.pattern).test(field)) {
+        problems.push({ path: fieldPath, message: `invalid key "${field}"` });
+      }
+      if (schema.additionalProperties === false) {
+        problems.push({ path: fieldPath, message: `unknown property "${field}"` });
+      } else if (schema.additionalProperties) {
+        validateNode(fieldValue, schema.additionalProperties, fieldPath, problems);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a parsed config object against CONFIG_SCHEMA
+ *
+ * @param {object} config - Parsed config file contents
+ * @returns {Array<{ path: string, message: string }>} - Empty when valid
+ */
+export function validateConfig(config) {
+  const problems = [];
+  validateNode(config, CONFIG_SCHEMA, '$', problems);
+  return problems;
+}
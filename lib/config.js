@@ -1,18 +1,104 @@
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { readFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
 import { homedir } from 'os';
-import { join, dirname } from 'path';
+import { join, dirname, resolve } from 'path';
+import { createHash } from 'crypto';
+import { withLock, writeFileAtomic } from './lock.js';
+import { validateConfig } from './config-schema.js';
+import { migrateConfig, CURRENT_CONFIG_VERSION } from './migrations.js';
+import { setStatusPolicy } from './status.js';
 
 const LOCAL_CONFIG = '.secrets-audit.json';
 const GLOBAL_CONFIG_DIR = join(homedir(), '.config', 'mpx-secrets-audit');
 const GLOBAL_CONFIG = join(GLOBAL_CONFIG_DIR, 'config.json');
+const PROFILES_DIR = join(GLOBAL_CONFIG_DIR, 'profiles');
+
+const ENV_CONFIG_PATH = 'MPX_SECRETS_AUDIT_CONFIG';
+const ENV_PROFILE = 'MPX_SECRETS_AUDIT_PROFILE';
 
 // Track which config path was last loaded so saveConfig writes back to the correct file
 let _loadedConfigPath = null;
 
+// Config selected explicitly via useConfig() (CLI --config / --profile)
+let _selectedConfig = { path: null, profile: null };
+
+// Path and content hash each loaded config object was read from, for optimistic concurrency
+const _loadedVersions = new WeakMap();
+
+function hashContent(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
 /**
- * Get the path to the config file (local takes precedence)
+ * Select which config file to use for the rest of the process.
+ * Pass `path` for an explicit file or `profile` for a named profile stored in
+ * ~/.config/mpx-secrets-audit/profiles/. Call with no arguments to go back
+ * to the default lookup.
+ */
+export function useConfig({ path, profile } = {}) {
+  if (path && profile) {
+    throw new Error('Use either a config path or a profile, not both');
+  }
+  if (profile) {
+    getProfilePath(profile); // Validates the name
+  }
+  _selectedConfig = { path: path || null, profile: profile || null };
+  _loadedConfigPath = null;
+}
+
+/**
+ * Get the file path of a named profile
+ */
+export function getProfilePath(name) {
+  if (!/^[A-Za-z0-9_.-]+$/.test(name) || name.startsWith('.')) {
+    throw new Error(`Invalid profile name "${name}". Use letters, numbers, dots, dashes and underscores.`);
+  }
+  return join(PROFILES_DIR, `${name}.json`);
+}
+
+/**
+ * List the names of all profiles in the global config directory
+ */
+export function listProfiles() {
+  if (!existsSync(PROFILES_DIR)) {
+    return [];
+  }
+  return readdirSync(PROFILES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.slice(0, -'.json'.length))
+    .sort();
+}
+
+/**
+ * Resolve an explicitly requested config file, in order of precedence:
+ * useConfig() path, useConfig() profile, MPX_SECRETS_AUDIT_CONFIG,
+ * MPX_SECRETS_AUDIT_PROFILE. Returns null when nothing was requested.
+ */
+function getExplicitConfigPath() {
+  if (_selectedConfig.path) {
+    return _selectedConfig.path;
+  }
+  if (_selectedConfig.profile) {
+    return getProfilePath(_selectedConfig.profile);
+  }
+  if (process.env[ENV_CONFIG_PATH]) {
+    return process.env[ENV_CONFIG_PATH];
+  }
+  if (process.env[ENV_PROFILE]) {
+    return getProfilePath(process.env[ENV_PROFILE]);
+  }
+  return null;
+}
+
+/**
+ * Get the path to the config file. An explicitly requested file (see
+ * useConfig() and the environment variables) wins; otherwise local takes
+ * precedence over global.
  */
 export function getConfigPath() {
+  const explicit = getExplicitConfigPath();
+  if (explicit) {
+    return explicit;
+  }
   if (existsSync(LOCAL_CONFIG)) {
     return LOCAL_CONFIG;
   }
@@ -23,11 +109,70 @@ export function getConfigPath() {
  * Check if a config file exists
  */
 export function configExists() {
+  const explicit = getExplicitConfigPath();
+  if (explicit) {
+    return existsSync(explicit);
+  }
   return existsSync(LOCAL_CONFIG) || existsSync(GLOBAL_CONFIG);
 }
 
 /**
- * Load the config file
+ * Read, migrate and validate a single config file.
+ * Older formats are migrated to the current version (and written back), then
+ * the result is validated against CONFIG_SCHEMA. Every problem found is
+ * reported with its JSON path.
+ */
+function readConfigFile(configPath) {
+  let config;
+  let migration;
+  let hash;
+  try {
+    const data = readFileSync(configPath, 'utf8');
+    hash = hashContent(data);
+    const parsed = JSON.parse(data);
+    
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('config must be a JSON object');
+    }
+    
+    if (!parsed.secrets) {
+      parsed.secrets = [];
+    }
+    
+    migration = migrateConfig(parsed);
+    config = migration.config;
+  } catch (error) {
+    throw new Error(`Failed to load config: ${error.message}`);
+  }
+
+  const problems = validateConfig(config);
+  if (problems.length > 0) {
+    const error = new Error(
+      `Invalid config file ${configPath} (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n` +
+      problems.map(p => `  - ${p.path}: ${p.message}`).join('\n')
+    );
+    error.problems = problems;
+    throw error;
+  }
+  
+  // Remember what this config object was loaded from
+  _loadedVersions.set(config, { path: resolve(configPath), hash });
+  
+  // Persist upgrades so the file on disk is current. A read-only location
+  // is not an error: the migrated config is still used in memory.
+  if (migration.applied.length > 0) {
+    try {
+      saveConfig(config);
+    } catch {
+      // Ignore - will be written on the next successful save
+    }
+  }
+  
+  return config;
+}
+
+/**
+ * Load the config file (the primary layer only, without its includes)
  */
 export function loadConfig() {
   const configPath = getConfigPath();
@@ -38,27 +183,185 @@ export function loadConfig() {
     );
   }
 
-  try {
-    const data = readFileSync(configPath, 'utf8');
-    const config = JSON.parse(data);
-    
-    if (!config.secrets) {
-      config.secrets = [];
+  const config = readConfigFile(configPath);
+  
+  // Remember which path we loaded from
+  _loadedConfigPath = configPath;
+  
+  return config;
+}
+
+/**
+ * Resolve an `include` entry relative to the file that includes it.
+ * "@global" refers to the global config file and "~/" to the home directory.
+ */
+function resolveInclude(entry, fromPath) {
+  if (entry === '@global') {
+    return GLOBAL_CONFIG;
+  }
+  if (entry.startsWith('~/')) {
+    return join(homedir(), entry.slice(2));
+  }
+  return resolve(dirname(fromPath), entry);
+}
+
+/**
+ * Load the config file and everything it includes, recursively.
+ * Layers are returned lowest precedence first (e.g. org base, team, project),
+ * so the primary config file is always last.
+ *
+ * @returns {Array<{ path: string, config: object }>}
+ */
+export function getConfigLayers() {
+  const configPath = getConfigPath();
+  
+  if (!existsSync(configPath)) {
+    throw new Error(
+      'No config file found. Run "mpx-secrets-audit init" to create one.'
+    );
+  }
+
+  const layers = [];
+  const seen = new Set();
+
+  const visit = (path, chain) => {
+    const absolute = resolve(path);
+    if (chain.includes(absolute)) {
+      throw new Error(`Config include cycle: ${[...chain, absolute].join(' → ')}`);
     }
-    
-    // Remember which path we loaded from
-    _loadedConfigPath = configPath;
-    
-    return config;
+    if (seen.has(absolute)) {
+      return;
+    }
+
+    const config = readConfigFile(absolute);
+    for (const entry of config.include || []) {
+      const included = resolveInclude(entry, absolute);
+      if (!existsSync(included)) {
+        throw new Error(`Included config file not found: ${entry} (included from ${absolute})`);
+      }
+      visit(included, [...chain, absolute]);
+    }
+
+    seen.add(absolute);
+    layers.push({ path: absolute, config });
+  };
+
+  visit(configPath, []);
+  return layers;
+}
+
+/**
+ * Recursively merge plain objects; later values win, arrays are replaced
+ */
+function deepMerge(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    const baseIsObject = result[key] && typeof result[key] === 'object' && !Array.isArray(result[key]);
+    result[key] = isObject && baseIsObject ? deepMerge(result[key], value) : value;
+  }
+  return result;
+}
+
+/**
+ * Load the merged view of all config layers.
+ * Settings such as `defaults` are deep-merged with higher layers winning.
+ * Secrets are combined by name (a higher layer's entry replaces a lower one)
+ * and each carries a `source` property with the path of the layer it came from.
+ * Archived (decommissioned) secrets from all layers are collected in `archived`.
+ * The merged `policy` becomes the active status policy (see setStatusPolicy()).
+ */
+export function loadMergedConfig() {
+  const layers = getConfigLayers();
+  const primary = layers[layers.length - 1].config;
+
+  let settings = {};
+  const secrets = new Map();
+  const archived = [];
+
+  for (const { path, config } of layers) {
+    const { version, tier, include, secrets: layerSecrets, archived: layerArchived, ...layerSettings } = config;
+    settings = deepMerge(settings, layerSettings);
+    for (const secret of layerSecrets) {
+      secrets.set(secret.name, { ...secret, source: path });
+    }
+    for (const secret of layerArchived || []) {
+      archived.push({ ...secret, source: path });
+    }
+  }
+
+  // Statuses everywhere are evaluated with this config's thresholds
+  setStatusPolicy(settings.policy);
+
+  return {
+    ...settings,
+    version: primary.version,
+    tier: primary.tier,
+    secrets: [...secrets.values()],
+    archived,
+    layers: layers.map(l => l.path)
+  };
+}
+
+/**
+ * Check the config file without loading it for use or writing to it.
+ * Reports pending migrations and every schema problem.
+ *
+ * @returns {{ configPath: string, version: string, pendingMigrations: string[], problems: Array }}
+ */
+export function validateConfigFile() {
+  const configPath = getConfigPath();
+  
+  if (!existsSync(configPath)) {
+    throw new Error(
+      'No config file found. Run "mpx-secrets-audit init" to create one.'
+    );
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(configPath, 'utf8'));
   } catch (error) {
-    throw new Error(`Failed to load config: ${error.message}`);
+    return {
+      configPath,
+      version: null,
+      pendingMigrations: [],
+      problems: [{ path: '$', message: `not valid JSON: ${error.message}` }]
+    };
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return {
+      configPath,
+      version: null,
+      pendingMigrations: [],
+      problems: [{ path: '$', message: 'expected object' }]
+    };
+  }
+
+  try {
+    const { config, applied } = migrateConfig({ ...parsed, secrets: parsed.secrets || [] });
+    return {
+      configPath,
+      version: parsed.version || null,
+      pendingMigrations: applied,
+      problems: validateConfig(config)
+    };
+  } catch (error) {
+    return {
+      configPath,
+      version: parsed.version || null,
+      pendingMigrations: [],
+      problems: [{ path: '$.version', message: error.message }]
+    };
   }
 }
 
 /**
- * Save the config file.
+ * Save the config file atomically under its lock.
  * If useGlobal is explicitly provided, uses that. Otherwise saves back to
- * whichever config path was last loaded (local or global).
+ * whichever config path was last loaded (local or global). Throws if the file
+ * changed on disk since this config object was returned by loadConfig().
  */
 export function saveConfig(config, useGlobal) {
   let configPath;
@@ -67,41 +370,87 @@ export function saveConfig(config, useGlobal) {
   } else if (useGlobal === false) {
     configPath = LOCAL_CONFIG;
   } else {
-    // No explicit choice — save back to wherever we loaded from
-    configPath = _loadedConfigPath || getConfigPath();
+    // No explicit choice — save back to wherever this config (or the last one) was loaded from
+    configPath = _loadedVersions.get(config)?.path || _loadedConfigPath || getConfigPath();
   }
-  
-  // Ensure directory exists for global config
-  if (useGlobal) {
-    const dir = dirname(configPath);
-    if (!existsSync(dir)) {
-      mkdirSync(dir, { recursive: true });
-    }
+
+  return writeConfig(config, configPath);
+}
+
+/**
+ * Write a config object to a specific path under its lock
+ */
+function writeConfig(config, configPath) {
+  // Ensure directory exists (global config, profiles, explicit paths)
+  const dir = dirname(configPath);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
   }
 
-  try {
-    writeFileSync(configPath, JSON.stringify(config, null, 2), 'utf8');
+  const data = JSON.stringify(config, null, 2);
+
+  return withLock(configPath, () => {
+    // Optimistic concurrency: refuse to overwrite changes made by someone
+    // else since this config object was loaded
+    const loaded = _loadedVersions.get(config);
+    if (loaded && loaded.path === resolve(configPath)) {
+      const current = existsSync(configPath) ? hashContent(readFileSync(configPath, 'utf8')) : null;
+      if (current !== loaded.hash) {
+        throw new Error(
+          `Config file ${configPath} was modified by another process since it was loaded. Re-run the command to apply your change on top of the latest version.`
+        );
+      }
+    }
+
+    try {
+      writeFileAtomic(configPath, data);
+    } catch (error) {
+      throw new Error(`Failed to save config: ${error.message}`);
+    }
+
+    _loadedVersions.set(config, { path: resolve(configPath), hash: hashContent(data) });
     return configPath;
-  } catch (error) {
-    throw new Error(`Failed to save config: ${error.message}`);
+  });
+}
+
+/**
+ * Load, modify and save the config while holding its lock, so concurrent
+ * load-modify-save cycles run one after another instead of clobbering each other.
+ *
+ * @param {(config: object) => *} mutator - Modifies the config in place; its return value is passed through
+ * @param {string} [configPath] - Layer to modify, defaults to the primary config file
+ */
+export function updateConfig(mutator, configPath = getConfigPath()) {
+  if (!existsSync(configPath)) {
+    throw new Error(
+      'No config file found. Run "mpx-secrets-audit init" to create one.'
+    );
   }
+
+  return withLock(configPath, () => {
+    const config = readConfigFile(configPath);
+    const result = mutator(config);
+    saveConfig(config);
+    return result;
+  });
 }
 
 /**
- * Initialize a new config file
+ * Initialize a new config file. Creates it at the explicitly selected path or
+ * profile if there is one, otherwise in the current directory (or globally).
  */
 export function initConfig(useGlobal = false) {
-  const configPath = useGlobal ? GLOBAL_CONFIG : LOCAL_CONFIG;
+  const configPath = useGlobal ? GLOBAL_CONFIG : (getExplicitConfigPath() || LOCAL_CONFIG);
   
   if (existsSync(configPath)) {
     throw new Error(`Config file already exists at ${configPath}`);
   }
 
   const initialConfig = {
-    version: '1.0.0',
+    version: CURRENT_CONFIG_VERSION,
     tier: 'free',
     secrets: []
   };
 
-  return saveConfig(initialConfig, !!useGlobal);
+  return writeConfig(initialConfig, configPath);
 }
@@ -0,0 +1,252 @@
+/**
+ * Filter Expression Module
+ *
+ * Parses filter expressions such as `provider=aws and env=prod and age>60`
+ * into predicates over secrets. Used by listSecrets(), the CLI --filter flag
+ * and the MCP list/check tools so every entry point filters the same way.
+ *
+ * Grammar:
+ *   expr       := andExpr ('or' andExpr)*
+ *   andExpr    := notExpr ('and' notExpr)*
+ *   notExpr    := 'not' notExpr | '(' expr ')' | comparison
+ *   comparison := field op value
+ *   op         := '=' | '!=' | '>' | '>=' | '<' | '<='
+ *
+ * String comparisons are case-insensitive and `*` acts as a wildcard.
+ * For tags, `tag=x` matches when any tag equals x.
+ */
+
+import { calculateAge, daysUntilExpiry } from './status.js';
+
+const FIELDS = {
+  name: { get: s => s.name },
+  provider: { get: s => s.provider },
+  type: { get: s => s.type },
+  status: { get: s => s.status },
+  owner: { get: s => s.owner },
+  team: { get: s => s.team },
+  environment: { get: s => s.environment },
+  tags: { get: s => s.tags || [] },
+  notes: { get: s => s.notes },
+  age: { get: s => calculateAge(s), numeric: true },
+  expires: { get: s => daysUntilExpiry(s), numeric: true },
+  rotation: { get: s => s.rotationPolicy, numeric: true }
+};
+
+const FIELD_ALIASES = {
+  env: 'environment',
+  tag: 'tags',
+  rotationPolicy: 'rotation',
+  daysUntilExpiry: 'expires'
+};
+
+const OPERATORS = ['>=', '<=', '!=', '=', '>', '<'];
+
+/**
+ * Split an expression into tokens: parens, operators, keywords and values
+ */
+function tokenize(expr) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expr.length) {
+    const ch = expr[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch });
+      i++;
+      continue;
+    }
+
+    const op = OPERATORS.find(o => expr.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: 'op', value: op });
+      i += op.length;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      const end = expr.indexOf(ch, i + 1);
+      if (end === -1) {
+        throw new Error(`Invalid filter: unterminated quote at position ${i + 1}`);
+      }
+      tokens.push({ type: 'word', value: expr.slice(i + 1, end), quoted: true });
+      i = end + 1;
+      continue;
+    }
+
+    let j = i;
+    while (j < expr.length && !/[\s()=!<>]/.test(expr[j])) {
+      j++;
+    }
+    if (j === i) {
+      throw new Error(`Invalid filter: unexpected "${ch}" at position ${i + 1}`);
+    }
+    tokens.push({ type: 'word', value: expr.slice(i, j) });
+    i = j;
+  }
+
+  return tokens;
+}
+
+/**
+ * Compare a single (non-array) field value against a filter value
+ */
+function compare(actual, op, expected, numeric) {
+  if (numeric) {
+    if (actual === null || actual === undefined) {
+      return op === '!=';
+    }
+    const a = Number(actual);
+    const b = Number(expected);
+    switch (op) {
+      case '=': return a === b;
+      case '!=': return a !== b;
+      case '>': return a > b;
+      case '>=': return a >= b;
+      case '<': return a < b;
+      case '<=': return a <= b;
+    }
+  }
+
+  const a = actual === null || actual === undefined ? '' : String(actual).toLowerCase();
+  const b = expected.toLowerCase();
+
+  if (op === '=' || op === '!=') {
+    const pattern = new RegExp(
+      '^' + b.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$'
+    );
+    return op === '=' ? pattern.test(a) : !pattern.test(a);
+  }
+
+  switch (op) {
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+  }
+  return false;
+}
+
+/**
+ * Parse a filter expression into a predicate function.
+ * Throws a descriptive error for malformed expressions or unknown fields.
+ *
+ * @param {string} expr - Filter expression
+ * @returns {(secret: object) => boolean}
+ */
+export function parseFilter(expr) {
+  const tokens = tokenize(String(expr));
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isKeyword = (word) => peek()?.type === 'word' && !peek().quoted && peek().value.toLowerCase() === word;
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isKeyword('or')) {
+      pos++;
+      const l = left, r = parseAnd();
+      left = s => l(s) || r(s);
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    while (isKeyword('and')) {
+      pos++;
+      const l = left, r = parseNot();
+      left = s => l(s) && r(s);
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (isKeyword('not')) {
+      pos++;
+      const inner = parseNot();
+      return s => !inner(s);
+    }
+    if (peek()?.type === '(') {
+      pos++;
+      const inner = parseOr();
+      if (peek()?.type !== ')') {
+        throw new Error('Invalid filter: missing closing parenthesis');
+      }
+      pos++;
+      return inner;
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const fieldToken = tokens[pos++];
+    if (!fieldToken || fieldToken.type !== 'word') {
+      throw new Error('Invalid filter: expected a field name');
+    }
+
+    const fieldName = FIELD_ALIASES[fieldToken.value] || fieldToken.value;
+    const field = FIELDS[fieldName];
+    if (!field) {
+      throw new Error(
+        `Invalid filter: unknown field "${fieldToken.value}". Valid fields: ${Object.keys(FIELDS).join(', ')}`
+      );
+    }
+
+    const opToken = tokens[pos++];
+    if (!opToken || opToken.type !== 'op') {
+      throw new Error(`Invalid filter: expected an operator after "${fieldToken.value}"`);
+    }
+
+    const valueToken = tokens[pos++];
+    if (!valueToken || valueToken.type !== 'word') {
+      throw new Error(`Invalid filter: expected a value after "${fieldToken.value}${opToken.value}"`);
+    }
+
+    const op = opToken.value;
+    const value = valueToken.value;
+
+    if (field.numeric && isNaN(Number(value))) {
+      throw new Error(`Invalid filter: "${fieldToken.value}" expects a number, got "${value}"`);
+    }
+
+    if (fieldName === 'tags') {
+      return s => {
+        const tags = field.get(s);
+        return op === '!='
+          ? !tags.some(t => compare(t, '=', value, false))
+          : tags.some(t => compare(t, op, value, false));
+      };
+    }
+
+    return s => compare(field.get(s), op, value, field.numeric);
+  }
+
+  if (tokens.length === 0) {
+    return () => true;
+  }
+
+  const predicate = parseOr();
+  if (pos < tokens.length) {
+    const extra = tokens[pos];
+    throw new Error(`Invalid filter: unexpected "${extra.value ?? extra.type}"`);
+  }
+  return predicate;
+}
+
+/**
+ * Filter a list of secrets with an expression. An empty expression matches everything.
+ */
+export function filterSecrets(secrets, expr) {
+  if (!expr) {
+    return secrets;
+  }
+  const predicate = parseFilter(expr);
+  return secrets.filter(predicate);
+}
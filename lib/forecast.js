@@ -0,0 +1,141 @@
+/**
+ * Forecast Module
+ *
+ * Projects how secrets will age over the coming days if nothing is rotated
+ * or used: when each one turns warning, critical, stale or expired, when
+ * rotations fall due, and when waivers lapse. Every day in the window is evaluated with the
+ * same status math as `check`, so the forecast honors the config's status
+ * policy and waivers.
+ */
+
+import { calculateStatus, getStatusMessage, resolvePolicy, renewalDue, getEvaluationDate, parseEvaluationDate } from './status.js';
+
+export const FORECAST_PERIODS = ['day', 'week'];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const MAX_DAYS = 3650;
+const EVENT_ORDER = { expired: 0, stale: 1, critical: 2, warning: 3, waiver_lapses: 4, rotation_due: 5, healthy: 6 };
+
+function isoDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * First day of the period `date` falls in: the date itself, or the Monday of its week
+ */
+function periodStart(date, by) {
+  return by === 'week' ? addDays(date, -((date.getUTCDay() + 6) % 7)) : date;
+}
+
+/**
+ * Project status changes and rotation due dates over the next `days` days.
+ *
+ * @param {Array} secrets - Secrets to project
+ * @param {object} [options] - { days, from, by } window length (default 90), start date
+ *   (defaults to the active evaluation date, else today) and grouping ('day' or 'week')
+ * @returns {{ from: string, to: string, days: number, by: string, current: object, summary: object, events: Array, periods: Array }}
+ */
+export function forecastSecrets(secrets, { days = 90, from = getEvaluationDate(), by = 'week' } = {}) {
+  const window = Number(days);
+  if (!Number.isInteger(window) || window < 1 || window > MAX_DAYS) {
+    throw new Error(`Invalid forecast window: "${days}". Use a whole number of days between 1 and ${MAX_DAYS}.`);
+  }
+  if (!FORECAST_PERIODS.includes(by)) {
+    throw new Error(`Invalid forecast grouping: "${by}". Use one of: ${FORECAST_PERIODS.join(', ')}`);
+  }
+
+  const start = parseEvaluationDate(from || isoDate(new Date()));
+  const current = { healthy: 0, warning: 0, critical: 0, stale: 0, expired: 0, waived: 0 };
+  const events = [];
+
+  for (const secret of secrets) {
+    const describe = (date, event, extra) => ({
+      date: isoDate(date),
+      name: secret.name,
+      provider: secret.provider,
+      type: secret.type,
+      owner: secret.owner || null,
+      team: secret.team || null,
+      event,
+      ...extra
+    });
+
+    let previous = calculateStatus(secret, undefined, start);
+    current[previous]++;
+
+    const { rotationPolicy } = resolvePolicy(secret);
+    const rotationDue = secret.renewal
+      ? renewalDue(secret)
+      : rotationPolicy && secret.lastRotated ? isoDate(addDays(new Date(secret.lastRotated), rotationPolicy)) : null;
+    const waiverLapses = secret.waiver?.until ? isoDate(addDays(new Date(secret.waiver.until), 1)) : null;
+
+    for (let day = 1; day <= window; day++) {
+      const date = addDays(start, day);
+
+      if (rotationDue === isoDate(date)) {
+        const message = secret.renewal ? `Renewal due (every ${secret.renewal.everyDays} days)` : `${rotationPolicy}-day rotation policy reached`;
+        events.push(describe(date, 'rotation_due', { message }));
+      }
+
+      if (waiverLapses === isoDate(date)) {
+        const { scope, approver } = secret.waiver;
+        events.push(describe(date, 'waiver_lapses', { message: `${scope} waiver approved by ${approver} lapses` }));
+      }
+
+      const status = calculateStatus(secret, undefined, date);
+      // A waiver lapsing on a secret that is otherwise healthy is reported by the event above
+      if (status === 'healthy' && previous === 'waived') {
+        previous = status;
+      } else if (status !== previous) {
+        events.push(describe(date, status, { from: previous, message: getStatusMessage(secret, undefined, date) }));
+        previous = status;
+      }
+    }
+  }
+
+  events.sort((a, b) => (
+    a.date.localeCompare(b.date) ||
+    EVENT_ORDER[a.event] - EVENT_ORDER[b.event] ||
+    a.name.localeCompare(b.name)
+  ));
+
+  // Group events into days or calendar weeks (Monday to Sunday) clipped to the window
+  const end = addDays(start, window);
+  const periods = [];
+  for (const event of events) {
+    const periodFrom = isoDate(periodStart(new Date(event.date), by));
+    let period = periods[periods.length - 1];
+    if (!period || period.key !== periodFrom) {
+      const first = new Date(Math.max(new Date(periodFrom).getTime(), addDays(start, 1).getTime()));
+      const last = by === 'week' ? new Date(Math.min(addDays(new Date(periodFrom), 6).getTime(), end.getTime())) : first;
+      period = { key: periodFrom, start: isoDate(first), end: isoDate(last), events: [] };
+      periods.push(period);
+    }
+    period.events.push(event);
+  }
+
+  const count = type => events.filter(e => e.event === type).length;
+
+  return {
+    from: isoDate(start),
+    to: isoDate(end),
+    days: window,
+    by,
+    current,
+    summary: {
+      events: events.length,
+      warning: count('warning'),
+      critical: count('critical'),
+      stale: count('stale'),
+      expired: count('expired'),
+      rotationsDue: count('rotation_due'),
+      waiversLapsing: count('waiver_lapses')
+    },
+    events,
+    periods: periods.map(({ key, ...period }) => period)
+  };
+}
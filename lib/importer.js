@@ -0,0 +1,296 @@
+/**
+ * Inventory Import Module
+ *
+ * Parses CSV, JSON and .env-style inventory files into records that
+ * importSecrets() can add. Column names are matched to secret fields through
+ * a table of common aliases (e.g. "Expiry Date" → expiresAt), which can be
+ * overridden with an explicit mapping. Secret values are never read: for
+ * .env files only the variable names are imported.
+ */
+
+import { extname, basename } from 'path';
+
+export const IMPORT_FORMATS = ['csv', 'json', 'env'];
+
+// Normalized column name → field. Keys are lowercase with non-alphanumerics removed.
+const COLUMN_ALIASES = {
+  name: 'name', secret: 'name', secretname: 'name', key: 'name', keyname: 'name', title: 'name',
+  provider: 'provider', service: 'provider', vendor: 'provider', system: 'provider',
+  type: 'type', secrettype: 'type', kind: 'type', category: 'type',
+  createdat: 'createdAt', created: 'createdAt', creationdate: 'createdAt', datecreated: 'createdAt', issued: 'createdAt', issuedat: 'createdAt',
+  expiresat: 'expiresAt', expires: 'expiresAt', expiry: 'expiresAt', expirydate: 'expiresAt', expiration: 'expiresAt', expirationdate: 'expiresAt', validuntil: 'expiresAt',
+  lastrotated: 'lastRotated', rotated: 'lastRotated', rotatedat: 'lastRotated', lastrotation: 'lastRotated',
+  rotationpolicy: 'rotationPolicy', rotation: 'rotationPolicy', rotationdays: 'rotationPolicy', rotationperiod: 'rotationPolicy', rotationinterval: 'rotationPolicy',
+  notes: 'notes', note: 'notes', description: 'notes', comment: 'notes', comments: 'notes',
+  owner: 'owner', responsible: 'owner', contact: 'owner', assignee: 'owner',
+  team: 'team', group: 'team', department: 'team',
+  environment: 'environment', env: 'environment', stage: 'environment',
+  tags: 'tags', tag: 'tags', labels: 'tags',
+  privilege: 'privilege', privileges: 'privilege', permission: 'privilege', permissions: 'privilege', accesslevel: 'privilege',
+  exposure: 'exposure', visibility: 'exposure', sharing: 'exposure',
+  lastused: 'lastUsed', lastusedat: 'lastUsed', lastaccessed: 'lastUsed', lastaccessedat: 'lastUsed', lastseen: 'lastUsed'
+};
+
+const FIELDS = [...new Set(Object.values(COLUMN_ALIASES))];
+const DATE_FIELDS = ['createdAt', 'expiresAt', 'lastRotated', 'lastUsed'];
+
+function normalizeColumn(column) {
+  return String(column).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Guess the format of an inventory file from its name
+ *
+ * @returns {string|null} - 'csv', 'json', 'env' or null if unknown
+ */
+export function detectFormat(filePath) {
+  const ext = extname(filePath).toLowerCase();
+  if (ext === '.csv' || ext === '.tsv') return 'csv';
+  if (ext === '.json') return 'json';
+  if (ext === '.env' || basename(filePath).startsWith('.env')) return 'env';
+  return null;
+}
+
+/**
+ * Parse a mapping string such as "Key Name=name,Vendor=provider" into
+ * { column: field } pairs
+ */
+export function parseColumnMap(mapping) {
+  const result = {};
+  if (!mapping) {
+    return result;
+  }
+
+  for (const pair of String(mapping).split(',')) {
+    if (!pair.trim()) continue;
+    const eq = pair.lastIndexOf('=');
+    const column = pair.slice(0, eq).trim();
+    const field = pair.slice(eq + 1).trim();
+    if (eq === -1 || !column || !field) {
+      throw new Error(`Invalid mapping "${pair.trim()}". Use Column=field, e.g. "Key Name=name"`);
+    }
+    if (!FIELDS.includes(field)) {
+      throw new Error(`Invalid mapping "${pair.trim()}": unknown field "${field}". Valid fields: ${FIELDS.join(', ')}`);
+    }
+    result[column] = field;
+  }
+
+  return result;
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting, CRLF or LF line endings).
+ * The delimiter (comma, semicolon or tab) is detected from the header line.
+ *
+ * @returns {Array<{ line: number, cells: string[] }>}
+ */
+function parseCsv(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(d => ({ d, count: header.split(d).length }))
+    .sort((a, b) => b.count - a.count)[0].d;
+
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      cells.push(cell);
+      rows.push({ line: rowLine, cells });
+      cells = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Invalid CSV: unterminated quote in row starting at line ${rowLine}`);
+  }
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell);
+    rows.push({ line: rowLine, cells });
+  }
+
+  return rows.filter(row => row.cells.some(c => c.trim() !== ''));
+}
+
+/**
+ * Read the variable names of a .env file. Values are ignored.
+ */
+function parseEnv(text) {
+  const rows = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=/);
+    rows.push(match
+      ? { line: i + 1, item: { name: match[1] } }
+      : { line: i + 1, item: {}, error: 'Not a KEY=value line' });
+  });
+  return rows;
+}
+
+/**
+ * Convert a raw cell/JSON value to what addSecret() expects for `field`.
+ * Values that cannot be converted are passed through unchanged so validation
+ * reports them as the user wrote them.
+ */
+function convertValue(field, value) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  if (Array.isArray(value)) {
+    return field === 'tags' ? value.map(String) : value;
+  }
+
+  const text = String(value).trim();
+  if (text === '') {
+    return undefined;
+  }
+
+  if (DATE_FIELDS.includes(field) && /^\d{4}-\d{2}-\d{2}([T ].*)?$/.test(text)) {
+    return text.slice(0, 10);
+  }
+  if (field === 'rotationPolicy') {
+    const match = text.match(/^(\d+)\s*(d|days?)?$/i);
+    return match ? parseInt(match[1], 10) : text;
+  }
+  if (field === 'tags') {
+    return text.split(/[,;|]/).map(t => t.trim()).filter(Boolean);
+  }
+  if (field === 'privilege' || field === 'exposure') {
+    return text.toLowerCase();
+  }
+  return text;
+}
+
+/**
+ * Map one source item (object of column → value) to secret fields
+ */
+function mapItem(item, columnFields) {
+  const fields = {};
+  for (const [column, value] of Object.entries(item)) {
+    const field = columnFields.get(column);
+    if (!field) continue;
+    const converted = convertValue(field, value);
+    if (converted !== undefined) {
+      fields[field] = converted;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Parse an inventory file into records for importSecrets().
+ *
+ * @param {string} text - File contents
+ * @param {object} options - { format: 'csv'|'json'|'env', map: "Column=field,..." }
+ * @returns {{ format: string, records: Array<{ row: number, fields: object, error?: string }>, columns: object, ignoredColumns: string[] }}
+ */
+export function parseInventory(text, { format, map } = {}) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown import format "${format}". Use one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  const explicit = parseColumnMap(map);
+  let items;
+
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) {
+      throw new Error('Invalid CSV: the file is empty');
+    }
+    const names = header.cells.map(c => c.trim());
+    items = rows.map(({ line, cells }) => ({
+      row: line,
+      item: Object.fromEntries(names.map((name, i) => [name, cells[i]]))
+    }));
+  } else if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    // A plain list, or our own config file / JSON report ({ secrets: [...] })
+    const list = Array.isArray(parsed) ? parsed : parsed?.secrets;
+    if (!Array.isArray(list)) {
+      throw new Error('Invalid JSON inventory: expected an array of secrets or an object with a "secrets" array');
+    }
+    items = list.map((item, i) => (
+      item && typeof item === 'object' && !Array.isArray(item)
+        ? { row: i + 1, item }
+        : { row: i + 1, item: {}, error: `Expected an object, got ${Array.isArray(item) ? 'array' : typeof item}` }
+    ));
+  } else {
+    items = parseEnv(text).map(({ line, item, error }) => ({ row: line, item, error }));
+  }
+
+  // Resolve every source column to a field: explicit mapping first, then aliases
+  const explicitByColumn = new Map(Object.entries(explicit).map(([c, f]) => [c.toLowerCase(), f]));
+  const columnFields = new Map();
+  const ignoredColumns = [];
+  for (const { item } of items) {
+    for (const column of Object.keys(item)) {
+      if (columnFields.has(column) || ignoredColumns.includes(column)) continue;
+      const field = explicitByColumn.get(column.toLowerCase()) || COLUMN_ALIASES[normalizeColumn(column)];
+      if (field) {
+        columnFields.set(column, field);
+      } else {
+        ignoredColumns.push(column);
+      }
+    }
+  }
+
+  for (const column of Object.keys(explicit)) {
+    if (![...columnFields.keys()].some(c => c.toLowerCase() === column.toLowerCase())) {
+      throw new Error(`Mapped column "${column}" not found in the file`);
+    }
+  }
+
+  // An explicitly mapped field is not also filled from an alias column
+  const explicitFields = new Set(Object.values(explicit));
+  for (const [column, field] of columnFields) {
+    if (explicitFields.has(field) && !explicitByColumn.has(column.toLowerCase())) {
+      columnFields.delete(column);
+      ignoredColumns.push(column);
+    }
+  }
+
+  return {
+    format,
+    records: items.map(({ row, item, error }) => (
+      error ? { row, fields: {}, error } : { row, fields: mapItem(item, columnFields) }
+    )),
+    columns: Object.fromEntries(columnFields),
+    ignoredColumns
+  };
+}
@@ -1,6 +1,15 @@
 export * from './config.js';
+export * from './config-schema.js';
+export * from './migrations.js';
 export * from './secrets.js';
 export * from './status.js';
+export * from './filter.js';
+export * from './risk.js';
+export * from './forecast.js';
+export * from './lint.js';
+export * from './compliance.js';
+export * from './calendar.js';
+export * from './importer.js';
 export * from './reporters.js';
 export * from './schema.js';
 export * from './mcp.js';
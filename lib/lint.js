@@ -0,0 +1,275 @@
+/**
+ * Inventory Linting
+ *
+ * Evaluates the declarative hygiene rules under `policy.lint` against the
+ * inventory: required metadata, limits such as rotation policies, and
+ * patterns such as a runbook link in the notes. Status checks say when a
+ * secret needs rotating; lint rules catch metadata problems that would make
+ * that rotation hard. Results can be exported as SARIF for code scanning.
+ */
+
+import { readFileSync } from 'fs';
+import { relative } from 'path';
+import { createRequire } from 'module';
+import { parseFilter } from './filter.js';
+import { getStatusPolicy } from './status.js';
+
+const require = createRequire(import.meta.url);
+const pkg = require('../package.json');
+
+export const LINT_SEVERITIES = ['error', 'warning', 'note', 'off'];
+
+// Fields a rule can `require`
+export const LINT_FIELDS = [
+  'owner', 'team', 'environment', 'tags', 'notes', 'createdAt', 'expiresAt', 'lastRotated',
+  'rotationPolicy', 'privilege', 'exposure', 'lastUsed'
+];
+
+// Fields a rule can `match` against a regular expression
+const MATCH_FIELDS = ['name', 'provider', 'type', 'owner', 'team', 'environment', 'notes', 'tags'];
+
+const SEVERITY_ORDER = { error: 0, warning: 1, note: 2 };
+
+function isMissing(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Compile the `where`, `require`, `assert` and `match` checks of a lint rule
+ * or compliance control. Errors are prefixed with `label`.
+ *
+ * @param {string} label - How to name the rule in errors, e.g. 'Lint rule "prod-owner"'
+ * @param {object} spec - Rule or control definition
+ * @returns {object} - Compiled checks for failedChecks()
+ */
+export function compileChecks(label, spec) {
+  const fail = message => {
+    throw new Error(`${label}: ${message}`);
+  };
+
+  const compileFilter = (key) => {
+    try {
+      return parseFilter(spec[key]);
+    } catch (error) {
+      return fail(`${key}: ${error.message}`);
+    }
+  };
+
+  const required = [].concat(spec.require || []);
+  for (const field of required) {
+    if (!LINT_FIELDS.includes(field)) {
+      fail(`cannot require "${field}". Valid fields: ${LINT_FIELDS.join(', ')}`);
+    }
+  }
+
+  const patterns = Object.entries(spec.match || {}).map(([field, pattern]) => {
+    if (!MATCH_FIELDS.includes(field)) {
+      fail(`cannot match "${field}". Valid fields: ${MATCH_FIELDS.join(', ')}`);
+    }
+    try {
+      return { field, pattern, regex: new RegExp(pattern, 'i') };
+    } catch (error) {
+      return fail(`invalid pattern for ${field}: ${error.message}`);
+    }
+  });
+
+  return {
+    where: spec.where || null,
+    applies: spec.where ? compileFilter('where') : () => true,
+    required,
+    assert: spec.assert || null,
+    holds: spec.assert ? compileFilter('assert') : () => true,
+    patterns,
+    empty: required.length === 0 && !spec.assert && patterns.length === 0
+  };
+}
+
+/**
+ * Why a secret fails compiled checks, or an empty list if it passes
+ *
+ * @returns {string[]}
+ */
+export function failedChecks(checks, secret) {
+  const reasons = [];
+  const missing = checks.required.filter(field => isMissing(secret[field]));
+  if (missing.length > 0) {
+    reasons.push(`missing ${missing.join(', ')}`);
+  }
+  if (!checks.holds(secret)) {
+    reasons.push(`does not satisfy "${checks.assert}"`);
+  }
+  for (const { field, pattern, regex } of checks.patterns) {
+    const values = [].concat(secret[field] ?? '');
+    if (!values.some(value => regex.test(String(value)))) {
+      reasons.push(`${field} does not match /${pattern}/`);
+    }
+  }
+  return reasons;
+}
+
+/**
+ * Compile one rule from the config, throwing on anything it cannot check
+ */
+function compileRule(id, rule) {
+  const label = `Lint rule "${id}"`;
+  const severity = rule.severity || 'error';
+  if (!LINT_SEVERITIES.includes(severity)) {
+    throw new Error(`${label}: invalid severity "${severity}". Use one of: ${LINT_SEVERITIES.join(', ')}`);
+  }
+
+  const checks = compileChecks(label, rule);
+  if (checks.empty) {
+    throw new Error(`${label}: nothing to check. Set "require", "assert" or "match"`);
+  }
+
+  return {
+    id,
+    description: rule.description || id,
+    severity,
+    ...checks
+  };
+}
+
+/**
+ * Check secrets against the lint rules of a policy.
+ *
+ * @param {Array} secrets - Secrets to lint (as returned by listSecrets())
+ * @param {object} [options] - { policy } config policy (defaults to the active one),
+ *   { rule } only run the rule with this id
+ * @returns {{ rules: Array, summary: object, violations: Array<{ ruleId: string, severity: string, name: string, provider: string, owner: string|null, source: string|null, message: string }> }}
+ */
+export function lintSecrets(secrets, { policy = getStatusPolicy(), rule: only } = {}) {
+  const configured = Object.entries(policy.lint || {});
+  if (only && !configured.some(([id]) => id === only)) {
+    throw new Error(`Lint rule not found: ${only}`);
+  }
+
+  const rules = configured
+    .filter(([id]) => !only || id === only)
+    .map(([id, rule]) => compileRule(id, rule))
+    .filter(rule => rule.severity !== 'off');
+
+  const violations = [];
+  const results = rules.map(rule => {
+    const matching = secrets.filter(rule.applies);
+    let count = 0;
+    for (const secret of matching) {
+      const reasons = failedChecks(rule, secret);
+      if (reasons.length > 0) {
+        count++;
+        violations.push({
+          ruleId: rule.id,
+          severity: rule.severity,
+          name: secret.name,
+          provider: secret.provider,
+          owner: secret.owner || null,
+          source: secret.source || null,
+          message: reasons.join('; ')
+        });
+      }
+    }
+    return {
+      id: rule.id,
+      description: rule.description,
+      severity: rule.severity,
+      where: rule.where,
+      checked: matching.length,
+      violations: count
+    };
+  });
+
+  violations.sort((a, b) => (
+    SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] ||
+    a.ruleId.localeCompare(b.ruleId) ||
+    a.name.localeCompare(b.name)
+  ));
+
+  const count = severity => violations.filter(v => v.severity === severity).length;
+
+  return {
+    rules: results,
+    summary: {
+      rules: results.length,
+      secrets: secrets.length,
+      violations: violations.length,
+      error: count('error'),
+      warning: count('warning'),
+      note: count('note')
+    },
+    violations
+  };
+}
+
+/**
+ * Line of a secret's `"name": "<name>"` entry in a config file, if it can be found
+ */
+function findLine(lines, name) {
+  const pattern = new RegExp(`"name"\\s*:\\s*${JSON.stringify(name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+  const index = lines.findIndex(line => pattern.test(line));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Generate a SARIF 2.1.0 log of lint violations, e.g. for GitHub code scanning.
+ * Each result points at the secret's entry in the config file it is defined in.
+ *
+ * @param {object} lint - Result of lintSecrets()
+ * @param {object} [options] - { cwd } directory artifact paths are relative to (defaults to the working directory)
+ * @returns {string} - SARIF JSON
+ */
+export function generateLintSarif(lint, { cwd = process.cwd() } = {}) {
+  const files = new Map();
+  const readLines = (path) => {
+    if (!files.has(path)) {
+      try {
+        files.set(path, readFileSync(path, 'utf8').split(/\r?\n/));
+      } catch {
+        files.set(path, []);
+      }
+    }
+    return files.get(path);
+  };
+
+  const ruleIndex = new Map(lint.rules.map((rule, i) => [rule.id, i]));
+
+  const results = lint.violations.map(violation => {
+    const result = {
+      ruleId: violation.ruleId,
+      ruleIndex: ruleIndex.get(violation.ruleId),
+      level: violation.severity,
+      message: { text: `${violation.name}: ${violation.message}` },
+      locations: [{
+        logicalLocations: [{ name: violation.name, kind: 'resource' }]
+      }]
+    };
+    if (violation.source) {
+      const line = findLine(readLines(violation.source), violation.name);
+      result.locations[0].physicalLocation = {
+        artifactLocation: { uri: relative(cwd, violation.source).split('\\').join('/') },
+        ...(line && { region: { startLine: line } })
+      };
+    }
+    return result;
+  });
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'mpx-secrets-audit',
+          version: pkg.version,
+          informationUri: pkg.homepage,
+          rules: lint.rules.map(rule => ({
+            id: rule.id,
+            shortDescription: { text: rule.description },
+            defaultConfiguration: { level: rule.severity },
+            ...(rule.where && { properties: { where: rule.where } })
+          }))
+        }
+      },
+      results
+    }]
+  }, null, 2);
+}
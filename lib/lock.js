@@ -0,0 +1,186 @@
+/**
+ * File Locking and Atomic Writes
+ *
+ * Advisory lock files and write-to-temp-then-rename, so concurrent CLI runs,
+ * CI jobs and the MCP server can share one config file without clobbering
+ * each other or leaving it truncated. Everything is synchronous to match the
+ * config API.
+ */
+
+import { openSync, writeSync, closeSync, readFileSync, writeFileSync, renameSync, unlinkSync, statSync } from 'fs';
+import { hostname } from 'os';
+import { resolve } from 'path';
+import { randomBytes } from 'crypto';
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_STALE_AFTER = 30000;
+const RETRY_INTERVAL = 50;
+
+// Locks held by this process, keyed by lock path, so nested calls are re-entrant
+const heldLocks = new Map();
+
+/**
+ * Block the current thread for `ms` milliseconds
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Check whether a process on this host is still running
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Read the owner info of an existing lock file, or null if it vanished
+ */
+function readLockInfo(lockPath) {
+  try {
+    const info = JSON.parse(readFileSync(lockPath, 'utf8'));
+    return { ...info, mtimeMs: statSync(lockPath).mtimeMs };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    // Unreadable or half-written lock: fall back to its age alone
+    try {
+      return { mtimeMs: statSync(lockPath).mtimeMs };
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * A lock is stale when it is older than `staleAfter`, or when it was taken
+ * by a process on this host that no longer exists
+ */
+function isStale(info, staleAfter) {
+  if (Date.now() - info.mtimeMs > staleAfter) {
+    return true;
+  }
+  return info.hostname === hostname() && Number.isInteger(info.pid) && !isProcessAlive(info.pid);
+}
+
+/**
+ * Acquire an advisory lock on `filePath` by exclusively creating `<filePath>.lock`.
+ * Waits up to `timeout` ms, removing stale locks left by crashed processes.
+ *
+ * @param {string} filePath - File to lock
+ * @param {object} [options] - { timeout, staleAfter } in milliseconds
+ * @returns {string} - The lock file path
+ */
+export function acquireLock(filePath, { timeout = DEFAULT_TIMEOUT, staleAfter = DEFAULT_STALE_AFTER } = {}) {
+  const lockPath = `${resolve(filePath)}.lock`;
+
+  if (heldLocks.has(lockPath)) {
+    heldLocks.set(lockPath, heldLocks.get(lockPath) + 1);
+    return lockPath;
+  }
+
+  const deadline = Date.now() + timeout;
+
+  while (true) {
+    try {
+      const fd = openSync(lockPath, 'wx');
+      try {
+        writeSync(fd, JSON.stringify({
+          pid: process.pid,
+          hostname: hostname(),
+          createdAt: new Date().toISOString()
+        }));
+      } finally {
+        closeSync(fd);
+      }
+      heldLocks.set(lockPath, 1);
+      return lockPath;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw new Error(`Failed to lock ${filePath}: ${error.message}`);
+      }
+    }
+
+    const info = readLockInfo(lockPath);
+    if (info && isStale(info, staleAfter)) {
+      // Only remove it if nobody replaced it since we looked
+      if (readLockInfo(lockPath)?.mtimeMs === info.mtimeMs) {
+        try {
+          unlinkSync(lockPath);
+        } catch {
+          // Another process removed it first
+        }
+      }
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      const owner = info?.pid ? ` (held by pid ${info.pid} on ${info.hostname} since ${info.createdAt})` : '';
+      throw new Error(
+        `Timed out waiting for lock on ${filePath}${owner}. If no other mpx-secrets-audit process is running, delete ${lockPath}.`
+      );
+    }
+
+    sleepSync(RETRY_INTERVAL);
+  }
+}
+
+/**
+ * Release a lock taken with acquireLock()
+ */
+export function releaseLock(filePath) {
+  const lockPath = `${resolve(filePath)}.lock`;
+  const depth = heldLocks.get(lockPath);
+
+  if (!depth) {
+    return;
+  }
+  if (depth > 1) {
+    heldLocks.set(lockPath, depth - 1);
+    return;
+  }
+
+  heldLocks.delete(lockPath);
+  try {
+    unlinkSync(lockPath);
+  } catch {
+    // Already removed (e.g. judged stale by another process)
+  }
+}
+
+/**
+ * Run `fn` while holding the lock on `filePath`
+ */
+export function withLock(filePath, fn, options) {
+  acquireLock(filePath, options);
+  try {
+    return fn();
+  } finally {
+    releaseLock(filePath);
+  }
+}
+
+/**
+ * Write a file atomically: write a sibling temp file, then rename it over the
+ * target so readers only ever see the old or the new content, never a partial file
+ */
+export function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+  try {
+    writeFileSync(tmpPath, data, 'utf8');
+    renameSync(tmpPath, filePath);
+  } catch (error) {
+    try {
+      unlinkSync(tmpPath);
+    } catch {
+      // Temp file was never created
+    }
+    throw error;
+  }
+}
@@ -17,11 +17,45 @@ import {
   initConfig,
   addSecret,
   removeSecret,
+  listArchivedSecrets,
+  restoreSecret,
   listSecrets,
   checkSecrets,
   rotateSecret,
+  touchSecret,
+  acknowledgeSecret,
+  clearAcknowledgement,
+  unacknowledged,
+  grantWaiver,
+  revokeWaiver,
+  listWaivers,
+  updateSecret,
+  getSecret,
+  diffSecret,
+  importSecrets,
+  parseInventory,
+  detectFormat,
   getStatusEmoji,
   getStatusMessage,
+  resolvePolicy,
+  setEvaluationDate,
+  forecastSecrets,
+  lintSecrets,
+  generateLintSarif,
+  loadFramework,
+  listFrameworks,
+  evaluateCompliance,
+  generateComplianceMarkdownReport,
+  buildCalendarEvents,
+  generateCalendarReport,
+  loadMergedConfig,
+  DEFAULT_THRESHOLDS,
+  WAIVER_SCOPES,
+  PRIVILEGE_LEVELS,
+  EXPOSURE_LEVELS,
+  SECRET_SORTS,
+  calculateRisk,
+  resolveRiskPolicy,
   calculateAge,
   daysUntilExpiry
 } from './index.js';
@@ -29,6 +63,29 @@ import {
 import { getSchema } from './schema.js';
 import pkg from '../package.json' with { type: 'json' };
 
+// Input schema for per-secret status thresholds
+const THRESHOLDS_INPUT = {
+  type: 'object',
+  description: 'Per-secret status thresholds, overriding the config policy',
+  properties: {
+    rotationWarningPercent: { type: 'number', description: 'Warn when this % of the rotation policy has elapsed (default 75)' },
+    expiryWarningDays: { type: 'number', description: 'Warn when expiry is fewer than this many days away (default 30)' },
+    expiryCriticalDays: { type: 'number', description: 'Critical when expiry is fewer than this many days away (default 7)' },
+    staleDays: { type: ['number', 'null'], description: 'Stale when unused for longer than this many days (null turns the check off)' }
+  }
+};
+
+// Input schema for the cadence of a self-renewing secret
+const RENEWAL_INPUT = {
+  type: 'object',
+  description: 'Renewal cadence for a secret that renews itself (e.g. ACME certificates). Its expiry and rotation are only checked once a renewal is missed; record renewals with rotate_secret.',
+  properties: {
+    everyDays: { type: 'number', description: 'Expected days between renewals' },
+    graceDays: { type: 'number', description: 'Days a renewal may run late before it counts as missed (default 0)' }
+  },
+  required: ['everyDays']
+};
+
 export async function startMCPServer() {
   const server = new Server(
     { name: 'mpx-secrets-audit', version: pkg.version },
@@ -78,52 +135,294 @@ export async function startMCPServer() {
               },
               expiresAt: {
                 type: 'string',
-                description: 'Expiry date (YYYY-MM-DD). Can be null for no expiry.'
+                description: 'Expiry date (YYYY-MM-DD). Can be null for no expiry. Defaults to the max lifetime of the matching policy rule, if any.'
               },
               rotationPolicy: {
                 type: 'number',
-                description: 'Rotation policy in days',
-                default: 90
+                description: 'Rotation policy in days. Defaults to the config defaults, or 90.'
               },
               notes: {
                 type: 'string',
                 description: 'Additional notes'
-              }
+              },
+              owner: {
+                type: 'string',
+                description: 'Person responsible for rotating this secret'
+              },
+              team: {
+                type: 'string',
+                description: 'Team that owns this secret'
+              },
+              environment: {
+                type: 'string',
+                description: 'Environment (e.g., prod, staging, dev)'
+              },
+              tags: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Arbitrary tags'
+              },
+              privilege: {
+                type: 'string',
+                enum: PRIVILEGE_LEVELS,
+                description: 'Privilege level, used for risk scoring'
+              },
+              exposure: {
+                type: 'string',
+                enum: EXPOSURE_LEVELS,
+                description: 'Who can see the secret (ci: visible to CI jobs), used for risk scoring'
+              },
+              lastUsed: {
+                type: 'string',
+                description: 'Date the secret was last used (YYYY-MM-DD)'
+              },
+              thresholds: THRESHOLDS_INPUT,
+              renewal: RENEWAL_INPUT
             },
             required: ['name']
           }
         },
         {
           name: 'list_secrets',
-          description: 'List all tracked secrets with status, age, and expiry information.',
+          description: 'List all tracked secrets with status, age, expiry and risk score (0-100). Each secret includes the "source" config layer it is defined in.',
           inputSchema: {
             type: 'object',
             properties: {
               status: {
                 type: 'string',
-                enum: ['healthy', 'warning', 'critical', 'expired'],
+                enum: ['healthy', 'warning', 'critical', 'stale', 'expired', 'waived'],
                 description: 'Filter by status'
+              },
+              owner: {
+                type: 'string',
+                description: 'Only list secrets owned by this person'
+              },
+              team: {
+                type: 'string',
+                description: 'Only list secrets owned by this team'
+              },
+              filter: {
+                type: 'string',
+                description: 'Filter expression, e.g. "provider=aws and env=prod and age>60". Fields: name, provider, type, status, owner, team, env, tag, notes, age, expires, rotation. Operators: = != > >= < <=, combined with and/or/not and parentheses. * is a wildcard.'
+              },
+              sort: {
+                type: 'string',
+                enum: SECRET_SORTS,
+                description: 'Sort order; "risk" lists the riskiest secrets first. Default: config order.'
+              },
+              asOf: {
+                type: 'string',
+                description: 'Evaluate statuses, age and expiry as of this date (YYYY-MM-DD) instead of today'
               }
             }
           }
         },
         {
           name: 'check_secrets',
-          description: 'Run audit and check for expiring/old secrets. Returns categorized results.',
+          description: 'Run audit and check for expiring/old secrets. Returns categorized results; acknowledged warnings are counted separately and do not make actionRequired true.',
           inputSchema: {
             type: 'object',
-            properties: {}
+            properties: {
+              owner: {
+                type: 'string',
+                description: 'Only check secrets owned by this person'
+              },
+              team: {
+                type: 'string',
+                description: 'Only check secrets owned by this team'
+              },
+              filter: {
+                type: 'string',
+                description: 'Filter expression, e.g. "provider=aws and env=prod and age>60". Fields: name, provider, type, status, owner, team, env, tag, notes, age, expires, rotation. Operators: = != > >= < <=, combined with and/or/not and parentheses. * is a wildcard.'
+              },
+              asOf: {
+                type: 'string',
+                description: 'Evaluate statuses, age and expiry as of this date (YYYY-MM-DD) instead of today'
+              }
+            }
+          }
+        },
+        {
+          name: 'forecast_secrets',
+          description: 'Project which secrets will turn warning, critical or expired and when rotations fall due over the coming days, assuming nothing is rotated. Returns events sorted by date and grouped by day or week.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              days: {
+                type: 'number',
+                description: 'Number of days to look ahead (default: 90)'
+              },
+              by: {
+                type: 'string',
+                enum: ['day', 'week'],
+                description: 'Group events by day or calendar week (default: week)'
+              },
+              owner: {
+                type: 'string',
+                description: 'Only include secrets owned by this person'
+              },
+              team: {
+                type: 'string',
+                description: 'Only include secrets owned by this team'
+              },
+              filter: {
+                type: 'string',
+                description: 'Filter expression, e.g. "provider=aws and env=prod"'
+              },
+              asOf: {
+                type: 'string',
+                description: 'Start the forecast at this date (YYYY-MM-DD) instead of today'
+              }
+            }
+          }
+        },
+        {
+          name: 'export_calendar',
+          description: 'Export expiry and rotation due dates as iCalendar (.ics) content with alarms at the warning and critical thresholds, returned in the result (save it with the calendar command or the client). UIDs are stable, so re-importing updates existing events; decommissioned secrets are exported as cancelled events.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Calendar name shown in calendar apps'
+              },
+              owner: {
+                type: 'string',
+                description: 'Only include secrets owned by this person'
+              },
+              team: {
+                type: 'string',
+                description: 'Only include secrets owned by this team'
+              },
+              filter: {
+                type: 'string',
+                description: 'Filter expression, e.g. "provider=aws and env=prod"'
+              }
+            }
+          }
+        },
+        {
+          name: 'lint_secrets',
+          description: 'Check the inventory against the hygiene rules configured under policy.lint (required metadata such as owners, limits such as rotation policies, patterns such as runbook links in notes). Returns each rule with its violation count, and every violation with its severity (error, warning or note).',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              rule: {
+                type: 'string',
+                description: 'Only run the rule with this id'
+              },
+              format: {
+                type: 'string',
+                enum: ['json', 'sarif'],
+                description: 'Result format: json (default) or a SARIF 2.1.0 log for code scanning tools'
+              },
+              owner: {
+                type: 'string',
+                description: 'Only lint secrets owned by this person'
+              },
+              team: {
+                type: 'string',
+                description: 'Only lint secrets owned by this team'
+              },
+              filter: {
+                type: 'string',
+                description: 'Filter expression, e.g. "provider=aws and env=prod"'
+              }
+            }
+          }
+        },
+        {
+          name: 'compliance_report',
+          description: `Map the inventory and its rotation history to the controls of a compliance framework. Returns pass, fail or not applicable per control with an evidence line per secret; failing secrets are recorded as waived when an active waiver's scope covers every failed requirement (missing metadata is never waived). Built-in frameworks: ${listFrameworks().map(f => `${f.id} (${f.name})`).join(', ')}.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              framework: {
+                type: 'string',
+                description: 'Built-in framework id, or the path to a framework JSON file'
+              },
+              format: {
+                type: 'string',
+                enum: ['json', 'markdown'],
+                description: 'Result format: json (default) or a Markdown report for auditors'
+              },
+              owner: {
+                type: 'string',
+                description: 'Only assess secrets owned by this person'
+              },
+              team: {
+                type: 'string',
+                description: 'Only assess secrets owned by this team'
+              },
+              filter: {
+                type: 'string',
+                description: 'Filter expression, e.g. "provider=aws and env=prod"'
+              },
+              asOf: {
+                type: 'string',
+                description: 'Assess the controls as of this date (YYYY-MM-DD) instead of today'
+              }
+            },
+            required: ['framework']
           }
         },
         {
           name: 'remove_secret',
-          description: 'Stop tracking a secret. Returns the removed secret.',
+          description: 'Stop tracking a secret. By default it is archived as decommissioned (kept for audits and restorable); set purge to delete permanently. Returns the archived entry or deleted secret.',
           inputSchema: {
             type: 'object',
             properties: {
               name: {
                 type: 'string',
                 description: 'Name of secret to remove'
+              },
+              reason: {
+                type: 'string',
+                description: 'Why the secret was decommissioned'
+              },
+              actor: {
+                type: 'string',
+                description: 'Who decommissioned it. Defaults to the current OS user.'
+              },
+              purge: {
+                type: 'boolean',
+                description: 'Delete permanently instead of archiving (also purges an already archived secret)',
+                default: false
+              }
+            },
+            required: ['name']
+          }
+        },
+        {
+          name: 'list_archived_secrets',
+          description: 'List decommissioned (archived) secrets with when, by whom and why they were removed.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              owner: {
+                type: 'string',
+                description: 'Only list secrets owned by this person'
+              },
+              team: {
+                type: 'string',
+                description: 'Only list secrets owned by this team'
+              },
+              filter: {
+                type: 'string',
+                description: 'Filter expression, same language as list_secrets'
+              }
+            }
+          }
+        },
+        {
+          name: 'restore_secret',
+          description: 'Move a decommissioned secret back into the active inventory. Returns the restored secret.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Name of the archived secret to restore'
               }
             },
             required: ['name']
@@ -131,64 +430,658 @@ export async function startMCPServer() {
         },
         {
           name: 'rotate_secret',
-          description: 'Mark a secret as rotated (updates last-rotated date to today). Returns updated secret.',
+          description: 'Mark a secret as rotated, or a self-renewing one as renewed (updates last-rotated date to today and appends to its rotation history). Returns updated secret including full history.',
           inputSchema: {
             type: 'object',
             properties: {
               name: {
                 type: 'string',
                 description: 'Name of secret to rotate'
+              },
+              actor: {
+                type: 'string',
+                description: 'Who performed the rotation. Defaults to the current user.'
+              },
+              reason: {
+                type: 'string',
+                description: 'Why the secret was rotated'
+              },
+              ticket: {
+                type: 'string',
+                description: 'Ticket or change reference (e.g., SEC-123)'
               }
             },
             required: ['name']
           }
         },
         {
-          name: 'get_schema',
-          description: 'Get the full JSON schema describing all mpx-secrets-audit commands, flags, and output formats.',
+          name: 'touch_secret',
+          description: 'Record that a secret was used (updates its last-used date). Secrets unused for longer than policy.thresholds.staleDays are "stale" and should be revoked; the date only moves forward. Returns the updated secret.',
           inputSchema: {
             type: 'object',
-            properties: {}
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Name of secret that was used'
+              },
+              date: {
+                type: 'string',
+                description: 'Day it was used (YYYY-MM-DD). Defaults to today.'
+              }
+            },
+            required: ['name']
+          }
+        },
+        {
+          name: 'acknowledge_secret',
+          description: 'Acknowledge a warning, critical or stale secret until a date, with a reason. Acknowledged secrets are still reported but do not count as action required until the date passes; expired secrets are never suppressed. Rotating the secret clears the acknowledgement.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Name of secret to acknowledge'
+              },
+              until: {
+                type: 'string',
+                description: 'Last day the acknowledgement covers (YYYY-MM-DD). Required unless clear is true.'
+              },
+              reason: {
+                type: 'string',
+                description: 'Why it is acceptable for now (e.g., "Rotation scheduled in CHG-1234"). Required unless clear is true.'
+              },
+              actor: {
+                type: 'string',
+                description: 'Who acknowledged it. Defaults to the current user.'
+              },
+              clear: {
+                type: 'boolean',
+                description: 'Remove the acknowledgement instead (default: false)'
+              }
+            },
+            required: ['name']
+          }
+        },
+        {
+          name: 'grant_waiver',
+          description: 'Grant a formal policy exception for a secret that cannot follow policy (e.g., a vendor key that never rotates). While the waiver is valid the checks in its scope are skipped and the status is "waived"; it reverts when the waiver lapses. Replaces any previous waiver.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Name of secret'
+              },
+              scope: {
+                type: 'string',
+                enum: WAIVER_SCOPES,
+                description: 'Checks the waiver covers (default: rotation)'
+              },
+              justification: {
+                type: 'string',
+                description: 'Why the secret cannot follow policy'
+              },
+              approver: {
+                type: 'string',
+                description: 'Who approved the exception'
+              },
+              until: {
+                type: 'string',
+                description: 'Date the waiver expires (YYYY-MM-DD, inclusive)'
+              },
+              actor: {
+                type: 'string',
+                description: 'Who recorded the waiver. Defaults to the current user.'
+              }
+            },
+            required: ['name', 'justification', 'approver', 'until']
+          }
+        },
+        {
+          name: 'list_waivers',
+          description: 'List secrets with a waiver, soonest expiry first, with whether each waiver is active or lapsed',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              lapsed: {
+                type: 'boolean',
+                description: 'Include lapsed waivers (default: false)'
+              },
+              owner: {
+                type: 'string',
+                description: 'Only include secrets owned by this person'
+              },
+              team: {
+                type: 'string',
+                description: 'Only include secrets owned by this team'
+              },
+              filter: {
+                type: 'string',
+                description: 'Filter expression, e.g. "provider=aws"'
+              }
+            }
+          }
+        },
+        {
+          name: 'revoke_waiver',
+          description: 'Remove the waiver of a secret so its normal status applies again',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Name of secret'
+              }
+            },
+            required: ['name']
+          }
+        },
+        {
+          name: 'update_secret',
+          description: 'Edit fields of a tracked secret. Fields are validated like add_secret. Returns the updated secret and a before/after list of changes.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Name of secret to update'
+              },
+              newName: {
+                type: 'string',
+                description: 'Rename the secret'
+              },
+              provider: {
+                type: 'string',
+                description: 'Service provider (e.g., stripe, aws, github)'
+              },
+              type: {
+                type: 'string',
+                description: 'Secret type (api_key, token, password)'
+              },
+              createdAt: {
+                type: 'string',
+                description: 'Creation date (YYYY-MM-DD)'
+              },
+              expiresAt: {
+                type: ['string', 'null'],
+                description: 'Expiry date (YYYY-MM-DD), or null to clear'
+              },
+              lastRotated: {
+                type: 'string',
+                description: 'Last rotation date (YYYY-MM-DD)'
+              },
+              rotationPolicy: {
+                type: 'number',
+                description: 'Rotation policy in days'
+              },
+              notes: {
+                type: 'string',
+                description: 'Additional notes'
+              },
+              owner: {
+                type: ['string', 'null'],
+                description: 'Person responsible for rotating this secret'
+              },
+              team: {
+                type: ['string', 'null'],
+                description: 'Team that owns this secret'
+              },
+              environment: {
+                type: ['string', 'null'],
+                description: 'Environment (e.g., prod, staging, dev)'
+              },
+              tags: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Replacement tag list'
+              },
+              privilege: {
+                type: ['string', 'null'],
+                enum: [...PRIVILEGE_LEVELS, null],
+                description: 'Privilege level, used for risk scoring'
+              },
+              exposure: {
+                type: ['string', 'null'],
+                enum: [...EXPOSURE_LEVELS, null],
+                description: 'Who can see the secret, used for risk scoring'
+              },
+              lastUsed: {
+                type: ['string', 'null'],
+                description: 'Date the secret was last used (YYYY-MM-DD)'
+              },
+              thresholds: {
+                ...THRESHOLDS_INPUT,
+                type: ['object', 'null'],
+                description: 'Per-secret status thresholds (replaces existing overrides). Null to use the config policy.'
+              },
+              renewal: {
+                ...RENEWAL_INPUT,
+                type: ['object', 'null'],
+                description: 'Renewal cadence (replaces the existing one). Null to stop treating the secret as self-renewing.'
+              }
+            },
+            required: ['name']
+          }
+        },
+        {
+          name: 'get_policy',
+          description: 'Show the status thresholds, rotation rules and risk weights in effect: the configured policy, or the resolved values for one secret.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Secret to resolve the policy for. Omit for the global policy and rules.'
+              }
+            }
+          }
+        },
+        {
+          name: 'import_secrets',
+          description: 'Bulk-add secrets from a CSV, JSON or .env-style inventory (file path or inline content). Columns are matched to fields by common names (e.g. "Expiry Date" → expiresAt) or an explicit map. Every row is validated like add_secret; failing rows are reported individually. Rows are saved one at a time (the import is not atomic); repeat it with upsert to finish an interrupted one. Use dryRun to preview.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              path: {
+                type: 'string',
+                description: 'Path of the inventory file to read'
+              },
+              content: {
+                type: 'string',
+                description: 'Inventory contents, instead of path (requires format)'
+              },
+              format: {
+                type: 'string',
+                enum: ['csv', 'json', 'env'],
+                description: 'Input format. Detected from the path extension when omitted.'
+              },
+              map: {
+                type: 'string',
+                description: 'Column mapping, e.g. "Key Name=name,Vendor=provider"'
+              },
+              upsert: {
+                type: 'boolean',
+                description: 'Update secrets that already exist instead of failing those rows',
+                default: false
+              },
+              dryRun: {
+                type: 'boolean',
+                description: 'Validate and report what would change without saving',
+                default: false
+              }
+            }
+          }
+        },
+        {
+          name: 'get_schema',
+          description: 'Get the full JSON schema describing all mpx-secrets-audit commands, flags, and output formats.',
+          inputSchema: {
+            type: 'object',
+            properties: {}
+          }
+        }
+      ]
+    };
+  });
+
+  // Handle tool calls
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+
+    try {
+      // Only the read tools evaluate at another date; every other call is evaluated at now
+      setEvaluationDate(['list_secrets', 'check_secrets', 'forecast_secrets', 'compliance_report'].includes(name) ? args?.asOf : null);
+
+      switch (name) {
+        case 'init': {
+          if (configExists()) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  error: 'Config file already exists',
+                  code: 'ERR_CONFIG_EXISTS'
+                }, null, 2)
+              }],
+              isError: true
+            };
+          }
+
+          const configPath = initConfig(args.global || false);
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: true,
+                configPath,
+                message: 'Config file created'
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'add_secret': {
+          if (!configExists()) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  error: 'No config file found. Run init first.',
+                  code: 'ERR_NO_CONFIG'
+                }, null, 2)
+              }],
+              isError: true
+            };
+          }
+
+          const secret = addSecret({
+            name: args.name,
+            provider: args.provider,
+            type: args.type,
+            createdAt: args.createdAt,
+            expiresAt: args.expiresAt || null,
+            rotationPolicy: args.rotationPolicy,
+            notes: args.notes || '',
+            owner: args.owner || null,
+            team: args.team || null,
+            environment: args.environment || null,
+            tags: args.tags || [],
+            privilege: args.privilege || null,
+            exposure: args.exposure || null,
+            lastUsed: args.lastUsed,
+            thresholds: args.thresholds,
+            renewal: args.renewal
+          });
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: true,
+                secret: {
+                  ...secret,
+                  age: calculateAge(secret),
+                  daysUntilExpiry: daysUntilExpiry(secret),
+                  message: getStatusMessage(secret)
+                }
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'list_secrets': {
+          if (!configExists()) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  error: 'No config file found. Run init first.',
+                  code: 'ERR_NO_CONFIG'
+                }, null, 2)
+              }],
+              isError: true
+            };
+          }
+
+          let secrets = listSecrets({ owner: args.owner, team: args.team, filter: args.filter, sort: args.sort });
+
+          if (args.status) {
+            secrets = secrets.filter(s => s.status === args.status);
+          }
+
+          const enrichedSecrets = secrets.map(secret => ({
+            ...secret,
+            age: calculateAge(secret),
+            daysUntilExpiry: daysUntilExpiry(secret),
+            message: getStatusMessage(secret),
+            risk: secret.risk || calculateRisk(secret)
+          }));
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: true,
+                asOf: args.asOf,
+                count: enrichedSecrets.length,
+                secrets: enrichedSecrets
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'check_secrets': {
+          if (!configExists()) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  error: 'No config file found. Run init first.',
+                  code: 'ERR_NO_CONFIG'
+                }, null, 2)
+              }],
+              isError: true
+            };
+          }
+
+          const results = checkSecrets({ owner: args.owner, team: args.team, filter: args.filter });
+          const total = Object.values(results).reduce((sum, secrets) => sum + secrets.length, 0);
+          const open = unacknowledged(results);
+
+          // Enrich each secret with additional info
+          const enrichResults = {};
+          for (const [status, secrets] of Object.entries(results)) {
+            enrichResults[status] = secrets.map(s => ({
+              ...s,
+              age: calculateAge(s),
+              daysUntilExpiry: daysUntilExpiry(s),
+              message: getStatusMessage(s)
+            }));
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: true,
+                asOf: args.asOf,
+                total,
+                summary: {
+                  healthy: results.healthy.length,
+                  warning: results.warning.length,
+                  critical: results.critical.length,
+                  stale: results.stale.length,
+                  expired: results.expired.length,
+                  waived: results.waived.length,
+                  acknowledged: ['warning', 'critical', 'stale']
+                    .reduce((sum, status) => sum + results[status].length - open[status].length, 0)
+                },
+                secrets: enrichResults,
+                actionRequired: open.critical.length > 0 || open.stale.length > 0 || open.expired.length > 0
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'forecast_secrets': {
+          if (!configExists()) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  error: 'No config file found. Run init first.',
+                  code: 'ERR_NO_CONFIG'
+                }, null, 2)
+              }],
+              isError: true
+            };
+          }
+
+          const secrets = listSecrets({ owner: args.owner, team: args.team, filter: args.filter });
+          const forecast = forecastSecrets(secrets, { days: args.days ?? 90, by: args.by || 'week' });
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: true,
+                ...forecast
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'lint_secrets': {
+          if (!configExists()) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  error: 'No config file found. Run init first.',
+                  code: 'ERR_NO_CONFIG'
+                }, null, 2)
+              }],
+              isError: true
+            };
+          }
+
+          const secrets = listSecrets({ owner: args.owner, team: args.team, filter: args.filter });
+          const lint = lintSecrets(secrets, { rule: args.rule });
+          const result = args.format === 'sarif'
+            ? { success: true, summary: lint.summary, sarif: JSON.parse(generateLintSarif(lint)) }
+            : { success: true, ...lint };
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify(result, null, 2)
+            }]
+          };
+        }
+
+        case 'compliance_report': {
+          if (!configExists()) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  error: 'No config file found. Run init first.',
+                  code: 'ERR_NO_CONFIG'
+                }, null, 2)
+              }],
+              isError: true
+            };
+          }
+
+          const secrets = listSecrets({ owner: args.owner, team: args.team, filter: args.filter });
+          const compliance = evaluateCompliance(secrets, loadFramework(args.framework));
+          const result = args.format === 'markdown'
+            ? { success: true, framework: compliance.framework, summary: compliance.summary, report: generateComplianceMarkdownReport(compliance) }
+            : { success: true, ...compliance };
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify(result, null, 2)
+            }]
+          };
+        }
+
+        case 'export_calendar': {
+          if (!configExists()) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  error: 'No config file found. Run init first.',
+                  code: 'ERR_NO_CONFIG'
+                }, null, 2)
+              }],
+              isError: true
+            };
           }
+
+          const filters = { owner: args.owner, team: args.team, filter: args.filter };
+          const secrets = listSecrets(filters);
+          const archived = listArchivedSecrets(filters);
+          const calendar = generateCalendarReport(secrets, { archived, name: args.name });
+          const events = buildCalendarEvents(secrets, { archived });
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: true,
+                count: events.length,
+                events: events.map(({ uid, kind, name, date, cancelled }) => ({ uid, kind, name, date, cancelled })),
+                calendar
+              }, null, 2)
+            }]
+          };
         }
-      ]
-    };
-  });
 
-  // Handle tool calls
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
+        case 'remove_secret': {
+          if (!configExists()) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  error: 'No config file found. Run init first.',
+                  code: 'ERR_NO_CONFIG'
+                }, null, 2)
+              }],
+              isError: true
+            };
+          }
 
-    try {
-      switch (name) {
-        case 'init': {
-          if (configExists()) {
+          const removed = removeSecret(args.name, {
+            reason: args.reason,
+            actor: args.actor,
+            purge: args.purge
+          });
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: true,
+                removed,
+                purged: Boolean(args.purge),
+                message: args.purge ? `Secret "${args.name}" permanently deleted` : `Secret "${args.name}" archived`
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'list_archived_secrets': {
+          if (!configExists()) {
             return {
               content: [{
                 type: 'text',
                 text: JSON.stringify({
-                  error: 'Config file already exists',
-                  code: 'ERR_CONFIG_EXISTS'
+                  error: 'No config file found. Run init first.',
+                  code: 'ERR_NO_CONFIG'
                 }, null, 2)
               }],
               isError: true
             };
           }
 
-          const configPath = initConfig(args.global || false);
+          const archived = listArchivedSecrets({ owner: args.owner, team: args.team, filter: args.filter });
+
           return {
             content: [{
               type: 'text',
               text: JSON.stringify({
                 success: true,
-                configPath,
-                message: 'Config file created'
+                count: archived.length,
+                archived
               }, null, 2)
             }]
           };
         }
 
-        case 'add_secret': {
+        case 'restore_secret': {
           if (!configExists()) {
             return {
               content: [{
@@ -202,15 +1095,7 @@ export async function startMCPServer() {
             };
           }
 
-          const secret = addSecret({
-            name: args.name,
-            provider: args.provider,
-            type: args.type || 'api_key',
-            createdAt: args.createdAt,
-            expiresAt: args.expiresAt || null,
-            rotationPolicy: args.rotationPolicy || 90,
-            notes: args.notes || ''
-          });
+          const secret = restoreSecret(args.name);
 
           return {
             content: [{
@@ -228,7 +1113,7 @@ export async function startMCPServer() {
           };
         }
 
-        case 'list_secrets': {
+        case 'rotate_secret': {
           if (!configExists()) {
             return {
               content: [{
@@ -242,32 +1127,61 @@ export async function startMCPServer() {
             };
           }
 
-          let secrets = listSecrets();
+          const secret = rotateSecret(args.name, {
+            actor: args.actor,
+            reason: args.reason,
+            ticket: args.ticket
+          });
 
-          if (args.status) {
-            secrets = secrets.filter(s => s.status === args.status);
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: true,
+                secret: {
+                  ...secret,
+                  age: calculateAge(secret),
+                  daysUntilExpiry: daysUntilExpiry(secret),
+                  message: getStatusMessage(secret)
+                },
+                message: `Secret "${args.name}" rotated`
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'touch_secret': {
+          if (!configExists()) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  error: 'No config file found. Run init first.',
+                  code: 'ERR_NO_CONFIG'
+                }, null, 2)
+              }],
+              isError: true
+            };
           }
 
-          const enrichedSecrets = secrets.map(secret => ({
-            ...secret,
-            age: calculateAge(secret),
-            daysUntilExpiry: daysUntilExpiry(secret),
-            message: getStatusMessage(secret)
-          }));
+          const secret = touchSecret(args.name, { date: args.date });
 
           return {
             content: [{
               type: 'text',
               text: JSON.stringify({
                 success: true,
-                count: enrichedSecrets.length,
-                secrets: enrichedSecrets
+                secret: {
+                  ...secret,
+                  message: getStatusMessage(secret)
+                },
+                message: `Secret "${args.name}" last used ${secret.lastUsed}`
               }, null, 2)
             }]
           };
         }
 
-        case 'check_secrets': {
+        case 'acknowledge_secret': {
           if (!configExists()) {
             return {
               content: [{
@@ -281,41 +1195,63 @@ export async function startMCPServer() {
             };
           }
 
-          const results = checkSecrets();
-          const total = results.healthy.length + results.warning.length + 
-                       results.critical.length + results.expired.length;
+          const secret = args.clear
+            ? clearAcknowledgement(args.name)
+            : acknowledgeSecret(args.name, { until: args.until, reason: args.reason, actor: args.actor });
 
-          // Enrich each secret with additional info
-          const enrichResults = {};
-          for (const [status, secrets] of Object.entries(results)) {
-            enrichResults[status] = secrets.map(s => ({
-              ...s,
-              age: calculateAge(s),
-              daysUntilExpiry: daysUntilExpiry(s),
-              message: getStatusMessage(s)
-            }));
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: true,
+                secret: {
+                  ...secret,
+                  message: getStatusMessage(secret)
+                },
+                message: args.clear ? `Acknowledgement of "${args.name}" removed` : `Secret "${args.name}" acknowledged until ${secret.ack.until}`
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'grant_waiver': {
+          if (!configExists()) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  error: 'No config file found. Run init first.',
+                  code: 'ERR_NO_CONFIG'
+                }, null, 2)
+              }],
+              isError: true
+            };
           }
 
+          const secret = grantWaiver(args.name, {
+            scope: args.scope,
+            justification: args.justification,
+            approver: args.approver,
+            until: args.until,
+            actor: args.actor
+          });
+
           return {
             content: [{
               type: 'text',
               text: JSON.stringify({
                 success: true,
-                total,
-                summary: {
-                  healthy: results.healthy.length,
-                  warning: results.warning.length,
-                  critical: results.critical.length,
-                  expired: results.expired.length
+                secret: {
+                  ...secret,
+                  message: getStatusMessage(secret)
                 },
-                secrets: enrichResults,
-                actionRequired: results.critical.length > 0 || results.expired.length > 0
+                message: `Waiver granted for "${args.name}" until ${secret.waiver.until}`
               }, null, 2)
             }]
           };
         }
 
-        case 'remove_secret': {
+        case 'list_waivers': {
           if (!configExists()) {
             return {
               content: [{
@@ -329,21 +1265,52 @@ export async function startMCPServer() {
             };
           }
 
-          const removed = removeSecret(args.name);
+          const waivers = listWaivers({ owner: args?.owner, team: args?.team, filter: args?.filter, lapsed: args?.lapsed });
 
           return {
             content: [{
               type: 'text',
               text: JSON.stringify({
                 success: true,
-                removed,
-                message: `Secret "${args.name}" removed`
+                count: waivers.length,
+                waivers
               }, null, 2)
             }]
           };
         }
 
-        case 'rotate_secret': {
+        case 'revoke_waiver': {
+          if (!configExists()) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  error: 'No config file found. Run init first.',
+                  code: 'ERR_NO_CONFIG'
+                }, null, 2)
+              }],
+              isError: true
+            };
+          }
+
+          const secret = revokeWaiver(args.name);
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: true,
+                secret: {
+                  ...secret,
+                  message: getStatusMessage(secret)
+                },
+                message: `Waiver of "${args.name}" revoked`
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'update_secret': {
           if (!configExists()) {
             return {
               content: [{
@@ -357,7 +1324,14 @@ export async function startMCPServer() {
             };
           }
 
-          const secret = rotateSecret(args.name);
+          const { name: secretName, newName, ...fields } = args;
+          const updates = { ...fields };
+          if (newName !== undefined) {
+            updates.name = newName;
+          }
+
+          const before = { ...getSecret(secretName) };
+          const secret = updateSecret(secretName, updates);
 
           return {
             content: [{
@@ -370,7 +1344,93 @@ export async function startMCPServer() {
                   daysUntilExpiry: daysUntilExpiry(secret),
                   message: getStatusMessage(secret)
                 },
-                message: `Secret "${args.name}" rotated`
+                changes: diffSecret(before, secret),
+                message: `Secret "${secretName}" updated`
+              }, null, 2)
+            }]
+          };
+        }
+
+        case 'get_policy': {
+          if (!configExists()) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  error: 'No config file found. Run init first.',
+                  code: 'ERR_NO_CONFIG'
+                }, null, 2)
+              }],
+              isError: true
+            };
+          }
+
+          const policy = loadMergedConfig().policy || {};
+          let result;
+
+          if (args.name) {
+            const secret = getSecret(args.name);
+            result = {
+              success: true,
+              name: secret.name,
+              status: secret.status,
+              message: getStatusMessage(secret),
+              policy: resolvePolicy(secret)
+            };
+          } else {
+            result = {
+              success: true,
+              thresholds: { ...DEFAULT_THRESHOLDS, ...policy.thresholds },
+              rules: policy.rules || {},
+              risk: resolveRiskPolicy(policy)
+            };
+          }
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify(result, null, 2)
+            }]
+          };
+        }
+
+        case 'import_secrets': {
+          if (!configExists()) {
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  error: 'No config file found. Run init first.',
+                  code: 'ERR_NO_CONFIG'
+                }, null, 2)
+              }],
+              isError: true
+            };
+          }
+
+          if (!args.path && args.content === undefined) {
+            throw new Error('Either path or content is required');
+          }
+
+          const format = args.format || (args.path && detectFormat(args.path));
+          if (!format) {
+            throw new Error('Cannot detect the inventory format. Pass format: csv, json or env.');
+          }
+
+          const { readFileSync } = await import('fs');
+          const text = args.content ?? readFileSync(args.path, 'utf8');
+          const { records, columns, ignoredColumns } = parseInventory(text, { format, map: args.map });
+          const result = importSecrets(records, { upsert: args.upsert, dryRun: args.dryRun });
+
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify({
+                success: result.failed === 0,
+                format,
+                columns,
+                ignoredColumns,
+                ...result
               }, null, 2)
             }]
           };
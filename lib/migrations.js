@@ -0,0 +1,68 @@
+/**
+ * Config Migrations
+ *
+ * Upgrades config files written by older versions to the current format.
+ * Each migration moves the `version` field written by initConfig() one step
+ * forward; loadConfig() runs them in sequence until the file is current.
+ */
+
+import { compareVersions } from './update.js';
+
+export const CURRENT_CONFIG_VERSION = '1.1.0';
+
+/**
+ * Ordered list of migrations. To change the file format, bump
+ * CURRENT_CONFIG_VERSION and append a step from the previous version.
+ */
+export const MIGRATIONS = [
+  {
+    from: '1.0.0',
+    to: '1.1.0',
+    description: 'Add rotation history, ownership, environment and tag fields to every secret',
+    migrate(config) {
+      if (!Array.isArray(config.secrets)) {
+        return config; // Left for validateConfig() to report
+      }
+      return {
+        ...config,
+        secrets: config.secrets.map(secret => (
+          secret && typeof secret === 'object'
+            ? { owner: null, team: null, environment: null, tags: [], rotations: [], ...secret }
+            : secret
+        ))
+      };
+    }
+  }
+];
+
+/**
+ * Bring a config object up to the target version.
+ * Files without a version are treated as 1.0.0.
+ *
+ * @param {object} config - Parsed config file contents
+ * @param {object} [options] - { migrations, target } overrides, mainly for tests
+ * @returns {{ config: object, from: string, to: string, applied: string[] }}
+ */
+export function migrateConfig(config, { migrations = MIGRATIONS, target = CURRENT_CONFIG_VERSION } = {}) {
+  const from = config.version || '1.0.0';
+
+  if (compareVersions(from, target) > 0) {
+    throw new Error(
+      `Config version ${from} is newer than this version of mpx-secrets-audit supports (${target}). Run "mpx-secrets-audit update".`
+    );
+  }
+
+  let current = { ...config, version: from, secrets: config.secrets || [] };
+  const applied = [];
+
+  while (compareVersions(current.version, target) < 0) {
+    const step = migrations.find(m => m.from === current.version);
+    if (!step) {
+      throw new Error(`No migration path from config version ${current.version} to ${target}`);
+    }
+    current = { ...step.migrate(current), version: step.to };
+    applied.push(`${step.from} → ${step.to}: ${step.description}`);
+  }
+
+  return { config: current, from, to: current.version, applied };
+}
@@ -7,7 +7,9 @@
 
 import { createWriteStream } from 'fs';
 import { createRequire } from 'module';
-import { calculateAge, daysUntilExpiry, getStatusMessage, calculateStatus } from './status.js';
+import { calculateAge, daysUntilExpiry, daysSinceUsed, getStatusMessage, calculateStatus, resolvePolicy, renewalDue, isAcknowledged, getEvaluationDate, parseEvaluationDate } from './status.js';
+import { groupActionRequiredByOwner, collectExceptions, TOP_RISKS } from './reporters.js';
+import { calculateRisk } from './risk.js';
 
 const require = createRequire(import.meta.url);
 const pkg = require('../package.json');
@@ -23,50 +25,118 @@ const COLORS = {
   warning: '#ea580c',
   critical: '#dc2626',
   expired: '#991b1b',
+  stale: '#7c3aed',
+  waived: '#2563eb',
   headerBg: '#1e3a5f',
   sectionBg: '#f3f4f6',
 };
 
+const RISK_COLORS = {
+  low: COLORS.healthy,
+  medium: COLORS.warning,
+  high: COLORS.critical,
+  critical: COLORS.expired,
+};
+
 const STATUS_LABELS = {
   healthy: '🟢 HEALTHY',
   warning: '🟡 WARNING',
   critical: '🔴 CRITICAL',
+  stale: '💤 STALE',
   expired: '⛔ EXPIRED',
+  waived: '🔵 WAIVED',
 };
 
 /**
- * Generate a PDF report from secrets data
- * @param {Array} secrets - Array of secret objects
- * @param {string} outputPath - Path to write the PDF
- * @returns {Promise<string>} - Resolved path of the generated PDF
+ * Lazy-load pdfkit, which is an optional dependency
  */
-export async function generatePDFReport(secrets, outputPath) {
-  // Lazy-load pdfkit
-  let PDFDocument;
+async function loadPDFKit() {
   try {
-    PDFDocument = (await import('pdfkit')).default;
+    return (await import('pdfkit')).default;
   } catch {
     throw new Error(
       'pdfkit is required for PDF export. Install with: npm install pdfkit'
     );
   }
+}
+
+function formatNow() {
+  return new Date().toLocaleDateString('en-US', {
+    year: 'numeric', month: 'long', day: 'numeric',
+    hour: '2-digit', minute: '2-digit',
+  });
+}
+
+/**
+ * Draw the title band at the top of the first page
+ */
+function drawHeader(doc, title, subtitle) {
+  doc.rect(0, 0, doc.page.width, 100).fill(COLORS.headerBg);
+  doc.fontSize(22).fillColor(COLORS.white).font('Helvetica-Bold')
+    .text(title, 50, 30);
+  doc.fontSize(10).fillColor('#a0b4cc').font('Helvetica')
+    .text(subtitle, 50, 60);
+
+  doc.y = 120;
+}
+
+/**
+ * Draw the generator line and page numbers on every page
+ */
+function drawFooters(doc, now) {
+  const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // The footer sits inside the bottom margin; lift it so pdfkit does not add a page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    const footerY = doc.page.height - 35;
+    doc.fontSize(7).fillColor(COLORS.gray).font('Helvetica')
+      .text(
+        `Generated by mpx-secrets-audit v${pkg.version} on ${now}`,
+        50, footerY, { width: pageWidth, align: 'center' }
+      );
+    doc.text(
+      `Page ${i + 1} of ${range.count}`,
+      50, footerY + 12, { width: pageWidth, align: 'center' }
+    );
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Generate a PDF report from secrets data
+ * @param {Array} secrets - Array of secret objects
+ * @param {string} outputPath - Path to write the PDF
+ * @param {object} [options] - { archived } decommissioned secrets to list, { asOf } evaluation date
+ * @returns {Promise<string>} - Resolved path of the generated PDF
+ */
+export async function generatePDFReport(secrets, outputPath, { archived = [], asOf = getEvaluationDate() } = {}) {
+  const PDFDocument = await loadPDFKit();
 
   return new Promise((resolve, reject) => {
     try {
-      const now = new Date().toLocaleDateString('en-US', {
-        year: 'numeric', month: 'long', day: 'numeric',
-        hour: '2-digit', minute: '2-digit',
-      });
+      const now = formatNow();
+
+      const asOfLabel = asOf ? `  •  as of ${parseEvaluationDate(asOf).toISOString().split('T')[0]}` : '';
 
       // Recalculate statuses
-      secrets.forEach(s => { s.status = calculateStatus(s); });
+      secrets.forEach(s => {
+        s.status = calculateStatus(s, undefined, asOf);
+        s.acknowledged = isAcknowledged(s, undefined, asOf);
+        s.risk = calculateRisk(s, { asOf });
+      });
+      const byRisk = (a, b) => b.risk.score - a.risk.score || a.name.localeCompare(b.name);
 
       const summary = {
         total: secrets.length,
         healthy: secrets.filter(s => s.status === 'healthy').length,
         warning: secrets.filter(s => s.status === 'warning').length,
         critical: secrets.filter(s => s.status === 'critical').length,
+        stale: secrets.filter(s => s.status === 'stale').length,
         expired: secrets.filter(s => s.status === 'expired').length,
+        waived: secrets.filter(s => s.status === 'waived').length,
       };
 
       const doc = new PDFDocument({
@@ -87,13 +157,7 @@ export async function generatePDFReport(secrets, outputPath) {
       const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
 
       // ─── Header ───
-      doc.rect(0, 0, doc.page.width, 100).fill(COLORS.headerBg);
-      doc.fontSize(22).fillColor(COLORS.white).font('Helvetica-Bold')
-        .text('Secrets Audit Report', 50, 30);
-      doc.fontSize(10).fillColor('#a0b4cc').font('Helvetica')
-        .text(`mpx-secrets-audit v${pkg.version}  •  ${now}`, 50, 60);
-
-      doc.y = 120;
+      drawHeader(doc, 'Secrets Audit Report', `mpx-secrets-audit v${pkg.version}  •  ${now}${asOfLabel}`);
 
       // ─── Summary Box ───
       const healthRate = summary.total > 0 ? Math.round((summary.healthy / summary.total) * 100) : 100;
@@ -111,7 +175,15 @@ export async function generatePDFReport(secrets, outputPath) {
       doc.fontSize(14).fillColor(COLORS.dark).font('Helvetica-Bold')
         .text(`${summary.total} secret${summary.total === 1 ? '' : 's'} tracked`, 145, summaryTop + 5);
       doc.fontSize(10).fillColor(COLORS.gray).font('Helvetica')
-        .text(`${summary.healthy} healthy  •  ${summary.warning + summary.critical + summary.expired} need attention`, 145, summaryTop + 25);
+        .text(`${summary.healthy} healthy  •  ${summary.warning + summary.critical + summary.stale + summary.expired} need attention`, 145, summaryTop + 25);
+      const extra = [
+        summary.stale > 0 && `${summary.stale} stale`,
+        summary.waived > 0 && `${summary.waived} waived`,
+        archived.length > 0 && `${archived.length} decommissioned`
+      ].filter(Boolean);
+      if (extra.length > 0) {
+        doc.text(extra.join('  •  '), 145, summaryTop + 40);
+      }
 
       // Counts on right
       const countsX = 340;
@@ -161,8 +233,8 @@ export async function generatePDFReport(secrets, outputPath) {
           }
 
           const statusColor = COLORS[secret.status] || COLORS.gray;
-          const age = calculateAge(secret);
-          const expiry = daysUntilExpiry(secret);
+          const age = calculateAge(secret, asOf);
+          const expiry = daysUntilExpiry(secret, asOf);
           const expiryStr = expiry !== null ? `${expiry}d` : 'N/A';
 
           // Status indicator
@@ -175,21 +247,63 @@ export async function generatePDFReport(secrets, outputPath) {
           doc.text(age !== null ? String(age) : 'N/A', 325, doc.y, { width: 60 });
 
           // Color-code expiry
-          if (expiry !== null && expiry < 7) {
+          const { expiryWarningDays, expiryCriticalDays } = resolvePolicy(secret);
+          if (expiry !== null && expiry < expiryCriticalDays) {
             doc.fillColor(COLORS.critical);
-          } else if (expiry !== null && expiry < 30) {
+          } else if (expiry !== null && expiry < expiryWarningDays) {
             doc.fillColor(COLORS.warning);
           }
           doc.text(expiryStr, 390, doc.y, { width: 70 });
           doc.fillColor(COLORS.dark);
-          doc.text(secret.rotationPolicy ? `${secret.rotationPolicy}d` : 'N/A', 465, doc.y, { width: 60 });
+          const { rotationPolicy } = resolvePolicy(secret);
+          doc.text(secret.renewal ? `renew ${secret.renewal.everyDays}d` : rotationPolicy ? `${rotationPolicy}d` : 'N/A', 465, doc.y, { width: 60 });
 
           doc.y += 16;
         }
       }
 
+      // ─── Top Risks ───
+      const topRisks = [...secrets].sort(byRisk).slice(0, TOP_RISKS);
+      if (topRisks.length > 0) {
+        if (doc.y > doc.page.height - 150) {
+          doc.addPage();
+          doc.y = 50;
+        }
+
+        doc.y += 15;
+        doc.roundedRect(50, doc.y, pageWidth, 28, 4).fill(COLORS.dark);
+        doc.fontSize(11).fillColor(COLORS.white).font('Helvetica-Bold')
+          .text('Top Risks', 60, doc.y + 7);
+        doc.y += 35;
+
+        doc.fontSize(8).fillColor(COLORS.gray).font('Helvetica-Bold');
+        doc.text('Risk', 60, doc.y, { width: 60 });
+        doc.text('Name', 125, doc.y, { width: 120 });
+        doc.text('Status', 250, doc.y, { width: 60 });
+        doc.text('Drivers', 315, doc.y, { width: 220 });
+        doc.y += 14;
+
+        for (const secret of topRisks) {
+          if (doc.y > doc.page.height - 80) {
+            doc.addPage();
+            doc.y = 50;
+          }
+
+          const rowY = doc.y;
+          const drivers = secret.risk.drivers.join(', ') || 'N/A';
+          doc.fontSize(9).fillColor(RISK_COLORS[secret.risk.level]).font('Helvetica-Bold')
+            .text(`${secret.risk.score} ${secret.risk.level.toUpperCase()}`, 60, rowY, { width: 60 });
+          doc.fillColor(COLORS.dark).text(secret.name, 125, rowY, { width: 120 });
+          doc.font('Helvetica')
+            .text(secret.status.toUpperCase(), 250, rowY, { width: 60 })
+            .text(drivers, 315, rowY, { width: 220 });
+
+          doc.y = rowY + Math.max(16, doc.heightOfString(drivers, { width: 220 }) + 4);
+        }
+      }
+
       // ─── Risk Assessment ───
-      const atRisk = secrets.filter(s => s.status !== 'healthy');
+      const atRisk = secrets.filter(s => !['healthy', 'waived'].includes(s.status));
       if (atRisk.length > 0) {
         if (doc.y > doc.page.height - 150) {
           doc.addPage();
@@ -202,35 +316,51 @@ export async function generatePDFReport(secrets, outputPath) {
           .text('Risk Assessment & Recommendations', 60, doc.y + 7);
         doc.y += 35;
 
-        // Sort: expired first, then critical, then warning
-        const severityOrder = { expired: 0, critical: 1, warning: 2 };
-        atRisk.sort((a, b) => (severityOrder[a.status] ?? 9) - (severityOrder[b.status] ?? 9));
-
-        for (const secret of atRisk) {
-          if (doc.y > doc.page.height - 100) {
+        // Grouped by owner; within each group riskiest first
+        for (const group of groupActionRequiredByOwner(atRisk)) {
+          group.secrets.sort(byRisk);
+          if (doc.y > doc.page.height - 130) {
             doc.addPage();
             doc.y = 50;
           }
 
-          const statusColor = COLORS[secret.status] || COLORS.gray;
-          const message = getStatusMessage(secret);
-
-          // Severity bar
-          doc.roundedRect(50, doc.y, pageWidth, 22, 3).fill(statusColor);
-          doc.fontSize(9).fillColor(COLORS.white).font('Helvetica-Bold')
-            .text(`${secret.status.toUpperCase()} — ${secret.name}`, 60, doc.y + 6);
-          doc.y += 28;
-
-          // Details
-          doc.fontSize(9).fillColor(COLORS.dark).font('Helvetica')
-            .text(`Issue: ${message}`, 60, doc.y, { width: pageWidth - 20 });
-          doc.y += 14;
+          doc.fontSize(10).fillColor(COLORS.dark).font('Helvetica-Bold')
+            .text(`Owner: ${group.owner}`, 50, doc.y);
+          doc.y += 16;
 
-          // Recommendation
-          const recommendation = getRecommendation(secret);
-          doc.fontSize(8).fillColor(COLORS.primary).font('Helvetica-Oblique')
-            .text(`→ ${recommendation}`, 60, doc.y, { width: pageWidth - 20 });
-          doc.y += doc.heightOfString(`→ ${recommendation}`, { width: pageWidth - 20, fontSize: 8 }) + 10;
+          for (const secret of group.secrets) {
+            if (doc.y > doc.page.height - 100) {
+              doc.addPage();
+              doc.y = 50;
+            }
+
+            const statusColor = COLORS[secret.status] || COLORS.gray;
+            const message = getStatusMessage(secret, undefined, asOf);
+
+            // Severity bar
+            doc.roundedRect(50, doc.y, pageWidth, 22, 3).fill(statusColor);
+            doc.fontSize(9).fillColor(COLORS.white).font('Helvetica-Bold')
+              .text(`${secret.status.toUpperCase()} — ${secret.name} — risk ${secret.risk.score}`, 60, doc.y + 6);
+            doc.y += 28;
+
+            // Details
+            doc.fontSize(9).fillColor(COLORS.dark).font('Helvetica')
+              .text(`Issue: ${message}`, 60, doc.y, { width: pageWidth - 20 });
+            doc.y += 14;
+
+            if (secret.acknowledged) {
+              const ack = `Acknowledged until ${secret.ack.until} by ${secret.ack.by}: ${secret.ack.reason}`;
+              doc.fontSize(8).fillColor(COLORS.gray).font('Helvetica')
+                .text(ack, 60, doc.y, { width: pageWidth - 20 });
+              doc.y += doc.heightOfString(ack, { width: pageWidth - 20, fontSize: 8 }) + 4;
+            }
+
+            // Recommendation
+            const recommendation = getRecommendation(secret, asOf);
+            doc.fontSize(8).fillColor(COLORS.primary).font('Helvetica-Oblique')
+              .text(`→ ${recommendation}`, 60, doc.y, { width: pageWidth - 20 });
+            doc.y += doc.heightOfString(`→ ${recommendation}`, { width: pageWidth - 20, fontSize: 8 }) + 10;
+          }
         }
       }
 
@@ -257,8 +387,9 @@ export async function generatePDFReport(secrets, outputPath) {
             doc.y = 50;
           }
 
-          const expiry = daysUntilExpiry(secret);
-          const statusColor = expiry < 0 ? COLORS.expired : expiry < 7 ? COLORS.critical : expiry < 30 ? COLORS.warning : COLORS.healthy;
+          const expiry = daysUntilExpiry(secret, asOf);
+          const { expiryWarningDays, expiryCriticalDays } = resolvePolicy(secret);
+          const statusColor = expiry < 0 ? COLORS.expired : expiry < expiryCriticalDays ? COLORS.critical : expiry < expiryWarningDays ? COLORS.warning : COLORS.healthy;
 
           doc.circle(67, doc.y + 4, 4).fill(statusColor);
           doc.fontSize(9).fillColor(COLORS.dark).font('Helvetica-Bold')
@@ -276,22 +407,284 @@ export async function generatePDFReport(secrets, outputPath) {
         }
       }
 
+      // ─── Exceptions ───
+      const exceptions = collectExceptions(secrets, asOf);
+      if (exceptions.length > 0) {
+        if (doc.y > doc.page.height - 150) {
+          doc.addPage();
+          doc.y = 50;
+        }
+
+        doc.y += 15;
+        doc.roundedRect(50, doc.y, pageWidth, 28, 4).fill(COLORS.waived);
+        doc.fontSize(11).fillColor(COLORS.white).font('Helvetica-Bold')
+          .text('Exceptions', 60, doc.y + 7);
+        doc.y += 35;
+
+        doc.fontSize(8).fillColor(COLORS.gray).font('Helvetica-Bold');
+        doc.text('Name', 60, doc.y, { width: 110 });
+        doc.text('Scope', 175, doc.y, { width: 50 });
+        doc.text('Approver', 230, doc.y, { width: 80 });
+        doc.text('Expires', 315, doc.y, { width: 70 });
+        doc.text('Justification', 390, doc.y, { width: 145 });
+        doc.y += 14;
+
+        for (const exception of exceptions) {
+          if (doc.y > doc.page.height - 80) {
+            doc.addPage();
+            doc.y = 50;
+          }
+
+          const rowY = doc.y;
+          const lapsed = exception.state === 'lapsed';
+          doc.fontSize(9).fillColor(COLORS.dark).font('Helvetica-Bold')
+            .text(exception.name, 60, rowY, { width: 110 });
+          doc.font('Helvetica')
+            .text(exception.scope, 175, rowY, { width: 50 })
+            .text(exception.approver, 230, rowY, { width: 80 });
+          doc.fillColor(lapsed ? COLORS.critical : COLORS.dark)
+            .text(lapsed ? `${exception.until} (lapsed)` : exception.until, 315, rowY, { width: 70 });
+          doc.fillColor(COLORS.dark)
+            .text(exception.justification, 390, rowY, { width: 145 });
+
+          doc.y = rowY + Math.max(16, doc.heightOfString(exception.justification, { width: 145 }) + 4);
+        }
+      }
+
+      // ─── Decommissioned ───
+      if (archived.length > 0) {
+        if (doc.y > doc.page.height - 150) {
+          doc.addPage();
+          doc.y = 50;
+        }
+
+        doc.y += 15;
+        doc.roundedRect(50, doc.y, pageWidth, 28, 4).fill(COLORS.gray);
+        doc.fontSize(11).fillColor(COLORS.white).font('Helvetica-Bold')
+          .text('Decommissioned Secrets', 60, doc.y + 7);
+        doc.y += 35;
+
+        doc.fontSize(8).fillColor(COLORS.gray).font('Helvetica-Bold');
+        doc.text('Name', 60, doc.y, { width: 140 });
+        doc.text('Provider', 205, doc.y, { width: 70 });
+        doc.text('Decommissioned', 280, doc.y, { width: 80 });
+        doc.text('Reason', 365, doc.y, { width: 170 });
+        doc.y += 14;
+
+        for (const secret of archived) {
+          if (doc.y > doc.page.height - 80) {
+            doc.addPage();
+            doc.y = 50;
+          }
+
+          const rowY = doc.y;
+          const reason = secret.archiveReason || 'N/A';
+          doc.fontSize(9).fillColor(COLORS.dark).font('Helvetica-Bold')
+            .text(secret.name, 60, rowY, { width: 140 });
+          doc.font('Helvetica')
+            .text(secret.provider || 'N/A', 205, rowY, { width: 70 })
+            .text(secret.archivedAt, 280, rowY, { width: 80 })
+            .text(reason, 365, rowY, { width: 170 });
+
+          doc.y = rowY + Math.max(16, doc.heightOfString(reason, { width: 170 }) + 4);
+        }
+      }
+
       // ─── Footer on every page ───
-      const range = doc.bufferedPageRange();
-      for (let i = range.start; i < range.start + range.count; i++) {
-        doc.switchToPage(i);
-        const footerY = doc.page.height - 35;
+      drawFooters(doc, now);
+
+      doc.end();
+
+      stream.on('finish', () => resolve(outputPath));
+      stream.on('error', reject);
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+const CONTROL_COLORS = {
+  pass: COLORS.healthy,
+  fail: COLORS.critical,
+  not_applicable: COLORS.gray,
+  waived: COLORS.waived,
+};
+
+const CONTROL_LABELS = {
+  pass: 'PASS',
+  fail: 'FAIL',
+  not_applicable: 'N/A',
+  waived: 'WAIVED',
+};
+
+/**
+ * Generate a compliance PDF from evaluateCompliance() output: a control
+ * summary, then each control with its pass/fail result and evidence lines
+ * @param {object} compliance - Result of evaluateCompliance()
+ * @param {string} outputPath - Path to write the PDF
+ * @returns {Promise<string>} - Resolved path of the generated PDF
+ */
+export async function generateCompliancePDFReport(compliance, outputPath) {
+  const PDFDocument = await loadPDFKit();
+
+  return new Promise((resolve, reject) => {
+    try {
+      const now = formatNow();
+      const { framework, summary } = compliance;
+      const title = `${framework.name}${framework.version ? ` ${framework.version}` : ''} Compliance Report`;
+      const asOfLabel = compliance.asOf ? `  •  as of ${compliance.asOf}` : '';
+
+      const doc = new PDFDocument({
+        size: 'A4',
+        margins: { top: 50, bottom: 50, left: 50, right: 50 },
+        info: {
+          Title: title,
+          Author: 'mpx-secrets-audit',
+          Subject: `${framework.name} Compliance Report`,
+          Creator: `mpx-secrets-audit v${pkg.version}`,
+        },
+        bufferPages: true,
+      });
+
+      const stream = createWriteStream(outputPath);
+      doc.pipe(stream);
+
+      const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+      // ─── Header ───
+      drawHeader(doc, title, `mpx-secrets-audit v${pkg.version}  •  ${now}${asOfLabel}`);
+
+      // ─── Summary Box ───
+      const assessed = summary.passed + summary.failed;
+      const passRate = assessed > 0 ? Math.round((summary.passed / assessed) * 100) : 100;
+      const gradeColor = summary.failed === 0 ? COLORS.healthy : passRate >= 50 ? COLORS.warning : COLORS.critical;
+
+      doc.roundedRect(50, doc.y, pageWidth, 80, 6).fill(COLORS.sectionBg);
+      const summaryTop = doc.y + 12;
+
+      doc.circle(100, summaryTop + 28, 26).fill(gradeColor);
+      doc.fontSize(20).fillColor(COLORS.white).font('Helvetica-Bold')
+        .text(`${passRate}%`, 100 - 20, summaryTop + 16, { width: 40, align: 'center' });
+
+      doc.fontSize(14).fillColor(COLORS.dark).font('Helvetica-Bold')
+        .text(`${summary.controls} control${summary.controls === 1 ? '' : 's'} assessed`, 145, summaryTop + 5);
+      doc.fontSize(10).fillColor(COLORS.gray).font('Helvetica')
+        .text(`${summary.secrets} secret${summary.secrets === 1 ? '' : 's'} in scope`, 145, summaryTop + 25);
+
+      const countsX = 340;
+      const counts = [
+        { label: 'Passed', count: summary.passed, color: COLORS.healthy },
+        { label: 'Failed', count: summary.failed, color: COLORS.critical },
+        { label: 'N/A', count: summary.notApplicable, color: COLORS.gray },
+      ];
+      counts.forEach((c, i) => {
+        const cx = countsX + i * 55;
+        doc.fontSize(18).fillColor(c.color).font('Helvetica-Bold')
+          .text(String(c.count), cx, summaryTop + 5, { width: 50, align: 'center' });
         doc.fontSize(7).fillColor(COLORS.gray).font('Helvetica')
-          .text(
-            `Generated by mpx-secrets-audit v${pkg.version} on ${now}`,
-            50, footerY, { width: pageWidth, align: 'center' }
-          );
-        doc.text(
-          `Page ${i + 1} of ${range.count}`,
-          50, footerY + 12, { width: pageWidth, align: 'center' }
-        );
+          .text(c.label, cx, summaryTop + 28, { width: 50, align: 'center' });
+      });
+
+      doc.y = summaryTop + 68;
+
+      if (framework.description) {
+        doc.y += 8;
+        doc.fontSize(9).fillColor(COLORS.gray).font('Helvetica')
+          .text(framework.description, 50, doc.y, { width: pageWidth });
+        doc.y += doc.heightOfString(framework.description, { width: pageWidth }) + 4;
       }
 
+      // ─── Control Summary ───
+      doc.y += 10;
+      doc.roundedRect(50, doc.y, pageWidth, 28, 4).fill(COLORS.primary);
+      doc.fontSize(11).fillColor(COLORS.white).font('Helvetica-Bold')
+        .text('Control Summary', 60, doc.y + 7);
+      doc.y += 35;
+
+      doc.fontSize(8).fillColor(COLORS.gray).font('Helvetica-Bold');
+      doc.text('Result', 60, doc.y, { width: 50 });
+      doc.text('Control', 115, doc.y, { width: 60 });
+      doc.text('Requirement', 180, doc.y, { width: 250 });
+      doc.text('Secrets', 435, doc.y, { width: 100 });
+      doc.y += 14;
+
+      doc.moveTo(50, doc.y).lineTo(50 + pageWidth, doc.y)
+        .strokeColor(COLORS.lightGray).lineWidth(0.5).stroke();
+      doc.y += 6;
+
+      for (const control of compliance.controls) {
+        if (doc.y > doc.page.height - 100) {
+          doc.addPage();
+          doc.y = 50;
+        }
+
+        const rowY = doc.y;
+        const secrets = control.status === 'not_applicable' ? 'none in scope' : `${control.passed}/${control.checked} passing`;
+        doc.circle(67, rowY + 4, 4).fill(CONTROL_COLORS[control.status]);
+        doc.fontSize(9).fillColor(COLORS.dark).font('Helvetica')
+          .text(CONTROL_LABELS[control.status], 75, rowY, { width: 40 });
+        doc.font('Helvetica-Bold').text(control.id, 115, rowY, { width: 60 });
+        doc.font('Helvetica')
+          .text(control.title, 180, rowY, { width: 250 })
+          .text(secrets, 435, rowY, { width: 100 });
+
+        doc.y = rowY + Math.max(16, doc.heightOfString(control.title, { width: 250 }) + 4);
+      }
+
+      // ─── Controls & Evidence ───
+      for (const control of compliance.controls) {
+        if (doc.y > doc.page.height - 150) {
+          doc.addPage();
+          doc.y = 50;
+        }
+
+        doc.y += 15;
+        doc.roundedRect(50, doc.y, pageWidth, 28, 4).fill(CONTROL_COLORS[control.status]);
+        doc.fontSize(11).fillColor(COLORS.white).font('Helvetica-Bold')
+          .text(`${CONTROL_LABELS[control.status]} — ${control.id} ${control.title}`, 60, doc.y + 7, { width: pageWidth - 20, lineBreak: false, ellipsis: true });
+        doc.y += 35;
+
+        const about = [control.description, control.where && `Scope: ${control.where}`].filter(Boolean).join('  •  ');
+        if (about) {
+          doc.fontSize(9).fillColor(COLORS.dark).font('Helvetica')
+            .text(about, 60, doc.y, { width: pageWidth - 20 });
+          doc.y += doc.heightOfString(about, { width: pageWidth - 20 }) + 6;
+        }
+
+        if (control.evidence.length === 0) {
+          doc.fontSize(9).fillColor(COLORS.gray).font('Helvetica-Oblique')
+            .text('No secrets in scope.', 60, doc.y);
+          doc.y += 14;
+          continue;
+        }
+
+        for (const evidence of control.evidence) {
+          if (doc.y > doc.page.height - 90) {
+            doc.addPage();
+            doc.y = 50;
+          }
+
+          doc.circle(67, doc.y + 4, 4).fill(CONTROL_COLORS[evidence.result]);
+          doc.fontSize(9).fillColor(COLORS.dark).font('Helvetica-Bold')
+            .text(evidence.name, 80, doc.y, { width: pageWidth - 30 });
+          doc.y += 2;
+          doc.fontSize(8).fillColor(COLORS.gray).font('Helvetica')
+            .text(evidence.details, 80, doc.y, { width: pageWidth - 30 });
+          doc.y += 2;
+
+          const notes = [...evidence.reasons, evidence.waiver].filter(Boolean).join('; ');
+          if (notes) {
+            doc.fontSize(8).fillColor(CONTROL_COLORS[evidence.result]).font('Helvetica-Oblique')
+              .text(`Finding: ${notes}`, 80, doc.y, { width: pageWidth - 30 });
+            doc.y += 2;
+          }
+          doc.y += 6;
+        }
+      }
+
+      // ─── Footer on every page ───
+      drawFooters(doc, now);
+
       doc.end();
 
       stream.on('finish', () => resolve(outputPath));
@@ -305,20 +698,26 @@ export async function generatePDFReport(secrets, outputPath) {
 /**
  * Get rotation/remediation recommendation for a secret
  */
-function getRecommendation(secret) {
+function getRecommendation(secret, asOf) {
+  const { rotationPolicy, expiryWarningDays, expiryCriticalDays } = resolvePolicy(secret);
   switch (secret.status) {
     case 'expired':
       return `Immediately rotate this ${secret.type || 'secret'} from ${secret.provider || 'the provider'}. Expired secrets pose an active security risk.`;
     case 'critical':
-      if (secret.expiresAt && daysUntilExpiry(secret) < 7) {
+      if (secret.expiresAt && daysUntilExpiry(secret, asOf) < expiryCriticalDays) {
         return `This secret expires very soon. Schedule rotation now to avoid service disruption.`;
       }
-      return `This secret has exceeded its ${secret.rotationPolicy}-day rotation policy. Rotate as soon as possible.`;
+      if (secret.renewal) {
+        return `Automatic renewal was due ${renewalDue(secret)} and has not been recorded. Check the renewal job, then record the renewal with the rotate command.`;
+      }
+      return `This secret has exceeded its ${rotationPolicy}-day rotation policy. Rotate as soon as possible.`;
     case 'warning':
-      if (secret.expiresAt && daysUntilExpiry(secret) < 30) {
+      if (secret.expiresAt && daysUntilExpiry(secret, asOf) < expiryWarningDays) {
         return `Plan rotation before expiry date (${secret.expiresAt}). Consider setting up automated rotation.`;
       }
-      return `Approaching rotation deadline. Schedule rotation within the next ${Math.max(1, secret.rotationPolicy - (calculateAge(secret) || 0))} days.`;
+      return `Approaching rotation deadline. Schedule rotation within the next ${Math.max(1, rotationPolicy - (calculateAge(secret, asOf) || 0))} days.`;
+    case 'stale':
+      return `Unused for ${daysSinceUsed(secret, asOf)} days. Confirm nothing depends on it and revoke it at ${secret.provider || 'the provider'}; rotating an unused secret only extends its exposure.`;
     default:
       return 'No action required.';
   }
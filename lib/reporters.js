@@ -1,29 +1,122 @@
-import { calculateAge, daysUntilExpiry, getStatusEmoji, getStatusMessage } from './status.js';
+import { calculateAge, calculateStatus, daysUntilExpiry, getStatusEmoji, getStatusMessage, resolvePolicy, renewalDue, isAcknowledged, getActiveWaiver, getEvaluationDate, parseEvaluationDate } from './status.js';
+import { calculateRisk, rankByRisk } from './risk.js';
+
+const SEVERITY_ORDER = { expired: 0, stale: 1, critical: 2, warning: 3 };
+
+// Secrets listed in the "Top Risks" section of every report
+export const TOP_RISKS = 5;
+
+/**
+ * List the waivers (policy exceptions) of `secrets`, soonest expiry first,
+ * with whether each is still active or has lapsed as of `asOf`
+ *
+ * @returns {Array<{ name: string, provider: string, owner: string|null, scope: string, justification: string, approver: string, until: string, grantedBy: string, grantedAt: string, state: 'active'|'lapsed' }>}
+ */
+export function collectExceptions(secrets, asOf = getEvaluationDate()) {
+  return secrets
+    .filter(secret => secret.waiver)
+    .map(secret => ({
+      name: secret.name,
+      provider: secret.provider,
+      owner: secret.owner || null,
+      ...secret.waiver,
+      state: getActiveWaiver(secret, asOf) ? 'active' : 'lapsed'
+    }))
+    .sort((a, b) => a.until.localeCompare(b.until) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Group secrets that need attention by owner, most severe first.
+ * Secrets without an owner are collected under "Unassigned", listed last.
+ *
+ * @returns {Array<{ owner: string, secrets: Array }>}
+ */
+export function groupActionRequiredByOwner(secrets) {
+  const groups = new Map();
+
+  secrets
+    .filter(s => s.status in SEVERITY_ORDER)
+    .sort((a, b) => (SEVERITY_ORDER[a.status] ?? 9) - (SEVERITY_ORDER[b.status] ?? 9))
+    .forEach(secret => {
+      const owner = secret.owner || 'Unassigned';
+      if (!groups.has(owner)) {
+        groups.set(owner, []);
+      }
+      groups.get(owner).push(secret);
+    });
+
+  return [...groups.entries()]
+    .map(([owner, items]) => ({ owner, secrets: items }))
+    .sort((a, b) => {
+      if (a.owner === 'Unassigned') return 1;
+      if (b.owner === 'Unassigned') return -1;
+      return a.owner.localeCompare(b.owner);
+    });
+}
+
+/**
+ * Re-evaluate statuses and acknowledgements at `asOf` (or now)
+ */
+function evaluateAt(secrets, asOf) {
+  return secrets.map(secret => ({
+    ...secret,
+    status: asOf ? calculateStatus(secret, undefined, asOf) : secret.status,
+    acknowledged: isAcknowledged(secret, undefined, asOf)
+  }));
+}
+
+function formatAck(secret) {
+  return `until ${secret.ack.until} by ${secret.ack.by}: ${secret.ack.reason}`;
+}
+
+function formatAsOf(asOf) {
+  return parseEvaluationDate(asOf).toISOString().split('T')[0];
+}
 
 /**
  * Generate a text report
+ *
+ * @param {Array} secrets - Active secrets
+ * @param {object} [options] - { archived } decommissioned secrets to count in the summary, { asOf } evaluation date
  */
-export function generateTextReport(secrets) {
-  if (secrets.length === 0) {
+export function generateTextReport(secrets, { archived = [], asOf = getEvaluationDate() } = {}) {
+  secrets = evaluateAt(secrets, asOf);
+  if (secrets.length === 0 && archived.length === 0) {
     return 'No secrets tracked yet. Run "mpx-secrets-audit add" to start tracking.';
   }
 
   const lines = [];
   lines.push('Secrets Audit Report');
+  if (asOf) {
+    lines.push(`Evaluated as of ${formatAsOf(asOf)}`);
+  }
   lines.push('='.repeat(50));
   lines.push('');
 
   secrets.forEach(secret => {
     const emoji = getStatusEmoji(secret.status);
-    const age = calculateAge(secret);
-    const daysToExpiry = daysUntilExpiry(secret);
-    const message = getStatusMessage(secret);
+    const age = calculateAge(secret, asOf);
+    const daysToExpiry = daysUntilExpiry(secret, asOf);
+    const message = getStatusMessage(secret, undefined, asOf);
 
     lines.push(`${emoji} ${secret.name}`);
     lines.push(`   Provider: ${secret.provider}`);
     lines.push(`   Type: ${secret.type}`);
+    
+    if (secret.owner || secret.team) {
+      lines.push(`   Owner: ${secret.owner || 'Unassigned'}${secret.team ? ` (${secret.team})` : ''}`);
+    }
     lines.push(`   Status: ${secret.status.toUpperCase()} - ${message}`);
     
+    if (secret.acknowledged) {
+      lines.push(`   Acknowledged ${formatAck(secret)}`);
+    }
+    
+    if (secret.waiver) {
+      const lapsed = secret.status === 'waived' ? '' : ' (lapsed)';
+      lines.push(`   Waiver: ${secret.waiver.scope} until ${secret.waiver.until}, approved by ${secret.waiver.approver}${lapsed}`);
+    }
+    
     if (age !== null) {
       lines.push(`   Age: ${age} day${age === 1 ? '' : 's'}`);
     }
@@ -31,9 +124,16 @@ export function generateTextReport(secrets) {
     if (daysToExpiry !== null) {
       lines.push(`   Expires in: ${daysToExpiry} days`);
     }
-    
-    if (secret.rotationPolicy) {
-      lines.push(`   Rotation Policy: ${secret.rotationPolicy} days`);
+
+    if (secret.lastUsed) {
+      lines.push(`   Last used: ${secret.lastUsed}`);
+    }
+
+    const { rotationPolicy } = resolvePolicy(secret);
+    if (secret.renewal) {
+      lines.push(`   Renews: every ${secret.renewal.everyDays} days, next by ${renewalDue(secret)}`);
+    } else if (rotationPolicy) {
+      lines.push(`   Rotation Policy: ${rotationPolicy} days`);
     }
     
     if (secret.notes) {
@@ -49,7 +149,10 @@ export function generateTextReport(secrets) {
     healthy: secrets.filter(s => s.status === 'healthy').length,
     warning: secrets.filter(s => s.status === 'warning').length,
     critical: secrets.filter(s => s.status === 'critical').length,
-    expired: secrets.filter(s => s.status === 'expired').length
+    stale: secrets.filter(s => s.status === 'stale').length,
+    expired: secrets.filter(s => s.status === 'expired').length,
+    waived: secrets.filter(s => s.status === 'waived').length,
+    acknowledged: secrets.filter(s => s.acknowledged).length
   };
 
   lines.push('Summary');
@@ -58,40 +161,103 @@ export function generateTextReport(secrets) {
   lines.push(`🟢 Healthy: ${summary.healthy}`);
   lines.push(`🟡 Warning: ${summary.warning}`);
   lines.push(`🔴 Critical: ${summary.critical}`);
+  if (summary.stale > 0) {
+    lines.push(`💤 Stale: ${summary.stale}`);
+  }
   lines.push(`⛔ Expired: ${summary.expired}`);
+  if (summary.waived > 0) {
+    lines.push(`🔵 Waived: ${summary.waived}`);
+  }
+  if (summary.acknowledged > 0) {
+    lines.push(`🔕 Acknowledged: ${summary.acknowledged}`);
+  }
+  if (archived.length > 0) {
+    lines.push(`🗄️  Decommissioned: ${archived.length}`);
+  }
+
+  const topRisks = rankByRisk(secrets, { asOf, limit: TOP_RISKS });
+  if (topRisks.length > 0) {
+    lines.push('');
+    lines.push('Top Risks');
+    lines.push('-'.repeat(50));
+    topRisks.forEach((secret, i) => {
+      const drivers = secret.risk.drivers.length > 0 ? ` - ${secret.risk.drivers.join(', ')}` : '';
+      lines.push(`${i + 1}. ${secret.name} (${secret.provider}): ${secret.risk.score} ${secret.risk.level.toUpperCase()}${drivers}`);
+    });
+  }
+
+  // Action required, grouped by owner
+  const groups = groupActionRequiredByOwner(secrets);
+  if (groups.length > 0) {
+    lines.push('');
+    lines.push('Action Required');
+    lines.push('-'.repeat(50));
+
+    groups.forEach(group => {
+      lines.push(`${group.owner}:`);
+      group.secrets.forEach(secret => {
+        const ack = secret.acknowledged ? ` (acknowledged until ${secret.ack.until})` : '';
+        lines.push(`  ${getStatusEmoji(secret.status)} ${secret.name} - ${getStatusMessage(secret, undefined, asOf)}${ack}`);
+      });
+    });
+  }
 
   return lines.join('\n');
 }
 
 /**
  * Generate a JSON report
+ *
+ * @param {Array} secrets - Active secrets
+ * @param {object} [options] - { archived } decommissioned secrets to include, { asOf } evaluation date
  */
-export function generateJsonReport(secrets) {
+export function generateJsonReport(secrets, { archived = [], asOf = getEvaluationDate() } = {}) {
+  secrets = evaluateAt(secrets, asOf);
   const summary = {
     total: secrets.length,
     healthy: secrets.filter(s => s.status === 'healthy').length,
     warning: secrets.filter(s => s.status === 'warning').length,
     critical: secrets.filter(s => s.status === 'critical').length,
-    expired: secrets.filter(s => s.status === 'expired').length
+    stale: secrets.filter(s => s.status === 'stale').length,
+    expired: secrets.filter(s => s.status === 'expired').length,
+    waived: secrets.filter(s => s.status === 'waived').length,
+    acknowledged: secrets.filter(s => s.acknowledged).length,
+    decommissioned: archived.length
   };
 
   return JSON.stringify({
     generatedAt: new Date().toISOString(),
+    asOf: asOf ? formatAsOf(asOf) : null,
     summary,
     secrets: secrets.map(secret => ({
       ...secret,
-      age: calculateAge(secret),
-      daysUntilExpiry: daysUntilExpiry(secret),
-      statusMessage: getStatusMessage(secret)
-    }))
+      rotations: secret.rotations || [],
+      age: calculateAge(secret, asOf),
+      daysUntilExpiry: daysUntilExpiry(secret, asOf),
+      statusMessage: getStatusMessage(secret, undefined, asOf),
+      risk: calculateRisk(secret, { asOf })
+    })),
+    topRisks: rankByRisk(secrets, { asOf, limit: TOP_RISKS }).map(secret => ({
+      name: secret.name,
+      provider: secret.provider,
+      owner: secret.owner || null,
+      status: secret.status,
+      ...secret.risk
+    })),
+    exceptions: collectExceptions(secrets, asOf),
+    decommissioned: archived
   }, null, 2);
 }
 
 /**
  * Generate a Markdown report
+ *
+ * @param {Array} secrets - Active secrets
+ * @param {object} [options] - { archived } decommissioned secrets to list, { asOf } evaluation date
  */
-export function generateMarkdownReport(secrets) {
-  if (secrets.length === 0) {
+export function generateMarkdownReport(secrets, { archived = [], asOf = getEvaluationDate() } = {}) {
+  secrets = evaluateAt(secrets, asOf);
+  if (secrets.length === 0 && archived.length === 0) {
     return '# Secrets Audit Report\n\nNo secrets tracked yet.';
   }
 
@@ -99,6 +265,10 @@ export function generateMarkdownReport(secrets) {
   lines.push('# Secrets Audit Report');
   lines.push('');
   lines.push(`Generated: ${new Date().toLocaleString()}`);
+  if (asOf) {
+    lines.push('');
+    lines.push(`Evaluated as of ${formatAsOf(asOf)}`);
+  }
   lines.push('');
 
   // Summary
@@ -107,7 +277,10 @@ export function generateMarkdownReport(secrets) {
     healthy: secrets.filter(s => s.status === 'healthy').length,
     warning: secrets.filter(s => s.status === 'warning').length,
     critical: secrets.filter(s => s.status === 'critical').length,
-    expired: secrets.filter(s => s.status === 'expired').length
+    stale: secrets.filter(s => s.status === 'stale').length,
+    expired: secrets.filter(s => s.status === 'expired').length,
+    waived: secrets.filter(s => s.status === 'waived').length,
+    acknowledged: secrets.filter(s => s.acknowledged).length
   };
 
   lines.push('## Summary');
@@ -116,55 +289,414 @@ export function generateMarkdownReport(secrets) {
   lines.push(`- 🟢 **Healthy**: ${summary.healthy}`);
   lines.push(`- 🟡 **Warning**: ${summary.warning}`);
   lines.push(`- 🔴 **Critical**: ${summary.critical}`);
+  if (summary.stale > 0) {
+    lines.push(`- 💤 **Stale**: ${summary.stale}`);
+  }
   lines.push(`- ⛔ **Expired**: ${summary.expired}`);
+  if (summary.waived > 0) {
+    lines.push(`- 🔵 **Waived**: ${summary.waived}`);
+  }
+  if (summary.acknowledged > 0) {
+    lines.push(`- 🔕 **Acknowledged**: ${summary.acknowledged}`);
+  }
+  if (archived.length > 0) {
+    lines.push(`- 🗄️ **Decommissioned**: ${archived.length}`);
+  }
   lines.push('');
 
+  const topRisks = rankByRisk(secrets, { asOf, limit: TOP_RISKS });
+  if (topRisks.length > 0) {
+    lines.push('## Top Risks');
+    lines.push('');
+    lines.push('| # | Risk | Name | Provider | Owner | Status | Drivers |');
+    lines.push('|---|------|------|----------|-------|--------|---------|');
+
+    topRisks.forEach((secret, i) => {
+      lines.push(
+        `| ${i + 1} | ${secret.risk.score} ${secret.risk.level} | ${secret.name} | ${secret.provider} | ${secret.owner || 'N/A'} | ${getStatusEmoji(secret.status)} ${secret.status} | ${secret.risk.drivers.join(', ') || 'N/A'} |`
+      );
+    });
+
+    lines.push('');
+  }
+
   // Secrets table
   lines.push('## Secrets');
   lines.push('');
-  lines.push('| Status | Name | Provider | Age (days) | Expiry | Rotation Policy |');
-  lines.push('|--------|------|----------|------------|--------|-----------------|');
+  lines.push('| Status | Name | Provider | Owner | Age (days) | Expiry | Rotation Policy |');
+  lines.push('|--------|------|----------|-------|------------|--------|-----------------|');
 
   secrets.forEach(secret => {
     const emoji = getStatusEmoji(secret.status);
-    const age = calculateAge(secret) || 'N/A';
-    const expiry = daysUntilExpiry(secret);
+    const age = calculateAge(secret, asOf) || 'N/A';
+    const expiry = daysUntilExpiry(secret, asOf);
     const expiryStr = expiry !== null ? `${expiry} days` : 'N/A';
-    const rotation = secret.rotationPolicy ? `${secret.rotationPolicy} days` : 'N/A';
+    const { rotationPolicy } = resolvePolicy(secret);
+    const rotation = secret.renewal ? `renews every ${secret.renewal.everyDays} days` : rotationPolicy ? `${rotationPolicy} days` : 'N/A';
 
     lines.push(
-      `| ${emoji} ${secret.status} | ${secret.name} | ${secret.provider} | ${age} | ${expiryStr} | ${rotation} |`
+      `| ${emoji} ${secret.status} | ${secret.name} | ${secret.provider} | ${secret.owner || 'N/A'} | ${age} | ${expiryStr} | ${rotation} |`
     );
   });
 
   lines.push('');
 
   // Details
-  if (summary.warning > 0 || summary.critical > 0 || summary.expired > 0) {
+  if (summary.warning > 0 || summary.critical > 0 || summary.stale > 0 || summary.expired > 0) {
     lines.push('## Action Required');
     lines.push('');
 
-    const actionRequired = secrets.filter(
-      s => s.status !== 'healthy'
-    );
+    groupActionRequiredByOwner(secrets).forEach(group => {
+      lines.push(`### Owner: ${group.owner}`);
+      lines.push('');
 
-    actionRequired.forEach(secret => {
-      const emoji = getStatusEmoji(secret.status);
-      const message = getStatusMessage(secret);
+      group.secrets.forEach(secret => {
+        const emoji = getStatusEmoji(secret.status);
+        const message = getStatusMessage(secret, undefined, asOf);
 
-      lines.push(`### ${emoji} ${secret.name}`);
-      lines.push('');
-      lines.push(`- **Status**: ${secret.status.toUpperCase()}`);
-      lines.push(`- **Message**: ${message}`);
-      lines.push(`- **Provider**: ${secret.provider}`);
-      
-      if (secret.notes) {
-        lines.push(`- **Notes**: ${secret.notes}`);
-      }
-      
-      lines.push('');
+        lines.push(`#### ${emoji} ${secret.name}`);
+        lines.push('');
+        lines.push(`- **Status**: ${secret.status.toUpperCase()}`);
+        lines.push(`- **Message**: ${message}`);
+        if (secret.acknowledged) {
+          lines.push(`- **Acknowledged**: ${formatAck(secret)}`);
+        }
+        lines.push(`- **Provider**: ${secret.provider}`);
+
+        if (secret.team) {
+          lines.push(`- **Team**: ${secret.team}`);
+        }
+
+        if (secret.notes) {
+          lines.push(`- **Notes**: ${secret.notes}`);
+        }
+
+        lines.push('');
+      });
     });
   }
 
+  // Formal policy exceptions, including lapsed ones that need renewing or revoking
+  const exceptions = collectExceptions(secrets, asOf);
+  if (exceptions.length > 0) {
+    lines.push('## Exceptions');
+    lines.push('');
+    lines.push('| Name | Provider | Scope | Justification | Approver | Expires | State |');
+    lines.push('|------|----------|-------|---------------|----------|---------|-------|');
+
+    exceptions.forEach(e => {
+      lines.push(
+        `| ${e.name} | ${e.provider} | ${e.scope} | ${e.justification} | ${e.approver} | ${e.until} | ${e.state === 'active' ? 'Active' : '⚠️ Lapsed'} |`
+      );
+    });
+
+    lines.push('');
+  }
+
+  // Decommissioned secrets stay visible for auditors
+  if (archived.length > 0) {
+    lines.push('## Decommissioned');
+    lines.push('');
+    lines.push('| Name | Provider | Owner | Decommissioned | By | Reason |');
+    lines.push('|------|----------|-------|----------------|----|--------|');
+
+    archived.forEach(secret => {
+      lines.push(
+        `| ${secret.name} | ${secret.provider} | ${secret.owner || 'N/A'} | ${secret.archivedAt} | ${secret.archivedBy || 'N/A'} | ${secret.archiveReason || 'N/A'} |`
+      );
+    });
+
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+const FORECAST_LABELS = {
+  warning: 'turns warning',
+  critical: 'turns critical',
+  stale: 'turns stale',
+  expired: 'expires',
+  rotation_due: 'rotation due',
+  waiver_lapses: 'waiver lapses',
+  healthy: 'turns healthy'
+};
+
+const FORECAST_EMOJI = { rotation_due: '🔄', waiver_lapses: '⏳' };
+
+function forecastEmoji(event) {
+  return FORECAST_EMOJI[event.event] || getStatusEmoji(event.event);
+}
+
+function forecastNow({ healthy, warning, critical, stale, expired, waived }) {
+  return `🟢 ${healthy} healthy, 🟡 ${warning} warning, 🔴 ${critical} critical, ${stale ? `💤 ${stale} stale, ` : ''}⛔ ${expired} expired${waived ? `, 🔵 ${waived} waived` : ''}`;
+}
+
+function forecastPeriodTitle(period, by) {
+  if (by === 'day') {
+    return period.start;
+  }
+  return period.start === period.end ? `Week of ${period.start}` : `Week of ${period.start} – ${period.end}`;
+}
+
+/**
+ * Generate a text timeline from forecastSecrets() output
+ */
+export function generateForecastTextReport(forecast) {
+  const lines = [];
+  lines.push(`Secrets Forecast: ${forecast.from} → ${forecast.to} (${forecast.days} days)`);
+  lines.push('='.repeat(50));
+  lines.push(`Now: ${forecastNow(forecast.current)}`);
+  lines.push('');
+
+  if (forecast.events.length === 0) {
+    lines.push(`No status changes or rotations due in the next ${forecast.days} days.`);
+    return lines.join('\n');
+  }
+
+  forecast.periods.forEach(period => {
+    lines.push(forecastPeriodTitle(period, forecast.by));
+    period.events.forEach(event => {
+      const date = forecast.by === 'week' ? `${event.date}  ` : '';
+      const owner = event.owner ? ` [${event.owner}]` : '';
+      lines.push(`  ${date}${forecastEmoji(event)} ${event.name}${owner} ${FORECAST_LABELS[event.event]} - ${event.message}`);
+    });
+    lines.push('');
+  });
+
+  lines.push('Summary');
+  lines.push('-'.repeat(50));
+  lines.push(`🟡 Turning warning: ${forecast.summary.warning}`);
+  lines.push(`🔴 Turning critical: ${forecast.summary.critical}`);
+  if (forecast.summary.stale > 0) {
+    lines.push(`💤 Turning stale: ${forecast.summary.stale}`);
+  }
+  lines.push(`⛔ Expiring: ${forecast.summary.expired}`);
+  lines.push(`🔄 Rotations due: ${forecast.summary.rotationsDue}`);
+  if (forecast.summary.waiversLapsing > 0) {
+    lines.push(`⏳ Waivers lapsing: ${forecast.summary.waiversLapsing}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Generate a JSON forecast report
+ */
+export function generateForecastJsonReport(forecast) {
+  return JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    ...forecast
+  }, null, 2);
+}
+
+/**
+ * Generate a Markdown forecast report, one table per day or week
+ */
+export function generateForecastMarkdownReport(forecast) {
+  const lines = [];
+  lines.push('# Secrets Forecast');
+  lines.push('');
+  lines.push(`${forecast.from} → ${forecast.to} (${forecast.days} days)`);
+  lines.push('');
+
+  lines.push('## Summary');
+  lines.push('');
+  lines.push(`- **Now**: ${forecastNow(forecast.current)}`);
+  lines.push(`- 🟡 **Turning warning**: ${forecast.summary.warning}`);
+  lines.push(`- 🔴 **Turning critical**: ${forecast.summary.critical}`);
+  if (forecast.summary.stale > 0) {
+    lines.push(`- 💤 **Turning stale**: ${forecast.summary.stale}`);
+  }
+  lines.push(`- ⛔ **Expiring**: ${forecast.summary.expired}`);
+  lines.push(`- 🔄 **Rotations due**: ${forecast.summary.rotationsDue}`);
+  if (forecast.summary.waiversLapsing > 0) {
+    lines.push(`- ⏳ **Waivers lapsing**: ${forecast.summary.waiversLapsing}`);
+  }
+  lines.push('');
+
+  if (forecast.events.length === 0) {
+    lines.push(`No status changes or rotations due in the next ${forecast.days} days.`);
+    return lines.join('\n');
+  }
+
+  lines.push('## Timeline');
+  lines.push('');
+
+  forecast.periods.forEach(period => {
+    lines.push(`### ${forecastPeriodTitle(period, forecast.by)}`);
+    lines.push('');
+    lines.push('| Date | Secret | Owner | Event | Details |');
+    lines.push('|------|--------|-------|-------|---------|');
+    period.events.forEach(event => {
+      lines.push(
+        `| ${event.date} | ${event.name} | ${event.owner || 'N/A'} | ${forecastEmoji(event)} ${FORECAST_LABELS[event.event]} | ${event.message} |`
+      );
+    });
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+const LINT_EMOJI = { error: '❌', warning: '⚠️', note: 'ℹ️' };
+
+/**
+ * Generate a text report from lintSecrets() output, violations grouped by rule
+ */
+export function generateLintTextReport(lint) {
+  const lines = [];
+  lines.push('Secrets Lint Report');
+  lines.push('='.repeat(50));
+
+  if (lint.rules.length === 0) {
+    lines.push('No lint rules configured. Add rules under "policy.lint" in the config.');
+    return lines.join('\n');
+  }
+
+  lines.push(`${lint.summary.rules} rules checked against ${lint.summary.secrets} secrets`);
+  lines.push('');
+
+  lint.rules.forEach(rule => {
+    const scope = rule.where ? ` (where ${rule.where})` : '';
+    if (rule.violations === 0) {
+      lines.push(`✓ ${rule.id}: ${rule.description}${scope}`);
+      return;
+    }
+    lines.push(`${LINT_EMOJI[rule.severity]} ${rule.id}: ${rule.description}${scope} - ${rule.violations} of ${rule.checked} failing`);
+    lint.violations
+      .filter(v => v.ruleId === rule.id)
+      .forEach(v => lines.push(`    • ${v.name}${v.owner ? ` [${v.owner}]` : ''}: ${v.message}`));
+  });
+  lines.push('');
+
+  lines.push('Summary');
+  lines.push('-'.repeat(50));
+  lines.push(`❌ Errors: ${lint.summary.error}`);
+  lines.push(`⚠️ Warnings: ${lint.summary.warning}`);
+  lines.push(`ℹ️ Notes: ${lint.summary.note}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Generate a JSON report from lintSecrets() output
+ */
+export function generateLintJsonReport(lint) {
+  return JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    ...lint
+  }, null, 2);
+}
+
+const CONTROL_EMOJI = { pass: '✅', fail: '❌', not_applicable: '➖' };
+const CONTROL_LABELS = { pass: '✅ Pass', fail: '❌ Fail', not_applicable: '➖ Not applicable' };
+const EVIDENCE_EMOJI = { pass: '✅', fail: '❌', waived: '🔵' };
+
+function complianceTitle(compliance) {
+  const { name, version } = compliance.framework;
+  return `${name}${version ? ` ${version}` : ''} Compliance Report`;
+}
+
+function controlResult(control) {
+  if (control.status === 'not_applicable') {
+    return 'no secrets in scope';
+  }
+  const waived = control.waived > 0 ? `, ${control.waived} waived` : '';
+  return `${control.passed} of ${control.checked} passing${waived}`;
+}
+
+function evidenceLine(evidence) {
+  const notes = [...evidence.reasons, evidence.waiver].filter(Boolean);
+  return `${EVIDENCE_EMOJI[evidence.result]} ${evidence.name}: ${evidence.details}${notes.length > 0 ? ` → ${notes.join('; ')}` : ''}`;
+}
+
+/**
+ * Generate a text report from evaluateCompliance() output, with the evidence for every control
+ */
+export function generateComplianceTextReport(compliance) {
+  const lines = [];
+  lines.push(complianceTitle(compliance));
+  if (compliance.asOf) {
+    lines.push(`Evaluated as of ${compliance.asOf}`);
+  }
+  lines.push('='.repeat(50));
+  const { summary } = compliance;
+  lines.push(`${summary.controls} controls, ${summary.secrets} secrets assessed: ${summary.passed} passed, ${summary.failed} failed, ${summary.notApplicable} not applicable`);
+  lines.push('');
+
+  compliance.controls.forEach(control => {
+    lines.push(`${CONTROL_EMOJI[control.status]} ${control.id} ${control.title} (${controlResult(control)})`);
+    control.evidence.forEach(evidence => lines.push(`    ${evidenceLine(evidence)}`));
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Generate a JSON report from evaluateCompliance() output
+ */
+export function generateComplianceJsonReport(compliance) {
+  return JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    ...compliance
+  }, null, 2);
+}
+
+/**
+ * Generate a Markdown report from evaluateCompliance() output: a control
+ * summary table, then each control with its evidence lines
+ */
+export function generateComplianceMarkdownReport(compliance) {
+  const lines = [];
+  lines.push(`# ${complianceTitle(compliance)}`);
+  lines.push('');
+  lines.push(`Generated: ${new Date().toLocaleString()}`);
+  if (compliance.asOf) {
+    lines.push('');
+    lines.push(`Evaluated as of ${compliance.asOf}`);
+  }
+  if (compliance.framework.description) {
+    lines.push('');
+    lines.push(compliance.framework.description);
+  }
+  lines.push('');
+
+  const { summary } = compliance;
+  lines.push('## Summary');
+  lines.push('');
+  lines.push(`- **Controls**: ${summary.controls}`);
+  lines.push(`- ✅ **Passed**: ${summary.passed}`);
+  lines.push(`- ❌ **Failed**: ${summary.failed}`);
+  lines.push(`- ➖ **Not applicable**: ${summary.notApplicable}`);
+  lines.push(`- **Secrets assessed**: ${summary.secrets}`);
+  lines.push('');
+
+  lines.push('| Control | Requirement | Result | Secrets |');
+  lines.push('|---------|-------------|--------|---------|');
+  compliance.controls.forEach(control => {
+    lines.push(`| ${control.id} | ${control.title} | ${CONTROL_LABELS[control.status]} | ${controlResult(control)} |`);
+  });
+  lines.push('');
+
+  lines.push('## Controls');
+  lines.push('');
+  compliance.controls.forEach(control => {
+    lines.push(`### ${control.id} — ${control.title}`);
+    lines.push('');
+    if (control.description) {
+      lines.push(control.description);
+      lines.push('');
+    }
+    lines.push(`**Result:** ${CONTROL_LABELS[control.status]} (${controlResult(control)})${control.where ? ` — scope: \`${control.where}\`` : ''}`);
+    lines.push('');
+    if (control.evidence.length > 0) {
+      lines.push('Evidence:');
+      lines.push('');
+      control.evidence.forEach(evidence => lines.push(`- ${evidenceLine(evidence)}`));
+      lines.push('');
+    }
+  });
+
   return lines.join('\n');
 }
@@ -0,0 +1,175 @@
+/**
+ * Risk Scoring
+ *
+ * Scores every secret from 0 to 100 so a prod admin key that is overdue
+ * ranks above a read-only dev token in the same status bucket. The score is a
+ * weighted average of five factors, each between 0 and 1: how overdue the
+ * secret is, its privilege level, its environment, how widely it is exposed,
+ * and how long it has gone unused. Weights and environment values can be set
+ * under `policy.risk` in the config.
+ */
+
+import { calculateAge, daysUntilExpiry, daysSinceUsed, isRenewalMissed, resolvePolicy, getStatusPolicy, getEvaluationDate } from './status.js';
+
+export const PRIVILEGE_LEVELS = ['read', 'write', 'admin'];
+export const EXPOSURE_LEVELS = ['private', 'shared', 'ci', 'public'];
+export const RISK_FACTORS = ['overdue', 'privilege', 'environment', 'exposure', 'usage'];
+
+export const DEFAULT_RISK_WEIGHTS = {
+  overdue: 40,
+  privilege: 20,
+  environment: 15,
+  exposure: 15,
+  usage: 10
+};
+
+// Environment name (lowercase) → factor; names not listed score UNKNOWN
+export const DEFAULT_ENVIRONMENT_RISK = {
+  prod: 1, production: 1, prd: 1, live: 1,
+  staging: 0.6, stage: 0.6, stg: 0.6, uat: 0.6, preprod: 0.6,
+  dev: 0.2, development: 0.2, test: 0.2, qa: 0.2, sandbox: 0.2, local: 0.2
+};
+
+const PRIVILEGE_RISK = { read: 0.2, write: 0.6, admin: 1 };
+const EXPOSURE_RISK = { private: 0.1, shared: 0.5, ci: 0.8, public: 1 };
+
+// Unset privilege, exposure, environment or usage counts as medium
+const UNKNOWN = 0.5;
+
+// Unused for this many days or more scores the maximum usage factor
+const STALE_AFTER_DAYS = 180;
+
+const LEVELS = [[75, 'critical'], [50, 'high'], [25, 'medium'], [0, 'low']];
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+/**
+ * How far past (or close to) its rotation and expiry dates a secret is
+ */
+function overdueFactor(secret, policy, asOf) {
+  const { rotationPolicy, expiryWarningDays } = resolvePolicy(secret, policy);
+  let rotation = 0;
+  let expiry = 0;
+  let reason = null;
+
+  // 0.5 when rotation is due, 1 at twice the policy
+  const age = calculateAge(secret, asOf);
+  if (rotationPolicy && secret.lastRotated && age !== null) {
+    rotation = clamp(age / rotationPolicy / 2);
+  }
+
+  // 0.5 at the warning threshold, 1 once expired. A self-renewing secret
+  // is replaced before it expires while its renewals are on schedule.
+  const days = daysUntilExpiry(secret, asOf);
+  if (days !== null && !(secret.renewal && !isRenewalMissed(secret, asOf))) {
+    expiry = days <= 0 ? 1 : clamp(1 - days / (2 * expiryWarningDays));
+  }
+
+  if (expiry >= rotation && expiry > 0) {
+    reason = days <= 0 ? 'expired' : `expires in ${plural(days, 'day')}`;
+  } else if (rotation > 0) {
+    reason = age > rotationPolicy ? `${plural(age - rotationPolicy, 'day')} past rotation policy` : 'rotation due soon';
+  }
+
+  return { value: Math.max(rotation, expiry), reason };
+}
+
+/**
+ * How long since the secret was last used; never-recorded usage is unknown
+ */
+function usageFactor(secret, asOf) {
+  if (!secret.lastUsed) {
+    return { value: UNKNOWN, reason: null };
+  }
+  const days = daysSinceUsed(secret, asOf);
+  return { value: clamp(days / STALE_AFTER_DAYS), reason: `unused for ${plural(days, 'day')}` };
+}
+
+/**
+ * Resolve the risk weights and environment values in effect
+ *
+ * @param {object} [policy] - Config policy, defaults to the active one
+ * @returns {{ weights: object, environments: object }}
+ */
+export function resolveRiskPolicy(policy = getStatusPolicy()) {
+  const environments = { ...DEFAULT_ENVIRONMENT_RISK };
+  for (const [name, value] of Object.entries(policy.risk?.environments || {})) {
+    environments[name.toLowerCase()] = value;
+  }
+  return {
+    weights: { ...DEFAULT_RISK_WEIGHTS, ...policy.risk?.weights },
+    environments
+  };
+}
+
+/**
+ * Score how risky a secret is.
+ *
+ * @param {object} secret - Secret to score
+ * @param {object} [options] - { policy } config policy (defaults to the active one),
+ *   { asOf } evaluation date (defaults to the active one, else now)
+ * @returns {{ score: number, level: 'low'|'medium'|'high'|'critical', factors: object, drivers: string[] }}
+ */
+export function calculateRisk(secret, { policy = getStatusPolicy(), asOf = getEvaluationDate() } = {}) {
+  const { weights, environments } = resolveRiskPolicy(policy);
+  const environment = String(secret.environment || '').toLowerCase();
+
+  const overdue = overdueFactor(secret, policy, asOf);
+  const usage = usageFactor(secret, asOf);
+  const factors = {
+    overdue: overdue.value,
+    privilege: PRIVILEGE_RISK[secret.privilege] ?? UNKNOWN,
+    environment: environment ? environments[environment] ?? UNKNOWN : UNKNOWN,
+    exposure: EXPOSURE_RISK[secret.exposure] ?? UNKNOWN,
+    usage: usage.value
+  };
+  const reasons = {
+    overdue: overdue.reason,
+    privilege: secret.privilege && `${secret.privilege} privilege`,
+    environment: secret.environment && `${secret.environment} environment`,
+    exposure: secret.exposure && `${secret.exposure} exposure`,
+    usage: usage.reason
+  };
+
+  const totalWeight = RISK_FACTORS.reduce((sum, f) => sum + weights[f], 0);
+  const score = totalWeight > 0
+    ? Math.round(100 * RISK_FACTORS.reduce((sum, f) => sum + weights[f] * factors[f], 0) / totalWeight)
+    : 0;
+
+  // What pushes the score up the most, for reports
+  const drivers = RISK_FACTORS
+    .filter(f => weights[f] > 0 && factors[f] > UNKNOWN && reasons[f])
+    .sort((a, b) => weights[b] * factors[b] - weights[a] * factors[a])
+    .map(f => reasons[f]);
+
+  for (const f of RISK_FACTORS) {
+    factors[f] = Math.round(factors[f] * 100) / 100;
+  }
+
+  return {
+    score,
+    level: LEVELS.find(([min]) => score >= min)[1],
+    factors,
+    drivers
+  };
+}
+
+/**
+ * Score `secrets` and sort them riskiest first (ties by name). Each returned
+ * secret is a copy carrying its `risk`.
+ *
+ * @param {Array} secrets - Secrets to rank
+ * @param {object} [options] - Same options as calculateRisk(), plus { limit } to keep the top N
+ */
+export function rankByRisk(secrets, { limit, ...options } = {}) {
+  const ranked = secrets
+    .map(secret => ({ ...secret, risk: calculateRisk(secret, options) }))
+    .sort((a, b) => b.risk.score - a.risk.score || a.name.localeCompare(b.name));
+  return limit ? ranked.slice(0, limit) : ranked;
+}
@@ -1,104 +1,477 @@
 /**
- * AWS IAM Access Key Scanner
- * Requires @aws-sdk/client-iam (optional dependency)
+ * AWS Scanner
+ * Discovers IAM access keys, Secrets Manager secrets and SSM Parameter Store
+ * SecureString parameters. Each source needs its AWS SDK client (optional
+ * dependencies, see AWS_SOURCES), plus @aws-sdk/client-sts to scan other
+ * accounts through cross-account roles.
  */
 
-let IAMClient, ListAccessKeysCommand, GetAccessKeyLastUsedCommand;
+let IAMClient, GetAccessKeyLastUsedCommand, paginateListUsers, paginateListAccessKeys;
+let SecretsManagerClient, paginateListSecrets;
+let SSMClient, paginateDescribeParameters;
+let STSClient, AssumeRoleCommand;
 
 try {
   const awsSdk = await import('@aws-sdk/client-iam');
   IAMClient = awsSdk.IAMClient;
-  ListAccessKeysCommand = awsSdk.ListAccessKeysCommand;
   GetAccessKeyLastUsedCommand = awsSdk.GetAccessKeyLastUsedCommand;
+  paginateListUsers = awsSdk.paginateListUsers;
+  paginateListAccessKeys = awsSdk.paginateListAccessKeys;
 } catch (error) {
   // AWS SDK not installed - graceful degradation
 }
 
+try {
+  const secretsManagerSdk = await import('@aws-sdk/client-secrets-manager');
+  SecretsManagerClient = secretsManagerSdk.SecretsManagerClient;
+  paginateListSecrets = secretsManagerSdk.paginateListSecrets;
+} catch (error) {
+  // Only needed for --source secretsmanager
+}
+
+try {
+  const ssmSdk = await import('@aws-sdk/client-ssm');
+  SSMClient = ssmSdk.SSMClient;
+  paginateDescribeParameters = ssmSdk.paginateDescribeParameters;
+} catch (error) {
+  // Only needed for --source ssm
+}
+
+try {
+  const stsSdk = await import('@aws-sdk/client-sts');
+  STSClient = stsSdk.STSClient;
+  AssumeRoleCommand = stsSdk.AssumeRoleCommand;
+} catch (error) {
+  // Only needed to assume cross-account roles
+}
+
+/**
+ * Sources the scanner can read, with the SDK package each one needs
+ */
+export const AWS_SOURCES = {
+  iam: '@aws-sdk/client-iam',
+  secretsmanager: '@aws-sdk/client-secrets-manager',
+  ssm: '@aws-sdk/client-ssm'
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// IAM is a global service; its API lives in us-east-1
+const DEFAULT_REGION = 'us-east-1';
+
 /**
- * Check if AWS scanning is available
+ * Check if scanning a source (default: IAM access keys) is available
  */
-export function isAvailable() {
-  return !!IAMClient;
+export function isAvailable(source = 'iam') {
+  return !!{ iam: IAMClient, secretsmanager: SecretsManagerClient, ssm: SSMClient }[source];
+}
+
+function isoDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function day(date) {
+  return date ? isoDate(date) : null;
+}
+
+function age(date) {
+  return date ? Math.ceil((new Date() - date) / DAY_MS) : null;
+}
+
+/**
+ * SDK client options for one account. Regional services fall back to the
+ * SDK's own region resolution when no region is given.
+ */
+function clientConfig({ endpoint, region, credentials }, defaultRegion) {
+  return {
+    ...(region || defaultRegion ? { region: region || defaultRegion } : {}),
+    ...(endpoint ? { endpoint } : {}),
+    ...(credentials ? { credentials } : {})
+  };
+}
+
+function globalRegion() {
+  return process.env.AWS_REGION || DEFAULT_REGION;
 }
 
 /**
- * Scan AWS IAM for access keys
+ * Temporary credentials for a cross-account role
  */
-export async function scanAwsKeys() {
-  if (!isAvailable()) {
-    throw new Error(
-      'AWS SDK not installed. Install with: npm install @aws-sdk/client-iam'
-    );
+async function assumeRole(roleArn, connection) {
+  if (!STSClient) {
+    throw new Error('Assuming roles requires the AWS STS SDK. Install with: npm install @aws-sdk/client-sts');
   }
 
+  const client = new STSClient(clientConfig(connection, globalRegion()));
+  const { Credentials } = await client.send(new AssumeRoleCommand({
+    RoleArn: roleArn,
+    RoleSessionName: 'mpx-secrets-audit'
+  }));
+
+  return {
+    accessKeyId: Credentials.AccessKeyId,
+    secretAccessKey: Credentials.SecretAccessKey,
+    sessionToken: Credentials.SessionToken
+  };
+}
+
+function scanFailure(error) {
+  if (error.name === 'CredentialsProviderError' || error.name === 'ProviderError') {
+    return 'AWS credentials not configured. Set up ~/.aws/credentials or environment variables.';
+  }
+  return error.message;
+}
+
+/**
+ * Run `scanAccount` in the caller's account, then in each account reached by
+ * assuming one of `roles`. The caller's account must scan; a role that can't
+ * be assumed or scanned is reported in `errors` without stopping the others.
+ * `seen` lets each scan skip resources already listed, e.g. when the caller's
+ * account is also reached through a role.
+ */
+async function scanAccounts({ roles = [], endpoint, region }, scanAccount) {
+  const connection = { endpoint, region };
+  const seen = new Set();
+
+  let items;
   try {
-    const client = new IAMClient({});
-    const command = new ListAccessKeysCommand({});
-    const response = await client.send(command);
-
-    const keys = [];
-
-    for (const accessKey of response.AccessKeyMetadata || []) {
-      try {
-        // Get last used info
-        const lastUsedCommand = new GetAccessKeyLastUsedCommand({
-          AccessKeyId: accessKey.AccessKeyId
-        });
-        const lastUsedResponse = await client.send(lastUsedCommand);
-
-        const keyInfo = {
-          name: `aws-key-${accessKey.AccessKeyId.slice(-4)}`,
-          provider: 'aws',
-          type: 'access_key',
-          keyId: accessKey.AccessKeyId.slice(-4), // Last 4 chars only
-          status: accessKey.Status,
-          createdAt: accessKey.CreateDate.toISOString().split('T')[0],
-          lastUsed: lastUsedResponse.AccessKeyLastUsed?.LastUsedDate
-            ? lastUsedResponse.AccessKeyLastUsed.LastUsedDate.toISOString().split('T')[0]
-            : 'Never',
-          age: Math.ceil((new Date() - accessKey.CreateDate) / (1000 * 60 * 60 * 24))
-        };
-
-        keys.push(keyInfo);
-      } catch (error) {
-        // Collect partial failures - don't crash the whole scan
-        keys.push({
-          name: `aws-key-${accessKey.AccessKeyId.slice(-4)}`,
-          provider: 'aws',
-          type: 'access_key',
-          keyId: accessKey.AccessKeyId.slice(-4),
-          status: accessKey.Status || 'Unknown',
-          createdAt: accessKey.CreateDate ? accessKey.CreateDate.toISOString().split('T')[0] : 'Unknown',
-          lastUsed: 'Unknown',
-          age: accessKey.CreateDate ? Math.ceil((new Date() - accessKey.CreateDate) / (1000 * 60 * 60 * 24)) : null,
-          scanError: error.message
-        });
-      }
+    items = await scanAccount(connection, null, seen);
+  } catch (error) {
+    throw new Error(`AWS scan failed: ${scanFailure(error)}`);
+  }
+
+  const errors = [];
+  for (const role of roles) {
+    try {
+      const credentials = await assumeRole(role, connection);
+      items.push(...await scanAccount({ ...connection, credentials }, role, seen));
+    } catch (error) {
+      errors.push({ role, error: scanFailure(error) });
     }
+  }
+
+  return { items, errors };
+}
+
+/**
+ * Tracking name for a secret or parameter. Names are only unique within an
+ * account, so those found through a cross-account role include the account.
+ */
+function resourceName(prefix, name, role, accountId) {
+  // arn:aws:iam::<account>:role/<name>
+  const account = accountId || role?.split(':')[4];
+  return role && account ? `${prefix}-${account}-${name}` : `${prefix}-${name}`;
+}
+
+function requireSdk(source, label) {
+  if (!isAvailable(source)) {
+    throw new Error(`${label} not installed. Install with: npm install ${AWS_SOURCES[source]}`);
+  }
+}
+
+/**
+ * Describe one access key of an IAM user, including when it was last used
+ */
+async function describeKey(client, user, accessKey, role) {
+  const last4 = accessKey.AccessKeyId.slice(-4);
+  const keyInfo = {
+    source: 'iam',
+    name: `aws-${user.UserName}-${last4}`,
+    provider: 'aws',
+    type: 'access_key',
+    keyId: last4, // Last 4 chars only
+    userName: user.UserName,
+    // arn:aws:iam::<account>:user/<name>
+    accountId: user.Arn?.split(':')[4] || null,
+    role,
+    status: accessKey.Status || 'Unknown',
+    createdAt: accessKey.CreateDate ? isoDate(accessKey.CreateDate) : 'Unknown',
+    age: age(accessKey.CreateDate)
+  };
 
-    return keys;
+  try {
+    const lastUsedResponse = await client.send(new GetAccessKeyLastUsedCommand({
+      AccessKeyId: accessKey.AccessKeyId
+    }));
+    const lastUsedDate = lastUsedResponse.AccessKeyLastUsed?.LastUsedDate;
+    return { ...keyInfo, lastUsed: lastUsedDate ? isoDate(lastUsedDate) : 'Never' };
   } catch (error) {
-    if (error.name === 'CredentialsProviderError' || error.name === 'ProviderError') {
-      throw new Error(
-        'AWS credentials not configured. Set up ~/.aws/credentials or environment variables.'
-      );
+    // Collect partial failures - don't crash the whole scan
+    return { ...keyInfo, lastUsed: 'Unknown', scanError: error.message };
+  }
+}
+
+/**
+ * Every access key of every IAM user in the account
+ */
+async function scanIamAccount(connection, role, seen) {
+  const client = new IAMClient(clientConfig(connection, globalRegion()));
+  const keys = [];
+
+  for await (const usersPage of paginateListUsers({ client }, {})) {
+    for (const user of usersPage.Users || []) {
+      for await (const keysPage of paginateListAccessKeys({ client }, { UserName: user.UserName })) {
+        for (const accessKey of keysPage.AccessKeyMetadata || []) {
+          if (seen.has(accessKey.AccessKeyId)) {
+            continue;
+          }
+          seen.add(accessKey.AccessKeyId);
+          keys.push(await describeKey(client, user, accessKey, role));
+        }
+      }
     }
-    throw new Error(`AWS scan failed: ${error.message}`);
   }
+
+  return keys;
 }
 
 /**
- * Convert scanned keys to secret format for tracking
+ * Scan AWS IAM for the access keys of every user, in the caller's account
+ * and in each account reached by assuming one of `roles`. A role that can't
+ * be assumed or scanned is reported in `errors` without stopping the others.
+ *
+ * @param {object} [options] - { roles, endpoint, region }: ARNs of cross-account
+ *   roles to assume, an endpoint URL for the AWS APIs (e.g. a local mock), and
+ *   the region (defaults to AWS_REGION, else us-east-1)
+ * @returns {Promise<{ keys: Array, errors: Array<{ role: string, error: string }> }>}
  */
-export function convertToSecrets(keys) {
-  return keys.map(key => ({
+export async function scanAwsKeys(options = {}) {
+  requireSdk('iam', 'AWS SDK');
+  const { items, errors } = await scanAccounts(options, scanIamAccount);
+  return { keys: items, errors };
+}
+
+/**
+ * Days between automatic rotations of a Secrets Manager secret: its
+ * AutomaticallyAfterDays, a rate() schedule, or failing that (cron
+ * schedules) the gap between the last and next rotation
+ */
+function rotationIntervalDays({ RotationRules: rules = {}, LastRotatedDate, NextRotationDate }) {
+  if (rules.AutomaticallyAfterDays) {
+    return rules.AutomaticallyAfterDays;
+  }
+  const rate = /^rate\((\d+) (hours?|days?)\)$/.exec(rules.ScheduleExpression || '');
+  if (rate) {
+    return rate[2].startsWith('hour') ? Math.max(1, Math.ceil(rate[1] / 24)) : Number(rate[1]);
+  }
+  if (LastRotatedDate && NextRotationDate) {
+    return Math.max(1, Math.round((NextRotationDate - LastRotatedDate) / DAY_MS));
+  }
+  return null;
+}
+
+/**
+ * Every Secrets Manager secret in the account, except those scheduled for deletion
+ */
+async function scanSecretsManagerAccount(connection, role, seen) {
+  const client = new SecretsManagerClient(clientConfig(connection));
+  const secrets = [];
+
+  for await (const page of paginateListSecrets({ client }, {})) {
+    for (const entry of page.SecretList || []) {
+      if (entry.DeletedDate || seen.has(entry.ARN)) {
+        continue;
+      }
+      seen.add(entry.ARN);
+      // arn:aws:secretsmanager:<region>:<account>:secret:<name>
+      const accountId = entry.ARN?.split(':')[4] || null;
+
+      secrets.push({
+        source: 'secretsmanager',
+        name: resourceName('aws-sm', entry.Name, role, accountId),
+        secretName: entry.Name,
+        arn: entry.ARN,
+        accountId,
+        role,
+        description: entry.Description || null,
+        createdAt: day(entry.CreatedDate),
+        lastRotated: day(entry.LastRotatedDate),
+        lastAccessed: day(entry.LastAccessedDate),
+        rotationEnabled: !!entry.RotationEnabled,
+        rotationDays: entry.RotationEnabled ? rotationIntervalDays(entry) : null,
+        nextRotation: day(entry.NextRotationDate),
+        age: age(entry.LastRotatedDate || entry.CreatedDate)
+      });
+    }
+  }
+
+  return secrets;
+}
+
+/**
+ * Scan AWS Secrets Manager for secrets and their rotation settings, across
+ * accounts like scanAwsKeys()
+ *
+ * @param {object} [options] - { roles, endpoint, region }, see scanAwsKeys();
+ *   the region defaults to the SDK's own resolution
+ * @returns {Promise<{ secrets: Array, errors: Array<{ role: string, error: string }> }>}
+ */
+export async function scanAwsSecrets(options = {}) {
+  requireSdk('secretsmanager', 'AWS Secrets Manager SDK');
+  const { items, errors } = await scanAccounts(options, scanSecretsManagerAccount);
+  return { secrets: items, errors };
+}
+
+/**
+ * Expiry date set by an Expiration parameter policy (advanced parameters only)
+ */
+function parameterExpiry(policies = []) {
+  for (const policy of policies) {
+    if (policy.PolicyType !== 'Expiration') {
+      continue;
+    }
+    try {
+      const expires = new Date(JSON.parse(policy.PolicyText).Attributes?.Timestamp);
+      if (!isNaN(expires.getTime())) {
+        return isoDate(expires);
+      }
+    } catch {
+      // Unreadable policy text: treat the parameter as not expiring
+    }
+  }
+  return null;
+}
+
+/**
+ * Every SecureString parameter in the account
+ */
+async function scanSsmAccount(connection, role, seen) {
+  const client = new SSMClient(clientConfig(connection));
+  const input = { ParameterFilters: [{ Key: 'Type', Values: ['SecureString'] }] };
+  const parameters = [];
+
+  for await (const page of paginateDescribeParameters({ client }, input)) {
+    for (const parameter of page.Parameters || []) {
+      const id = parameter.ARN || `${role || ''}:${parameter.Name}`;
+      if (seen.has(id)) {
+        continue;
+      }
+      seen.add(id);
+      const accountId = parameter.ARN?.split(':')[4] || null;
+
+      parameters.push({
+        source: 'ssm',
+        name: resourceName('aws-ssm', parameter.Name.replace(/^\//, ''), role, accountId),
+        parameterName: parameter.Name,
+        arn: parameter.ARN || null,
+        accountId,
+        role,
+        description: parameter.Description || null,
+        version: parameter.Version ?? null,
+        lastModified: day(parameter.LastModifiedDate),
+        lastModifiedBy: parameter.LastModifiedUser || null,
+        expiresAt: parameterExpiry(parameter.Policies),
+        age: age(parameter.LastModifiedDate)
+      });
+    }
+  }
+
+  return parameters;
+}
+
+/**
+ * Scan SSM Parameter Store for SecureString parameters, across accounts like
+ * scanAwsKeys()
+ *
+ * @param {object} [options] - { roles, endpoint, region }, see scanAwsSecrets()
+ * @returns {Promise<{ parameters: Array, errors: Array<{ role: string, error: string }> }>}
+ */
+export async function scanAwsParameters(options = {}) {
+  requireSdk('ssm', 'AWS SSM SDK');
+  const { items, errors } = await scanAccounts(options, scanSsmAccount);
+  return { parameters: items, errors };
+}
+
+function accessKeySecret(key, formerName) {
+  // lastUsed is 'Never' or 'Unknown' when IAM has no usage date
+  const used = /^\d{4}-\d{2}-\d{2}$/.test(key.lastUsed);
+  return {
     name: key.name,
+    formerName,
     provider: 'aws',
     type: 'access_key',
     createdAt: key.createdAt,
     expiresAt: null,
     lastRotated: key.createdAt,
-    rotationPolicy: 90,
-    notes: `AWS IAM Access Key ****${key.keyId} | Status: ${key.status} | Last used: ${key.lastUsed}`
-  }));
+    lastUsed: used ? key.lastUsed : null,
+    notes: [
+      `AWS IAM Access Key ****${key.keyId}`,
+      `User: ${key.userName}`,
+      key.accountId ? `Account: ${key.accountId}` : null,
+      `Status: ${key.status}`,
+      used ? null : `Last used: ${key.lastUsed}`
+    ].filter(Boolean).join(' | ')
+  };
+}
+
+function secretsManagerSecret(secret) {
+  return {
+    name: secret.name,
+    provider: 'aws',
+    type: 'secretsmanager_secret',
+    createdAt: secret.createdAt,
+    expiresAt: null,
+    lastRotated: secret.lastRotated || secret.createdAt,
+    rotationPolicy: secret.rotationDays || undefined,
+    // Automatic rotation renews the secret on schedule, so only a missed
+    // rotation is flagged. The rotation window may close the next day.
+    renewal: secret.rotationDays ? { everyDays: secret.rotationDays, graceDays: 1 } : undefined,
+    lastUsed: secret.lastAccessed,
+    notes: [
+      `AWS Secrets Manager ${secret.secretName}`,
+      secret.accountId ? `Account: ${secret.accountId}` : null,
+      secret.rotationEnabled ? `Rotation: ${secret.rotationDays ? `every ${secret.rotationDays} days` : 'scheduled'}` : 'Rotation: off',
+      secret.description
+    ].filter(Boolean).join(' | ')
+  };
+}
+
+function parameterSecret(parameter) {
+  return {
+    name: parameter.name,
+    provider: 'aws',
+    type: 'ssm_parameter',
+    // Parameter Store has no creation date; the last change is the earliest one known
+    createdAt: parameter.lastModified,
+    expiresAt: parameter.expiresAt,
+    lastRotated: parameter.lastModified,
+    notes: [
+      `AWS SSM SecureString ${parameter.parameterName}`,
+      parameter.version !== null ? `Version: ${parameter.version}` : null,
+      parameter.accountId ? `Account: ${parameter.accountId}` : null,
+      parameter.description
+    ].filter(Boolean).join(' | ')
+  };
+}
+
+/**
+ * Name a key of the scanning account was tracked under before keys were named
+ * after their user: aws-key-<last4>. Left out when another key of the account
+ * ends in the same characters, since the old name can't tell them apart.
+ */
+function formerKeyName(key, keys) {
+  if (key.role || keys.some(other => other !== key && !other.role && other.keyId === key.keyId)) {
+    return undefined;
+  }
+  return `aws-key-${key.keyId}`;
+}
+
+/**
+ * Convert scanned keys, secrets and parameters to secret format for tracking.
+ * Rotation policies come from the scanned rotation schedule when there is
+ * one, else from the config policy (see resolvePolicy()). Keys carry a
+ * `formerName` that syncScannedSecret() renames to the current name.
+ */
+export function convertToSecrets(items) {
+  const keys = items.filter(item => item.source !== 'secretsmanager' && item.source !== 'ssm');
+  return items.map(item => {
+    switch (item.source) {
+      case 'secretsmanager':
+        return secretsManagerSecret(item);
+      case 'ssm':
+        return parameterSecret(item);
+      default:
+        return accessKeySecret(item, formerKeyName(item, keys));
+    }
+  });
 }
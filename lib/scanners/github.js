@@ -1,6 +1,9 @@
 /**
- * GitHub Personal Access Token Scanner
- * Requires @octokit/rest (optional dependency)
+ * GitHub Scanner
+ * Discovers the scanning token itself, fine-grained PATs granted to
+ * organizations, repository deploy keys, Actions and Dependabot secrets and
+ * GitHub App installations. Requires @octokit/rest (optional dependency).
+ * Only metadata is read; GitHub never returns secret values.
  */
 
 let Octokit;
@@ -12,6 +15,21 @@ try {
   // Octokit not installed - graceful degradation
 }
 
+/**
+ * Credential kinds the scanner can list. Everything but `token` needs
+ * organizations or repositories to look in.
+ */
+export const GITHUB_SOURCES = {
+  token: 'The token used for the scan',
+  pats: 'Fine-grained PATs granted access to an organization',
+  'deploy-keys': 'Repository deploy keys',
+  actions: 'Actions secrets (repository and organization)',
+  dependabot: 'Dependabot secrets (repository and organization)',
+  apps: 'GitHub App installations (their private keys)'
+};
+
+const DEFAULT_BASE_URL = 'https://api.github.com';
+
 /**
  * Check if GitHub scanning is available
  */
@@ -19,10 +37,137 @@ export function isAvailable() {
   return !!Octokit;
 }
 
+function day(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().split('T')[0] : null;
+}
+
 /**
- * Scan GitHub for Personal Access Tokens
+ * Expiry of the scanning token, from the header GitHub adds for tokens that
+ * expire, e.g. "2026-11-30 12:00:00 UTC"
  */
-export async function scanGitHubTokens() {
+function tokenExpiration(headers) {
+  const header = headers['github-authentication-token-expiration'];
+  if (!header) {
+    return null;
+  }
+  const expires = new Date(header.replace(' UTC', 'Z').replace(' ', 'T'));
+  return isNaN(expires.getTime()) ? null : day(expires);
+}
+
+/**
+ * Kind of token, from its prefix
+ */
+function tokenType(token) {
+  if (token.startsWith('github_pat_')) return 'fine-grained';
+  if (token.startsWith('ghp_')) return 'classic';
+  if (token.startsWith('gho_')) return 'oauth';
+  if (token.startsWith('ghu_')) return 'app-user';
+  if (token.startsWith('ghs_')) return 'app-installation';
+  return 'unknown';
+}
+
+async function scanToken(octokit, token) {
+  const { data: user, headers } = await octokit.request('GET /user');
+  // Only classic PATs and OAuth tokens report scopes
+  const scopes = headers['x-oauth-scopes'];
+
+  return {
+    source: 'token',
+    name: `github-pat-${user.login}`,
+    login: user.login,
+    tokenType: tokenType(token),
+    scopes: scopes === undefined ? null : scopes.split(',').map(scope => scope.trim()).filter(Boolean),
+    expiresAt: tokenExpiration(headers)
+  };
+}
+
+async function scanPatGrants(octokit, org) {
+  const grants = await octokit.paginate('GET /orgs/{org}/personal-access-tokens', { org, per_page: 100 });
+  return grants.map(grant => ({
+    source: 'pats',
+    name: `github-pat-${org}-${grant.owner.login}-${grant.token_id ?? grant.id}`,
+    tokenName: grant.token_name || null,
+    org,
+    owner: grant.owner.login,
+    repositorySelection: grant.repository_selection,
+    grantedAt: day(grant.access_granted_at),
+    expiresAt: day(grant.token_expires_at),
+    expired: !!grant.token_expired,
+    lastUsed: day(grant.token_last_used_at)
+  }));
+}
+
+async function scanDeployKeys(octokit, repo) {
+  const [owner, name] = repo.split('/');
+  const keys = await octokit.paginate('GET /repos/{owner}/{repo}/keys', { owner, repo: name, per_page: 100 });
+  return keys.map(key => ({
+    source: 'deploy-keys',
+    name: `github-deploy-${repo}-${key.id}`,
+    repo,
+    keyId: key.id,
+    title: key.title,
+    readOnly: key.read_only,
+    createdAt: day(key.created_at),
+    lastUsed: day(key.last_used)
+  }));
+}
+
+/**
+ * Actions or Dependabot secrets of a repository ("owner/name") or, with
+ * `org`, of an organization
+ */
+async function scanSecrets(octokit, source, { repo, org }) {
+  const scope = repo || org;
+  const route = repo ? `GET /repos/{owner}/{repo}/${source}/secrets` : `GET /orgs/{org}/${source}/secrets`;
+  const [owner, name] = repo ? repo.split('/') : [];
+  const secrets = await octokit.paginate(route, repo ? { owner, repo: name, per_page: 100 } : { org, per_page: 100 });
+
+  return secrets.map(secret => ({
+    source,
+    name: `github-${source}-${scope}-${secret.name}`,
+    secretName: secret.name,
+    repo: repo || null,
+    org: org || null,
+    visibility: secret.visibility || null,
+    createdAt: day(secret.created_at),
+    updatedAt: day(secret.updated_at)
+  }));
+}
+
+async function scanApps(octokit, org) {
+  const installations = await octokit.paginate('GET /orgs/{org}/installations', { org, per_page: 100 });
+  return installations.map(installation => ({
+    source: 'apps',
+    name: `github-app-${org}-${installation.app_slug}`,
+    appSlug: installation.app_slug,
+    appId: installation.app_id,
+    installationId: installation.id,
+    org,
+    createdAt: day(installation.created_at),
+    updatedAt: day(installation.updated_at)
+  }));
+}
+
+function scanFailure(error) {
+  if (error.status === 403 || error.status === 404) {
+    return `${error.message} (the token may lack the permission for this endpoint)`;
+  }
+  return error.message;
+}
+
+/**
+ * Scan GitHub for credentials. The token is checked first and must work;
+ * an organization or repository that can't be read is reported in `errors`
+ * without stopping the others.
+ *
+ * @param {object} [options] - { sources, orgs, repos, baseUrl }: credential
+ *   kinds to list (default: all, see GITHUB_SOURCES), organizations and
+ *   "owner/name" repositories to look in (an organization's repositories are
+ *   included), and the API base URL (default: GITHUB_API_URL, else
+ *   https://api.github.com; https://<host>/api/v3 for GitHub Enterprise Server)
+ * @returns {Promise<{ credentials: Array, errors: Array<{ source: string, target: string, error: string }> }>}
+ */
+export async function scanGitHub(options = {}) {
   if (!isAvailable()) {
     throw new Error(
       'Octokit not installed. Install with: npm install @octokit/rest'
@@ -30,56 +175,169 @@ export async function scanGitHubTokens() {
   }
 
   const token = process.env.GITHUB_TOKEN;
-  
+
   if (!token) {
     throw new Error(
-      'GITHUB_TOKEN environment variable not set. Export your token to scan GitHub PATs.'
+      'GITHUB_TOKEN environment variable not set. Export your token to scan GitHub.'
     );
   }
 
+  const {
+    sources = Object.keys(GITHUB_SOURCES),
+    orgs = [],
+    repos = [],
+    baseUrl = process.env.GITHUB_API_URL || DEFAULT_BASE_URL
+  } = options;
+  const octokit = new Octokit({ auth: token, baseUrl: baseUrl.replace(/\/+$/, '') });
+  const credentials = [];
+  const errors = [];
+
+  let tokenInfo;
   try {
-    const octokit = new Octokit({ auth: token });
-    
-    // Get the authenticated user to verify token works
-    const { data: user } = await octokit.rest.users.getAuthenticated();
-    
-    // Note: GitHub API doesn't provide a direct way to list all PATs
-    // We can only get info about the current token being used
-    // For a real implementation, you'd need GitHub Apps API or Enterprise Server API
-    
-    // For now, we'll just return info about the current token
-    const tokenInfo = {
-      name: `github-pat-${user.login}`,
-      provider: 'github',
-      type: 'personal_access_token',
-      username: user.login,
-      scopes: 'Current token (scopes not accessible via API)',
-      // GitHub doesn't expose token creation or expiry via API for security
-      // Users will need to track this manually
-      note: 'Token verification successful. Manually add expiry date if known.'
-    };
-
-    return [tokenInfo];
+    tokenInfo = await scanToken(octokit, token);
   } catch (error) {
     if (error.status === 401) {
       throw new Error('GitHub token is invalid or expired');
     }
     throw new Error(`GitHub scan failed: ${error.message}`);
   }
+  if (sources.includes('token')) {
+    credentials.push(tokenInfo);
+  }
+
+  const collect = async (source, target, scan) => {
+    try {
+      credentials.push(...await scan());
+    } catch (error) {
+      errors.push({ source, target, error: scanFailure(error) });
+    }
+  };
+
+  const allRepos = [...repos];
+  const repoSources = ['deploy-keys', 'actions', 'dependabot'].filter(source => sources.includes(source));
+
+  for (const org of orgs) {
+    if (sources.includes('pats')) {
+      await collect('pats', org, () => scanPatGrants(octokit, org));
+    }
+    for (const source of ['actions', 'dependabot'].filter(source => sources.includes(source))) {
+      await collect(source, org, () => scanSecrets(octokit, source, { org }));
+    }
+    if (sources.includes('apps')) {
+      await collect('apps', org, () => scanApps(octokit, org));
+    }
+    if (repoSources.length > 0) {
+      await collect('repos', org, async () => {
+        const orgRepos = await octokit.paginate('GET /orgs/{org}/repos', { org, per_page: 100 });
+        allRepos.push(...orgRepos.map(repo => repo.full_name));
+        return [];
+      });
+    }
+  }
+
+  for (const repo of new Set(allRepos)) {
+    for (const source of repoSources) {
+      await collect(source, repo, () => (source === 'deploy-keys'
+        ? scanDeployKeys(octokit, repo)
+        : scanSecrets(octokit, source, { repo })));
+    }
+  }
+
+  return { credentials, errors };
 }
 
-/**
- * Convert scanned tokens to secret format for tracking
- */
-export function convertToSecrets(tokens) {
-  return tokens.map(token => ({
+function tokenSecret(token) {
+  return {
     name: token.name,
     provider: 'github',
     type: 'personal_access_token',
-    createdAt: new Date().toISOString().split('T')[0],
-    expiresAt: null, // Must be set manually
-    lastRotated: new Date().toISOString().split('T')[0],
-    rotationPolicy: 90,
-    notes: token.note || `GitHub PAT for ${token.username}`
-  }));
+    // GitHub doesn't expose when a token was created; it defaults to the day it is tracked
+    expiresAt: token.expiresAt,
+    notes: [
+      `GitHub ${token.tokenType} token for ${token.login}`,
+      token.scopes ? `Scopes: ${token.scopes.join(', ') || 'none'}` : null,
+      token.expiresAt ? null : 'No expiry reported'
+    ].filter(Boolean).join(' | ')
+  };
+}
+
+function patSecret(pat) {
+  return {
+    name: pat.name,
+    provider: 'github',
+    type: 'personal_access_token',
+    // Creation isn't exposed; the grant to the organization is the earliest known date
+    createdAt: pat.grantedAt,
+    lastRotated: pat.grantedAt,
+    expiresAt: pat.expiresAt,
+    lastUsed: pat.lastUsed,
+    notes: [
+      `Fine-grained PAT${pat.tokenName ? ` "${pat.tokenName}"` : ''} of ${pat.owner}`,
+      `Org: ${pat.org}`,
+      `Repositories: ${pat.repositorySelection}`
+    ].join(' | ')
+  };
+}
+
+function deployKeySecret(key) {
+  return {
+    name: key.name,
+    provider: 'github',
+    type: 'deploy_key',
+    createdAt: key.createdAt,
+    lastRotated: key.createdAt,
+    lastUsed: key.lastUsed,
+    notes: `Deploy key "${key.title}" on ${key.repo} | ${key.readOnly ? 'Read-only' : 'Read-write'}`
+  };
+}
+
+function repositorySecret(secret) {
+  const label = secret.source === 'actions' ? 'Actions' : 'Dependabot';
+  return {
+    name: secret.name,
+    provider: 'github',
+    type: `${secret.source}_secret`,
+    createdAt: secret.createdAt,
+    // Secret values change only by being overwritten
+    lastRotated: secret.updatedAt || secret.createdAt,
+    notes: [
+      `GitHub ${label} secret ${secret.secretName}`,
+      secret.repo ? `Repo: ${secret.repo}` : `Org: ${secret.org}`,
+      secret.visibility ? `Visibility: ${secret.visibility}` : null
+    ].filter(Boolean).join(' | ')
+  };
+}
+
+function appSecret(app) {
+  return {
+    name: app.name,
+    provider: 'github',
+    type: 'app_private_key',
+    // Private keys aren't listed by the API; the installation is the earliest known date
+    createdAt: app.createdAt,
+    lastRotated: app.createdAt,
+    notes: `GitHub App ${app.appSlug} (id ${app.appId}) installed on ${app.org} | Private key dates not exposed by GitHub: record rotations with rotate`
+  };
+}
+
+/**
+ * Convert scanned credentials to secret format for tracking. Rotation
+ * policies come from the config policy (see resolvePolicy()).
+ */
+export function convertToSecrets(credentials) {
+  return credentials.map(credential => {
+    switch (credential.source) {
+      case 'pats':
+        return patSecret(credential);
+      case 'deploy-keys':
+        return deployKeySecret(credential);
+      case 'actions':
+      case 'dependabot':
+        return repositorySecret(credential);
+      case 'apps':
+        return appSecret(credential);
+      default:
+        return tokenSecret(credential);
+    }
+  });
 }
@@ -6,6 +6,8 @@
  */
 
 import pkg from '../package.json' with { type: 'json' };
+import { CONFIG_SCHEMA } from './config-schema.js';
+import { CURRENT_CONFIG_VERSION } from './migrations.js';
 
 export function getSchema() {
   return {
@@ -38,7 +40,20 @@ export function getSchema() {
             }
           }
         },
-        exitCodes: {
+        frameworks: {
+      description: 'Compliance frameworks are JSON files with an "id", "name", optional "version" and "description", and a list of "controls". The built-in ones are soc2, pci-dss and iso-27001; pass the path of your own file to report --framework to assess an internal control set. A control has an "id" and "title", an optional "description" and "where" filter expression selecting the secrets in scope, and any of the lint checks ("require", "assert", "match", see lintRules) plus: "maxRotationDays" (rotation policy and last rotation within N days), "rotatedWithinPolicy" (rotated within its own rotation policy), "rotationEvidence" (at least one rotation in the history) and "maxUnusedDays" (used within N days). A control fails when any secret in scope fails it without an active waiver, and is not applicable when no secret is in scope.',
+      example: {
+        id: 'internal-keys',
+        name: 'Internal Key Management Standard',
+        version: '2.1',
+        controls: [
+          { id: 'KM-1', title: 'Production keys have an owner and team', where: 'env=prod', require: ['owner', 'team'] },
+          { id: 'KM-2', title: 'Keys rotate at least every 180 days', where: 'type=*key*', maxRotationDays: 180, rotationEvidence: true },
+          { id: 'KM-3', title: 'Unused credentials are revoked', maxUnusedDays: 90 }
+        ]
+      }
+    },
+    exitCodes: {
           0: 'Success',
           1: 'Error creating config'
         }
@@ -71,17 +86,60 @@ export function getSchema() {
           '--expires': {
             type: 'string',
             format: 'date',
-            description: 'Expiry date (YYYY-MM-DD)'
+            description: 'Expiry date (YYYY-MM-DD). Defaults to the last rotation plus the maxLifetimeDays of the matching policy rule, if any'
           },
           '--rotation': {
             type: 'number',
-            default: 90,
-            description: 'Rotation policy in days'
+            description: 'Rotation policy in days (falls back to a matching policy rule, then the config "defaults", then 90)'
           },
           '--notes': {
             type: 'string',
             description: 'Additional notes'
           },
+          '--owner': {
+            type: 'string',
+            description: 'Person responsible for rotating this secret'
+          },
+          '--team': {
+            type: 'string',
+            description: 'Team that owns this secret'
+          },
+          '--env': {
+            type: 'string',
+            description: 'Environment (e.g., prod, staging, dev)'
+          },
+          '--tags': {
+            type: 'string',
+            description: 'Comma-separated tags'
+          },
+          '--privilege': {
+            type: 'string',
+            enum: ['read', 'write', 'admin'],
+            description: 'Privilege level, used for risk scoring'
+          },
+          '--exposure': {
+            type: 'string',
+            enum: ['private', 'shared', 'ci', 'public'],
+            description: 'How widely the secret is exposed, used for risk scoring'
+          },
+          '--last-used': {
+            type: 'string',
+            format: 'date',
+            description: 'Date the secret was last used (YYYY-MM-DD)'
+          },
+          '--thresholds': {
+            type: 'string',
+            description: 'Per-secret status thresholds, e.g. "expiryWarningDays=60,rotationWarningPercent=50"'
+          },
+          '--renew-every': {
+            type: 'number',
+            description: 'The secret renews itself every this many days; only missed renewals are flagged (see renewal)'
+          },
+          '--renew-grace': {
+            type: 'number',
+            default: 0,
+            description: 'Days a renewal may run late before it counts as missed'
+          },
           '--interactive': {
             type: 'boolean',
             default: false,
@@ -113,10 +171,20 @@ export function getSchema() {
                     type: { type: 'string' },
                     createdAt: { type: 'string', format: 'date' },
                     expiresAt: { type: 'string', format: 'date', nullable: true },
+                    expiryDerived: { type: 'boolean', description: 'Present when expiresAt was derived from the policy\'s maxLifetimeDays' },
                     lastRotated: { type: 'string', format: 'date' },
                     rotationPolicy: { type: 'number' },
-                    status: { type: 'string', enum: ['healthy', 'warning', 'critical', 'expired'] },
-                    notes: { type: 'string' }
+                    status: { type: 'string', enum: ['healthy', 'warning', 'critical', 'stale', 'expired', 'waived'] },
+                    notes: { type: 'string' },
+                    owner: { type: 'string', nullable: true },
+                    team: { type: 'string', nullable: true },
+                    environment: { type: 'string', nullable: true },
+                    tags: { type: 'array', items: { type: 'string' } },
+                    privilege: { type: 'string', enum: ['read', 'write', 'admin'], nullable: true },
+                    exposure: { type: 'string', enum: ['private', 'shared', 'ci', 'public'], nullable: true },
+                    lastUsed: { type: 'string', format: 'date' },
+                    renewal: { $ref: '#/definitions/renewal' },
+                    rotations: { $ref: '#/definitions/rotations' }
                   }
                 }
               }
@@ -131,9 +199,31 @@ export function getSchema() {
         flags: {
           '--status': {
             type: 'string',
-            enum: ['healthy', 'warning', 'critical', 'expired'],
+            enum: ['healthy', 'warning', 'critical', 'stale', 'expired', 'waived'],
             description: 'Filter by status'
           },
+          '--owner': {
+            type: 'string',
+            description: 'Only list secrets owned by this person'
+          },
+          '--team': {
+            type: 'string',
+            description: 'Only list secrets owned by this team'
+          },
+          '--filter': {
+            type: 'string',
+            description: 'Filter expression (e.g., "provider=aws and env=prod and age>60")'
+          },
+          '--sort': {
+            type: 'string',
+            enum: ['name', 'risk'],
+            description: 'Sort order: name, or risk (highest risk score first). Defaults to config order'
+          },
+          '--as-of': {
+            type: 'string',
+            format: 'date',
+            description: 'Evaluate statuses, age and expiry as of this date (YYYY-MM-DD) instead of today'
+          },
           '--json': {
             type: 'boolean',
             default: false,
@@ -152,6 +242,7 @@ export function getSchema() {
               type: 'object',
               properties: {
                 success: { type: 'boolean' },
+                asOf: { type: 'string', format: 'date', description: 'Evaluation date, only present with --as-of' },
                 count: { type: 'number' },
                 secrets: {
                   type: 'array',
@@ -165,11 +256,21 @@ export function getSchema() {
                       expiresAt: { type: 'string', format: 'date', nullable: true },
                       lastRotated: { type: 'string', format: 'date' },
                       rotationPolicy: { type: 'number' },
-                      status: { type: 'string', enum: ['healthy', 'warning', 'critical', 'expired'] },
+                      status: { type: 'string', enum: ['healthy', 'warning', 'critical', 'stale', 'expired', 'waived'] },
                       notes: { type: 'string' },
+                      owner: { type: 'string', nullable: true },
+                      team: { type: 'string', nullable: true },
+                      environment: { type: 'string', nullable: true },
+                      tags: { type: 'array', items: { type: 'string' } },
+                      privilege: { type: 'string', enum: ['read', 'write', 'admin'], nullable: true },
+                      exposure: { type: 'string', enum: ['private', 'shared', 'ci', 'public'], nullable: true },
+                      lastUsed: { type: 'string', format: 'date' },
+                      rotations: { $ref: '#/definitions/rotations' },
+                      source: { type: 'string', description: 'Path of the config layer this secret is defined in' },
                       age: { type: 'number', description: 'Age in days' },
                       daysUntilExpiry: { type: 'number', nullable: true, description: 'Days until expiry, null if no expiry' },
-                      message: { type: 'string', description: 'Status message' }
+                      message: { type: 'string', description: 'Status message' },
+                      risk: { $ref: '#/definitions/risk' }
                     }
                   }
                 }
@@ -190,8 +291,25 @@ export function getSchema() {
           },
           '--fail-on': {
             type: 'string',
-            enum: ['warning', 'critical', 'expired'],
-            description: 'Fail on this level or higher'
+            enum: ['warning', 'critical', 'stale', 'expired'],
+            description: 'Fail on this level or higher, in the order warning, critical, stale, expired. Other values are rejected.'
+          },
+          '--owner': {
+            type: 'string',
+            description: 'Only check secrets owned by this person'
+          },
+          '--team': {
+            type: 'string',
+            description: 'Only check secrets owned by this team'
+          },
+          '--filter': {
+            type: 'string',
+            description: 'Filter expression (e.g., "provider=aws and env=prod and age>60")'
+          },
+          '--as-of': {
+            type: 'string',
+            format: 'date',
+            description: 'Evaluate statuses, age and expiry as of this date (YYYY-MM-DD) instead of today'
           },
           '--json': {
             type: 'boolean',
@@ -211,6 +329,7 @@ export function getSchema() {
               type: 'object',
               properties: {
                 success: { type: 'boolean' },
+                asOf: { type: 'string', format: 'date', description: 'Evaluation date, only present with --as-of' },
                 total: { type: 'number' },
                 summary: {
                   type: 'object',
@@ -218,7 +337,10 @@ export function getSchema() {
                     healthy: { type: 'number' },
                     warning: { type: 'number' },
                     critical: { type: 'number' },
-                    expired: { type: 'number' }
+                    stale: { type: 'number', description: 'Secrets unused for longer than staleDays' },
+                    expired: { type: 'number' },
+                    waived: { type: 'number', description: 'Secrets covered by an active waiver' },
+                    acknowledged: { type: 'number', description: 'Warning/critical/stale secrets with an active acknowledgement' }
                   }
                 },
                 secrets: {
@@ -227,6 +349,7 @@ export function getSchema() {
                     healthy: { type: 'array', items: { type: 'object' } },
                     warning: { type: 'array', items: { type: 'object' } },
                     critical: { type: 'array', items: { type: 'object' } },
+                    stale: { type: 'array', items: { type: 'object' } },
                     expired: { type: 'array', items: { type: 'object' } }
                   }
                 },
@@ -236,14 +359,14 @@ export function getSchema() {
           }
         },
         exitCodes: {
-          0: 'All secrets healthy',
+          0: 'All secrets healthy (acknowledged warnings and critical secrets do not fail the check)',
           1: 'Warnings found (CI mode with --fail-on warning)',
           2: 'Critical or expired secrets found'
         }
       },
       remove: {
-        description: 'Stop tracking a secret',
-        usage: 'mpx-secrets-audit remove <name>',
+        description: 'Stop tracking a secret. It is archived as decommissioned unless --purge is given.',
+        usage: 'mpx-secrets-audit remove <name> [--reason <reason>] [--purge]',
         arguments: {
           name: {
             type: 'string',
@@ -252,6 +375,19 @@ export function getSchema() {
           }
         },
         flags: {
+          '--reason': {
+            type: 'string',
+            description: 'Why the secret was decommissioned'
+          },
+          '--actor': {
+            type: 'string',
+            description: 'Who decommissioned it (defaults to the current user)'
+          },
+          '--purge': {
+            type: 'boolean',
+            default: false,
+            description: 'Delete permanently instead of archiving (also purges an archived secret)'
+          },
           '--json': {
             type: 'boolean',
             default: false,
@@ -269,24 +405,151 @@ export function getSchema() {
               type: 'object',
               properties: {
                 success: { type: 'boolean' },
-                removed: { type: 'object' },
+                removed: { $ref: '#/definitions/archivedSecret' },
+                purged: { type: 'boolean' },
                 message: { type: 'string' }
               }
             }
           }
         }
       },
-      rotate: {
-        description: 'Mark a secret as rotated (updates last-rotated date)',
-        usage: 'mpx-secrets-audit rotate <name>',
+      import: {
+        description: 'Bulk-add secrets from a CSV, JSON or .env-style inventory file. Rows are validated like add; failing rows are reported individually and exit code is 1 if any row failed. Rows are saved one at a time, so the import is not atomic.',
+        usage: 'mpx-secrets-audit import <file> [options]',
+        arguments: {
+          file: {
+            type: 'string',
+            required: true,
+            description: 'Inventory file (.csv/.tsv, .json, .env)'
+          }
+        },
+        flags: {
+          '--format': {
+            type: 'string',
+            enum: ['csv', 'json', 'env'],
+            description: 'Input format; detected from the file extension by default'
+          },
+          '--map': {
+            type: 'string',
+            description: 'Column mapping, e.g. "Key Name=name,Vendor=provider". Common column names are mapped automatically.'
+          },
+          '--dry-run': {
+            type: 'boolean',
+            default: false,
+            description: 'Validate and report what would change without saving'
+          },
+          '--upsert': {
+            type: 'boolean',
+            default: false,
+            description: 'Update secrets that already exist instead of failing those rows'
+          },
+          '--json': { type: 'boolean', default: false, description: 'Output as JSON' },
+          '--quiet': { type: 'boolean', default: false, description: 'Suppress non-essential output' }
+        },
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean', description: 'False if any row failed' },
+                format: { type: 'string' },
+                columns: { type: 'object', description: 'Source column → field' },
+                ignoredColumns: { type: 'array', items: { type: 'string' } },
+                dryRun: { type: 'boolean' },
+                created: { type: 'number' },
+                updated: { type: 'number' },
+                failed: { type: 'number' },
+                results: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      row: { type: 'number', description: 'Line (CSV/.env) or 1-based index (JSON) in the input' },
+                      name: { type: 'string', nullable: true },
+                      action: { type: 'string', enum: ['create', 'update', 'error'] },
+                      changes: { type: 'array', description: 'For updates: [{ field, from, to }]' },
+                      error: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      'archive list': {
+        description: 'List decommissioned (archived) secrets',
+        usage: 'mpx-secrets-audit archive list [options]',
+        arguments: {},
+        flags: {
+          '--owner': { type: 'string', description: 'Only show secrets owned by this person' },
+          '--team': { type: 'string', description: 'Only show secrets owned by this team' },
+          '--filter': { type: 'string', description: 'Filter expression' },
+          '--json': { type: 'boolean', default: false, description: 'Output as JSON' },
+          '--quiet': { type: 'boolean', default: false, description: 'Suppress non-essential output' }
+        },
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                count: { type: 'number' },
+                archived: { type: 'array', items: { $ref: '#/definitions/archivedSecret' } }
+              }
+            }
+          }
+        }
+      },
+      restore: {
+        description: 'Move a decommissioned secret back into the active inventory',
+        usage: 'mpx-secrets-audit restore <name>',
         arguments: {
           name: {
             type: 'string',
             required: true,
-            description: 'Name of secret to rotate'
+            description: 'Name of the archived secret'
+          }
+        },
+        flags: {
+          '--json': { type: 'boolean', default: false, description: 'Output as JSON' },
+          '--quiet': { type: 'boolean', default: false, description: 'Suppress non-essential output' }
+        }
+      },
+      edit: {
+        description: 'Edit fields of a tracked secret (validated like add)',
+        usage: 'mpx-secrets-audit edit <name> [options]',
+        arguments: {
+          name: {
+            type: 'string',
+            required: true,
+            description: 'Name of secret to edit'
           }
         },
         flags: {
+          '--rename': { type: 'string', description: 'Rename the secret' },
+          '--provider': { type: 'string', description: 'Service provider' },
+          '--type': { type: 'string', description: 'Secret type (api_key, token, password)' },
+          '--created': { type: 'string', format: 'date', description: 'Creation date (YYYY-MM-DD)' },
+          '--expires': { type: 'string', format: 'date', description: 'Expiry date (YYYY-MM-DD, or "none" to clear)' },
+          '--last-rotated': { type: 'string', format: 'date', description: 'Last rotation date (YYYY-MM-DD)' },
+          '--rotation': { type: 'number', description: 'Rotation policy in days' },
+          '--notes': { type: 'string', description: 'Additional notes' },
+          '--owner': { type: 'string', description: 'Owner ("none" to clear)' },
+          '--team': { type: 'string', description: 'Team ("none" to clear)' },
+          '--env': { type: 'string', description: 'Environment ("none" to clear)' },
+          '--tags': { type: 'string', description: 'Comma-separated tags (replaces existing tags)' },
+          '--privilege': { type: 'string', enum: ['read', 'write', 'admin'], description: 'Privilege level ("none" to clear)' },
+          '--exposure': { type: 'string', enum: ['private', 'shared', 'ci', 'public'], description: 'Exposure ("none" to clear)' },
+          '--last-used': { type: 'string', format: 'date', description: 'Date last used (YYYY-MM-DD, or "none" to clear)' },
+          '--thresholds': { type: 'string', description: 'Per-secret status thresholds as key=value pairs ("none" to clear)' },
+          '--renew-every': { type: 'string', description: 'Renewal cadence in days ("none" to stop treating the secret as self-renewing)' },
+          '--renew-grace': { type: 'number', description: 'Days a renewal may run late before it counts as missed' },
+          '--interactive': {
+            type: 'boolean',
+            default: false,
+            description: 'Interactive mode (prompts for each field, Enter keeps current value). Cannot be combined with --json'
+          },
           '--json': {
             type: 'boolean',
             default: false,
@@ -305,47 +568,85 @@ export function getSchema() {
               properties: {
                 success: { type: 'boolean' },
                 secret: { type: 'object' },
+                changes: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      field: { type: 'string' },
+                      from: {},
+                      to: {}
+                    }
+                  }
+                },
                 message: { type: 'string' }
               }
             }
           }
         }
       },
-      report: {
-        description: 'Generate audit report',
-        usage: 'mpx-secrets-audit report [options]',
-        arguments: {},
+      rotate: {
+        description: 'Mark a secret as rotated, or a self-renewing one as renewed (updates last-rotated date and records history)',
+        usage: 'mpx-secrets-audit rotate <name> [options]',
+        arguments: {
+          name: {
+            type: 'string',
+            required: true,
+            description: 'Name of secret to rotate'
+          }
+        },
         flags: {
-          '--format': {
+          '--actor': {
             type: 'string',
-            enum: ['text', 'json', 'markdown'],
-            default: 'text',
-            description: 'Report format'
+            description: 'Who performed the rotation (defaults to current user)'
           },
-          '--pdf': {
+          '--reason': {
             type: 'string',
-            description: 'Export report as PDF to the given filename (requires pdfkit)'
+            description: 'Why the secret was rotated'
           },
-          '--output': {
+          '--ticket': {
             type: 'string',
-            description: 'Output file (defaults to stdout)'
+            description: 'Ticket or change reference (e.g., SEC-123)'
+          },
+          '--json': {
+            type: 'boolean',
+            default: false,
+            description: 'Output as JSON'
           },
           '--quiet': {
             type: 'boolean',
             default: false,
             description: 'Suppress non-essential output'
           }
+        },
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                secret: { type: 'object' },
+                message: { type: 'string' }
+              }
+            }
+          }
         }
       },
-      'scan-aws': {
-        description: 'Scan AWS IAM for access keys (Pro feature)',
-        usage: 'mpx-secrets-audit scan-aws [options]',
-        arguments: {},
+      touch: {
+        description: 'Record that a secret was used (updates its last-used date). The date only moves forward; stale secrets become active again.',
+        usage: 'mpx-secrets-audit touch <name> [options]',
+        arguments: {
+          name: {
+            type: 'string',
+            required: true,
+            description: 'Name of secret that was used'
+          }
+        },
         flags: {
-          '--auto-add': {
-            type: 'boolean',
-            default: false,
-            description: 'Automatically add discovered keys to tracking'
+          '--date': {
+            type: 'string',
+            format: 'date',
+            description: 'Day it was used (YYYY-MM-DD, defaults to today; not in the future)'
           },
           '--json': {
             type: 'boolean',
@@ -358,17 +659,47 @@ export function getSchema() {
             description: 'Suppress non-essential output'
           }
         },
-        requirements: ['Pro tier', 'AWS credentials', '@aws-sdk/client-iam package']
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                secret: { type: 'object' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
       },
-      'scan-github': {
-        description: 'Scan GitHub for Personal Access Tokens (Pro feature)',
-        usage: 'mpx-secrets-audit scan-github [options]',
-        arguments: {},
+      ack: {
+        description: 'Acknowledge a warning, critical or stale secret until a date; check --ci ignores it until then. Expired secrets are never suppressed and rotating clears the acknowledgement.',
+        usage: 'mpx-secrets-audit ack <name> --until <date> --reason <reason> [options]',
+        arguments: {
+          name: {
+            type: 'string',
+            required: true,
+            description: 'Name of secret to acknowledge'
+          }
+        },
         flags: {
-          '--auto-add': {
+          '--until': {
+            type: 'string',
+            format: 'date',
+            description: 'Last day the acknowledgement covers (YYYY-MM-DD, required unless --clear)'
+          },
+          '--reason': {
+            type: 'string',
+            description: 'Why it is acceptable for now (required unless --clear)'
+          },
+          '--actor': {
+            type: 'string',
+            description: 'Who acknowledged it (defaults to current user)'
+          },
+          '--clear': {
             type: 'boolean',
             default: false,
-            description: 'Automatically add discovered tokens to tracking'
+            description: 'Remove the acknowledgement'
           },
           '--json': {
             type: 'boolean',
@@ -381,38 +712,1178 @@ export function getSchema() {
             description: 'Suppress non-essential output'
           }
         },
-        requirements: ['Pro tier', 'GITHUB_TOKEN environment variable', '@octokit/rest package']
-      },
-      mcp: {
-        description: 'Start MCP (Model Context Protocol) stdio server for AI agent integration',
-        usage: 'mpx-secrets-audit mcp',
-        arguments: {},
-        flags: {}
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                secret: { type: 'object', properties: { ack: { $ref: '#/definitions/ack' } } },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
       },
-      update: {
-        description: 'Check for updates and optionally install the latest version',
-        usage: 'mpx-secrets-audit update [--check] [--json]',
-        flags: {
-          '--check': { description: 'Only check for updates (do not install)', default: false },
-          '--json': { description: 'Machine-readable JSON output', default: false }
+      'waiver grant': {
+        description: 'Grant a formal policy exception: while valid, the checks in its scope are skipped and the secret reports status "waived"',
+        usage: 'mpx-secrets-audit waiver grant <name> --justification <text> --approver <approver> --until <date> [options]',
+        arguments: {
+          name: {
+            type: 'string',
+            required: true,
+            description: 'Name of secret'
+          }
         },
-        examples: [
-          { command: 'mpx-secrets-audit update', description: 'Check and install updates' },
-          { command: 'mpx-secrets-audit update --check', description: 'Just check for updates' },
-          { command: 'mpx-secrets-audit update --check --json', description: 'Check for updates (JSON output)' }
-        ]
-      },
-      schema: {
-        description: 'Output this JSON schema',
-        usage: 'mpx-secrets-audit --schema',
         flags: {
-          '--schema': {
+          '--scope': {
+            type: 'string',
+            enum: ['rotation', 'expiry', 'usage', 'all'],
+            default: 'rotation',
+            description: 'Checks the waiver covers'
+          },
+          '--justification': {
+            type: 'string',
+            description: 'Why the secret cannot follow policy (required)'
+          },
+          '--approver': {
+            type: 'string',
+            description: 'Who approved the exception (required)'
+          },
+          '--until': {
+            type: 'string',
+            format: 'date',
+            description: 'Date the waiver expires, inclusive (required)'
+          },
+          '--actor': {
+            type: 'string',
+            description: 'Who recorded the waiver (defaults to current user)'
+          },
+          '--json': {
             type: 'boolean',
-            description: 'Output JSON schema'
-          }
+            default: false,
+            description: 'Output as JSON'
+          },
+          '--quiet': {
+            type: 'boolean',
+            default: false,
+            description: 'Suppress non-essential output'
+          }
+        },
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                secret: { type: 'object', properties: { waiver: { $ref: '#/definitions/waiver' } } },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      'waiver list': {
+        description: 'List secrets with an active waiver, soonest expiry first',
+        usage: 'mpx-secrets-audit waiver list [--all] [options]',
+        arguments: {},
+        flags: {
+          '--all': {
+            type: 'boolean',
+            default: false,
+            description: 'Include lapsed waivers'
+          },
+          '--owner': {
+            type: 'string',
+            description: 'Only list secrets owned by this person'
+          },
+          '--team': {
+            type: 'string',
+            description: 'Only list secrets owned by this team'
+          },
+          '--filter': {
+            type: 'string',
+            description: 'Filter expression (see definitions.filter)'
+          },
+          '--json': {
+            type: 'boolean',
+            default: false,
+            description: 'Output as JSON'
+          },
+          '--quiet': {
+            type: 'boolean',
+            default: false,
+            description: 'Suppress non-essential output'
+          }
+        },
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                count: { type: 'number' },
+                waivers: {
+                  type: 'array',
+                  items: {
+                    allOf: [{ $ref: '#/definitions/waiver' }],
+                    properties: {
+                      name: { type: 'string' },
+                      provider: { type: 'string' },
+                      owner: { type: 'string', nullable: true },
+                      team: { type: 'string', nullable: true },
+                      state: { type: 'string', enum: ['active', 'lapsed'] },
+                      status: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      'waiver revoke': {
+        description: 'Remove the waiver of a secret',
+        usage: 'mpx-secrets-audit waiver revoke <name> [options]',
+        arguments: {
+          name: {
+            type: 'string',
+            required: true,
+            description: 'Name of secret'
+          }
+        },
+        flags: {
+          '--json': {
+            type: 'boolean',
+            default: false,
+            description: 'Output as JSON'
+          },
+          '--quiet': {
+            type: 'boolean',
+            default: false,
+            description: 'Suppress non-essential output'
+          }
+        },
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                secret: { type: 'object' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      history: {
+        description: 'Show the rotation history of a secret',
+        usage: 'mpx-secrets-audit history <name> [options]',
+        arguments: {
+          name: {
+            type: 'string',
+            required: true,
+            description: 'Name of secret'
+          }
+        },
+        flags: {
+          '--since': {
+            type: 'string',
+            format: 'date',
+            description: 'Only show rotations on or after this date (YYYY-MM-DD)'
+          },
+          '--json': {
+            type: 'boolean',
+            default: false,
+            description: 'Output as JSON'
+          },
+          '--quiet': {
+            type: 'boolean',
+            default: false,
+            description: 'Suppress non-essential output'
+          }
+        },
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                name: { type: 'string' },
+                lastRotated: { type: 'string', format: 'date' },
+                count: { type: 'number' },
+                rotations: { $ref: '#/definitions/rotations' }
+              }
+            }
+          }
+        }
+      },
+      report: {
+        description: 'Generate audit report, with the highest risk secrets listed first under Top Risks',
+        usage: 'mpx-secrets-audit report [options]',
+        arguments: {},
+        flags: {
+          '--format': {
+            type: 'string',
+            enum: ['text', 'json', 'markdown', 'ics'],
+            default: 'text',
+            description: 'Report format (ics: iCalendar, same as the calendar command)'
+          },
+          '--pdf': {
+            type: 'string',
+            description: 'Export report as PDF to the given filename (requires pdfkit)'
+          },
+          '--framework': {
+            type: 'string',
+            description: 'Compliance report: map secrets and their rotation history to the controls of a framework (built-in id or framework JSON file, see frameworks). Supports text, json, markdown and --pdf.'
+          },
+          '--output': {
+            type: 'string',
+            description: 'Output file (defaults to stdout)'
+          },
+          '--owner': {
+            type: 'string',
+            description: 'Only include secrets owned by this person'
+          },
+          '--team': {
+            type: 'string',
+            description: 'Only include secrets owned by this team'
+          },
+          '--filter': {
+            type: 'string',
+            description: 'Filter expression (e.g., "provider=aws and env=prod and age>60")'
+          },
+          '--as-of': {
+            type: 'string',
+            format: 'date',
+            description: 'Evaluate statuses, age and expiry as of this date (YYYY-MM-DD) instead of today'
+          },
+          '--quiet': {
+            type: 'boolean',
+            default: false,
+            description: 'Suppress non-essential output'
+          }
+        },
+        output: {
+          framework: {
+            description: 'JSON output with --framework',
+            type: 'object',
+            properties: {
+              framework: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  name: { type: 'string' },
+                  version: { type: 'string', nullable: true },
+                  description: { type: 'string', nullable: true }
+                }
+              },
+              asOf: { type: 'string', format: 'date', nullable: true },
+              summary: {
+                type: 'object',
+                properties: {
+                  controls: { type: 'number' },
+                  passed: { type: 'number' },
+                  failed: { type: 'number' },
+                  notApplicable: { type: 'number' },
+                  secrets: { type: 'number' }
+                }
+              },
+              controls: { type: 'array', items: { $ref: '#/definitions/complianceControl' } }
+            }
+          }
+        }
+      },
+      calendar: {
+        description: 'Export expiry and rotation due dates as an RFC 5545 iCalendar (.ics) file, with alarms at the warning and critical thresholds. UIDs are stable so re-imports update events; decommissioned secrets are exported as cancelled events.',
+        usage: 'mpx-secrets-audit calendar [options]',
+        arguments: {},
+        flags: {
+          '--output': {
+            type: 'string',
+            description: 'Output file (defaults to stdout)'
+          },
+          '--name': {
+            type: 'string',
+            default: 'Secrets rotation & expiry',
+            description: 'Calendar name shown in calendar apps'
+          },
+          '--owner': {
+            type: 'string',
+            description: 'Only include secrets owned by this person'
+          },
+          '--team': {
+            type: 'string',
+            description: 'Only include secrets owned by this team'
+          },
+          '--filter': {
+            type: 'string',
+            description: 'Filter expression (e.g., "provider=aws and env=prod")'
+          },
+          '--json': {
+            type: 'boolean',
+            default: false,
+            description: 'Output as JSON'
+          },
+          '--quiet': {
+            type: 'boolean',
+            default: false,
+            description: 'Suppress non-essential output'
+          }
+        },
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                outputPath: { type: 'string', description: 'Only with --output' },
+                count: { type: 'number' },
+                events: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      uid: { type: 'string' },
+                      kind: { type: 'string', enum: ['expiry', 'rotation'] },
+                      name: { type: 'string' },
+                      date: { type: 'string', format: 'date' },
+                      cancelled: { type: 'boolean' },
+                      alarms: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            trigger: { type: 'string', description: 'RFC 5545 duration relative to the event, e.g. -P29D' },
+                            description: { type: 'string' }
+                          }
+                        }
+                      }
+                    }
+                  }
+                },
+                calendar: { type: 'string', description: 'The .ics content, when no --output is given' }
+              }
+            }
+          }
+        }
+      },
+      forecast: {
+        description: 'Project upcoming expirations, status changes and rotation due dates, assuming nothing is rotated',
+        usage: 'mpx-secrets-audit forecast [options]',
+        arguments: {},
+        flags: {
+          '--days': {
+            type: 'number',
+            default: 90,
+            description: 'Number of days to look ahead'
+          },
+          '--by': {
+            type: 'string',
+            enum: ['day', 'week'],
+            default: 'week',
+            description: 'Group the timeline by day or calendar week'
+          },
+          '--format': {
+            type: 'string',
+            enum: ['text', 'json', 'markdown'],
+            default: 'text',
+            description: 'Output format'
+          },
+          '--json': {
+            type: 'boolean',
+            default: false,
+            description: 'Output as JSON (shorthand for --format json)'
+          },
+          '--output': {
+            type: 'string',
+            description: 'Output file (defaults to stdout)'
+          },
+          '--owner': {
+            type: 'string',
+            description: 'Only include secrets owned by this person'
+          },
+          '--team': {
+            type: 'string',
+            description: 'Only include secrets owned by this team'
+          },
+          '--filter': {
+            type: 'string',
+            description: 'Filter expression (e.g., "provider=aws and env=prod")'
+          },
+          '--as-of': {
+            type: 'string',
+            format: 'date',
+            description: 'Start the forecast at this date (YYYY-MM-DD) instead of today'
+          },
+          '--quiet': {
+            type: 'boolean',
+            default: false,
+            description: 'Suppress non-essential output'
+          }
+        },
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                generatedAt: { type: 'string', format: 'date-time' },
+                from: { type: 'string', format: 'date' },
+                to: { type: 'string', format: 'date' },
+                days: { type: 'number' },
+                by: { type: 'string', enum: ['day', 'week'] },
+                current: {
+                  type: 'object',
+                  description: 'Status counts at the start of the window',
+                  properties: {
+                    healthy: { type: 'number' },
+                    warning: { type: 'number' },
+                    critical: { type: 'number' },
+                    stale: { type: 'number' },
+                    expired: { type: 'number' },
+                    waived: { type: 'number' }
+                  }
+                },
+                summary: {
+                  type: 'object',
+                  properties: {
+                    events: { type: 'number' },
+                    warning: { type: 'number' },
+                    critical: { type: 'number' },
+                    stale: { type: 'number' },
+                    expired: { type: 'number' },
+                    rotationsDue: { type: 'number' },
+                    waiversLapsing: { type: 'number' }
+                  }
+                },
+                events: { type: 'array', items: { $ref: '#/definitions/forecastEvent' } },
+                periods: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      start: { type: 'string', format: 'date' },
+                      end: { type: 'string', format: 'date' },
+                      events: { type: 'array', items: { $ref: '#/definitions/forecastEvent' } }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      'scan-aws': {
+        description: 'Scan AWS for IAM access keys, Secrets Manager secrets and SSM SecureString parameters (Pro feature). Results are paginated; keys are named aws-<user>-<last 4 characters of the key id> (--auto-add renames keys tracked under the former aws-key-<last 4> names), secrets aws-sm-<name> and parameters aws-ssm-<name> (aws-sm-<account>-<name> and aws-ssm-<account>-<name> when found through --roles, since names are only unique within an account). Secret values are never read.',
+        usage: 'mpx-secrets-audit scan-aws [options]',
+        arguments: {},
+        flags: {
+          '--source': {
+            type: 'string',
+            default: 'iam',
+            description: 'Comma-separated sources to scan: iam (access keys), secretsmanager (Secrets Manager secrets with their rotation schedule), ssm (SecureString parameters)'
+          },
+          '--auto-add': {
+            type: 'boolean',
+            default: false,
+            description: 'Automatically add discovered credentials to tracking and record newer rotation and last-used dates of tracked ones from AWS. Secrets Manager secrets with rotation enabled are added with their rotation interval as rotationPolicy and renewal.'
+          },
+          '--roles': {
+            type: 'string',
+            description: 'Comma-separated ARNs of cross-account roles to assume and scan as well (requires @aws-sdk/client-sts). A role that fails is reported in errors without stopping the scan.'
+          },
+          '--endpoint-url': {
+            type: 'string',
+            description: 'Endpoint URL for all AWS API calls, e.g. a local mock server'
+          },
+          '--region': {
+            type: 'string',
+            description: 'AWS region for the API calls (default: AWS_REGION, else us-east-1)'
+          },
+          '--json': {
+            type: 'boolean',
+            default: false,
+            description: 'Output as JSON'
+          },
+          '--quiet': {
+            type: 'boolean',
+            default: false,
+            description: 'Suppress non-essential output'
+          }
+        },
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                count: { type: 'number' },
+                keys: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      name: { type: 'string' },
+                      keyId: { type: 'string', description: 'Last 4 characters of the access key id' },
+                      userName: { type: 'string' },
+                      accountId: { type: 'string', nullable: true },
+                      role: { type: 'string', nullable: true, description: 'Role assumed to reach the account, null for the caller\'s own account' },
+                      status: { type: 'string' },
+                      createdAt: { type: 'string', format: 'date' },
+                      lastUsed: { type: 'string', description: 'YYYY-MM-DD, "Never" or "Unknown"' },
+                      age: { type: 'number' },
+                      scanError: { type: 'string' }
+                    }
+                  }
+                },
+                secrets: {
+                  type: 'array',
+                  description: 'Present with --source secretsmanager',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      name: { type: 'string' },
+                      secretName: { type: 'string' },
+                      arn: { type: 'string' },
+                      accountId: { type: 'string', nullable: true },
+                      role: { type: 'string', nullable: true },
+                      description: { type: 'string', nullable: true },
+                      createdAt: { type: 'string', format: 'date' },
+                      lastRotated: { type: 'string', format: 'date', nullable: true },
+                      lastAccessed: { type: 'string', format: 'date', nullable: true },
+                      rotationEnabled: { type: 'boolean' },
+                      rotationDays: { type: 'number', nullable: true, description: 'Rotation interval in days' },
+                      nextRotation: { type: 'string', format: 'date', nullable: true },
+                      age: { type: 'number', description: 'Days since the last rotation, or since creation' }
+                    }
+                  }
+                },
+                parameters: {
+                  type: 'array',
+                  description: 'Present with --source ssm',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      name: { type: 'string' },
+                      parameterName: { type: 'string' },
+                      arn: { type: 'string', nullable: true },
+                      accountId: { type: 'string', nullable: true },
+                      role: { type: 'string', nullable: true },
+                      version: { type: 'number' },
+                      lastModified: { type: 'string', format: 'date' },
+                      lastModifiedBy: { type: 'string', nullable: true },
+                      expiresAt: { type: 'string', format: 'date', nullable: true, description: 'From the parameter\'s Expiration policy' },
+                      age: { type: 'number', description: 'Days since the last modification' }
+                    }
+                  }
+                },
+                errors: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      source: { type: 'string', enum: ['iam', 'secretsmanager', 'ssm'] },
+                      role: { type: 'string' },
+                      error: { type: 'string' }
+                    }
+                  }
+                },
+                autoAdd: {
+                  type: 'object',
+                  properties: {
+                    added: { type: 'number' },
+                    updated: { type: 'number' },
+                    errors: { type: 'array' }
+                  }
+                }
+              }
+            }
+          }
+        },
+        requirements: ['Pro tier', 'AWS credentials', '@aws-sdk/client-iam package (--source iam)', '@aws-sdk/client-secrets-manager package (--source secretsmanager)', '@aws-sdk/client-ssm package (--source ssm)', '@aws-sdk/client-sts package (only with --roles)']
+      },
+      'scan-github': {
+        description: 'Scan GitHub for credentials (Pro feature): the scanning token (expiry from the github-authentication-token-expiration header), fine-grained PATs granted to organizations, repository deploy keys, Actions and Dependabot secrets of organizations and repositories, and GitHub App installations. Results are paginated; secret values are never read.',
+        usage: 'mpx-secrets-audit scan-github [options]',
+        arguments: {},
+        flags: {
+          '--source': {
+            type: 'string',
+            description: 'Comma-separated sources to scan: token, pats, deploy-keys, actions, dependabot, apps (default: all). All but token need --orgs or --repos.'
+          },
+          '--orgs': {
+            type: 'string',
+            description: 'Comma-separated organizations to scan. Their repositories are scanned for deploy keys and repository secrets too.'
+          },
+          '--repos': {
+            type: 'string',
+            description: 'Comma-separated owner/name repositories to scan'
+          },
+          '--base-url': {
+            type: 'string',
+            description: 'GitHub API base URL (default: GITHUB_API_URL, else https://api.github.com). Use https://<host>/api/v3 for GitHub Enterprise Server, or a local stub for testing.'
+          },
+          '--auto-add': {
+            type: 'boolean',
+            default: false,
+            description: 'Automatically add discovered credentials to tracking and record newer rotation and last-used dates of tracked ones from GitHub (an overwritten Actions or Dependabot secret counts as rotated)'
+          },
+          '--json': {
+            type: 'boolean',
+            default: false,
+            description: 'Output as JSON'
+          },
+          '--quiet': {
+            type: 'boolean',
+            default: false,
+            description: 'Suppress non-essential output'
+          }
+        },
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                count: { type: 'number' },
+                credentials: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    description: 'Fields depend on source',
+                    properties: {
+                      source: { type: 'string', enum: ['token', 'pats', 'deploy-keys', 'actions', 'dependabot', 'apps'] },
+                      name: { type: 'string', description: 'github-pat-<login>, github-pat-<org>-<owner>-<token id>, github-deploy-<repo>-<key id>, github-<actions|dependabot>-<org or repo>-<secret>, github-app-<org>-<app slug>' },
+                      login: { type: 'string', description: 'token: owner of the scanning token' },
+                      tokenType: { type: 'string', enum: ['classic', 'fine-grained', 'oauth', 'app-user', 'app-installation', 'unknown'] },
+                      scopes: { type: 'array', items: { type: 'string' }, nullable: true, description: 'token: OAuth scopes (classic tokens only)' },
+                      tokenName: { type: 'string', nullable: true },
+                      owner: { type: 'string', description: 'pats: user who owns the token' },
+                      org: { type: 'string', nullable: true },
+                      repo: { type: 'string', nullable: true },
+                      repositorySelection: { type: 'string' },
+                      grantedAt: { type: 'string', format: 'date' },
+                      expired: { type: 'boolean' },
+                      expiresAt: { type: 'string', format: 'date', nullable: true },
+                      lastUsed: { type: 'string', format: 'date', nullable: true },
+                      keyId: { type: 'number' },
+                      title: { type: 'string' },
+                      readOnly: { type: 'boolean' },
+                      secretName: { type: 'string' },
+                      visibility: { type: 'string', nullable: true },
+                      appSlug: { type: 'string' },
+                      appId: { type: 'number' },
+                      installationId: { type: 'number' },
+                      createdAt: { type: 'string', format: 'date' },
+                      updatedAt: { type: 'string', format: 'date', nullable: true }
+                    }
+                  }
+                },
+                errors: {
+                  type: 'array',
+                  description: 'Organizations and repositories that could not be read',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      source: { type: 'string' },
+                      target: { type: 'string', description: 'Organization or owner/name repository' },
+                      error: { type: 'string' }
+                    }
+                  }
+                },
+                autoAdd: {
+                  type: 'object',
+                  properties: {
+                    added: { type: 'number' },
+                    updated: { type: 'number' },
+                    errors: { type: 'array' }
+                  }
+                }
+              }
+            }
+          }
+        },
+        requirements: ['Pro tier', 'GITHUB_TOKEN environment variable', '@octokit/rest package', 'Token permissions for the scanned endpoints (e.g. organization owner for pats and apps, repository administration for deploy keys, secrets read for actions and dependabot)']
+      },
+      validate: {
+        description: 'Validate the config file against the schema',
+        usage: 'mpx-secrets-audit validate [options]',
+        arguments: {},
+        flags: {
+          '--json': {
+            type: 'boolean',
+            default: false,
+            description: 'Output as JSON'
+          },
+          '--quiet': {
+            type: 'boolean',
+            default: false,
+            description: 'Suppress non-essential output'
+          }
+        },
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                configPath: { type: 'string' },
+                version: { type: 'string', nullable: true },
+                pendingMigrations: { type: 'array', items: { type: 'string' } },
+                problems: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      path: { type: 'string', description: 'JSON path, e.g. $.secrets[2].expiresAt' },
+                      message: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        exitCodes: {
+          0: 'Config is valid',
+          1: 'Problems found'
+        }
+      },
+      mcp: {
+        description: 'Start MCP (Model Context Protocol) stdio server for AI agent integration',
+        usage: 'mpx-secrets-audit mcp',
+        arguments: {},
+        flags: {}
+      },
+      profiles: {
+        description: 'List named config profiles',
+        usage: 'mpx-secrets-audit profiles [options]',
+        arguments: {},
+        flags: {
+          '--json': {
+            type: 'boolean',
+            default: false,
+            description: 'Output as JSON'
+          },
+          '--quiet': {
+            type: 'boolean',
+            default: false,
+            description: 'Suppress non-essential output'
+          }
+        },
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                count: { type: 'number' },
+                profiles: { type: 'array', items: { type: 'string' } },
+                activeConfigPath: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      layers: {
+        description: 'Show the config files merged into the active config, lowest precedence first',
+        usage: 'mpx-secrets-audit layers [options]',
+        arguments: {},
+        flags: {
+          '--json': {
+            type: 'boolean',
+            default: false,
+            description: 'Output as JSON'
+          },
+          '--quiet': {
+            type: 'boolean',
+            default: false,
+            description: 'Suppress non-essential output'
+          }
+        },
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                count: { type: 'number' },
+                layers: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      path: { type: 'string' },
+                      include: { type: 'array', items: { type: 'string' } },
+                      secrets: { type: 'number' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      policy: {
+        description: 'Show the status thresholds, rotation rules and risk weights in effect, globally or for one secret',
+        usage: 'mpx-secrets-audit policy [name] [options]',
+        arguments: {
+          name: {
+            type: 'string',
+            required: false,
+            description: 'Secret to resolve the policy for'
+          }
+        },
+        flags: {
+          '--json': {
+            type: 'boolean',
+            default: false,
+            description: 'Output as JSON'
+          },
+          '--quiet': {
+            type: 'boolean',
+            default: false,
+            description: 'Suppress non-essential output'
+          }
+        },
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                thresholds: { $ref: '#/definitions/thresholds' },
+                rules: {
+                  type: 'object',
+                  description: 'Rules keyed by "provider/type" ("*" matches any)',
+                  additionalProperties: {
+                    type: 'object',
+                    properties: {
+                      rotationPolicy: { type: 'number' },
+                      maxLifetimeDays: { type: 'number' },
+                      thresholds: { $ref: '#/definitions/thresholds' }
+                    }
+                  }
+                },
+                risk: {
+                  type: 'object',
+                  description: 'Risk score weights and environment values (global policy only)',
+                  properties: {
+                    weights: {
+                      type: 'object',
+                      properties: {
+                        overdue: { type: 'number' },
+                        privilege: { type: 'number' },
+                        environment: { type: 'number' },
+                        exposure: { type: 'number' },
+                        usage: { type: 'number' }
+                      }
+                    },
+                    environments: { type: 'object', additionalProperties: { type: 'number' } }
+                  }
+                },
+                name: { type: 'string', description: 'Only when a secret name is given' },
+                status: { type: 'string' },
+                message: { type: 'string' },
+                policy: {
+                  type: 'object',
+                  description: 'Resolved policy for the secret (only when a name is given)',
+                  properties: {
+                    rotationPolicy: { type: 'number', nullable: true },
+                    maxLifetimeDays: { type: 'number', nullable: true },
+                    rotationWarningPercent: { type: 'number' },
+                    expiryWarningDays: { type: 'number' },
+                    expiryCriticalDays: { type: 'number' },
+                    staleDays: { type: 'number', nullable: true }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      lint: {
+        description: 'Check the inventory against the hygiene rules under policy.lint (see lintRules)',
+        usage: 'mpx-secrets-audit lint [options]',
+        arguments: {},
+        flags: {
+          '--format': {
+            type: 'string',
+            enum: ['text', 'json', 'sarif'],
+            default: 'text',
+            description: 'Output format (sarif: SARIF 2.1.0 log for code scanning tools)'
+          },
+          '--json': {
+            type: 'boolean',
+            default: false,
+            description: 'Output as JSON (shorthand for --format json)'
+          },
+          '--output': {
+            type: 'string',
+            description: 'Output file (defaults to stdout)'
+          },
+          '--rule': {
+            type: 'string',
+            description: 'Only run the rule with this id'
+          },
+          '--ci': {
+            type: 'boolean',
+            default: false,
+            description: 'CI mode: exit with code 1 on violations at or above --fail-on'
+          },
+          '--fail-on': {
+            type: 'string',
+            enum: ['error', 'warning', 'note'],
+            default: 'warning',
+            description: 'Lowest severity that fails in CI mode'
+          },
+          '--owner': {
+            type: 'string',
+            description: 'Only lint secrets owned by this person'
+          },
+          '--team': {
+            type: 'string',
+            description: 'Only lint secrets owned by this team'
+          },
+          '--filter': {
+            type: 'string',
+            description: 'Filter expression (e.g., "provider=aws and env=prod")'
+          },
+          '--quiet': {
+            type: 'boolean',
+            default: false,
+            description: 'Suppress non-essential output'
+          }
+        },
+        output: {
+          json: {
+            schema: {
+              type: 'object',
+              properties: {
+                generatedAt: { type: 'string', format: 'date-time' },
+                rules: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      id: { type: 'string' },
+                      description: { type: 'string' },
+                      severity: { type: 'string', enum: ['error', 'warning', 'note'] },
+                      where: { type: 'string', nullable: true },
+                      checked: { type: 'number', description: 'Secrets the rule applies to' },
+                      violations: { type: 'number' }
+                    }
+                  }
+                },
+                summary: {
+                  type: 'object',
+                  properties: {
+                    rules: { type: 'number' },
+                    secrets: { type: 'number' },
+                    violations: { type: 'number' },
+                    error: { type: 'number' },
+                    warning: { type: 'number' },
+                    note: { type: 'number' }
+                  }
+                },
+                violations: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      ruleId: { type: 'string' },
+                      severity: { type: 'string', enum: ['error', 'warning', 'note'] },
+                      name: { type: 'string' },
+                      provider: { type: 'string' },
+                      owner: { type: 'string', nullable: true },
+                      source: { type: 'string', nullable: true, description: 'Config file the secret is defined in' },
+                      message: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        exitCodes: {
+          0: 'No violations at or above --fail-on (or not in CI mode)',
+          1: 'Violations found (CI mode), or an invalid rule'
+        }
+      },
+      update: {
+        description: 'Check for updates and optionally install the latest version',
+        usage: 'mpx-secrets-audit update [--check] [--json]',
+        flags: {
+          '--check': { description: 'Only check for updates (do not install)', default: false },
+          '--json': { description: 'Machine-readable JSON output', default: false }
+        },
+        examples: [
+          { command: 'mpx-secrets-audit update', description: 'Check and install updates' },
+          { command: 'mpx-secrets-audit update --check', description: 'Just check for updates' },
+          { command: 'mpx-secrets-audit update --check --json', description: 'Check for updates (JSON output)' }
+        ]
+      },
+      schema: {
+        description: 'Output this JSON schema',
+        usage: 'mpx-secrets-audit --schema',
+        flags: {
+          '--schema': {
+            type: 'boolean',
+            description: 'Output JSON schema'
+          }
+        }
+      }
+    },
+    definitions: {
+      filter: {
+        type: 'string',
+        description: 'Filter expression accepted by --filter and the MCP list/check tools',
+        fields: ['name', 'provider', 'type', 'status', 'owner', 'team', 'environment (env)', 'tags (tag)', 'notes', 'age', 'expires', 'rotation'],
+        operators: ['=', '!=', '>', '>=', '<', '<='],
+        combinators: ['and', 'or', 'not', '( )'],
+        examples: [
+          'provider=aws and env=prod and age>60',
+          'tag=pci or (team=payments and status!=healthy)',
+          'name=stripe-*'
+        ]
+      },
+      rotations: {
+        type: 'array',
+        description: 'Append-only rotation history, oldest first',
+        items: {
+          type: 'object',
+          properties: {
+            date: { type: 'string', format: 'date' },
+            actor: { type: 'string' },
+            reason: { type: 'string' },
+            ticket: { type: 'string', nullable: true }
+          }
+        }
+      },
+      thresholds: {
+        type: 'object',
+        properties: {
+          rotationWarningPercent: { type: 'number', default: 75, description: 'Warn when this % of the rotation policy has elapsed' },
+          expiryWarningDays: { type: 'number', default: 30, description: 'Warn when expiry is fewer than this many days away' },
+          expiryCriticalDays: { type: 'number', default: 7, description: 'Critical when expiry is fewer than this many days away' },
+          staleDays: { type: 'number', nullable: true, default: null, description: 'Stale when unused (lastUsed) for more than this many days; null turns the check off' }
+        }
+      },
+      renewal: {
+        type: 'object',
+        nullable: true,
+        description: 'Cadence of a secret that renews itself; see the renewal section',
+        properties: {
+          everyDays: { type: 'number', description: 'Expected days between renewals' },
+          graceDays: { type: 'number', default: 0, description: 'Days a renewal may run late before it counts as missed' }
+        }
+      },
+      ack: {
+        type: 'object',
+        nullable: true,
+        description: 'Acknowledgement of a warning, critical or stale status; lapses after `until`',
+        properties: {
+          until: { type: 'string', format: 'date' },
+          reason: { type: 'string' },
+          by: { type: 'string' },
+          at: { type: 'string', format: 'date' }
+        }
+      },
+      waiver: {
+        type: 'object',
+        nullable: true,
+        description: 'Formal policy exception; the secret reverts to its normal status after `until`',
+        properties: {
+          scope: { type: 'string', enum: ['rotation', 'expiry', 'usage', 'all'] },
+          justification: { type: 'string' },
+          approver: { type: 'string' },
+          until: { type: 'string', format: 'date' },
+          grantedBy: { type: 'string' },
+          grantedAt: { type: 'string', format: 'date' }
+        }
+      },
+      risk: {
+        type: 'object',
+        description: 'Risk score: weighted average of the factors (each 0-1), scaled to 0-100',
+        properties: {
+          score: { type: 'number', minimum: 0, maximum: 100 },
+          level: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+          factors: {
+            type: 'object',
+            properties: {
+              overdue: { type: 'number' },
+              privilege: { type: 'number' },
+              environment: { type: 'number' },
+              exposure: { type: 'number' },
+              usage: { type: 'number' }
+            }
+          },
+          drivers: { type: 'array', items: { type: 'string' }, description: 'What raises the score most, highest first' }
+        }
+      },
+      complianceControl: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          description: { type: 'string', nullable: true },
+          where: { type: 'string', nullable: true, description: 'Filter expression selecting the secrets in scope' },
+          status: { type: 'string', enum: ['pass', 'fail', 'not_applicable'] },
+          checked: { type: 'number' },
+          passed: { type: 'number' },
+          failed: { type: 'number' },
+          waived: { type: 'number' },
+          evidence: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                provider: { type: 'string' },
+                owner: { type: 'string', nullable: true },
+                result: { type: 'string', enum: ['pass', 'fail', 'waived'] },
+                details: { type: 'string', description: 'Rotation policy, last rotation and history, expiry, last use, owner and status' },
+                reasons: { type: 'array', items: { type: 'string' } },
+                waiver: { type: 'string', description: 'Only present when the result is waived: an active waiver whose scope covers every failed requirement' }
+              }
+            }
+          }
+        }
+      },
+      forecastEvent: {
+        type: 'object',
+        properties: {
+          date: { type: 'string', format: 'date' },
+          name: { type: 'string' },
+          provider: { type: 'string' },
+          type: { type: 'string' },
+          owner: { type: 'string', nullable: true },
+          team: { type: 'string', nullable: true },
+          event: { type: 'string', enum: ['warning', 'critical', 'stale', 'expired', 'healthy', 'rotation_due', 'waiver_lapses'] },
+          from: { type: 'string', description: 'Previous status (status changes only)' },
+          message: { type: 'string' }
+        }
+      },
+      archivedSecret: {
+        type: 'object',
+        description: 'A decommissioned secret: its last tracked fields plus when, by whom and why it was archived',
+        properties: {
+          name: { type: 'string' },
+          provider: { type: 'string' },
+          owner: { type: 'string', nullable: true },
+          archivedAt: { type: 'string', format: 'date' },
+          archivedBy: { type: 'string' },
+          archiveReason: { type: 'string' },
+          source: { type: 'string', description: 'Config layer the entry is stored in' }
         }
       }
     },
+    configFile: {
+      version: CURRENT_CONFIG_VERSION,
+      description: 'Format of .secrets-audit.json. Older versions are migrated automatically on load.',
+      schema: CONFIG_SCHEMA
+    },
     globalFlags: {
       '--json': {
         type: 'boolean',
@@ -434,6 +1905,19 @@ export function getSchema() {
         default: false,
         description: 'Output this schema as JSON'
       },
+      '--config <path>': {
+        type: 'string',
+        description: 'Use this config file (overrides MPX_SECRETS_AUDIT_CONFIG). Also accepted after the subcommand.'
+      },
+      '--profile <name>': {
+        type: 'string',
+        description: 'Use a named profile from ~/.config/mpx-secrets-audit/profiles/. Also accepted after the subcommand.'
+      },
+      '--as-of <date>': {
+        type: 'string',
+        format: 'date',
+        description: 'Evaluate statuses as of this date (YYYY-MM-DD) instead of today. Supported by check, list, report and forecast; also accepted after the subcommand.'
+      },
       '--version': {
         type: 'boolean',
         description: 'Show version number'
@@ -443,6 +1927,66 @@ export function getSchema() {
         description: 'Show help information'
       }
     },
+    environment: {
+      MPX_SECRETS_AUDIT_CONFIG: 'Path to the config file to use (overridden by --config / --profile)',
+      MPX_SECRETS_AUDIT_PROFILE: 'Named profile to use (overridden by --config / --profile and MPX_SECRETS_AUDIT_CONFIG)'
+    },
+    configResolution: [
+      '--config <path>',
+      '--profile <name>',
+      'MPX_SECRETS_AUDIT_CONFIG',
+      'MPX_SECRETS_AUDIT_PROFILE',
+      './.secrets-audit.json',
+      '~/.config/mpx-secrets-audit/config.json'
+    ],
+    configLayers: {
+      description: 'A config file may list other config files in "include" (relative paths, "~/" or "@global"). Included files are merged first, so the including file wins. Secrets are combined by name and keep a "source" path; changes are written back to that file. "defaults" are deep-merged and fill unset fields in add.',
+      example: {
+        version: CURRENT_CONFIG_VERSION,
+        include: ['@global', '../team/.secrets-audit.json'],
+        defaults: { owner: 'alice', rotationPolicy: 60 },
+        secrets: []
+      }
+    },
+    statusPolicy: {
+      description: 'Status thresholds come from "policy" in the config. Precedence, lowest first: built-in defaults, policy.thresholds, rules "provider/*", "*/type", "provider/type" (matched case-insensitively), then the secret\'s own "thresholds". A rule\'s rotationPolicy is used when a secret is added without --rotation. A rule\'s maxLifetimeDays (the provider\'s maximum credential lifetime) sets expiresAt to the last rotation plus that many days when a secret has no expiry of its own; the derived date is marked expiryDerived and restarts on every rotate. thresholds.staleDays (off by default) makes secrets unused for longer than that many days "stale": they should be revoked, so stale outranks every status but expired.',
+      example: {
+        policy: {
+          thresholds: { expiryWarningDays: 45, staleDays: 90 },
+          rules: {
+            'aws/access_key': { rotationPolicy: 30, thresholds: { rotationWarningPercent: 50 } },
+            'break-glass/*': { thresholds: { staleDays: null } },
+            'stripe/*': { thresholds: { expiryCriticalDays: 14 } },
+            '*/password': { rotationPolicy: 365 },
+            'azure/client_secret': { maxLifetimeDays: 365 }
+          }
+        }
+      }
+    },
+    renewal: {
+      description: 'A secret with a "renewal" cadence renews itself on a schedule (ACME certificates, tokens refreshed by a job). Renewals are recorded with rotate (the history entry defaults to reason "renewal") and the next is due everyDays after the last one. While renewals are on schedule the expiry and rotation checks are skipped; once a renewal is more than graceDays late the secret is critical and its expiry is checked as usual.',
+      example: {
+        name: 'api-tls-cert',
+        provider: 'letsencrypt',
+        type: 'certificate',
+        lastRotated: '2026-03-01',
+        expiresAt: '2026-05-30',
+        renewal: { everyDays: 60, graceDays: 7 }
+      }
+    },
+    lintRules: {
+      description: 'Lint rules live under "policy.lint", keyed by rule id, and are deep-merged across config layers. A rule applies to the secrets matching its "where" filter expression (all if omitted) and checks any of: "require" (fields that must be set), "assert" (a filter expression every secret must satisfy) and "match" (field → case-insensitive regular expression). "severity" is error (default), warning, note, or off to disable an inherited rule.',
+      example: {
+        policy: {
+          lint: {
+            'prod-owner': { description: 'Every prod secret must have an owner', where: 'env=prod', require: ['owner'] },
+            'access-key-rotation': { description: 'Access keys rotate at least every 90 days', where: 'type=access_key', assert: 'rotation<=90' },
+            'github-expiry': { where: 'provider=github', require: ['expiresAt'], severity: 'warning' },
+            runbook: { description: 'Notes link a runbook', match: { notes: 'runbook' }, severity: 'note' }
+          }
+        }
+      }
+    },
     exitCodes: {
       0: 'Success',
       1: 'Error or warnings (depending on command)',
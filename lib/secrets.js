@@ -1,164 +1,928 @@
-import { loadConfig, saveConfig } from './config.js';
-import { calculateStatus } from './status.js';
+import { userInfo } from 'os';
+import { loadMergedConfig, updateConfig } from './config.js';
+import { calculateStatus, isAcknowledged, getActiveWaiver, resolvePolicy, deriveExpiry, DEFAULT_THRESHOLDS, WAIVER_SCOPES } from './status.js';
+import { filterSecrets } from './filter.js';
+import { PRIVILEGE_LEVELS, EXPOSURE_LEVELS, rankByRisk } from './risk.js';
+
+// Fields updateSecret() may change. Rotation history and status are derived/append-only.
+const EDITABLE_FIELDS = [
+  'name', 'provider', 'type', 'createdAt', 'expiresAt', 'lastRotated',
+  'rotationPolicy', 'notes', 'owner', 'team', 'environment', 'tags', 'thresholds',
+  'privilege', 'exposure', 'lastUsed', 'renewal'
+];
+
+// Orders listSecrets() can sort by; without one, secrets keep their config order
+export const SECRET_SORTS = ['name', 'risk'];
 
 /**
- * Add a new secret to track
+ * Resolve who performed an action when no actor was given explicitly
  */
-export function addSecret(secretData) {
-  const config = loadConfig();
+function defaultActor() {
+  try {
+    return process.env.USER || process.env.USERNAME || userInfo().username;
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Throw if a YYYY-MM-DD date value is malformed. Empty values are allowed.
+ */
+function validateDate(field, val) {
+  if (!val) {
+    return;
+  }
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(val)) {
+    throw new Error(`Invalid date format for ${field}: "${val}". Use YYYY-MM-DD.`);
+  }
+  const parsed = new Date(val + 'T00:00:00');
+  if (isNaN(parsed.getTime())) {
+    throw new Error(`Invalid date for ${field}: "${val}". Use a valid YYYY-MM-DD date.`);
+  }
+  // Check month/day ranges (new Date('2025-99-99') may not be NaN in all engines)
+  const [y, m, d] = val.split('-').map(Number);
+  const check = new Date(y, m - 1, d);
+  if (check.getFullYear() !== y || check.getMonth() !== m - 1 || check.getDate() !== d) {
+    throw new Error(`Invalid date for ${field}: "${val}". Month or day out of range.`);
+  }
+}
+
+/**
+ * Validate the user-supplied fields of a secret (dates, rotation policy and
+ * risk attributes). Shared by addSecret() and updateSecret() so both enforce
+ * the same rules.
+ */
+function validateSecretFields(secretData) {
+  for (const field of ['createdAt', 'expiresAt', 'lastRotated', 'lastUsed']) {
+    validateDate(field, secretData[field]);
+  }
   
-  // Check free tier limit (10 secrets)
-  if (config.tier === 'free' && config.secrets.length >= 10) {
-    throw new Error(
-      'Free tier limit reached (10 secrets). Upgrade to Pro for unlimited secrets.'
-    );
+  if (secretData.privilege && !PRIVILEGE_LEVELS.includes(secretData.privilege)) {
+    throw new Error(`Invalid privilege: "${secretData.privilege}". Use one of: ${PRIVILEGE_LEVELS.join(', ')}`);
+  }
+  if (secretData.exposure && !EXPOSURE_LEVELS.includes(secretData.exposure)) {
+    throw new Error(`Invalid exposure: "${secretData.exposure}". Use one of: ${EXPOSURE_LEVELS.join(', ')}`);
   }
   
-  // Check for duplicate names
-  if (config.secrets.some(s => s.name === secretData.name)) {
-    throw new Error(`Secret with name "${secretData.name}" already exists`);
+  const policy = secretData.rotationPolicy;
+  if (policy !== undefined && policy !== null && (!Number.isInteger(policy) || policy <= 0)) {
+    throw new Error(`Invalid rotation policy: "${policy}". Use a positive number of days.`);
   }
   
-  // Validate required fields
-  if (!secretData.name) {
-    throw new Error('Secret name is required');
+  if (secretData.thresholds) {
+    validateThresholds(secretData.thresholds);
   }
   
-  // Validate dates
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  for (const field of ['createdAt', 'expiresAt', 'lastRotated']) {
-    const val = secretData[field];
-    if (val && val !== null) {
-      if (!dateRegex.test(val)) {
-        throw new Error(`Invalid date format for ${field}: "${val}". Use YYYY-MM-DD.`);
-      }
-      const parsed = new Date(val + 'T00:00:00');
-      if (isNaN(parsed.getTime())) {
-        throw new Error(`Invalid date for ${field}: "${val}". Use a valid YYYY-MM-DD date.`);
+  if (secretData.renewal) {
+    validateRenewal(secretData.renewal);
+  }
+}
+
+/**
+ * Validate a renewal cadence: { everyDays, graceDays }
+ */
+function validateRenewal(renewal) {
+  if (typeof renewal !== 'object' || Array.isArray(renewal)) {
+    throw new Error('Invalid renewal: expected an object such as { "everyDays": 60, "graceDays": 7 }');
+  }
+  
+  const unknown = Object.keys(renewal).find(key => !['everyDays', 'graceDays'].includes(key));
+  if (unknown) {
+    throw new Error(`Unknown renewal setting "${unknown}". Valid settings: everyDays, graceDays`);
+  }
+  if (!Number.isInteger(renewal.everyDays) || renewal.everyDays <= 0) {
+    throw new Error(`Invalid renewal everyDays: "${renewal.everyDays}". Use a positive number of days.`);
+  }
+  if (renewal.graceDays !== undefined && (!Number.isInteger(renewal.graceDays) || renewal.graceDays < 0)) {
+    throw new Error(`Invalid renewal graceDays: "${renewal.graceDays}". Use a whole number of days.`);
+  }
+}
+
+/**
+ * Validate per-secret threshold overrides (see DEFAULT_THRESHOLDS)
+ */
+function validateThresholds(thresholds) {
+  if (typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    throw new Error('Invalid thresholds: expected an object such as { "expiryWarningDays": 60 }');
+  }
+  
+  for (const [key, val] of Object.entries(thresholds)) {
+    if (!(key in DEFAULT_THRESHOLDS)) {
+      throw new Error(`Unknown threshold "${key}". Valid thresholds: ${Object.keys(DEFAULT_THRESHOLDS).join(', ')}`);
+    }
+    if (key === 'staleDays') {
+      if (val !== null && (!Number.isInteger(val) || val <= 0)) {
+        throw new Error(`Invalid threshold ${key}: "${val}". Use a positive number of days, or null to turn the check off.`);
       }
-      // Check month/day ranges (new Date('2025-99-99') may not be NaN in all engines)
-      const [y, m, d] = val.split('-').map(Number);
-      const check = new Date(y, m - 1, d);
-      if (check.getFullYear() !== y || check.getMonth() !== m - 1 || check.getDate() !== d) {
-        throw new Error(`Invalid date for ${field}: "${val}". Month or day out of range.`);
+    } else if (key === 'rotationWarningPercent') {
+      if (typeof val !== 'number' || !(val > 0 && val <= 100)) {
+        throw new Error(`Invalid threshold ${key}: "${val}". Use a percentage between 1 and 100.`);
       }
+    } else if (!Number.isInteger(val) || val < 0) {
+      throw new Error(`Invalid threshold ${key}: "${val}". Use a whole number of days.`);
+    }
+  }
+}
+
+/**
+ * Normalize tags given as an array or comma-separated string into a
+ * de-duplicated array of trimmed, non-empty strings
+ */
+function normalizeTags(tags) {
+  if (!tags) {
+    return [];
+  }
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list.map(t => String(t).trim()).filter(Boolean))];
+}
+
+/**
+ * Set `expiresAt` from the max lifetime of the secret's policy rule (see
+ * deriveExpiry()) when it has no expiry of its own, or refresh one derived
+ * earlier. Derived dates are marked with `expiryDerived` so explicit expiry
+ * dates are never overwritten.
+ */
+function applyDerivedExpiry(secret) {
+  if (secret.expiresAt && !secret.expiryDerived) {
+    return;
+  }
+  
+  const derived = deriveExpiry(secret);
+  if (derived) {
+    secret.expiresAt = derived;
+    secret.expiryDerived = true;
+  } else if (secret.expiryDerived) {
+    secret.expiresAt = null;
+    delete secret.expiryDerived;
+  }
+}
+
+/**
+ * Find a secret in the merged view of all config layers.
+ * The result carries a `source` property naming the layer file it lives in.
+ */
+function findSecret(name) {
+  const secret = loadMergedConfig().secrets.find(s => s.name === name);
+  
+  if (!secret) {
+    throw new Error(`Secret "${name}" not found`);
+  }
+  
+  return secret;
+}
+
+/**
+ * Add a new secret to track. It is written to the primary config file;
+ * unset fields fall back to the merged `defaults` of all layers.
+ */
+export function addSecret(secretData) {
+  return updateConfig(config => {
+    const merged = loadMergedConfig();
+    const defaults = merged.defaults || {};
+    
+    // Check free tier limit (10 secrets)
+    if (config.tier === 'free' && config.secrets.length >= 10) {
+      throw new Error(
+        'Free tier limit reached (10 secrets). Upgrade to Pro for unlimited secrets.'
+      );
+    }
+    
+    // Check for duplicate names, including secrets inherited from other layers
+    const existing = merged.secrets.find(s => s.name === secretData.name);
+    if (existing) {
+      const where = merged.layers.length > 1 ? ` (in ${existing.source})` : '';
+      throw new Error(`Secret with name "${secretData.name}" already exists${where}`);
     }
+    
+    const secret = buildSecret(secretData, defaults);
+    config.secrets.push(secret);
+    return secret;
+  });
+}
+
+/**
+ * Validate new secret data and fill in defaults, without saving anything.
+ * Shared by addSecret() and the dry-run path of importSecrets().
+ */
+function buildSecret(secretData, defaults) {
+  // Validate required fields
+  if (!secretData.name) {
+    throw new Error('Secret name is required');
   }
   
+  validateSecretFields(secretData);
+  
+  const provider = secretData.provider || defaults.provider || 'unknown';
+  const type = secretData.type || defaults.type || 'api_key';
+  
   // Create secret with defaults
   const secret = {
     name: secretData.name,
-    provider: secretData.provider || 'unknown',
-    type: secretData.type || 'api_key',
+    provider,
+    type,
     createdAt: secretData.createdAt || new Date().toISOString().split('T')[0],
     expiresAt: secretData.expiresAt || null,
     lastRotated: secretData.lastRotated || secretData.createdAt || new Date().toISOString().split('T')[0],
-    rotationPolicy: secretData.rotationPolicy || 90,
-    notes: secretData.notes || ''
+    // Explicit value, then the renewal cadence, the policy rule for this provider/type, then config defaults
+    rotationPolicy: secretData.rotationPolicy || secretData.renewal?.everyDays || resolvePolicy({ provider, type }).rotationPolicy || defaults.rotationPolicy || 90,
+    notes: secretData.notes || '',
+    owner: secretData.owner || defaults.owner || null,
+    team: secretData.team || defaults.team || null,
+    environment: secretData.environment || defaults.environment || null,
+    tags: normalizeTags(secretData.tags || defaults.tags),
+    privilege: secretData.privilege || null,
+    exposure: secretData.exposure || null,
+    rotations: []
   };
   
+  if (secretData.lastUsed) {
+    secret.lastUsed = secretData.lastUsed;
+  }
+  
+  if (secretData.thresholds) {
+    secret.thresholds = { ...secretData.thresholds };
+  }
+  
+  if (secretData.renewal) {
+    secret.renewal = { ...secretData.renewal };
+  }
+  
+  applyDerivedExpiry(secret);
+  
   // Calculate initial status
   secret.status = calculateStatus(secret);
   
-  config.secrets.push(secret);
-  saveConfig(config);
-  
   return secret;
 }
 
 /**
- * Remove a secret
+ * Apply the owner/team/filter expression scoping shared by the list functions
  */
-export function removeSecret(name) {
-  const config = loadConfig();
-  const index = config.secrets.findIndex(s => s.name === name);
+function scopeSecrets(secrets, filters) {
+  const scoped = secrets.filter(secret => {
+    if (filters.owner && secret.owner !== filters.owner) return false;
+    if (filters.team && secret.team !== filters.team) return false;
+    return true;
+  });
+  
+  return filterSecrets(scoped, filters.filter);
+}
+
+/**
+ * Stop tracking a secret. By default the secret is moved to the `archived`
+ * list of the layer it is defined in, stamped with when, by whom and why it
+ * was decommissioned, so audits can still show that it existed.
+ * With `purge`, the secret is deleted permanently instead; purging a name that
+ * is only archived deletes its archive entries.
+ *
+ * @param {string} name - Secret name
+ * @param {object} [options] - Optional { reason, actor, purge }
+ * @returns {object} - The archived entry, or the deleted secret when purging
+ */
+export function removeSecret(name, options = {}) {
+  const merged = loadMergedConfig();
+  const active = merged.secrets.find(s => s.name === name);
   
-  if (index === -1) {
+  if (!active) {
+    const archived = (merged.archived || []).filter(s => s.name === name);
+    if (options.purge && archived.length > 0) {
+      return purgeArchived(name, archived);
+    }
     throw new Error(`Secret "${name}" not found`);
   }
   
-  const removed = config.secrets.splice(index, 1)[0];
-  saveConfig(config);
+  return updateConfig(config => {
+    const index = config.secrets.findIndex(s => s.name === name);
+    
+    if (index === -1) {
+      throw new Error(`Secret "${name}" not found`);
+    }
+    
+    const removed = config.secrets.splice(index, 1)[0];
+    if (options.purge) {
+      return removed;
+    }
+    
+    // Acknowledgements do not outlive the secret
+    const { status, ack, ...rest } = removed;
+    const entry = {
+      ...rest,
+      archivedAt: new Date().toISOString().split('T')[0],
+      archivedBy: options.actor || defaultActor(),
+      archiveReason: options.reason || ''
+    };
+    
+    config.archived = [...(config.archived || []), entry];
+    return entry;
+  }, active.source);
+}
+
+/**
+ * Permanently delete the archive entries of a decommissioned secret
+ */
+function purgeArchived(name, entries) {
+  const sources = [...new Set(entries.map(e => e.source))];
+  const purged = [];
+  
+  for (const source of sources) {
+    updateConfig(config => {
+      purged.push(...config.archived.filter(s => s.name === name));
+      config.archived = config.archived.filter(s => s.name !== name);
+    }, source);
+  }
+  
+  return purged[purged.length - 1];
+}
+
+/**
+ * List decommissioned (archived) secrets across every config layer, oldest first
+ *
+ * @param {object} [filters] - Same filters as listSecrets()
+ */
+export function listArchivedSecrets(filters = {}) {
+  const archived = [...(loadMergedConfig().archived || [])]
+    .sort((a, b) => a.archivedAt.localeCompare(b.archivedAt));
+  
+  return scopeSecrets(archived, filters);
+}
+
+/**
+ * Move an archived secret back into the active inventory of the layer it was
+ * archived from. If it was archived more than once, the latest entry is restored.
+ */
+export function restoreSecret(name) {
+  const merged = loadMergedConfig();
+  
+  if (merged.secrets.some(s => s.name === name)) {
+    throw new Error(`Secret with name "${name}" already exists`);
+  }
+  
+  const candidates = (merged.archived || []).filter(s => s.name === name);
+  if (candidates.length === 0) {
+    throw new Error(`No archived secret named "${name}"`);
+  }
+  
+  const latest = candidates.reduce((a, b) => (b.archivedAt >= a.archivedAt ? b : a));
   
-  return removed;
+  return updateConfig(config => {
+    if (config.tier === 'free' && config.secrets.length >= 10) {
+      throw new Error(
+        'Free tier limit reached (10 secrets). Upgrade to Pro for unlimited secrets.'
+      );
+    }
+    
+    const index = config.archived.findLastIndex(
+      s => s.name === name && s.archivedAt === latest.archivedAt
+    );
+    const { archivedAt, archivedBy, archiveReason, ...secret } = config.archived.splice(index, 1)[0];
+    
+    secret.status = calculateStatus(secret);
+    config.secrets.push(secret);
+    return secret;
+  }, latest.source);
 }
 
 /**
- * List all secrets
+ * List all secrets across every config layer. Each secret carries a `source`
+ * property naming the layer file it came from.
+ *
+ * @param {object} [filters] - Optional { owner, team, filter } to scope the result,
+ *   where `filter` is an expression such as "provider=aws and env=prod and age>60",
+ *   and { sort } one of SECRET_SORTS. Sorting by risk puts the riskiest first and
+ *   adds each secret's `risk` (see calculateRisk()).
  */
-export function listSecrets() {
-  const config = loadConfig();
+export function listSecrets(filters = {}) {
+  const config = loadMergedConfig();
+  
+  if (filters.sort && !SECRET_SORTS.includes(filters.sort)) {
+    throw new Error(`Invalid sort: "${filters.sort}". Use one of: ${SECRET_SORTS.join(', ')}`);
+  }
   
   // Recalculate status for each secret
   config.secrets.forEach(secret => {
     secret.status = calculateStatus(secret);
+    secret.acknowledged = isAcknowledged(secret);
   });
   
-  return config.secrets;
+  const secrets = scopeSecrets(config.secrets, filters);
+  if (filters.sort === 'risk') {
+    return rankByRisk(secrets);
+  }
+  if (filters.sort === 'name') {
+    return secrets.sort((a, b) => a.name.localeCompare(b.name));
+  }
+  return secrets;
 }
 
 /**
  * Get a specific secret
  */
 export function getSecret(name) {
-  const config = loadConfig();
-  const secret = config.secrets.find(s => s.name === name);
+  const secret = findSecret(name);
+  secret.status = calculateStatus(secret);
+  secret.acknowledged = isAcknowledged(secret);
+  return secret;
+}
+
+/**
+ * Mark a secret as rotated today (or on `details.date`) and append an entry
+ * to its rotation history. Existing history entries are never modified. An
+ * expiry derived from the policy's max lifetime restarts from the rotation.
+ * For a secret with a `renewal` cadence this records a renewal.
+ *
+ * @param {string} name - Secret name
+ * @param {object} [details] - Optional { actor, reason, ticket } for the audit trail,
+ *   and { date } day of the rotation (YYYY-MM-DD, defaults to today)
+ */
+export function rotateSecret(name, details = {}) {
+  const today = new Date().toISOString().split('T')[0];
+  if (details.date) {
+    validateDate('date', details.date);
+    if (details.date > today) {
+      throw new Error(`Invalid date for date: "${details.date}" is in the future.`);
+    }
+  }
   
-  if (!secret) {
-    throw new Error(`Secret "${name}" not found`);
+  const { source } = findSecret(name);
+  
+  return updateConfig(config => {
+    const secret = config.secrets.find(s => s.name === name);
+    
+    if (!secret) {
+      throw new Error(`Secret "${name}" not found`);
+    }
+    
+    const entry = {
+      date: details.date || today,
+      actor: details.actor || defaultActor(),
+      reason: details.reason || (secret.renewal ? 'renewal' : ''),
+      ticket: details.ticket || null
+    };
+    
+    secret.rotations = [...(secret.rotations || []), entry];
+    secret.lastRotated = entry.date;
+    // A new credential gets a new lifetime
+    applyDerivedExpiry(secret);
+    // Rotating resolves whatever was acknowledged
+    delete secret.ack;
+    secret.status = calculateStatus(secret);
+    
+    return secret;
+  }, source);
+}
+
+/**
+ * Record that a secret was used, e.g. from an access log or deploy. Its
+ * `lastUsed` date only ever moves forward: recording an older use keeps the
+ * later date.
+ *
+ * @param {string} name - Secret name
+ * @param {object} [options] - { date } day of use (YYYY-MM-DD, defaults to today)
+ */
+export function touchSecret(name, { date } = {}) {
+  const today = new Date().toISOString().split('T')[0];
+  const used = date || today;
+  validateDate('date', used);
+  if (used > today) {
+    throw new Error(`Invalid date for date: "${used}" is in the future.`);
   }
   
-  secret.status = calculateStatus(secret);
-  return secret;
+  const { source } = findSecret(name);
+  
+  return updateConfig(config => {
+    const secret = config.secrets.find(s => s.name === name);
+    
+    if (!secret) {
+      throw new Error(`Secret "${name}" not found`);
+    }
+    
+    if (!secret.lastUsed || used > secret.lastUsed) {
+      secret.lastUsed = used;
+    }
+    secret.status = calculateStatus(secret);
+    
+    return secret;
+  }, source);
 }
 
 /**
- * Update a secret's rotation date
+ * Track a secret found by a cloud scanner. A new secret is added; for one
+ * already tracked, a newer rotation date seen at the provider is recorded as
+ * a rotation (see rotateSecret()) and a newer last-used date is recorded
+ * (see touchSecret()). A secret still tracked under the scanner's
+ * `formerName` for it, with the same provider and type, is renamed first so
+ * its history carries over.
+ *
+ * @param {object} found - Secret as converted by a scanner's convertToSecrets()
+ * @param {object} [details] - { actor } recorded on detected rotations
+ * @returns {'added'|'updated'|'unchanged'}
  */
-export function rotateSecret(name) {
-  const config = loadConfig();
-  const secret = config.secrets.find(s => s.name === name);
+export function syncScannedSecret({ formerName, ...found }, { actor } = {}) {
+  const secrets = loadMergedConfig().secrets;
+  const former = formerName && secrets.find(s => s.name === formerName);
+  let updated = false;
   
-  if (!secret) {
-    throw new Error(`Secret "${name}" not found`);
+  if (former && former.provider === found.provider && former.type === found.type && !secrets.some(s => s.name === found.name)) {
+    updateSecret(formerName, { name: found.name });
+    updated = true;
+  } else {
+    try {
+      addSecret(found);
+      return 'added';
+    } catch (error) {
+      if (!error.message.includes('already exists')) {
+        throw error;
+      }
+    }
   }
   
-  secret.lastRotated = new Date().toISOString().split('T')[0];
-  secret.status = calculateStatus(secret);
+  const tracked = findSecret(found.name);
   
-  saveConfig(config);
-  return secret;
+  if (found.lastRotated && (!tracked.lastRotated || found.lastRotated > tracked.lastRotated)) {
+    rotateSecret(found.name, {
+      date: found.lastRotated,
+      actor,
+      reason: tracked.renewal ? 'renewal' : 'rotation detected by scan'
+    });
+    updated = true;
+  }
+  
+  if (found.lastUsed && (!tracked.lastUsed || found.lastUsed > tracked.lastUsed)) {
+    touchSecret(found.name, { date: found.lastUsed });
+    updated = true;
+  }
+  
+  return updated ? 'updated' : 'unchanged';
+}
+
+/**
+ * Acknowledge a warning, critical or stale secret until a date, e.g. because its
+ * rotation is already scheduled. Acknowledged secrets don't fail `check --ci`
+ * until the acknowledgement lapses; expired secrets are never suppressed.
+ *
+ * @param {string} name - Secret name
+ * @param {object} options - { until } last day covered (YYYY-MM-DD), { reason }, optional { actor }
+ */
+export function acknowledgeSecret(name, { until, reason, actor } = {}) {
+  if (!until) {
+    throw new Error('An end date is required. Use --until YYYY-MM-DD.');
+  }
+  validateDate('until', until);
+  
+  const today = new Date().toISOString().split('T')[0];
+  if (until < today) {
+    throw new Error(`Invalid date for until: "${until}" is in the past.`);
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new Error('A reason is required, e.g. --reason "Rotation scheduled in CHG-1234"');
+  }
+  
+  const { source } = findSecret(name);
+  
+  return updateConfig(config => {
+    const secret = config.secrets.find(s => s.name === name);
+    
+    if (!secret) {
+      throw new Error(`Secret "${name}" not found`);
+    }
+    if (calculateStatus(secret) === 'expired') {
+      throw new Error(`Secret "${name}" is expired. Expired secrets cannot be acknowledged; rotate or renew it.`);
+    }
+    
+    secret.ack = {
+      until,
+      reason: String(reason).trim(),
+      by: actor || defaultActor(),
+      at: today
+    };
+    secret.status = calculateStatus(secret);
+    
+    return secret;
+  }, source);
+}
+
+/**
+ * Remove the acknowledgement of a secret
+ */
+export function clearAcknowledgement(name) {
+  const { source } = findSecret(name);
+  
+  return updateConfig(config => {
+    const secret = config.secrets.find(s => s.name === name);
+    
+    if (!secret) {
+      throw new Error(`Secret "${name}" not found`);
+    }
+    if (!secret.ack) {
+      throw new Error(`Secret "${name}" is not acknowledged`);
+    }
+    
+    delete secret.ack;
+    secret.status = calculateStatus(secret);
+    
+    return secret;
+  }, source);
+}
+
+/**
+ * Grant a formal policy exception (waiver) for a secret that legitimately
+ * cannot follow policy, e.g. a vendor key that never rotates. While the waiver
+ * is in effect the checks in its scope are skipped and the secret's status is
+ * `waived`; after `until` it reverts to its normal status. Granting replaces
+ * any previous waiver of the secret.
+ *
+ * @param {string} name - Secret name
+ * @param {object} waiver - { scope: 'rotation'|'expiry'|'usage'|'all' (see WAIVER_SCOPES), justification, approver, until, actor }
+ */
+export function grantWaiver(name, { scope = 'rotation', justification, approver, until, actor } = {}) {
+  if (!WAIVER_SCOPES.includes(scope)) {
+    throw new Error(`Invalid waiver scope: "${scope}". Use one of: ${WAIVER_SCOPES.join(', ')}`);
+  }
+  if (!until) {
+    throw new Error('A waiver expiry date is required. Use --until YYYY-MM-DD.');
+  }
+  validateDate('until', until);
+  
+  const today = new Date().toISOString().split('T')[0];
+  if (until < today) {
+    throw new Error(`Invalid date for until: "${until}" is in the past.`);
+  }
+  if (!justification || !String(justification).trim()) {
+    throw new Error('A justification is required, e.g. --justification "Vendor does not support key rotation"');
+  }
+  if (!approver || !String(approver).trim()) {
+    throw new Error('An approver is required, e.g. --approver "security-lead"');
+  }
+  
+  const { source } = findSecret(name);
+  
+  return updateConfig(config => {
+    const secret = config.secrets.find(s => s.name === name);
+    
+    if (!secret) {
+      throw new Error(`Secret "${name}" not found`);
+    }
+    
+    secret.waiver = {
+      scope,
+      justification: String(justification).trim(),
+      approver: String(approver).trim(),
+      until,
+      grantedBy: actor || defaultActor(),
+      grantedAt: today
+    };
+    secret.status = calculateStatus(secret);
+    
+    return secret;
+  }, source);
 }
 
 /**
- * Update a secret
+ * Remove the waiver of a secret, active or lapsed
+ */
+export function revokeWaiver(name) {
+  const { source } = findSecret(name);
+  
+  return updateConfig(config => {
+    const secret = config.secrets.find(s => s.name === name);
+    
+    if (!secret) {
+      throw new Error(`Secret "${name}" not found`);
+    }
+    if (!secret.waiver) {
+      throw new Error(`Secret "${name}" has no waiver`);
+    }
+    
+    delete secret.waiver;
+    secret.status = calculateStatus(secret);
+    
+    return secret;
+  }, source);
+}
+
+/**
+ * List active secrets that have a waiver, soonest expiry first. Each entry is
+ * the waiver plus the secret's name, provider, owner and team, and whether the
+ * waiver is still `active` or has `lapsed`.
+ *
+ * @param {object} [filters] - Same filters as listSecrets(), plus { lapsed } to include lapsed waivers
+ */
+export function listWaivers(filters = {}) {
+  return listSecrets(filters)
+    .filter(secret => secret.waiver && (filters.lapsed || getActiveWaiver(secret)))
+    .map(secret => ({
+      name: secret.name,
+      provider: secret.provider,
+      owner: secret.owner || null,
+      team: secret.team || null,
+      ...secret.waiver,
+      state: getActiveWaiver(secret) ? 'active' : 'lapsed',
+      status: secret.status
+    }))
+    .sort((a, b) => a.until.localeCompare(b.until) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the rotation history of a secret, oldest first.
+ * Pass `since` (YYYY-MM-DD) to only include rotations on or after that date.
+ */
+export function getRotationHistory(name, { since } = {}) {
+  validateDate('since', since);
+  const secret = getSecret(name);
+  let rotations = secret.rotations || [];
+  
+  if (since) {
+    rotations = rotations.filter(r => r.date >= since);
+  }
+  
+  return {
+    name: secret.name,
+    lastRotated: secret.lastRotated,
+    count: rotations.length,
+    rotations
+  };
+}
+
+/**
+ * Update a secret with a partial set of fields.
+ * Every field is validated the same way as addSecret(); passing `name` renames
+ * the secret. The change is written to the layer the secret is defined in. Rotation history and status cannot be edited directly.
  */
 export function updateSecret(name, updates) {
-  const config = loadConfig();
-  const secret = config.secrets.find(s => s.name === name);
+  const { source } = findSecret(name);
   
-  if (!secret) {
-    throw new Error(`Secret "${name}" not found`);
+  return updateConfig(config => {
+    const secret = config.secrets.find(s => s.name === name);
+    
+    if (!secret) {
+      throw new Error(`Secret "${name}" not found`);
+    }
+    
+    validateUpdates(name, updates, new Set(loadMergedConfig().secrets.map(s => s.name)));
+    
+    return applyUpdates(secret, updates);
+  }, source);
+}
+
+/**
+ * Check updates of a secret without applying them. Shared by updateSecret()
+ * and the dry-run path of importSecrets().
+ *
+ * @param {string} name - Current name of the secret
+ * @param {object} updates - Fields to change
+ * @param {Set<string>} names - Names already taken
+ */
+function validateUpdates(name, updates, names) {
+  const unknown = Object.keys(updates).filter(field => !EDITABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Cannot update field${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+  }
+  
+  validateSecretFields(updates);
+  
+  if ('name' in updates) {
+    if (!updates.name) {
+      throw new Error('Secret name is required');
+    }
+    if (updates.name !== name && names.has(updates.name)) {
+      throw new Error(`Secret with name "${updates.name}" already exists`);
+    }
+  }
+}
+
+/**
+ * Normalize validated updates and apply them to a secret in place
+ */
+function applyUpdates(secret, updates) {
+  const normalized = { ...updates };
+  if ('tags' in normalized) {
+    normalized.tags = normalizeTags(normalized.tags);
+  }
+  for (const field of ['expiresAt', 'owner', 'team', 'environment', 'thresholds', 'privilege', 'exposure', 'lastUsed', 'renewal']) {
+    if (field in normalized && !normalized[field]) {
+      normalized[field] = null;
+    }
+  }
+  
+  // An expiry given explicitly replaces a derived one
+  if ('expiresAt' in normalized) {
+    delete secret.expiryDerived;
   }
   
-  Object.assign(secret, updates);
+  Object.assign(secret, normalized);
+  applyDerivedExpiry(secret);
   secret.status = calculateStatus(secret);
   
-  saveConfig(config);
   return secret;
 }
 
 /**
- * Check all secrets and return those with warnings/critical/expired status
+ * Add (or with `upsert`, update) many secrets at once, e.g. from an inventory
+ * file parsed by parseInventory(). Every record goes through the same rules as
+ * addSecret()/updateSecret(); a failing record is reported and skipped
+ * without stopping the rest. With `dryRun`, nothing is written.
+ *
+ * The import is not atomic: each record is saved as soon as it is applied,
+ * so an import that is interrupted keeps the records before it. Running it
+ * again with `upsert` completes it.
+ *
+ * @param {Array<{ row: number, fields: object, error?: string }>} records - Fields to import with their
+ *   source row; records with a parse `error` are reported as failed
+ * @param {object} [options] - { upsert, dryRun }
+ * @returns {{ dryRun: boolean, created: number, updated: number, failed: number, results: Array }}
+ */
+export function importSecrets(records, { upsert = false, dryRun = false } = {}) {
+  const merged = loadMergedConfig();
+  const known = new Map(merged.secrets.map(s => [s.name, s]));
+  const defaults = merged.defaults || {};
+  let primaryCount = merged.secrets.filter(s => s.source === merged.layers[merged.layers.length - 1]).length;
+  
+  const results = records.map(({ row, fields, error: parseError }) => {
+    const name = fields.name;
+    try {
+      if (parseError) {
+        throw new Error(parseError);
+      }
+      
+      const existing = known.get(name);
+      
+      if (existing) {
+        if (!upsert) {
+          throw new Error(`Secret with name "${name}" already exists (use --upsert to update it)`);
+        }
+        const updates = { ...fields };
+        delete updates.name;
+        const before = { ...existing };
+        let after;
+        if (dryRun) {
+          validateUpdates(name, updates, new Set(known.keys()));
+          after = applyUpdates({ ...existing }, updates);
+        } else {
+          after = updateSecret(name, updates);
+        }
+        known.set(name, after);
+        return { row, name, action: 'update', changes: diffSecret(before, after) };
+      }
+      
+      let secret;
+      if (dryRun) {
+        if (merged.tier === 'free' && primaryCount >= 10) {
+          throw new Error('Free tier limit reached (10 secrets). Upgrade to Pro for unlimited secrets.');
+        }
+        secret = buildSecret(fields, defaults);
+      } else {
+        secret = addSecret(fields);
+      }
+      primaryCount++;
+      known.set(name, secret);
+      return { row, name, action: 'create' };
+    } catch (error) {
+      return { row, name: name || null, action: 'error', error: error.message };
+    }
+  });
+  
+  return {
+    dryRun,
+    created: results.filter(r => r.action === 'create').length,
+    updated: results.filter(r => r.action === 'update').length,
+    failed: results.filter(r => r.action === 'error').length,
+    results
+  };
+}
+
+/**
+ * Compare two versions of a secret and list the fields that changed
+ *
+ * @returns {Array<{ field: string, from: *, to: * }>}
+ */
+export function diffSecret(before, after) {
+  const changes = [];
+  for (const field of [...EDITABLE_FIELDS, 'status']) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Check all secrets and return those with warning, critical, stale or expired status
+ *
+ * @param {object} [filters] - Same filters as listSecrets()
  */
-export function checkSecrets() {
-  const secrets = listSecrets();
+export function checkSecrets(filters = {}) {
+  const secrets = listSecrets(filters);
   
   const results = {
     healthy: [],
     warning: [],
     critical: [],
-    expired: []
+    stale: [],
+    expired: [],
+    waived: []
   };
   
   secrets.forEach(secret => {
@@ -167,3 +931,15 @@ export function checkSecrets() {
   
   return results;
 }
+
+/**
+ * Drop acknowledged secrets from checkSecrets() results, leaving what should
+ * still fail a CI check. Expired secrets are never acknowledged.
+ */
+export function unacknowledged(results) {
+  const open = {};
+  for (const [status, secrets] of Object.entries(results)) {
+    open[status] = secrets.filter(secret => !secret.acknowledged);
+  }
+  return open;
+}
@@ -1,45 +1,305 @@
 /**
- * Calculate the status of a secret based on rotation policy and expiry
+ * Built-in status thresholds, used unless the config's `policy` overrides them
  */
-export function calculateStatus(secret) {
-  const now = new Date();
-  
-  // Check if expired
-  if (secret.expiresAt) {
-    const expiryDate = new Date(secret.expiresAt);
-    if (expiryDate < now) {
-      return 'expired';
-    }
-    
-    // Check days until expiry
-    const daysUntilExpiry = Math.ceil((expiryDate - now) / (1000 * 60 * 60 * 24));
-    if (daysUntilExpiry < 7) {
-      return 'critical';
-    }
-    if (daysUntilExpiry < 30) {
-      return 'warning';
+export const DEFAULT_THRESHOLDS = {
+  rotationWarningPercent: 75,
+  expiryWarningDays: 30,
+  expiryCriticalDays: 7,
+  // Days without use before a secret is stale; null turns the check off
+  staleDays: null
+};
+
+/**
+ * Checks a waiver can exempt a secret from
+ */
+export const WAIVER_SCOPES = ['rotation', 'expiry', 'usage', 'all'];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Policy applied when a status function is called without one
+let activePolicy = {};
+
+// Date statuses are evaluated at when none is passed; null means now
+let evaluationDate = null;
+
+/**
+ * Set the policy used by the status functions when none is passed.
+ * loadMergedConfig() calls this with the config's `policy`, so every command,
+ * reporter and the MCP server apply the same rules.
+ */
+export function setStatusPolicy(policy) {
+  activePolicy = policy || {};
+}
+
+/**
+ * The policy currently in effect (see setStatusPolicy())
+ */
+export function getStatusPolicy() {
+  return activePolicy;
+}
+
+/**
+ * Parse an evaluation date (YYYY-MM-DD string or Date). Dates are taken as
+ * midnight UTC, the same way secret dates are read.
+ *
+ * @returns {Date}
+ */
+export function parseEvaluationDate(value) {
+  if (value instanceof Date && !isNaN(value.getTime())) {
+    return value;
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = new Date(value);
+    if (!isNaN(date.getTime()) && date.toISOString().startsWith(value)) {
+      return date;
     }
   }
+  throw new Error(`Invalid evaluation date "${value}". Use YYYY-MM-DD.`);
+}
+
+/**
+ * Set the date the status functions evaluate at when none is passed, e.g. to
+ * answer "what will be broken on release day?". Pass nothing to go back to now.
+ */
+export function setEvaluationDate(date) {
+  evaluationDate = date ? parseEvaluationDate(date) : null;
+}
+
+/**
+ * The evaluation date currently in effect, or null when evaluating at now
+ */
+export function getEvaluationDate() {
+  return evaluationDate;
+}
+
+function evaluationTime(asOf) {
+  return asOf ? parseEvaluationDate(asOf) : new Date();
+}
+
+/**
+ * The policy rules matching a secret, least specific first: provider-wide
+ * such as "aws/*", then type-wide with a "*" provider, then exact
+ * "provider/type" keys. Keys match case-insensitively.
+ */
+function matchingRules(secret, policy) {
+  const rules = {};
+  for (const [key, rule] of Object.entries(policy.rules || {})) {
+    rules[key.toLowerCase()] = rule;
+  }
   
-  // Check rotation policy
-  if (secret.rotationPolicy && secret.lastRotated) {
-    const lastRotatedDate = new Date(secret.lastRotated);
-    const daysSinceRotation = Math.ceil((now - lastRotatedDate) / (1000 * 60 * 60 * 24));
-    
-    if (daysSinceRotation > secret.rotationPolicy) {
-      return 'critical';
-    }
-    
-    // 75% through rotation policy
-    const warningThreshold = secret.rotationPolicy * 0.75;
-    if (daysSinceRotation > warningThreshold) {
-      return 'warning';
-    }
+  const provider = String(secret.provider || '').toLowerCase();
+  const type = String(secret.type || '').toLowerCase();
+  return [`${provider}/*`, `*/${type}`, `${provider}/${type}`]
+    .map(key => rules[key])
+    .filter(Boolean);
+}
+
+/**
+ * Resolve the rotation policy and thresholds that apply to a secret.
+ * Later sources win: built-in defaults, `policy.thresholds`, the matching
+ * `rules` (see matchingRules()), and finally the secret's own `thresholds`.
+ * A rule's `rotationPolicy` is only used when the secret has none;
+ * `maxLifetimeDays` only ever comes from rules.
+ *
+ * @param {object} secret - Secret with provider, type, rotationPolicy and optional thresholds
+ * @param {object} [policy] - { thresholds, rules }, defaults to the active policy
+ * @returns {{ rotationPolicy: number|null, maxLifetimeDays: number|null, rotationWarningPercent: number, expiryWarningDays: number, expiryCriticalDays: number, staleDays: number|null }}
+ */
+export function resolvePolicy(secret, policy = activePolicy) {
+  const matching = matchingRules(secret, policy);
+  
+  const thresholds = Object.assign(
+    {},
+    DEFAULT_THRESHOLDS,
+    policy.thresholds,
+    ...matching.map(rule => rule.thresholds),
+    secret.thresholds
+  );
+  
+  const ruleRotation = matching.map(rule => rule.rotationPolicy).filter(Boolean).pop();
+  const maxLifetimeDays = matching.map(rule => rule.maxLifetimeDays).filter(Boolean).pop();
+  
+  return {
+    rotationPolicy: secret.rotationPolicy || ruleRotation || null,
+    maxLifetimeDays: maxLifetimeDays || null,
+    ...thresholds
+  };
+}
+
+/**
+ * The expiry date a provider's maximum credential lifetime implies for a
+ * secret: its last rotation (or creation) plus the `maxLifetimeDays` of the
+ * matching policy rule. Null when no rule sets a lifetime.
+ *
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function deriveExpiry(secret, policy = activePolicy) {
+  const { maxLifetimeDays } = resolvePolicy(secret, policy);
+  const issued = secret.lastRotated || secret.createdAt;
+  if (!maxLifetimeDays || !issued) {
+    return null;
   }
   
+  const expiry = new Date(issued);
+  expiry.setUTCDate(expiry.getUTCDate() + maxLifetimeDays);
+  return expiry.toISOString().split('T')[0];
+}
+
+/**
+ * The secret's waiver if it is in effect as of `asOf`, else null. Waivers
+ * lapse after their `until` date.
+ */
+export function getActiveWaiver(secret, asOf = evaluationDate) {
+  if (!secret.waiver?.until) {
+    return null;
+  }
+  return evaluationTime(asOf).toISOString().split('T')[0] <= secret.waiver.until ? secret.waiver : null;
+}
+
+function expiryStatus(secret, { expiryWarningDays, expiryCriticalDays }, now) {
+  if (!secret.expiresAt) {
+    return 'healthy';
+  }
+  
+  const expiryDate = new Date(secret.expiresAt);
+  if (expiryDate < now) {
+    return 'expired';
+  }
+  
+  // Check days until expiry
+  const daysUntilExpiry = Math.ceil((expiryDate - now) / DAY_MS);
+  if (daysUntilExpiry < expiryCriticalDays) {
+    return 'critical';
+  }
+  if (daysUntilExpiry < expiryWarningDays) {
+    return 'warning';
+  }
+  return 'healthy';
+}
+
+function rotationStatus(secret, { rotationPolicy, rotationWarningPercent }, now) {
+  if (!rotationPolicy || !secret.lastRotated) {
+    return 'healthy';
+  }
+  
+  const lastRotatedDate = new Date(secret.lastRotated);
+  const daysSinceRotation = Math.ceil((now - lastRotatedDate) / DAY_MS);
+  
+  if (daysSinceRotation > rotationPolicy) {
+    return 'critical';
+  }
+  
+  // Past the warning percentage of the rotation policy (75% by default)
+  const warningThreshold = rotationPolicy * (rotationWarningPercent / 100);
+  if (daysSinceRotation > warningThreshold) {
+    return 'warning';
+  }
   return 'healthy';
 }
 
+/**
+ * The date a renewing secret (one with a `renewal` cadence) is next expected
+ * to renew: its last renewal, recorded as a rotation, plus `everyDays`.
+ * Null for secrets without a cadence.
+ *
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function renewalDue(secret) {
+  const renewed = secret.lastRotated || secret.createdAt;
+  if (!secret.renewal?.everyDays || !renewed) {
+    return null;
+  }
+  
+  const due = new Date(renewed);
+  due.setUTCDate(due.getUTCDate() + secret.renewal.everyDays);
+  return due.toISOString().split('T')[0];
+}
+
+/**
+ * Whether a renewing secret is more than `graceDays` past its renewal due
+ * date as of `asOf`. Always false for secrets without a renewal cadence.
+ */
+export function isRenewalMissed(secret, asOf = evaluationDate) {
+  const due = renewalDue(secret);
+  if (!due) {
+    return false;
+  }
+  
+  const overdue = Math.floor((evaluationTime(asOf) - new Date(due)) / DAY_MS);
+  return overdue > (secret.renewal.graceDays || 0);
+}
+
+function usageStatus(secret, { staleDays }, now) {
+  const unused = daysSinceUsed(secret, now);
+  return staleDays && unused !== null && unused > staleDays ? 'stale' : 'healthy';
+}
+
+/**
+ * Calculate the status of a secret based on expiry, usage and rotation policy.
+ * An unused secret is `stale` rather than due for rotation: it should be
+ * revoked, so staleness outranks every status but expired.
+ * While a waiver is in effect the checks in its scope are skipped, and the
+ * status is `waived` unless a check outside the scope fails.
+ * A secret with a `renewal` cadence replaces itself on schedule, so its
+ * expiry and rotation are only checked once a renewal is missed (past due
+ * plus `graceDays`), which makes it critical.
+ *
+ * @param {object} secret - Secret to evaluate
+ * @param {object} [policy] - Threshold policy, defaults to the active policy (see resolvePolicy)
+ * @param {string|Date} [asOf] - Evaluation date, defaults to the one set with setEvaluationDate() or now
+ */
+export function calculateStatus(secret, policy = activePolicy, asOf = evaluationDate) {
+  const now = evaluationTime(asOf);
+  const resolved = resolvePolicy(secret, policy);
+  const waiver = getActiveWaiver(secret, now);
+  const waives = check => waiver && (waiver.scope === 'all' || waiver.scope === check);
+  const renewal = secret.renewal ? (isRenewalMissed(secret, now) ? 'critical' : 'healthy') : null;
+  
+  // Expiry is checked first, unless renewals are on schedule
+  const expiry = waives('expiry') || renewal === 'healthy' ? 'healthy' : expiryStatus(secret, resolved, now);
+  if (expiry === 'expired') {
+    return expiry;
+  }
+  
+  const usage = waives('usage') ? 'healthy' : usageStatus(secret, resolved, now);
+  if (usage !== 'healthy') {
+    return usage;
+  }
+  // A missed renewal outranks an expiry that is merely close
+  if (renewal === 'critical' && !waives('rotation')) {
+    return renewal;
+  }
+  if (expiry !== 'healthy') {
+    return expiry;
+  }
+  
+  const rotation = waives('rotation') ? 'healthy' : renewal || rotationStatus(secret, resolved, now);
+  if (rotation !== 'healthy') {
+    return rotation;
+  }
+  
+  return waiver ? 'waived' : 'healthy';
+}
+
+/**
+ * Whether a warning, critical or stale secret is acknowledged (see acknowledgeSecret())
+ * as of `asOf`. Acknowledgements lapse after their `until` date and never
+ * cover expired secrets.
+ *
+ * @param {object} secret - Secret to evaluate
+ * @param {object} [policy] - Threshold policy, defaults to the active policy (see resolvePolicy)
+ * @param {string|Date} [asOf] - Evaluation date, defaults to the one set with setEvaluationDate() or now
+ */
+export function isAcknowledged(secret, policy = activePolicy, asOf = evaluationDate) {
+  if (!secret.ack?.until) {
+    return false;
+  }
+  if (!['warning', 'critical', 'stale'].includes(calculateStatus(secret, policy, asOf))) {
+    return false;
+  }
+  return evaluationTime(asOf).toISOString().split('T')[0] <= secret.ack.until;
+}
+
 /**
  * Get the emoji for a status
  */
@@ -53,16 +313,20 @@ export function getStatusEmoji(status) {
       return '🔴';
     case 'expired':
       return '⛔';
+    case 'waived':
+      return '🔵';
+    case 'stale':
+      return '💤';
     default:
       return '⚪';
   }
 }
 
 /**
- * Calculate age in days since creation or last rotation
+ * Calculate age in days since creation or last rotation, as of `asOf`
  */
-export function calculateAge(secret) {
-  const now = new Date();
+export function calculateAge(secret, asOf = evaluationDate) {
+  const now = evaluationTime(asOf);
   const referenceDate = secret.lastRotated 
     ? new Date(secret.lastRotated)
     : secret.createdAt 
@@ -73,54 +337,83 @@ export function calculateAge(secret) {
     return null;
   }
   
-  return Math.ceil((now - referenceDate) / (1000 * 60 * 60 * 24));
+  return Math.ceil((now - referenceDate) / DAY_MS);
+}
+
+/**
+ * Days since the secret was last used, as of `asOf`, or null if its use was never recorded
+ */
+export function daysSinceUsed(secret, asOf = evaluationDate) {
+  if (!secret.lastUsed) {
+    return null;
+  }
+  
+  const now = evaluationTime(asOf);
+  return Math.max(0, Math.floor((now - new Date(secret.lastUsed)) / DAY_MS));
 }
 
 /**
- * Calculate days until expiry
+ * Calculate days until expiry, as of `asOf`
  */
-export function daysUntilExpiry(secret) {
+export function daysUntilExpiry(secret, asOf = evaluationDate) {
   if (!secret.expiresAt) {
     return null;
   }
   
-  const now = new Date();
+  const now = evaluationTime(asOf);
   const expiryDate = new Date(secret.expiresAt);
-  const days = Math.ceil((expiryDate - now) / (1000 * 60 * 60 * 24));
+  const days = Math.ceil((expiryDate - now) / DAY_MS);
   
   return days;
 }
 
 /**
  * Get a human-readable message for the status
+ *
+ * @param {object} secret - Secret to describe
+ * @param {object} [policy] - Threshold policy, defaults to the active policy
+ * @param {string|Date} [asOf] - Evaluation date, defaults to the active one
  */
-export function getStatusMessage(secret) {
-  const status = calculateStatus(secret);
-  const age = calculateAge(secret);
-  const daysToExpiry = daysUntilExpiry(secret);
+export function getStatusMessage(secret, policy = activePolicy, asOf = evaluationDate) {
+  const status = calculateStatus(secret, policy, asOf);
+  const age = calculateAge(secret, asOf);
+  const daysToExpiry = daysUntilExpiry(secret, asOf);
+  const { rotationPolicy, expiryWarningDays, expiryCriticalDays, staleDays } = resolvePolicy(secret, policy);
   
   switch (status) {
     case 'expired':
       const absDays = Math.abs(daysToExpiry);
       return `Expired ${absDays} day${absDays === 1 ? '' : 's'} ago`;
     case 'critical':
-      if (daysToExpiry !== null && daysToExpiry < 7) {
+      if (daysToExpiry !== null && daysToExpiry < expiryCriticalDays) {
         return `Expires in ${daysToExpiry} day${daysToExpiry === 1 ? '' : 's'}`;
       }
-      if (secret.rotationPolicy && age > secret.rotationPolicy) {
-        const overdue = age - secret.rotationPolicy;
+      if (secret.renewal) {
+        return `Renewal missed: due ${renewalDue(secret)} (renews every ${secret.renewal.everyDays} days)`;
+      }
+      if (rotationPolicy && age > rotationPolicy) {
+        const overdue = age - rotationPolicy;
         return `Past rotation policy by ${overdue} day${overdue === 1 ? '' : 's'}`;
       }
       return 'Critical';
     case 'warning':
-      if (daysToExpiry !== null && daysToExpiry < 30) {
+      if (daysToExpiry !== null && daysToExpiry < expiryWarningDays) {
         return `Expires in ${daysToExpiry} day${daysToExpiry === 1 ? '' : 's'}`;
       }
-      if (secret.rotationPolicy && age) {
-        const remaining = secret.rotationPolicy - age;
+      if (rotationPolicy && age) {
+        const remaining = rotationPolicy - age;
         return `${remaining} day${remaining === 1 ? '' : 's'} until rotation due`;
       }
       return 'Warning';
+    case 'stale': {
+      const unused = daysSinceUsed(secret, asOf);
+      return `Unused for ${unused} days (stale after ${staleDays}); revoke it if no longer needed`;
+    }
+    case 'waived': {
+      const { scope, until, approver } = secret.waiver;
+      const label = { all: 'Policy', expiry: 'Expiry', usage: 'Usage' }[scope] || 'Rotation';
+      return `${label} waived until ${until} (approved by ${approver})`;
+    }
     case 'healthy':
       return 'Healthy';
     default:
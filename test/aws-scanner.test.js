@@ -0,0 +1,288 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { scanAwsKeys, scanAwsSecrets, scanAwsParameters, convertToSecrets } from '../lib/scanners/aws.js';
+
+process.env.AWS_ACCESS_KEY_ID = 'AKIATESTTESTTEST';
+process.env.AWS_SECRET_ACCESS_KEY = 'test';
+
+const ACCOUNT = '123456789012';
+// Role the mock lets the scanner assume; its account has the same resources
+const ROLE_ACCOUNT = '210987654321';
+const ROLE = `arn:aws:iam::${ROLE_ACCOUNT}:role/Audit`;
+
+// IAM query protocol pages, keyed by action and marker
+const users = {
+  '': { members: ['alice'], marker: 'users-2' },
+  'users-2': { members: ['bob'] }
+};
+const accessKeys = {
+  alice: {
+    '': { members: [['AKIAALICE0000001', '2026-01-10']], marker: 'alice-2' },
+    'alice-2': { members: [['AKIAALICE0000002', '2026-02-01']] }
+  },
+  bob: {
+    '': { members: [['AKIABOB000000003', '2025-06-01']] }
+  }
+};
+const lastUsed = {
+  AKIAALICE0000001: '2026-03-01'
+};
+
+function page(action, result, { members, marker }) {
+  return `<${action}Response xmlns="https://iam.amazonaws.com/doc/2010-05-08/">
+  <${action}Result>
+    ${result(members)}
+    <IsTruncated>${marker ? 'true' : 'false'}</IsTruncated>
+    ${marker ? `<Marker>${marker}</Marker>` : ''}
+  </${action}Result>
+</${action}Response>`;
+}
+
+function error(code, message) {
+  return `<ErrorResponse><Error><Type>Sender</Type><Code>${code}</Code><Message>${message}</Message></Error><RequestId>1</RequestId></ErrorResponse>`;
+}
+
+function respond(params) {
+  const marker = params.get('Marker') || '';
+  switch (params.get('Action')) {
+    case 'ListUsers':
+      return [200, page('ListUsers', names => `<Users>${names.map(name => `<member>
+        <UserName>${name}</UserName><UserId>ID${name}</UserId><Path>/</Path>
+        <Arn>arn:aws:iam::${ACCOUNT}:user/${name}</Arn><CreateDate>2025-01-01T00:00:00Z</CreateDate>
+      </member>`).join('')}</Users>`, users[marker])];
+    case 'ListAccessKeys': {
+      const user = params.get('UserName');
+      return [200, page('ListAccessKeys', keys => `<AccessKeyMetadata>${keys.map(([id, created]) => `<member>
+        <UserName>${user}</UserName><AccessKeyId>${id}</AccessKeyId><Status>Active</Status>
+        <CreateDate>${created}T00:00:00Z</CreateDate>
+      </member>`).join('')}</AccessKeyMetadata>`, accessKeys[user][marker])];
+    }
+    case 'GetAccessKeyLastUsed': {
+      const id = params.get('AccessKeyId');
+      if (id === 'AKIABOB000000003') {
+        return [403, error('AccessDenied', 'Not authorized to read key usage')];
+      }
+      const used = lastUsed[id] ? `<LastUsedDate>${lastUsed[id]}T12:00:00Z</LastUsedDate>` : '';
+      return [200, `<GetAccessKeyLastUsedResponse xmlns="https://iam.amazonaws.com/doc/2010-05-08/">
+  <GetAccessKeyLastUsedResult><UserName>x</UserName><AccessKeyLastUsed>${used}<ServiceName>N/A</ServiceName><Region>N/A</Region></AccessKeyLastUsed></GetAccessKeyLastUsedResult>
+</GetAccessKeyLastUsedResponse>`];
+    }
+    case 'AssumeRole':
+      if (params.get('RoleArn') !== ROLE) {
+        return [403, error('AccessDenied', 'Not authorized to assume the role')];
+      }
+      return [200, `<AssumeRoleResponse xmlns="https://sts.amazonaws.com/doc/2011-06-15/">
+  <AssumeRoleResult><Credentials>
+    <AccessKeyId>ASIAROLE00000000</AccessKeyId><SecretAccessKey>role</SecretAccessKey><SessionToken>session</SessionToken>
+    <Expiration>2099-01-01T00:00:00Z</Expiration>
+  </Credentials></AssumeRoleResult>
+</AssumeRoleResponse>`];
+    default:
+      return [400, error('InvalidAction', `Unsupported action ${params.get('Action')}`)];
+  }
+}
+
+const epoch = date => new Date(date).getTime() / 1000;
+
+// JSON protocol pages (Secrets Manager, SSM), keyed by target and NextToken
+const jsonPages = {
+  'secretsmanager.ListSecrets': {
+    '': {
+      SecretList: [
+        {
+          ARN: `arn:aws:secretsmanager:us-east-1:${ACCOUNT}:secret:prod/db-AbCdEf`,
+          Name: 'prod/db',
+          RotationEnabled: true,
+          RotationRules: { AutomaticallyAfterDays: 30 },
+          CreatedDate: epoch('2025-01-01'),
+          LastRotatedDate: epoch('2026-02-15'),
+          LastAccessedDate: epoch('2026-02-28'),
+          NextRotationDate: epoch('2026-03-17')
+        }
+      ],
+      NextToken: 'secrets-2'
+    },
+    'secrets-2': {
+      SecretList: [
+        {
+          ARN: `arn:aws:secretsmanager:us-east-1:${ACCOUNT}:secret:vendor/api-GhIjKl`,
+          Name: 'vendor/api',
+          Description: 'Vendor API key',
+          RotationEnabled: false,
+          CreatedDate: epoch('2025-09-01')
+        },
+        {
+          ARN: `arn:aws:secretsmanager:us-east-1:${ACCOUNT}:secret:old-MnOpQr`,
+          Name: 'old',
+          CreatedDate: epoch('2024-01-01'),
+          DeletedDate: epoch('2026-02-01')
+        }
+      ]
+    }
+  },
+  'AmazonSSM.DescribeParameters': {
+    '': {
+      Parameters: [
+        {
+          Name: '/prod/api-key',
+          ARN: `arn:aws:ssm:us-east-1:${ACCOUNT}:parameter/prod/api-key`,
+          Type: 'SecureString',
+          Version: 3,
+          LastModifiedDate: epoch('2025-12-01'),
+          Policies: [{
+            PolicyType: 'Expiration',
+            PolicyStatus: 'Pending',
+            PolicyText: JSON.stringify({ Type: 'Expiration', Version: '1.0', Attributes: { Timestamp: '2026-06-01T00:00:00.000Z' } })
+          }]
+        }
+      ],
+      NextToken: 'parameters-2'
+    },
+    'parameters-2': {
+      Parameters: [{ Name: 'legacy-token', Type: 'SecureString', Version: 1, LastModifiedDate: epoch('2024-05-01') }]
+    }
+  }
+};
+
+async function withMockAws(fn) {
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const target = req.headers['x-amz-target'];
+      if (target) {
+        const filters = JSON.parse(body).ParameterFilters;
+        assert.ok(!target.startsWith('AmazonSSM') || filters?.[0]?.Values?.[0] === 'SecureString', 'Only SecureString parameters are listed');
+        const page = JSON.stringify(jsonPages[target][JSON.parse(body).NextToken || '']);
+        const assumed = req.headers.authorization?.includes('ASIAROLE');
+        res.writeHead(200, { 'Content-Type': 'application/x-amz-json-1.1' });
+        res.end(assumed ? page.replaceAll(ACCOUNT, ROLE_ACCOUNT) : page);
+        return;
+      }
+      const [status, xml] = respond(new URLSearchParams(body));
+      res.writeHead(status, { 'Content-Type': 'text/xml' });
+      res.end(xml);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('aws scanner: lists the keys of every user across pages', async () => {
+  const { keys, errors } = await withMockAws(endpoint => scanAwsKeys({ endpoint }));
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(
+    keys.map(k => [k.name, k.userName, k.accountId, k.createdAt, k.lastUsed]),
+    [
+      ['aws-alice-0001', 'alice', ACCOUNT, '2026-01-10', '2026-03-01'],
+      ['aws-alice-0002', 'alice', ACCOUNT, '2026-02-01', 'Never'],
+      ['aws-bob-0003', 'bob', ACCOUNT, '2025-06-01', 'Unknown']
+    ]
+  );
+  assert.match(keys[2].scanError, /Not authorized to read key usage/);
+  assert.strictEqual(keys[0].role, null);
+});
+
+test('aws scanner: a role that cannot be assumed is reported without stopping the scan', async () => {
+  const role = 'arn:aws:iam::333333333333:role/Audit';
+  const { keys, errors } = await withMockAws(endpoint => scanAwsKeys({ endpoint, roles: [role] }));
+
+  assert.strictEqual(keys.length, 3);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].role, role);
+});
+
+test('aws scanner: converts keys to secrets with the user and account in the notes', () => {
+  const [used, never] = convertToSecrets([
+    { name: 'aws-alice-0001', keyId: '0001', userName: 'alice', accountId: ACCOUNT, status: 'Active', createdAt: '2026-01-10', lastUsed: '2026-03-01' },
+    { name: 'aws-bob-0003', keyId: '0003', userName: 'bob', accountId: null, status: 'Inactive', createdAt: '2025-06-01', lastUsed: 'Never' }
+  ]);
+
+  assert.strictEqual(used.lastUsed, '2026-03-01');
+  assert.strictEqual(used.notes, `AWS IAM Access Key ****0001 | User: alice | Account: ${ACCOUNT} | Status: Active`);
+  assert.strictEqual(never.lastUsed, null);
+  assert.strictEqual(never.notes, 'AWS IAM Access Key ****0003 | User: bob | Status: Inactive | Last used: Never');
+  assert.deepStrictEqual([used.formerName, never.formerName], ['aws-key-0001', 'aws-key-0003']);
+
+  const [carol, dave, roleKey] = convertToSecrets([
+    { name: 'aws-carol-0005', keyId: '0005', userName: 'carol', status: 'Active', createdAt: '2026-01-10', lastUsed: 'Never' },
+    { name: 'aws-dave-0005', keyId: '0005', userName: 'dave', status: 'Active', createdAt: '2026-01-10', lastUsed: 'Never' },
+    { name: 'aws-erin-0006', keyId: '0006', userName: 'erin', role: ROLE, status: 'Active', createdAt: '2026-01-10', lastUsed: 'Never' }
+  ]);
+  assert.deepStrictEqual(
+    [carol.formerName, dave.formerName, roleKey.formerName],
+    [undefined, undefined, undefined],
+    'No former name when it was shared or the key is in another account'
+  );
+});
+
+test('aws scanner: lists Secrets Manager secrets with their rotation schedule', async () => {
+  const { secrets, errors } = await withMockAws(endpoint => scanAwsSecrets({ endpoint, region: 'us-east-1' }));
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(
+    secrets.map(s => [s.name, s.accountId, s.createdAt, s.lastRotated, s.lastAccessed, s.rotationEnabled, s.rotationDays, s.nextRotation]),
+    [
+      ['aws-sm-prod/db', ACCOUNT, '2025-01-01', '2026-02-15', '2026-02-28', true, 30, '2026-03-17'],
+      ['aws-sm-vendor/api', ACCOUNT, '2025-09-01', null, null, false, null, null]
+    ],
+    'Follows NextToken and skips secrets scheduled for deletion'
+  );
+
+  const [rotating, manual] = convertToSecrets(secrets);
+  assert.strictEqual(rotating.type, 'secretsmanager_secret');
+  assert.strictEqual(rotating.lastRotated, '2026-02-15');
+  assert.strictEqual(rotating.rotationPolicy, 30);
+  assert.deepStrictEqual(rotating.renewal, { everyDays: 30, graceDays: 1 });
+  assert.strictEqual(rotating.lastUsed, '2026-02-28');
+  assert.strictEqual(rotating.notes, `AWS Secrets Manager prod/db | Account: ${ACCOUNT} | Rotation: every 30 days`);
+  assert.strictEqual(manual.lastRotated, '2025-09-01', 'Never rotated: counts from creation');
+  assert.strictEqual(manual.rotationPolicy, undefined, 'No schedule: the config policy applies');
+  assert.strictEqual(manual.renewal, undefined);
+  assert.strictEqual(manual.notes, `AWS Secrets Manager vendor/api | Account: ${ACCOUNT} | Rotation: off | Vendor API key`);
+});
+
+test('aws scanner: lists SecureString parameters with their last change and expiry', async () => {
+  const { parameters } = await withMockAws(endpoint => scanAwsParameters({ endpoint, region: 'us-east-1' }));
+
+  assert.deepStrictEqual(
+    parameters.map(p => [p.name, p.accountId, p.version, p.lastModified, p.expiresAt]),
+    [
+      ['aws-ssm-prod/api-key', ACCOUNT, 3, '2025-12-01', '2026-06-01'],
+      ['aws-ssm-legacy-token', null, 1, '2024-05-01', null]
+    ]
+  );
+
+  const [apiKey] = convertToSecrets(parameters);
+  assert.deepStrictEqual(
+    [apiKey.type, apiKey.lastRotated, apiKey.expiresAt, apiKey.rotationPolicy],
+    ['ssm_parameter', '2025-12-01', '2026-06-01', undefined]
+  );
+  assert.strictEqual(apiKey.notes, `AWS SSM SecureString /prod/api-key | Version: 3 | Account: ${ACCOUNT}`);
+});
+
+test('aws scanner: secrets and parameters found through a role are named with their account', async () => {
+  const { secrets, errors } = await withMockAws(endpoint => scanAwsSecrets({ endpoint, region: 'us-east-1', roles: [ROLE] }));
+  const { parameters } = await withMockAws(endpoint => scanAwsParameters({ endpoint, region: 'us-east-1', roles: [ROLE] }));
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(secrets.map(s => [s.name, s.accountId, s.role]), [
+    ['aws-sm-prod/db', ACCOUNT, null],
+    ['aws-sm-vendor/api', ACCOUNT, null],
+    [`aws-sm-${ROLE_ACCOUNT}-prod/db`, ROLE_ACCOUNT, ROLE],
+    [`aws-sm-${ROLE_ACCOUNT}-vendor/api`, ROLE_ACCOUNT, ROLE]
+  ]);
+  // A parameter without an ARN takes the account from the role
+  assert.deepStrictEqual(parameters.map(p => p.name), [
+    'aws-ssm-prod/api-key',
+    'aws-ssm-legacy-token',
+    `aws-ssm-${ROLE_ACCOUNT}-prod/api-key`,
+    `aws-ssm-${ROLE_ACCOUNT}-legacy-token`
+  ]);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { buildCalendarEvents, generateCalendarReport } from '../lib/calendar.js';
+
+const secrets = [
+  {
+    name: 'tls-cert',
+    provider: 'digicert',
+    type: 'certificate',
+    owner: 'alice',
+    lastRotated: '2026-01-01',
+    rotationPolicy: 365,
+    expiresAt: '2026-06-30'
+  },
+  {
+    name: 'db-pass',
+    provider: 'postgres',
+    type: 'password',
+    lastRotated: '2026-01-01',
+    rotationPolicy: 90,
+    expiresAt: null
+  }
+];
+
+test('calendar: one event per expiry and rotation due date with threshold alarms', () => {
+  const events = buildCalendarEvents(secrets);
+  
+  assert.deepStrictEqual(
+    events.map(e => [e.kind, e.name, e.date]),
+    [
+      ['rotation', 'db-pass', '2026-04-01'],
+      ['expiry', 'tls-cert', '2026-06-30'],
+      ['rotation', 'tls-cert', '2027-01-01']
+    ]
+  );
+  // Expiry: warning under 30 days, critical under 7
+  assert.deepStrictEqual(events[1].alarms.map(a => a.trigger), ['-P29D', '-P6D']);
+  // Rotation: warning past 75% of 90 days (day 68), critical the day after it is due
+  assert.deepStrictEqual(events[0].alarms.map(a => a.trigger), ['-P22D', 'P1D']);
+  
+  // UIDs are stable across exports and unique per event
+  assert.deepStrictEqual(buildCalendarEvents(secrets).map(e => e.uid), events.map(e => e.uid));
+  assert.strictEqual(new Set(events.map(e => e.uid)).size, 3);
+  
+  // ...and survive editing the provider
+  const moved = secrets.map(s => (s.name === 'tls-cert' ? { ...s, provider: 'sectigo' } : s));
+  assert.deepStrictEqual(buildCalendarEvents(moved).map(e => e.uid), events.map(e => e.uid));
+});
+
+test('calendar: self-renewing secrets get a renewal due event and no expiry alarms while on schedule', () => {
+  const daysFromToday = days => new Date(Date.now() + days * 86400000).toISOString().split('T')[0];
+  const cert = {
+    name: 'api-tls-cert',
+    provider: 'letsencrypt',
+    type: 'certificate',
+    lastRotated: daysFromToday(-10),
+    expiresAt: daysFromToday(20),
+    renewal: { everyDays: 60, graceDays: 7 }
+  };
+  const [expiry, renewal] = buildCalendarEvents([cert]);
+
+  assert.deepStrictEqual([renewal.kind, renewal.date, renewal.summary], ['rotation', daysFromToday(50), 'Renewal due: api-tls-cert (letsencrypt)']);
+  assert.ok(renewal.description.startsWith(`Renews every 60 days (last renewed ${cert.lastRotated}). Critical if not renewed within 7 days.`));
+  assert.deepStrictEqual(renewal.alarms, [{ trigger: 'P8D', description: `api-tls-cert missed its renewal due on ${daysFromToday(50)} (critical)` }]);
+  assert.strictEqual(expiry.kind, 'expiry');
+  assert.deepStrictEqual(expiry.alarms, [], 'On schedule: no expiry alarms');
+
+  // Once missed, the expiry alarms are back
+  const missed = { ...cert, lastRotated: daysFromToday(-90) };
+  assert.strictEqual(buildCalendarEvents([missed]).find(e => e.kind === 'expiry').alarms.length, 2);
+});
+
+test('calendar: generateCalendarReport writes valid, folded iCalendar text', () => {
+  const ics = generateCalendarReport(secrets, {
+    name: 'Team, secrets',
+    generatedAt: new Date('2026-03-01T12:00:00Z'),
+    archived: [{ ...secrets[1], name: 'old-key', archivedAt: '2026-02-01', archiveReason: 'Replaced' }]
+  });
+  const lines = ics.split('\r\n');
+  
+  assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+  assert.strictEqual(lines[lines.length - 2], 'END:VCALENDAR');
+  assert.ok(ics.endsWith('\r\n'));
+  assert.ok(lines.includes('X-WR-CALNAME:Team\\, secrets'));
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20260630'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20260701'));
+  assert.ok(lines.includes('DTSTAMP:20260301T120000Z'));
+  assert.ok(lines.every(line => Buffer.byteLength(line) <= 75), 'Lines are folded at 75 octets');
+  assert.strictEqual(lines.filter(l => l === 'BEGIN:VEVENT').length, 4);
+  assert.strictEqual(lines.filter(l => l === 'BEGIN:VALARM').length, 6, 'Cancelled events carry no alarms');
+  
+  // Decommissioned secrets cancel their events
+  const cancelled = ics.split('BEGIN:VEVENT').find(block => block.includes('Rotate old-key'));
+  assert.match(cancelled, /STATUS:CANCELLED/);
+});
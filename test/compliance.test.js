@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { listFrameworks, loadFramework, evaluateCompliance } from '../lib/compliance.js';
+import { generateComplianceTextReport, generateComplianceMarkdownReport } from '../lib/reporters.js';
+
+const asOf = '2026-03-01';
+
+const secrets = [
+  {
+    name: 'stripe-key', provider: 'stripe', type: 'secret_key', owner: 'alice',
+    lastRotated: '2026-01-15', rotationPolicy: 90, expiresAt: null, lastUsed: '2026-02-28',
+    rotations: [{ date: '2026-01-15', actor: 'bob', ticket: 'SEC-1' }]
+  },
+  {
+    name: 'legacy-key', provider: 'aws', type: 'access_key', owner: null,
+    lastRotated: '2025-06-01', rotationPolicy: 365, expiresAt: null, lastUsed: '2025-10-01'
+  },
+  {
+    name: 'vendor-key', provider: 'acme', type: 'api_key', owner: 'carol',
+    lastRotated: '2025-10-01', rotationPolicy: 90, expiresAt: null, lastUsed: '2026-02-20',
+    rotations: [{ date: '2025-10-01' }],
+    waiver: { scope: 'rotation', until: '2026-06-30', approver: 'sec-lead', justification: 'Vendor cannot rotate' }
+  }
+];
+
+const framework = {
+  id: 'internal',
+  name: 'Internal Keys',
+  version: '1.0',
+  controls: [
+    { id: 'KM-1', title: 'Keys have an owner', where: 'type=*key*', require: ['owner'] },
+    { id: 'KM-2', title: 'Keys rotate every 180 days', where: 'type=*key*', maxRotationDays: 180, rotationEvidence: true },
+    { id: 'KM-3', title: 'Vendor keys rotate within policy', where: 'owner=carol', rotatedWithinPolicy: true },
+    { id: 'KM-4', title: 'Unused keys are revoked', maxUnusedDays: 90 },
+    { id: 'KM-5', title: 'Certificates have an owner', where: 'type=certificate', require: ['owner'] }
+  ]
+};
+
+test('compliance: built-in frameworks load by id and validate', () => {
+  assert.deepStrictEqual(listFrameworks().map(f => f.id), ['iso-27001', 'pci-dss', 'soc2']);
+
+  const pci = loadFramework('PCI-DSS');
+  assert.strictEqual(pci.id, 'pci-dss');
+  assert.ok(pci.controls.some(c => c.id === '3.7.4'));
+
+  assert.throws(() => loadFramework('hipaa'), /Unknown framework "hipaa". Use one of: iso-27001, pci-dss, soc2/);
+});
+
+test('compliance: framework files are validated', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'secrets-compliance-'));
+  const write = (name, content) => {
+    const file = join(dir, name);
+    writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+  const control = { id: 'C-1', title: 'Owned', require: ['owner'] };
+
+  try {
+    assert.strictEqual(loadFramework(write('ok.json', { ...framework })).name, 'Internal Keys');
+
+    assert.throws(() => loadFramework(write('broken.json', '{')), /Invalid framework .*broken\.json/);
+    assert.throws(() => loadFramework(write('empty.json', { id: 'x', name: 'X', controls: [] })), /"controls" must be a non-empty array/);
+    assert.throws(() => loadFramework(write('dup.json', { id: 'x', name: 'X', controls: [control, control] })), /duplicate control C-1/);
+    assert.throws(() => loadFramework(write('key.json', { id: 'x', name: 'X', controls: [{ ...control, severity: 'error' }] })), /control C-1 has unknown property "severity"/);
+    assert.throws(() => loadFramework(write('days.json', { id: 'x', name: 'X', controls: [{ ...control, maxRotationDays: 0 }] })), /"maxRotationDays" must be a positive whole number/);
+    assert.throws(() => loadFramework(write('where.json', { id: 'x', name: 'X', controls: [{ ...control, where: 'colour=red' }] })), /control C-1: where: Invalid filter/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('compliance: controls pass, fail, are waived or not applicable with evidence', () => {
+  const compliance = evaluateCompliance(secrets, framework, { asOf });
+
+  assert.strictEqual(compliance.asOf, asOf);
+  assert.deepStrictEqual(
+    compliance.controls.map(c => [c.id, c.status, c.checked, c.passed, c.failed, c.waived]),
+    [
+      ['KM-1', 'fail', 3, 2, 1, 0],
+      ['KM-2', 'fail', 3, 2, 1, 0],
+      ['KM-3', 'pass', 1, 0, 0, 1],
+      ['KM-4', 'fail', 3, 2, 1, 0],
+      ['KM-5', 'not_applicable', 0, 0, 0, 0]
+    ]
+  );
+  assert.deepStrictEqual(compliance.summary, { controls: 5, passed: 1, failed: 3, notApplicable: 1, secrets: 3 });
+
+  const [km1, km2, km3, km4] = compliance.controls;
+  assert.deepStrictEqual(km1.evidence.find(e => e.name === 'legacy-key').reasons, ['missing owner']);
+  assert.deepStrictEqual(km2.evidence.find(e => e.name === 'legacy-key').reasons, [
+    'rotation policy 365 days exceeds 180 days',
+    'not rotated in 273 days (limit 180)',
+    'no rotation recorded in the history'
+  ]);
+  assert.deepStrictEqual(km3.evidence[0].reasons, ['61 days past its 90-day rotation policy']);
+  assert.strictEqual(km3.evidence[0].waiver, 'waived until 2026-06-30, approved by sec-lead: Vendor cannot rotate');
+  assert.deepStrictEqual(km4.evidence.find(e => e.name === 'legacy-key').reasons, ['unused for 151 days (limit 90)']);
+
+  assert.strictEqual(
+    km1.evidence[0].details,
+    'rotation policy 90 days; last rotated 2026-01-15 by bob (SEC-1), 45 days ago; 1 rotation recorded; last used 2026-02-28; owner alice; status healthy'
+  );
+});
+
+test('compliance: a waiver only covers failures in its scope', () => {
+  const waiver = scope => ({ scope, until: '2026-06-30', approver: 'sec-lead', justification: 'Batch job' });
+  const unowned = {
+    name: 'batch-key', provider: 'aws', type: 'access_key', owner: null,
+    lastRotated: '2025-06-01', rotationPolicy: 90, expiresAt: null, lastUsed: '2025-10-01',
+    rotations: [{ date: '2025-06-01' }]
+  };
+  const results = scope => evaluateCompliance([{ ...unowned, waiver: waiver(scope) }], framework, { asOf }).controls
+    .filter(c => c.status !== 'not_applicable')
+    .map(c => [c.id, c.evidence[0].result]);
+
+  assert.deepStrictEqual(results('usage'), [['KM-1', 'fail'], ['KM-2', 'fail'], ['KM-4', 'waived']]);
+  assert.deepStrictEqual(results('expiry'), [['KM-1', 'fail'], ['KM-2', 'fail'], ['KM-4', 'fail']]);
+  assert.deepStrictEqual(results('rotation'), [['KM-1', 'fail'], ['KM-2', 'waived'], ['KM-4', 'fail']]);
+  assert.deepStrictEqual(results('all'), [['KM-1', 'fail'], ['KM-2', 'waived'], ['KM-4', 'waived']], 'Missing metadata is never waived');
+
+  const [, km2] = evaluateCompliance([{ ...unowned, waiver: waiver('usage') }], framework, { asOf }).controls;
+  assert.strictEqual(km2.evidence[0].waiver, undefined);
+});
+
+test('compliance: reports render text and Markdown with evidence lines', () => {
+  const compliance = evaluateCompliance(secrets, framework, { asOf });
+
+  const text = generateComplianceTextReport(compliance);
+  assert.ok(text.startsWith('Internal Keys 1.0 Compliance Report'));
+  assert.ok(text.includes('5 controls, 3 secrets assessed: 1 passed, 3 failed, 1 not applicable'));
+  assert.ok(text.includes('✅ KM-3 Vendor keys rotate within policy (0 of 1 passing, 1 waived)'));
+  assert.ok(text.includes('➖ KM-5 Certificates have an owner (no secrets in scope)'));
+
+  const markdown = generateComplianceMarkdownReport(compliance);
+  assert.ok(markdown.includes('| KM-1 | Keys have an owner | ❌ Fail | 2 of 3 passing |'));
+  assert.ok(markdown.includes('### KM-4 — Unused keys are revoked'));
+  assert.ok(markdown.includes('- ❌ legacy-key: rotation policy 365 days; last rotated 2025-06-01, 273 days ago; 0 rotations recorded; last used 2025-10-01; owner none; status'));
+  assert.ok(markdown.includes('→ unused for 151 days (limit 90)'));
+});
@@ -1,9 +1,11 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { unlinkSync, existsSync, mkdirSync, rmSync, renameSync } from 'fs';
+import { unlinkSync, existsSync, mkdirSync, rmSync, renameSync, mkdtempSync, writeFileSync } from 'fs';
 import { join } from 'path';
-import { homedir } from 'os';
-import { initConfig, loadConfig, saveConfig, configExists } from '../lib/config.js';
+import { homedir, tmpdir } from 'os';
+import { initConfig, loadConfig, saveConfig, configExists, useConfig, getConfigPath, getProfilePath, getConfigLayers, loadMergedConfig } from '../lib/config.js';
+import { validateConfig } from '../lib/config-schema.js';
+import { migrateConfig, CURRENT_CONFIG_VERSION } from '../lib/migrations.js';
 
 const TEST_CONFIG = '.secrets-audit.test.json';
 
@@ -26,7 +28,7 @@ test('config: initConfig creates a valid config file', () => {
   assert.ok(existsSync('.secrets-audit.json'), 'Config file should exist');
   
   const loaded = loadConfig();
-  assert.strictEqual(loaded.version, '1.0.0');
+  assert.strictEqual(loaded.version, CURRENT_CONFIG_VERSION, 'Older configs are migrated on load');
   assert.strictEqual(loaded.tier, 'free');
   assert.ok(Array.isArray(loaded.secrets));
   
@@ -86,3 +88,233 @@ test('config: saveConfig persists changes', () => {
     unlinkSync('.secrets-audit.json');
   }
 });
+
+test('config: validateConfig reports every problem with its JSON path', () => {
+  const problems = validateConfig({
+    version: '1.1.0',
+    tier: 'free',
+    secrets: [
+      { name: 'a', expiresAt: '2025-13-01', rotationPolicy: -30 },
+      { name: 'a', tags: 'prod' },
+      { provider: 'aws' }
+    ]
+  });
+  
+  assert.deepStrictEqual(problems.map(p => p.path), [
+    '$.secrets[0].expiresAt',
+    '$.secrets[0].rotationPolicy',
+    '$.secrets[1].tags',
+    '$.secrets[2].name',
+    '$.secrets[1].name'
+  ]);
+  assert.match(problems[4].message, /duplicate name "a"/);
+  
+  assert.deepStrictEqual(validateConfig({ version: CURRENT_CONFIG_VERSION, secrets: [] }), []);
+});
+
+test('config: validateConfig checks the status policy', () => {
+  const problems = validateConfig({
+    version: CURRENT_CONFIG_VERSION,
+    policy: {
+      thresholds: { rotationWarningPercent: 120, expiryDays: 10 },
+      rules: {
+        aws: { rotationPolicy: 30 },
+        'github/token': { rotationPolicy: 0, thresholds: { expiryCriticalDays: 1.5 } }
+      }
+    },
+    secrets: [{ name: 'a', thresholds: { expiryWarningDays: -1 } }]
+  });
+  
+  assert.deepStrictEqual(problems.map(p => p.path), [
+    '$.policy.thresholds.rotationWarningPercent',
+    '$.policy.thresholds.expiryDays',
+    '$.policy.rules.aws',
+    '$.policy.rules["github/token"].rotationPolicy',
+    '$.policy.rules["github/token"].thresholds.expiryCriticalDays',
+    '$.secrets[0].thresholds.expiryWarningDays'
+  ]);
+  assert.match(problems[1].message, /unknown property "expiryDays"/);
+  assert.match(problems[2].message, /invalid key "aws"/);
+});
+
+test('config: loadConfig fails loudly on invalid entries', () => {
+  saveConfig({
+    version: CURRENT_CONFIG_VERSION,
+    tier: 'free',
+    secrets: [{ name: 'bad', lastRotated: 'yesterday' }]
+  }, false);
+  
+  try {
+    assert.throws(
+      () => loadConfig(),
+      (err) => /\$\.secrets\[0\]\.lastRotated: invalid date/.test(err.message) && err.problems.length === 1
+    );
+  } finally {
+    unlinkSync('.secrets-audit.json');
+  }
+});
+
+test('config: migrateConfig upgrades 1.0.0 configs step by step', () => {
+  const { config, from, to, applied } = migrateConfig({
+    version: '1.0.0',
+    tier: 'free',
+    secrets: [{ name: 'old-key', provider: 'aws', owner: 'alice' }]
+  });
+  
+  assert.strictEqual(from, '1.0.0');
+  assert.strictEqual(to, CURRENT_CONFIG_VERSION);
+  assert.strictEqual(applied.length, 1);
+  assert.deepStrictEqual(config.secrets[0].rotations, []);
+  assert.strictEqual(config.secrets[0].owner, 'alice', 'Existing values are kept');
+  
+  const custom = migrateConfig({ version: '1.0.0', secrets: [] }, {
+    target: '1.2.0',
+    migrations: [
+      { from: '1.0.0', to: '1.1.0', description: 'one', migrate: c => ({ ...c, one: true }) },
+      { from: '1.1.0', to: '1.2.0', description: 'two', migrate: c => ({ ...c, two: true }) }
+    ]
+  });
+  assert.strictEqual(custom.config.version, '1.2.0');
+  assert.ok(custom.config.one && custom.config.two);
+  
+  assert.throws(() => migrateConfig({ version: '9.0.0', secrets: [] }), /newer than this version/);
+});
+
+test('config: saveConfig rejects a save if the file changed since load', () => {
+  saveConfig({ version: CURRENT_CONFIG_VERSION, tier: 'free', secrets: [] }, false);
+  
+  try {
+    const stale = loadConfig();
+    const fresh = loadConfig();
+    
+    fresh.secrets.push({ name: 'added-elsewhere' });
+    saveConfig(fresh);
+    
+    stale.secrets.push({ name: 'lost-update' });
+    assert.throws(
+      () => saveConfig(stale),
+      /modified by another process since it was loaded/
+    );
+    
+    assert.deepStrictEqual(loadConfig().secrets.map(s => s.name), ['added-elsewhere']);
+  } finally {
+    unlinkSync('.secrets-audit.json');
+  }
+});
+
+test('config: useConfig selects an explicit config file', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'mpx-secrets-audit-config-'));
+  const explicit = join(dir, 'nested', 'inventory.json');
+  
+  try {
+    useConfig({ path: explicit });
+    assert.strictEqual(getConfigPath(), explicit);
+    assert.strictEqual(configExists(), false);
+    
+    assert.strictEqual(initConfig(), explicit, 'init creates the selected file');
+    assert.ok(existsSync(explicit));
+    assert.ok(!existsSync('.secrets-audit.json'), 'Local config untouched');
+    assert.deepStrictEqual(loadConfig().secrets, []);
+  } finally {
+    useConfig();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('config: MPX_SECRETS_AUDIT_CONFIG overrides the default lookup', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'mpx-secrets-audit-config-'));
+  const fromEnv = join(dir, 'env.json');
+  const fromFlag = join(dir, 'flag.json');
+  
+  process.env.MPX_SECRETS_AUDIT_CONFIG = fromEnv;
+  try {
+    assert.strictEqual(getConfigPath(), fromEnv);
+    
+    useConfig({ path: fromFlag });
+    assert.strictEqual(getConfigPath(), fromFlag, 'Explicit path beats the environment variable');
+  } finally {
+    delete process.env.MPX_SECRETS_AUDIT_CONFIG;
+    useConfig();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('config: profiles live under the global config directory', () => {
+  assert.strictEqual(
+    getProfilePath('prod'),
+    join(homedir(), '.config', 'mpx-secrets-audit', 'profiles', 'prod.json')
+  );
+  
+  useConfig({ profile: 'prod' });
+  try {
+    assert.strictEqual(getConfigPath(), getProfilePath('prod'));
+  } finally {
+    useConfig();
+  }
+  
+  assert.throws(() => getProfilePath('../escape'), /Invalid profile name/);
+  assert.throws(() => useConfig({ path: 'a.json', profile: 'prod' }), /not both/);
+});
+
+test('config: loadMergedConfig merges included layers, higher layers winning', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'mpx-secrets-audit-layers-'));
+  const org = join(dir, 'org.json');
+  const team = join(dir, 'team', 'team.json');
+  const project = join(dir, 'project.json');
+  mkdirSync(join(dir, 'team'));
+  
+  writeFileSync(org, JSON.stringify({
+    version: CURRENT_CONFIG_VERSION,
+    defaults: { rotationPolicy: 30, owner: 'security' },
+    secrets: [{ name: 'shared', provider: 'org' }, { name: 'org-only' }]
+  }));
+  writeFileSync(team, JSON.stringify({
+    version: CURRENT_CONFIG_VERSION,
+    include: ['../org.json'],
+    defaults: { owner: 'platform' },
+    secrets: [{ name: 'shared', provider: 'team' }]
+  }));
+  writeFileSync(project, JSON.stringify({
+    version: CURRENT_CONFIG_VERSION,
+    tier: 'pro',
+    include: ['team/team.json'],
+    secrets: [{ name: 'project-only' }]
+  }));
+  
+  useConfig({ path: project });
+  try {
+    assert.deepStrictEqual(getConfigLayers().map(l => l.path), [org, team, project]);
+    
+    const merged = loadMergedConfig();
+    assert.strictEqual(merged.tier, 'pro');
+    assert.deepStrictEqual(merged.defaults, { rotationPolicy: 30, owner: 'platform' });
+    assert.deepStrictEqual(
+      merged.secrets.map(s => [s.name, s.source]),
+      [['shared', team], ['org-only', org], ['project-only', project]]
+    );
+    assert.strictEqual(merged.secrets[0].provider, 'team');
+    assert.ok(!('source' in loadConfig().secrets[0]), 'source is never persisted');
+  } finally {
+    useConfig();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('config: include cycles and missing includes fail loudly', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'mpx-secrets-audit-layers-'));
+  const a = join(dir, 'a.json');
+  const b = join(dir, 'b.json');
+  writeFileSync(a, JSON.stringify({ version: CURRENT_CONFIG_VERSION, include: ['b.json'], secrets: [] }));
+  writeFileSync(b, JSON.stringify({ version: CURRENT_CONFIG_VERSION, include: ['a.json'], secrets: [] }));
+  
+  useConfig({ path: a });
+  try {
+    assert.throws(() => loadMergedConfig(), /Config include cycle/);
+    
+    writeFileSync(b, JSON.stringify({ version: CURRENT_CONFIG_VERSION, include: ['missing.json'], secrets: [] }));
+    assert.throws(() => loadMergedConfig(), /Included config file not found: missing\.json/);
+  } finally {
+    useConfig();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseFilter, filterSecrets } from '../lib/filter.js';
+
+function daysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().split('T')[0];
+}
+
+const testSecrets = [
+  {
+    name: 'aws-prod-key',
+    provider: 'aws',
+    type: 'access_key',
+    status: 'critical',
+    environment: 'prod',
+    tags: ['pci', 'billing'],
+    lastRotated: daysAgo(100),
+    rotationPolicy: 90,
+    expiresAt: null
+  },
+  {
+    name: 'aws-staging-key',
+    provider: 'aws',
+    type: 'access_key',
+    status: 'healthy',
+    environment: 'staging',
+    tags: [],
+    lastRotated: daysAgo(10),
+    rotationPolicy: 90,
+    expiresAt: null
+  },
+  {
+    name: 'stripe-prod-key',
+    provider: 'stripe',
+    type: 'api_key',
+    status: 'healthy',
+    environment: 'prod',
+    team: 'payments',
+    tags: ['pci'],
+    lastRotated: daysAgo(5),
+    rotationPolicy: 365,
+    expiresAt: null
+  }
+];
+
+function names(expr) {
+  return filterSecrets(testSecrets, expr).map(s => s.name);
+}
+
+test('filter: equality and and-combination', () => {
+  assert.deepStrictEqual(names('provider=aws and env=prod'), ['aws-prod-key']);
+  assert.deepStrictEqual(names('provider=AWS'), ['aws-prod-key', 'aws-staging-key'], 'Case-insensitive');
+});
+
+test('filter: numeric comparisons on derived fields', () => {
+  assert.deepStrictEqual(names('provider=aws and env=prod and age>60'), ['aws-prod-key']);
+  assert.deepStrictEqual(names('rotation>=365'), ['stripe-prod-key']);
+  assert.deepStrictEqual(names('expires<30'), [], 'Secrets without expiry never match numeric comparisons');
+});
+
+test('filter: or, not and parentheses', () => {
+  assert.deepStrictEqual(names('env=staging or team=payments'), ['aws-staging-key', 'stripe-prod-key']);
+  assert.deepStrictEqual(names('not env=prod'), ['aws-staging-key']);
+  assert.deepStrictEqual(names('(provider=aws or provider=stripe) and status!=healthy'), ['aws-prod-key']);
+});
+
+test('filter: tags and wildcards', () => {
+  assert.deepStrictEqual(names('tag=pci'), ['aws-prod-key', 'stripe-prod-key']);
+  assert.deepStrictEqual(names('tag!=pci'), ['aws-staging-key']);
+  assert.deepStrictEqual(names('name=*-prod-*'), ['aws-prod-key', 'stripe-prod-key']);
+  assert.deepStrictEqual(names('notes="a b"'), []);
+});
+
+test('filter: empty expression matches everything', () => {
+  assert.strictEqual(filterSecrets(testSecrets, '').length, 3);
+  assert.strictEqual(filterSecrets(testSecrets, undefined).length, 3);
+});
+
+test('filter: rejects malformed expressions', () => {
+  assert.throws(() => parseFilter('color=red'), /unknown field "color"/);
+  assert.throws(() => parseFilter('age>old'), /expects a number/);
+  assert.throws(() => parseFilter('provider aws'), /expected an operator/);
+  assert.throws(() => parseFilter('(provider=aws'), /missing closing parenthesis/);
+  assert.throws(() => parseFilter('provider=aws env=prod'), /unexpected "env"/);
+  assert.throws(() => parseFilter('notes="unterminated'), /unterminated quote/);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { forecastSecrets } from '../lib/forecast.js';
+
+const secrets = [
+  {
+    name: 'db-pass',
+    provider: 'postgres',
+    type: 'password',
+    owner: 'alice',
+    lastRotated: '2026-01-01',
+    rotationPolicy: 90,
+    expiresAt: null
+  },
+  {
+    name: 'tls-cert',
+    provider: 'digicert',
+    type: 'certificate',
+    lastRotated: '2026-03-01',
+    rotationPolicy: 365,
+    expiresAt: '2026-04-20'
+  }
+];
+
+test('forecast: projects status changes and rotation due dates', () => {
+  const forecast = forecastSecrets(secrets, { from: '2026-03-01', days: 60, by: 'day' });
+  
+  assert.strictEqual(forecast.from, '2026-03-01');
+  assert.strictEqual(forecast.to, '2026-04-30');
+  assert.deepStrictEqual(forecast.current, { healthy: 2, warning: 0, critical: 0, stale: 0, expired: 0, waived: 0 });
+  assert.deepStrictEqual(
+    forecast.events.map(e => [e.date, e.name, e.event]),
+    [
+      ['2026-03-10', 'db-pass', 'warning'],
+      ['2026-03-22', 'tls-cert', 'warning'],
+      ['2026-04-01', 'db-pass', 'rotation_due'],
+      ['2026-04-02', 'db-pass', 'critical'],
+      ['2026-04-14', 'tls-cert', 'critical'],
+      ['2026-04-21', 'tls-cert', 'expired']
+    ]
+  );
+  assert.strictEqual(forecast.events[0].from, 'healthy');
+  assert.strictEqual(forecast.events[0].message, '22 days until rotation due');
+  assert.strictEqual(forecast.events[2].owner, 'alice');
+  assert.strictEqual(forecast.events[3].from, 'warning');
+  assert.strictEqual(forecast.events[3].message, 'Past rotation policy by 1 day');
+  assert.deepStrictEqual(forecast.summary, { events: 6, warning: 2, critical: 2, stale: 0, expired: 1, rotationsDue: 1, waiversLapsing: 0 });
+  assert.strictEqual(forecast.periods.length, 6);
+});
+
+test('forecast: groups by calendar week clipped to the window', () => {
+  // 2026-03-04 is a Wednesday
+  const forecast = forecastSecrets(secrets, { from: '2026-03-04', days: 30 });
+  
+  assert.strictEqual(forecast.by, 'week');
+  assert.deepStrictEqual(
+    forecast.periods.map(p => [p.start, p.end, p.events.length]),
+    [
+      ['2026-03-09', '2026-03-15', 1],
+      ['2026-03-16', '2026-03-22', 1],
+      ['2026-03-30', '2026-04-03', 2]
+    ]
+  );
+  
+  assert.deepStrictEqual(forecastSecrets(secrets, { from: '2026-03-01', days: 7 }).periods, []);
+});
+
+test('forecast: rejects invalid windows and groupings', () => {
+  assert.throws(() => forecastSecrets(secrets, { days: 0 }), /Invalid forecast window/);
+  assert.throws(() => forecastSecrets(secrets, { days: 'soon' }), /Invalid forecast window/);
+  assert.throws(() => forecastSecrets(secrets, { by: 'month' }), /Invalid forecast grouping/);
+});
+
+test('forecast: reports when waivers lapse', () => {
+  const waived = [{
+    ...secrets[0],
+    lastRotated: '2025-06-01',
+    waiver: { scope: 'rotation', justification: 'Vendor key', approver: 'sec-lead', until: '2026-03-15' }
+  }];
+  const forecast = forecastSecrets(waived, { from: '2026-03-01', days: 30, by: 'day' });
+  
+  assert.deepStrictEqual(forecast.current, { healthy: 0, warning: 0, critical: 0, stale: 0, expired: 0, waived: 1 });
+  assert.deepStrictEqual(
+    forecast.events.map(e => [e.date, e.event, e.from]),
+    [
+      ['2026-03-16', 'critical', 'waived'],
+      ['2026-03-16', 'waiver_lapses', undefined]
+    ]
+  );
+  assert.strictEqual(forecast.summary.waiversLapsing, 1);
+});
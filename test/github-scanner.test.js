@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { scanGitHub, convertToSecrets } from '../lib/scanners/github.js';
+
+process.env.GITHUB_TOKEN = 'github_pat_TEST';
+
+// Responses of the stub GitHub API, keyed by path and page
+const routes = {
+  '/user': {
+    headers: { 'github-authentication-token-expiration': '2026-11-30 12:00:00 UTC' },
+    body: { login: 'octocat' }
+  },
+  '/orgs/acme/personal-access-tokens': [
+    [{ id: 1, token_id: 11, token_name: 'ci deploy', owner: { login: 'alice' }, repository_selection: 'subset', access_granted_at: '2026-01-05T10:00:00Z', token_expired: false, token_expires_at: '2026-12-01T00:00:00Z', token_last_used_at: '2026-03-01T08:00:00Z' }],
+    [{ id: 2, token_id: 12, token_name: 'laptop', owner: { login: 'bob' }, repository_selection: 'all', access_granted_at: '2025-06-01T00:00:00Z', token_expired: false, token_expires_at: null, token_last_used_at: null }]
+  ],
+  '/orgs/acme/actions/secrets': {
+    body: { total_count: 1, secrets: [{ name: 'NPM_TOKEN', created_at: '2025-01-01T00:00:00Z', updated_at: '2026-02-01T00:00:00Z', visibility: 'private' }] }
+  },
+  '/orgs/acme/dependabot/secrets': { body: { total_count: 0, secrets: [] } },
+  '/orgs/acme/installations': {
+    body: { total_count: 1, installations: [{ id: 99, app_id: 7, app_slug: 'release-bot', created_at: '2025-03-01T00:00:00Z', updated_at: '2025-03-02T00:00:00Z' }] }
+  },
+  '/orgs/acme/repos': { body: [{ full_name: 'acme/api' }] },
+  '/repos/acme/api/keys': {
+    body: [{ id: 5, title: 'deploy', read_only: true, created_at: '2025-11-20T00:00:00Z', last_used: '2026-02-20T00:00:00Z' }]
+  },
+  '/repos/acme/api/actions/secrets': {
+    body: { total_count: 1, secrets: [{ name: 'DB_PASSWORD', created_at: '2025-05-01T00:00:00Z', updated_at: '2025-05-01T00:00:00Z' }] }
+  },
+  '/repos/acme/api/dependabot/secrets': { status: 403, body: { message: 'Resource not accessible by personal access token' } },
+  '/orgs/locked/personal-access-tokens': { status: 403, body: { message: 'Must be an organization owner' } }
+};
+
+async function withStubGitHub(fn) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://stub');
+    requests.push(`${url.pathname}${url.search}`);
+    let route = routes[url.pathname.replace(/^\/api\/v3/, '')];
+    if (Array.isArray(route)) {
+      // Paginated with Link headers
+      const page = Number(url.searchParams.get('page') || 1);
+      const next = page < route.length ? `<http://${req.headers.host}${url.pathname}?per_page=100&page=${page + 1}>; rel="next"` : null;
+      route = { body: route[page - 1], headers: next ? { link: next } : {} };
+    }
+    const { status = 200, headers = {}, body = { message: 'Not Found' } } = route || { status: 404 };
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return { result: await fn(`http://127.0.0.1:${server.address().port}/api/v3`), requests };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('github scanner: lists every credential kind of an organization and its repositories', async () => {
+  const { result: { credentials, errors }, requests } = await withStubGitHub(
+    baseUrl => scanGitHub({ baseUrl, orgs: ['acme', 'locked'], sources: ['token', 'pats', 'deploy-keys', 'actions', 'dependabot', 'apps'] })
+  );
+
+  assert.deepStrictEqual(
+    credentials.map(c => [c.source, c.name]),
+    [
+      ['token', 'github-pat-octocat'],
+      ['pats', 'github-pat-acme-alice-11'],
+      ['pats', 'github-pat-acme-bob-12'],
+      ['actions', 'github-actions-acme-NPM_TOKEN'],
+      ['apps', 'github-app-acme-release-bot'],
+      ['deploy-keys', 'github-deploy-acme/api-5'],
+      ['actions', 'github-actions-acme/api-DB_PASSWORD']
+    ]
+  );
+  assert.ok(requests.some(path => path.includes('page=2')), 'Follows Link pagination');
+  assert.deepStrictEqual(credentials[0], {
+    source: 'token', name: 'github-pat-octocat', login: 'octocat', tokenType: 'fine-grained', scopes: null, expiresAt: '2026-11-30'
+  });
+  assert.deepStrictEqual(
+    [credentials[1].grantedAt, credentials[1].expiresAt, credentials[1].lastUsed],
+    ['2026-01-05', '2026-12-01', '2026-03-01']
+  );
+
+  assert.deepStrictEqual(
+    errors.map(e => [e.source, e.target]),
+    [['pats', 'locked'], ['actions', 'locked'], ['dependabot', 'locked'], ['apps', 'locked'], ['repos', 'locked'], ['dependabot', 'acme/api']],
+    'Organizations and repositories that cannot be read do not stop the scan'
+  );
+  assert.match(errors[0].error, /Must be an organization owner/);
+});
+
+test('github scanner: only the token is scanned without organizations or repositories', async () => {
+  const { result, requests } = await withStubGitHub(baseUrl => scanGitHub({ baseUrl }));
+
+  assert.deepStrictEqual(result.credentials.map(c => c.name), ['github-pat-octocat']);
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(requests, ['/api/v3/user']);
+});
+
+test('github scanner: converts credentials with their real dates', () => {
+  const [token, pat, deployKey, actionsSecret, app] = convertToSecrets([
+    { source: 'token', name: 'github-pat-octocat', login: 'octocat', tokenType: 'classic', scopes: ['repo', 'workflow'], expiresAt: null },
+    { source: 'pats', name: 'github-pat-acme-alice-11', tokenName: 'ci deploy', org: 'acme', owner: 'alice', repositorySelection: 'subset', grantedAt: '2026-01-05', expiresAt: '2026-12-01', lastUsed: '2026-03-01' },
+    { source: 'deploy-keys', name: 'github-deploy-acme/api-5', repo: 'acme/api', title: 'deploy', readOnly: false, createdAt: '2025-11-20', lastUsed: null },
+    { source: 'actions', name: 'github-actions-acme-NPM_TOKEN', secretName: 'NPM_TOKEN', repo: null, org: 'acme', visibility: 'private', createdAt: '2025-01-01', updatedAt: '2026-02-01' },
+    { source: 'apps', name: 'github-app-acme-release-bot', appSlug: 'release-bot', appId: 7, org: 'acme', createdAt: '2025-03-01' }
+  ]);
+
+  assert.strictEqual(token.createdAt, undefined, 'Unknown creation date is not made up');
+  assert.strictEqual(token.notes, 'GitHub classic token for octocat | Scopes: repo, workflow | No expiry reported');
+  assert.deepStrictEqual(
+    [pat.type, pat.createdAt, pat.lastRotated, pat.expiresAt, pat.lastUsed],
+    ['personal_access_token', '2026-01-05', '2026-01-05', '2026-12-01', '2026-03-01']
+  );
+  assert.strictEqual(pat.notes, 'Fine-grained PAT "ci deploy" of alice | Org: acme | Repositories: subset');
+  assert.deepStrictEqual([deployKey.type, deployKey.lastRotated], ['deploy_key', '2025-11-20']);
+  assert.strictEqual(deployKey.notes, 'Deploy key "deploy" on acme/api | Read-write');
+  assert.deepStrictEqual([actionsSecret.type, actionsSecret.createdAt, actionsSecret.lastRotated], ['actions_secret', '2025-01-01', '2026-02-01']);
+  assert.strictEqual(actionsSecret.notes, 'GitHub Actions secret NPM_TOKEN | Org: acme | Visibility: private');
+  assert.deepStrictEqual([app.type, app.lastRotated], ['app_private_key', '2025-03-01']);
+  for (const secret of [token, pat, deployKey, actionsSecret, app]) {
+    assert.strictEqual(secret.rotationPolicy, undefined, 'Rotation policy comes from the config');
+  }
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseInventory, parseColumnMap, detectFormat } from '../lib/importer.js';
+
+test('importer: detectFormat uses the file name', () => {
+  assert.strictEqual(detectFormat('inventory.CSV'), 'csv');
+  assert.strictEqual(detectFormat('export.tsv'), 'csv');
+  assert.strictEqual(detectFormat('report.json'), 'json');
+  assert.strictEqual(detectFormat('/app/.env.production'), 'env');
+  assert.strictEqual(detectFormat('secrets.xlsx'), null);
+});
+
+test('importer: CSV columns are mapped by common names', () => {
+  const csv = [
+    'Secret Name,Vendor,Expiry Date,Rotation,Labels,Secret Value',
+    'stripe-live,stripe,2027-01-01T00:00:00Z,90 days,pci|prod,sk_live_123',
+    '"aws, ""legacy""",aws,,30,,',
+    '',
+    'github-ci,github,,quarterly,,'
+  ].join('\r\n');
+  
+  const { records, columns, ignoredColumns } = parseInventory(csv, { format: 'csv' });
+  
+  assert.deepStrictEqual(columns, {
+    'Secret Name': 'name',
+    Vendor: 'provider',
+    'Expiry Date': 'expiresAt',
+    Rotation: 'rotationPolicy',
+    Labels: 'tags'
+  });
+  assert.deepStrictEqual(ignoredColumns, ['Secret Value'], 'Secret values are never imported');
+  assert.deepStrictEqual(records[0], {
+    row: 2,
+    fields: { name: 'stripe-live', provider: 'stripe', expiresAt: '2027-01-01', rotationPolicy: 90, tags: ['pci', 'prod'] }
+  });
+  assert.deepStrictEqual(records[1].fields, { name: 'aws, "legacy"', provider: 'aws', rotationPolicy: 30 });
+  assert.strictEqual(records[2].row, 5, 'Row numbers are file line numbers');
+  assert.strictEqual(records[2].fields.rotationPolicy, 'quarterly', 'Unconvertible values are left for validation');
+});
+
+test('importer: explicit mappings win and semicolon CSVs are detected', () => {
+  const csv = 'ID;Name;Service\nsk-1;Stripe live;stripe\n';
+  const { records, ignoredColumns } = parseInventory(csv, { format: 'csv', map: 'ID=name,Name=notes' });
+  
+  assert.deepStrictEqual(records[0].fields, { name: 'sk-1', notes: 'Stripe live', provider: 'stripe' });
+  assert.deepStrictEqual(ignoredColumns, []);
+  
+  assert.throws(() => parseColumnMap('ID=secret_id'), /unknown field "secret_id"/);
+  assert.throws(() => parseInventory(csv, { format: 'csv', map: 'Missing=name' }), /Mapped column "Missing" not found/);
+  assert.throws(() => parseInventory('a,"b\n', { format: 'csv' }), /unterminated quote/);
+});
+
+test('importer: JSON accepts arrays and objects with a secrets array', () => {
+  const report = JSON.stringify({
+    summary: { total: 1 },
+    secrets: [{ name: 'k1', provider: 'aws', status: 'healthy', age: 3, expiresAt: null }, 'oops']
+  });
+  
+  const { records, ignoredColumns } = parseInventory(report, { format: 'json' });
+  assert.deepStrictEqual(records[0], { row: 1, fields: { name: 'k1', provider: 'aws' } });
+  assert.deepStrictEqual(records[1], { row: 2, fields: {}, error: 'Expected an object, got string' });
+  assert.deepStrictEqual(ignoredColumns, ['status', 'age']);
+  
+  assert.strictEqual(parseInventory('[{"name":"k2"}]', { format: 'json' }).records[0].fields.name, 'k2');
+  assert.throws(() => parseInventory('{"items":[]}', { format: 'json' }), /expected an array of secrets/);
+});
+
+test('importer: .env files import variable names only', () => {
+  const env = '# Production\nexport DB_PASSWORD=hunter2\nAPI_TOKEN="abc"\n\nnot a variable\n';
+  const { records } = parseInventory(env, { format: 'env' });
+  
+  assert.deepStrictEqual(records, [
+    { row: 2, fields: { name: 'DB_PASSWORD' } },
+    { row: 3, fields: { name: 'API_TOKEN' } },
+    { row: 5, fields: {}, error: 'Not a KEY=value line' }
+  ]);
+});
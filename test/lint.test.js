@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { lintSecrets, generateLintSarif } from '../lib/lint.js';
+import { generateLintTextReport } from '../lib/reporters.js';
+
+const secrets = [
+  { name: 'aws-prod', provider: 'aws', type: 'access_key', environment: 'prod', owner: 'alice', rotationPolicy: 180, notes: 'See runbooks/aws.md', expiresAt: null },
+  { name: 'aws-dev', provider: 'aws', type: 'access_key', environment: 'dev', owner: null, rotationPolicy: 90, notes: '', expiresAt: null },
+  { name: 'gh-token', provider: 'github', type: 'token', environment: 'prod', owner: null, rotationPolicy: 90, notes: 'CI token', expiresAt: null }
+];
+
+const policy = {
+  lint: {
+    'prod-owner': { description: 'Every prod secret must have an owner', where: 'env=prod', require: ['owner'] },
+    'access-key-rotation': { where: 'type=access_key', assert: 'rotation<=90' },
+    'github-expiry': { where: 'provider=github', require: ['expiresAt', 'owner'], severity: 'warning' },
+    runbook: { match: { notes: 'runbook' }, severity: 'note' },
+    retired: { require: ['team'], severity: 'off' }
+  }
+};
+
+test('lint: evaluates require, assert and match rules on the secrets they apply to', () => {
+  const lint = lintSecrets(secrets, { policy });
+
+  assert.deepStrictEqual(
+    lint.rules.map(r => [r.id, r.checked, r.violations]),
+    [['prod-owner', 2, 1], ['access-key-rotation', 2, 1], ['github-expiry', 1, 1], ['runbook', 3, 2]]
+  );
+  assert.deepStrictEqual(
+    lint.violations.map(v => [v.severity, v.ruleId, v.name, v.message]),
+    [
+      ['error', 'access-key-rotation', 'aws-prod', 'does not satisfy "rotation<=90"'],
+      ['error', 'prod-owner', 'gh-token', 'missing owner'],
+      ['warning', 'github-expiry', 'gh-token', 'missing expiresAt, owner'],
+      ['note', 'runbook', 'aws-dev', 'notes does not match /runbook/'],
+      ['note', 'runbook', 'gh-token', 'notes does not match /runbook/']
+    ]
+  );
+  assert.deepStrictEqual(lint.summary, { rules: 4, secrets: 3, violations: 5, error: 2, warning: 1, note: 2 });
+  assert.strictEqual(lint.rules[1].description, 'access-key-rotation');
+
+  assert.strictEqual(lintSecrets(secrets, { policy, rule: 'runbook' }).summary.violations, 2);
+  assert.throws(() => lintSecrets(secrets, { policy, rule: 'nope' }), /Lint rule not found: nope/);
+  assert.strictEqual(lintSecrets(secrets, { policy: {} }).rules.length, 0);
+});
+
+test('lint: rejects rules it cannot check', () => {
+  const lint = rule => () => lintSecrets(secrets, { policy: { lint: { bad: rule } } });
+
+  assert.throws(lint({ where: 'env=prod' }), /Lint rule "bad": nothing to check/);
+  assert.throws(lint({ require: ['secretValue'] }), /cannot require "secretValue"/);
+  assert.throws(lint({ assert: 'colour=red' }), /Lint rule "bad": assert: Invalid filter: unknown field "colour"/);
+  assert.throws(lint({ match: { notes: '(' } }), /invalid pattern for notes/);
+  assert.throws(lint({ require: ['owner'], severity: 'fatal' }), /invalid severity "fatal"/);
+});
+
+test('lint: reports render as text and SARIF pointing at the config entry', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'secrets-lint-'));
+  const source = join(dir, '.secrets-audit.json');
+  const config = { version: '1.1.0', secrets: secrets.map(s => ({ name: s.name, provider: s.provider })) };
+  writeFileSync(source, JSON.stringify(config, null, 2));
+
+  try {
+    const lint = lintSecrets(secrets.map(s => ({ ...s, source })), { policy });
+
+    const text = generateLintTextReport(lint);
+    assert.ok(text.includes('❌ prod-owner: Every prod secret must have an owner (where env=prod) - 1 of 2 failing'));
+    assert.ok(text.includes('    • gh-token: missing owner'));
+    assert.ok(text.includes('❌ Errors: 2'));
+    assert.ok(generateLintTextReport(lintSecrets(secrets, { policy: {} })).includes('No lint rules configured'));
+
+    const sarif = JSON.parse(generateLintSarif(lint, { cwd: dir }));
+    assert.strictEqual(sarif.version, '2.1.0');
+    const run = sarif.runs[0];
+    assert.deepStrictEqual(run.tool.driver.rules.map(r => [r.id, r.defaultConfiguration.level]), [
+      ['prod-owner', 'error'], ['access-key-rotation', 'error'], ['github-expiry', 'warning'], ['runbook', 'note']
+    ]);
+    const result = run.results.find(r => r.ruleId === 'prod-owner');
+    assert.strictEqual(result.level, 'error');
+    assert.strictEqual(result.ruleIndex, 0);
+    assert.strictEqual(result.message.text, 'gh-token: missing owner');
+    assert.deepStrictEqual(result.locations[0].physicalLocation, {
+      artifactLocation: { uri: '.secrets-audit.json' },
+      region: { startLine: 13 }
+    });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
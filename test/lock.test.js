@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, readdirSync, utimesSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { acquireLock, releaseLock, withLock, writeFileAtomic } from '../lib/lock.js';
+
+function tempDir() {
+  return mkdtempSync(join(tmpdir(), 'mpx-secrets-audit-lock-'));
+}
+
+test('lock: acquireLock creates and releaseLock removes the lock file', () => {
+  const dir = tempDir();
+  const file = join(dir, 'config.json');
+  
+  try {
+    acquireLock(file);
+    assert.ok(existsSync(`${file}.lock`), 'Lock file should exist while held');
+    
+    // Re-entrant within the same process
+    withLock(file, () => {
+      assert.ok(existsSync(`${file}.lock`));
+    });
+    assert.ok(existsSync(`${file}.lock`), 'Nested release keeps the outer lock');
+    
+    releaseLock(file);
+    assert.ok(!existsSync(`${file}.lock`), 'Lock file should be removed');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('lock: acquireLock times out on a live lock held by another process', () => {
+  const dir = tempDir();
+  const file = join(dir, 'config.json');
+  
+  try {
+    // The parent of this test process is alive, so the lock is not stale
+    writeFileSync(`${file}.lock`, JSON.stringify({ pid: process.ppid, hostname: 'elsewhere', createdAt: new Date().toISOString() }));
+    
+    assert.throws(
+      () => acquireLock(file, { timeout: 150 }),
+      /Timed out waiting for lock/
+    );
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('lock: acquireLock takes over stale locks', () => {
+  const dir = tempDir();
+  const file = join(dir, 'config.json');
+  
+  try {
+    writeFileSync(`${file}.lock`, JSON.stringify({ pid: 1, hostname: 'elsewhere', createdAt: '2020-01-01T00:00:00.000Z' }));
+    const old = new Date(Date.now() - 60000);
+    utimesSync(`${file}.lock`, old, old);
+    
+    withLock(file, () => {
+      const info = JSON.parse(readFileSync(`${file}.lock`, 'utf8'));
+      assert.strictEqual(info.pid, process.pid, 'Stale lock should be replaced');
+    }, { timeout: 500 });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('lock: writeFileAtomic replaces content without leaving temp files', () => {
+  const dir = tempDir();
+  const file = join(dir, 'config.json');
+  
+  try {
+    writeFileSync(file, 'old');
+    writeFileAtomic(file, 'new');
+    
+    assert.strictEqual(readFileSync(file, 'utf8'), 'new');
+    assert.deepStrictEqual(readdirSync(dir), ['config.json']);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('lock: concurrent processes adding secrets do not clobber each other', async () => {
+  const dir = tempDir();
+  const secretsModule = fileURLToPath(new URL('../lib/secrets.js', import.meta.url));
+  const script = `
+    const { addSecret } = await import(${JSON.stringify(secretsModule)});
+    for (let i = 0; i < 5; i++) addSecret({ name: 'key-' + process.argv[1] + '-' + i });
+  `;
+  
+  try {
+    writeFileSync(join(dir, '.secrets-audit.json'), JSON.stringify({ version: '1.1.0', tier: 'pro', secrets: [] }));
+    
+    const codes = await Promise.all([1, 2, 3].map(worker => new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, ['--input-type=module', '-e', script, String(worker)], { cwd: dir, stdio: 'inherit' });
+      child.on('error', reject);
+      child.on('exit', resolve);
+    })));
+    assert.deepStrictEqual(codes, [0, 0, 0]);
+    
+    const config = JSON.parse(readFileSync(join(dir, '.secrets-audit.json'), 'utf8'));
+    assert.strictEqual(config.secrets.length, 15, 'Every add should survive');
+    assert.deepStrictEqual(readdirSync(dir), ['.secrets-audit.json'], 'No lock or temp files left behind');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -1,6 +1,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { generateTextReport, generateJsonReport, generateMarkdownReport } from '../lib/reporters.js';
+import { generateTextReport, generateJsonReport, generateMarkdownReport, groupActionRequiredByOwner, collectExceptions, generateForecastTextReport, generateForecastJsonReport, generateForecastMarkdownReport } from '../lib/reporters.js';
+import { forecastSecrets } from '../lib/forecast.js';
 
 const testSecrets = [
   {
@@ -72,8 +73,131 @@ test('reporters: generateMarkdownReport shows action required section', () => {
   assert.ok(report.includes('aws-key'), 'Should list warning secret');
 });
 
+test('reporters: groupActionRequiredByOwner groups non-healthy secrets by owner', () => {
+  const secrets = [
+    ...testSecrets,
+    { name: 'db-pass', provider: 'postgres', status: 'expired', owner: 'bob', expiresAt: '2020-01-01' },
+    { name: 'gh-token', provider: 'github', status: 'warning', owner: 'bob' }
+  ];
+  
+  const groups = groupActionRequiredByOwner(secrets);
+  
+  assert.deepStrictEqual(groups.map(g => g.owner), ['bob', 'Unassigned']);
+  assert.deepStrictEqual(groups[0].secrets.map(s => s.name), ['db-pass', 'gh-token'], 'Most severe first');
+  assert.deepStrictEqual(groups[1].secrets.map(s => s.name), ['aws-key']);
+});
+
+test('reporters: generateMarkdownReport groups action required by owner', () => {
+  const report = generateMarkdownReport(testSecrets);
+  
+  assert.ok(report.includes('### Owner: Unassigned'), 'Should group unowned secrets');
+});
+
 test('reporters: generateMarkdownReport handles empty list', () => {
   const report = generateMarkdownReport([]);
   
   assert.ok(report.includes('No secrets tracked yet'), 'Should show empty message');
 });
+
+test('reporters: reports count and list decommissioned secrets', () => {
+  const archived = [{
+    name: 'legacy-key',
+    provider: 'stripe',
+    owner: null,
+    archivedAt: '2025-02-01',
+    archivedBy: 'alice',
+    archiveReason: 'Replaced by restricted key'
+  }];
+  
+  assert.ok(generateTextReport(testSecrets, { archived }).includes('Decommissioned: 1'));
+  assert.ok(!generateTextReport(testSecrets).includes('Decommissioned'));
+  
+  const json = JSON.parse(generateJsonReport(testSecrets, { archived }));
+  assert.strictEqual(json.summary.decommissioned, 1);
+  assert.strictEqual(json.decommissioned[0].name, 'legacy-key');
+  
+  const markdown = generateMarkdownReport([], { archived });
+  assert.ok(markdown.includes('## Decommissioned'));
+  assert.ok(markdown.includes('| legacy-key | stripe | N/A | 2025-02-01 | alice | Replaced by restricted key |'));
+});
+
+test('reporters: reports re-evaluate statuses as of a given date', () => {
+  const asOf = '2025-03-15';
+  
+  const text = generateTextReport(testSecrets, { asOf });
+  assert.ok(text.includes('Evaluated as of 2025-03-15'));
+  assert.ok(text.includes('Age: 73 days'), 'Age is counted up to the evaluation date');
+  
+  const json = JSON.parse(generateJsonReport(testSecrets, { asOf }));
+  assert.strictEqual(json.asOf, asOf);
+  assert.deepStrictEqual(json.secrets.map(s => s.status), ['warning', 'critical']);
+  assert.strictEqual(json.summary.critical, 1);
+  assert.strictEqual(json.secrets[1].statusMessage, 'Past rotation policy by 44 days');
+  
+  assert.strictEqual(JSON.parse(generateJsonReport(testSecrets)).asOf, null);
+  assert.ok(generateMarkdownReport(testSecrets, { asOf }).includes('Evaluated as of 2025-03-15'));
+});
+
+test('reporters: forecast reports render the timeline in every format', () => {
+  const forecast = forecastSecrets(testSecrets, { from: '2025-01-15', days: 90 });
+  
+  const text = generateForecastTextReport(forecast);
+  assert.ok(text.includes('Secrets Forecast: 2025-01-15 → 2025-04-15 (90 days)'));
+  assert.ok(text.includes('Week of 2025-03-31 – 2025-04-06'));
+  assert.ok(text.includes('2025-04-01  🔄 stripe-key rotation due - 90-day rotation policy reached'));
+  assert.ok(text.includes('🔄 Rotations due: 2'));
+  
+  const json = JSON.parse(generateForecastJsonReport(forecast));
+  assert.ok(json.generatedAt);
+  assert.deepStrictEqual(json.events, forecast.events);
+  
+  const markdown = generateForecastMarkdownReport(forecast);
+  assert.ok(markdown.includes('### Week of 2025-03-31 – 2025-04-06'));
+  assert.ok(markdown.includes('| 2025-04-02 | stripe-key | N/A | 🔴 turns critical | Past rotation policy by 1 day |'));
+  
+  assert.ok(generateForecastTextReport(forecastSecrets([], { days: 30 })).includes('No status changes or rotations due in the next 30 days.'));
+});
+
+test('reporters: waived secrets are listed as exceptions, not action required', () => {
+  const waiver = { scope: 'rotation', justification: 'Vendor key never rotates', approver: 'sec-lead', until: '2025-06-30', grantedBy: 'alice', grantedAt: '2025-01-10' };
+  const secrets = [{ ...testSecrets[1], waiver }];
+  const asOf = '2025-03-15';
+  
+  assert.strictEqual(groupActionRequiredByOwner([{ ...secrets[0], status: 'waived' }]).length, 0);
+  
+  const json = JSON.parse(generateJsonReport(secrets, { asOf }));
+  assert.strictEqual(json.secrets[0].status, 'waived');
+  assert.strictEqual(json.summary.waived, 1);
+  assert.strictEqual(json.exceptions[0].state, 'active');
+  
+  const markdown = generateMarkdownReport(secrets, { asOf });
+  assert.ok(markdown.includes('- 🔵 **Waived**: 1'));
+  assert.ok(!markdown.includes('## Action Required'));
+  assert.ok(markdown.includes('## Exceptions'));
+  assert.ok(markdown.includes('| aws-key | aws | rotation | Vendor key never rotates | sec-lead | 2025-06-30 | Active |'));
+  
+  // After the waiver lapses the secret is action required again and the exception is flagged
+  assert.strictEqual(collectExceptions(secrets, '2025-07-01')[0].state, 'lapsed');
+  const lapsed = generateMarkdownReport(secrets, { asOf: '2025-07-01' });
+  assert.ok(lapsed.includes('## Action Required'));
+  assert.ok(lapsed.includes('| 2025-06-30 | ⚠️ Lapsed |'));
+  
+  assert.ok(generateTextReport(secrets, { asOf }).includes('Waiver: rotation until 2025-06-30, approved by sec-lead'));
+});
+
+test('reporters: every report lists the top risks, riskiest first', () => {
+  const asOf = '2025-03-15';
+  
+  const text = generateTextReport(testSecrets, { asOf });
+  assert.ok(text.includes('Top Risks'));
+  assert.ok(text.includes('1. aws-key (aws): 60 HIGH - 44 days past rotation policy'));
+  assert.ok(text.indexOf('1. aws-key') < text.indexOf('2. stripe-key'));
+  
+  const json = JSON.parse(generateJsonReport(testSecrets, { asOf }));
+  assert.deepStrictEqual(json.topRisks.map(r => [r.name, r.score, r.level]), [['aws-key', 60, 'high'], ['stripe-key', 46, 'medium']]);
+  assert.strictEqual(json.secrets[0].risk.score, 46);
+  
+  const markdown = generateMarkdownReport(testSecrets, { asOf });
+  assert.ok(markdown.includes('## Top Risks'));
+  assert.ok(markdown.includes('| 1 | 60 high | aws-key | aws | N/A | 🔴 critical | 44 days past rotation policy |'));
+});
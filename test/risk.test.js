@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { calculateRisk, rankByRisk, resolveRiskPolicy, DEFAULT_RISK_WEIGHTS } from '../lib/risk.js';
+
+const asOf = '2026-03-01';
+
+const rootKey = {
+  name: 'aws-root',
+  provider: 'aws',
+  type: 'access_key',
+  lastRotated: '2025-09-02',
+  rotationPolicy: 90,
+  expiresAt: null,
+  environment: 'prod',
+  privilege: 'admin',
+  exposure: 'ci',
+  lastUsed: '2026-02-28'
+};
+
+const analyticsToken = {
+  name: 'analytics-read',
+  provider: 'segment',
+  type: 'token',
+  lastRotated: '2025-09-02',
+  rotationPolicy: 90,
+  expiresAt: null,
+  environment: 'dev',
+  privilege: 'read',
+  exposure: 'private',
+  lastUsed: '2026-02-28'
+};
+
+test('risk: calculateRisk weighs privilege, environment and exposure, not just status', () => {
+  const root = calculateRisk(rootKey, { policy: {}, asOf });
+  const analytics = calculateRisk(analyticsToken, { policy: {}, asOf });
+
+  // Both are 180 days old on a 90-day policy: the same critical status
+  assert.strictEqual(root.factors.overdue, 1);
+  assert.strictEqual(analytics.factors.overdue, 1);
+
+  assert.deepStrictEqual(root.factors, { overdue: 1, privilege: 1, environment: 1, exposure: 0.8, usage: 0.01 });
+  assert.strictEqual(root.score, 87);
+  assert.strictEqual(root.level, 'critical');
+  assert.deepStrictEqual(root.drivers, ['90 days past rotation policy', 'admin privilege', 'prod environment', 'ci exposure']);
+
+  assert.strictEqual(analytics.score, 49);
+  assert.strictEqual(analytics.level, 'medium');
+  assert.deepStrictEqual(analytics.drivers, ['90 days past rotation policy']);
+});
+
+test('risk: expiry, unknown fields and usage feed the factors', () => {
+  const expired = calculateRisk({ name: 'cert', expiresAt: '2026-02-01', lastUsed: '2025-06-01' }, { policy: {}, asOf });
+  assert.strictEqual(expired.factors.overdue, 1);
+  assert.strictEqual(expired.factors.privilege, 0.5);
+  assert.strictEqual(expired.factors.usage, 1);
+  assert.deepStrictEqual(expired.drivers, ['expired', 'unused for 273 days']);
+
+  const fresh = calculateRisk({ ...analyticsToken, lastRotated: '2026-02-20' }, { policy: {}, asOf });
+  assert.strictEqual(fresh.factors.overdue, 0.05);
+  assert.strictEqual(fresh.level, 'low');
+  assert.deepStrictEqual(fresh.drivers, []);
+});
+
+test('risk: weights and environment values come from policy.risk', () => {
+  const policy = { risk: { weights: { overdue: 0, usage: 0 }, environments: { Perf: 0.9 } } };
+  const resolved = resolveRiskPolicy(policy);
+
+  assert.deepStrictEqual(resolved.weights, { ...DEFAULT_RISK_WEIGHTS, overdue: 0, usage: 0 });
+  assert.strictEqual(resolved.environments.perf, 0.9);
+  assert.strictEqual(resolved.environments.prod, 1);
+
+  const risk = calculateRisk({ ...analyticsToken, environment: 'perf' }, { policy, asOf });
+  assert.strictEqual(risk.factors.environment, 0.9);
+  assert.strictEqual(risk.score, 38);
+  assert.ok(!risk.drivers.includes('90 days past rotation policy'));
+
+  const none = { risk: { weights: { overdue: 0, privilege: 0, environment: 0, exposure: 0, usage: 0 } } };
+  assert.strictEqual(calculateRisk(rootKey, { policy: none, asOf }).score, 0);
+});
+
+test('risk: rankByRisk sorts riskiest first and keeps the top N', () => {
+  const ranked = rankByRisk([analyticsToken, rootKey], { policy: {}, asOf });
+
+  assert.deepStrictEqual(ranked.map(s => s.name), ['aws-root', 'analytics-read']);
+  assert.strictEqual(ranked[0].risk.score, 87);
+  assert.strictEqual(analyticsToken.risk, undefined);
+
+  const top = rankByRisk([analyticsToken, rootKey, { ...rootKey, name: 'aws-backup' }], { policy: {}, asOf, limit: 2 });
+  assert.deepStrictEqual(top.map(s => s.name), ['aws-backup', 'aws-root']);
+});
+
+test('risk: the overdue factor uses the thresholds of the given policy', () => {
+  const vendorKey = { name: 'vendor', provider: 'acme', type: 'api_key', lastRotated: '2026-02-01', expiresAt: '2026-03-21' };
+  const overdue = (secret, policy) => calculateRisk(secret, { policy, asOf }).factors.overdue;
+
+  // Expires in 20 days: 0.5 at the warning threshold, 1 once expired
+  assert.strictEqual(overdue(vendorKey, {}), 0.67);
+  assert.strictEqual(overdue(vendorKey, { thresholds: { expiryWarningDays: 60 } }), 0.83);
+
+  // Rotated 28 days ago: 0.5 when rotation is due, nothing without a policy
+  const noExpiry = { ...vendorKey, expiresAt: null };
+  assert.strictEqual(overdue(noExpiry, {}), 0);
+  assert.strictEqual(overdue(noExpiry, { rules: { 'acme/*': { rotationPolicy: 30 } } }), 0.47);
+});
@@ -1,8 +1,10 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { unlinkSync, existsSync } from 'fs';
-import { saveConfig } from '../lib/config.js';
-import { addSecret, removeSecret, listSecrets, getSecret, rotateSecret, checkSecrets } from '../lib/secrets.js';
+import { unlinkSync, existsSync, mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { saveConfig, useConfig } from '../lib/config.js';
+import { addSecret, removeSecret, listArchivedSecrets, restoreSecret, importSecrets, listSecrets, getSecret, rotateSecret, touchSecret, syncScannedSecret, getRotationHistory, updateSecret, diffSecret, checkSecrets, acknowledgeSecret, clearAcknowledgement, unacknowledged, grantWaiver, revokeWaiver, listWaivers } from '../lib/secrets.js';
 
 function setupTestConfig() {
   const config = {
@@ -94,6 +96,48 @@ test('secrets: removeSecret removes a secret', () => {
   cleanupTestConfig();
 });
 
+test('secrets: removeSecret archives by default and restoreSecret brings it back', () => {
+  setupTestConfig();
+  
+  addSecret({ name: 'old-key', provider: 'stripe', owner: 'alice' });
+  const archived = removeSecret('old-key', { reason: 'Vendor offboarded', actor: 'bob' });
+  
+  assert.strictEqual(archived.archivedAt, new Date().toISOString().split('T')[0]);
+  assert.strictEqual(archived.archivedBy, 'bob');
+  assert.strictEqual(archived.archiveReason, 'Vendor offboarded');
+  assert.strictEqual(archived.status, undefined, 'Archived entries have no live status');
+  assert.strictEqual(listSecrets().length, 0);
+  assert.deepStrictEqual(listArchivedSecrets({ owner: 'alice' }).map(s => s.name), ['old-key']);
+  
+  const restored = restoreSecret('old-key');
+  assert.strictEqual(restored.provider, 'stripe');
+  assert.strictEqual(restored.archivedAt, undefined);
+  assert.ok(restored.status);
+  assert.deepStrictEqual(listSecrets().map(s => s.name), ['old-key']);
+  assert.strictEqual(listArchivedSecrets().length, 0);
+  assert.throws(() => restoreSecret('old-key'), /already exists/);
+  assert.throws(() => restoreSecret('never-existed'), /No archived secret/);
+  
+  cleanupTestConfig();
+});
+
+test('secrets: removeSecret with purge deletes permanently', () => {
+  setupTestConfig();
+  
+  addSecret({ name: 'active-key' });
+  addSecret({ name: 'archived-key' });
+  removeSecret('archived-key');
+  
+  removeSecret('active-key', { purge: true });
+  removeSecret('archived-key', { purge: true });
+  
+  assert.strictEqual(listSecrets().length, 0);
+  assert.strictEqual(listArchivedSecrets().length, 0);
+  assert.throws(() => removeSecret('archived-key', { purge: true }), /not found/);
+  
+  cleanupTestConfig();
+});
+
 test('secrets: removeSecret throws error for non-existent secret', () => {
   setupTestConfig();
   
@@ -119,6 +163,58 @@ test('secrets: listSecrets returns all secrets', () => {
   cleanupTestConfig();
 });
 
+test('secrets: listSecrets filters by owner and team', () => {
+  setupTestConfig();
+  
+  addSecret({ name: 'key-a', provider: 'test', owner: 'alice', team: 'payments' });
+  addSecret({ name: 'key-b', provider: 'test', owner: 'bob', team: 'payments' });
+  addSecret({ name: 'key-c', provider: 'test' });
+  
+  assert.deepStrictEqual(listSecrets({ owner: 'alice' }).map(s => s.name), ['key-a']);
+  assert.deepStrictEqual(listSecrets({ team: 'payments' }).map(s => s.name), ['key-a', 'key-b']);
+  assert.strictEqual(listSecrets().length, 3);
+  assert.strictEqual(getSecret('key-c').owner, null);
+  
+  cleanupTestConfig();
+});
+
+test('secrets: listSecrets applies filter expressions', () => {
+  setupTestConfig();
+  
+  addSecret({ name: 'aws-prod', provider: 'aws', environment: 'prod', tags: 'pci, billing' });
+  addSecret({ name: 'aws-dev', provider: 'aws', environment: 'dev' });
+  addSecret({ name: 'stripe-prod', provider: 'stripe', environment: 'prod', tags: ['pci'] });
+  
+  assert.deepStrictEqual(getSecret('aws-prod').tags, ['pci', 'billing']);
+  assert.deepStrictEqual(listSecrets({ filter: 'provider=aws and env=prod' }).map(s => s.name), ['aws-prod']);
+  assert.deepStrictEqual(listSecrets({ filter: 'tag=pci' }).map(s => s.name), ['aws-prod', 'stripe-prod']);
+  
+  cleanupTestConfig();
+});
+
+test('secrets: listSecrets sorts by name or risk score', () => {
+  setupTestConfig();
+  
+  addSecret({ name: 'dev-token', provider: 'test', environment: 'dev', privilege: 'read', exposure: 'private' });
+  addSecret({ name: 'prod-admin', provider: 'aws', environment: 'prod', privilege: 'admin', exposure: 'ci' });
+  addSecret({ name: 'analytics', provider: 'test' });
+  
+  assert.deepStrictEqual(listSecrets({ sort: 'name' }).map(s => s.name), ['analytics', 'dev-token', 'prod-admin']);
+  const ranked = listSecrets({ sort: 'risk' });
+  assert.deepStrictEqual(ranked.map(s => s.name), ['prod-admin', 'analytics', 'dev-token']);
+  assert.ok(ranked[0].risk.score > ranked[1].risk.score);
+  assert.throws(() => listSecrets({ sort: 'age' }), /Invalid sort/);
+  
+  assert.throws(() => addSecret({ name: 'bad', provider: 'test', privilege: 'root' }), /Invalid privilege/);
+  assert.throws(() => updateSecret('dev-token', { exposure: 'everyone' }), /Invalid exposure/);
+  assert.throws(() => updateSecret('dev-token', { lastUsed: '2025-02-30' }), /Invalid date/);
+  updateSecret('dev-token', { privilege: null, lastUsed: '2025-06-01' });
+  assert.strictEqual(getSecret('dev-token').privilege, null);
+  assert.strictEqual(getSecret('dev-token').lastUsed, '2025-06-01');
+  
+  cleanupTestConfig();
+});
+
 test('secrets: getSecret retrieves a specific secret', () => {
   setupTestConfig();
   
@@ -151,6 +247,218 @@ test('secrets: rotateSecret updates last rotated date', () => {
   cleanupTestConfig();
 });
 
+test('secrets: touchSecret records use and clears a stale status', () => {
+  saveConfig({ version: '1.0.0', tier: 'free', policy: { thresholds: { staleDays: 30 } }, secrets: [] }, false);
+  
+  const unused = new Date();
+  unused.setDate(unused.getDate() - 45);
+  const lastUsed = unused.toISOString().split('T')[0];
+  addSecret({ name: 'deploy-key', provider: 'test', lastUsed });
+  
+  assert.strictEqual(checkSecrets().stale.length, 1);
+  
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+  const touched = touchSecret('deploy-key', { date: yesterday.toISOString().split('T')[0] });
+  assert.strictEqual(touched.lastUsed, yesterday.toISOString().split('T')[0]);
+  assert.strictEqual(touched.status, 'healthy');
+  
+  assert.strictEqual(touchSecret('deploy-key', { date: lastUsed }).lastUsed, touched.lastUsed, 'Never moves backwards');
+  assert.strictEqual(touchSecret('deploy-key').lastUsed, new Date().toISOString().split('T')[0]);
+  assert.throws(() => touchSecret('deploy-key', { date: '2999-01-01' }), /is in the future/);
+  assert.throws(() => touchSecret('deploy-key', { date: '03/01/2026' }), /Invalid date format/);
+  assert.throws(() => touchSecret('missing'), /Secret "missing" not found/);
+  
+  cleanupTestConfig();
+});
+
+test('secrets: expiry is derived from the policy max lifetime and restarts on rotate', () => {
+  saveConfig({
+    version: '1.0.0',
+    tier: 'free',
+    policy: { rules: { 'azure/client_secret': { maxLifetimeDays: 365 } } },
+    secrets: []
+  }, false);
+  
+  const daysFromToday = days => {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+  };
+  
+  const added = addSecret({ name: 'app-secret', provider: 'azure', type: 'client_secret', lastRotated: daysFromToday(-360), rotationPolicy: 730 });
+  assert.strictEqual(added.expiresAt, daysFromToday(5));
+  assert.strictEqual(added.expiryDerived, true);
+  assert.strictEqual(added.status, 'critical', 'Now shows as expiring');
+  
+  const manual = addSecret({ name: 'other-secret', provider: 'azure', type: 'client_secret', expiresAt: '2026-12-31' });
+  assert.strictEqual(manual.expiresAt, '2026-12-31');
+  assert.strictEqual(manual.expiryDerived, undefined);
+  assert.strictEqual(addSecret({ name: 'plain', provider: 'stripe' }).expiresAt, null);
+  
+  assert.strictEqual(rotateSecret('app-secret').expiresAt, daysFromToday(365));
+  assert.strictEqual(rotateSecret('other-secret').expiresAt, '2026-12-31', 'Explicit expiry is kept');
+  
+  const edited = updateSecret('app-secret', { expiresAt: '2027-03-01' });
+  assert.strictEqual(edited.expiresAt, '2027-03-01');
+  assert.strictEqual(edited.expiryDerived, undefined, 'An explicit expiry replaces the derived one');
+  
+  cleanupTestConfig();
+});
+
+test('secrets: renewal cadence is validated and rotate records renewals', () => {
+  setupTestConfig();
+  
+  const cert = addSecret({ name: 'api-tls-cert', provider: 'letsencrypt', type: 'certificate', renewal: { everyDays: 60, graceDays: 7 } });
+  assert.deepStrictEqual(cert.renewal, { everyDays: 60, graceDays: 7 });
+  assert.strictEqual(cert.rotationPolicy, 60, 'Rotation policy follows the cadence');
+  
+  const renewed = rotateSecret('api-tls-cert');
+  assert.strictEqual(renewed.rotations[0].reason, 'renewal');
+  assert.strictEqual(rotateSecret('api-tls-cert', { reason: 'Reissued after key compromise' }).rotations[1].reason, 'Reissued after key compromise');
+  
+  assert.throws(() => addSecret({ name: 'token', renewal: { everyDays: 0 } }), /Invalid renewal everyDays: "0"/);
+  assert.throws(() => addSecret({ name: 'token', renewal: { everyDays: 1, graceDays: -1 } }), /Invalid renewal graceDays: "-1"/);
+  assert.throws(() => addSecret({ name: 'token', renewal: { every: 1 } }), /Unknown renewal setting "every"/);
+  
+  assert.strictEqual(updateSecret('api-tls-cert', { renewal: null }).renewal, null);
+  
+  cleanupTestConfig();
+});
+
+test('secrets: syncScannedSecret records rotations and use seen by a re-scan', () => {
+  setupTestConfig();
+  
+  const daysFromToday = days => {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+  };
+  // A Secrets Manager secret that AWS rotates every 30 days
+  const scanned = {
+    name: 'aws-sm-prod/db', provider: 'aws', type: 'secretsmanager_secret',
+    createdAt: daysFromToday(-100), lastRotated: daysFromToday(-40), lastUsed: daysFromToday(-2),
+    rotationPolicy: 30, renewal: { everyDays: 30, graceDays: 1 }
+  };
+  
+  assert.strictEqual(syncScannedSecret(scanned, { actor: 'scan-aws' }), 'added');
+  assert.strictEqual(getSecret('aws-sm-prod/db').status, 'critical', 'Renewal missed as tracked');
+  assert.strictEqual(syncScannedSecret(scanned, { actor: 'scan-aws' }), 'unchanged');
+  
+  // AWS rotated it since the last scan
+  const rescanned = { ...scanned, lastRotated: daysFromToday(-5), lastUsed: daysFromToday(-1) };
+  assert.strictEqual(syncScannedSecret(rescanned, { actor: 'scan-aws' }), 'updated');
+  const secret = getSecret('aws-sm-prod/db');
+  assert.strictEqual(secret.lastRotated, daysFromToday(-5));
+  assert.strictEqual(secret.lastUsed, daysFromToday(-1));
+  assert.deepStrictEqual(secret.rotations, [{ date: daysFromToday(-5), actor: 'scan-aws', reason: 'renewal', ticket: null }]);
+  assert.strictEqual(secret.status, 'healthy');
+  
+  assert.strictEqual(syncScannedSecret({ ...scanned, lastRotated: daysFromToday(-20) }), 'unchanged', 'Older dates are ignored');
+  assert.throws(() => syncScannedSecret({ ...scanned, lastRotated: daysFromToday(2) }), /is in the future/);
+  assert.throws(() => rotateSecret('aws-sm-prod/db', { date: '2026-02-30' }), /Invalid date/);
+  
+  // An Actions secret is rotated by overwriting it; GitHub reports no use
+  const actionsSecret = { name: 'github-actions-acme-NPM_TOKEN', provider: 'github', type: 'actions_secret', createdAt: daysFromToday(-200), lastRotated: daysFromToday(-200) };
+  syncScannedSecret(actionsSecret, { actor: 'scan-github' });
+  assert.strictEqual(syncScannedSecret({ ...actionsSecret, lastRotated: daysFromToday(-3) }, { actor: 'scan-github' }), 'updated');
+  assert.deepStrictEqual(
+    getSecret('github-actions-acme-NPM_TOKEN').rotations,
+    [{ date: daysFromToday(-3), actor: 'scan-github', reason: 'rotation detected by scan', ticket: null }]
+  );
+  
+  cleanupTestConfig();
+});
+
+test('secrets: syncScannedSecret renames a secret tracked under its former name', () => {
+  setupTestConfig();
+  
+  // Tracked by an older scan-aws, before keys were named after their user
+  addSecret({ name: 'aws-key-0001', provider: 'aws', type: 'access_key', createdAt: '2026-01-10', owner: 'alice' });
+  rotateSecret('aws-key-0001', { date: '2026-02-01', actor: 'alice' });
+  addSecret({ name: 'aws-key-0002', provider: 'manual', type: 'api_key' });
+  
+  const scanned = { name: 'aws-alice-0001', provider: 'aws', type: 'access_key', createdAt: '2026-01-10', lastRotated: '2026-01-10', lastUsed: '2026-03-01' };
+  assert.strictEqual(syncScannedSecret({ ...scanned, formerName: 'aws-key-0001' }), 'updated');
+  assert.strictEqual(syncScannedSecret({ ...scanned, formerName: 'aws-key-0001' }), 'unchanged', 'A re-scan does not duplicate it');
+  
+  const names = listSecrets().map(s => s.name);
+  assert.ok(!names.includes('aws-key-0001'));
+  const renamed = getSecret('aws-alice-0001');
+  assert.deepStrictEqual([renamed.owner, renamed.lastRotated, renamed.lastUsed], ['alice', '2026-02-01', '2026-03-01']);
+  assert.strictEqual(renamed.rotations.length, 1);
+  assert.strictEqual(renamed.formerName, undefined, 'The former name is not stored');
+  
+  syncScannedSecret({ ...scanned, name: 'aws-bob-0002', formerName: 'aws-key-0002' });
+  assert.ok(listSecrets().some(s => s.name === 'aws-key-0002'), 'A secret of another provider or type is left alone');
+  assert.ok(listSecrets().some(s => s.name === 'aws-bob-0002'));
+  
+  cleanupTestConfig();
+});
+
+test('secrets: rotateSecret appends to rotation history', () => {
+  setupTestConfig();
+  
+  addSecret({ name: 'test-key', provider: 'test' });
+  
+  rotateSecret('test-key', { actor: 'alice', reason: 'Scheduled', ticket: 'SEC-1' });
+  rotateSecret('test-key', { actor: 'bob' });
+  
+  const history = getRotationHistory('test-key');
+  assert.strictEqual(history.count, 2);
+  assert.strictEqual(history.rotations[0].actor, 'alice');
+  assert.strictEqual(history.rotations[0].reason, 'Scheduled');
+  assert.strictEqual(history.rotations[0].ticket, 'SEC-1');
+  assert.strictEqual(history.rotations[1].actor, 'bob');
+  assert.strictEqual(history.rotations[1].ticket, null);
+  
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const filtered = getRotationHistory('test-key', { since: tomorrow.toISOString().split('T')[0] });
+  assert.strictEqual(filtered.count, 0);
+  
+  assert.throws(
+    () => getRotationHistory('test-key', { since: 'yesterday' }),
+    /Invalid date format/
+  );
+  
+  cleanupTestConfig();
+});
+
+test('secrets: updateSecret validates fields like addSecret', () => {
+  setupTestConfig();
+  
+  addSecret({ name: 'test-key', provider: 'test' });
+  addSecret({ name: 'other-key', provider: 'test' });
+  
+  assert.throws(() => updateSecret('test-key', { expiresAt: '2025-13-45' }), /Invalid date/);
+  assert.throws(() => updateSecret('test-key', { rotationPolicy: -5 }), /Invalid rotation policy/);
+  assert.throws(() => updateSecret('test-key', { name: 'other-key' }), /already exists/);
+  assert.throws(() => updateSecret('test-key', { rotations: [] }), /Cannot update field: rotations/);
+  
+  cleanupTestConfig();
+});
+
+test('secrets: updateSecret renames and reports a diff', () => {
+  setupTestConfig();
+  
+  addSecret({ name: 'test-key', provider: 'test' });
+  rotateSecret('test-key', { actor: 'alice' });
+  
+  const before = { ...getSecret('test-key') };
+  const after = updateSecret('test-key', { name: 'renamed-key', expiresAt: '2099-01-01' });
+  
+  assert.strictEqual(after.name, 'renamed-key');
+  assert.strictEqual(getSecret('renamed-key').rotations.length, 1, 'History survives rename');
+  assert.throws(() => getSecret('test-key'), /not found/);
+  
+  const changes = diffSecret(before, after);
+  assert.deepStrictEqual(changes.map(c => c.field), ['name', 'expiresAt']);
+  assert.deepStrictEqual(changes[1], { field: 'expiresAt', from: null, to: '2099-01-01' });
+  
+  cleanupTestConfig();
+});
+
 test('secrets: checkSecrets categorizes secrets by status', () => {
   setupTestConfig();
   
@@ -190,3 +498,206 @@ test('secrets: checkSecrets categorizes secrets by status', () => {
   
   cleanupTestConfig();
 });
+
+test('secrets: acknowledgeSecret snoozes a warning until a date', () => {
+  setupTestConfig();
+  
+  const daysFromNow = days => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return date.toISOString().split('T')[0];
+  };
+  
+  addSecret({ name: 'warning-key', provider: 'test', lastRotated: daysFromNow(-70), rotationPolicy: 90 });
+  addSecret({ name: 'expired-key', provider: 'test', expiresAt: daysFromNow(-1) });
+  
+  assert.throws(() => acknowledgeSecret('warning-key', { reason: 'CHG-1' }), /end date is required/);
+  assert.throws(() => acknowledgeSecret('warning-key', { until: daysFromNow(-1), reason: 'CHG-1' }), /in the past/);
+  assert.throws(() => acknowledgeSecret('warning-key', { until: daysFromNow(14) }), /reason is required/);
+  assert.throws(() => acknowledgeSecret('expired-key', { until: daysFromNow(14), reason: 'CHG-1' }), /cannot be acknowledged/);
+  
+  const secret = acknowledgeSecret('warning-key', { until: daysFromNow(14), reason: 'CHG-1', actor: 'alice' });
+  assert.deepStrictEqual(secret.ack, { until: daysFromNow(14), reason: 'CHG-1', by: 'alice', at: daysFromNow(0) });
+  
+  const results = checkSecrets();
+  assert.strictEqual(results.warning.length, 1, 'Acknowledged secrets keep their status');
+  assert.strictEqual(results.warning[0].acknowledged, true);
+  const open = unacknowledged(results);
+  assert.strictEqual(open.warning.length, 0);
+  assert.strictEqual(open.expired.length, 1);
+  
+  rotateSecret('warning-key');
+  assert.strictEqual(getSecret('warning-key').ack, undefined, 'Rotating clears the acknowledgement');
+  
+  acknowledgeSecret('warning-key', { until: daysFromNow(14), reason: 'CHG-2' });
+  assert.strictEqual(clearAcknowledgement('warning-key').ack, undefined);
+  assert.throws(() => clearAcknowledgement('warning-key'), /not acknowledged/);
+  
+  cleanupTestConfig();
+});
+
+test('secrets: grantWaiver records an approved exception until a date', () => {
+  setupTestConfig();
+  
+  const daysFromNow = days => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return date.toISOString().split('T')[0];
+  };
+  
+  addSecret({ name: 'vendor-key', provider: 'test', lastRotated: daysFromNow(-400), rotationPolicy: 90 });
+  const waiver = { justification: 'Vendor does not support rotation', approver: 'sec-lead', until: daysFromNow(30) };
+  
+  assert.throws(() => grantWaiver('vendor-key', { ...waiver, scope: 'everything' }), /Invalid waiver scope/);
+  assert.throws(() => grantWaiver('vendor-key', { ...waiver, until: undefined }), /expiry date is required/);
+  assert.throws(() => grantWaiver('vendor-key', { ...waiver, until: daysFromNow(-1) }), /in the past/);
+  assert.throws(() => grantWaiver('vendor-key', { ...waiver, justification: ' ' }), /justification is required/);
+  assert.throws(() => grantWaiver('vendor-key', { ...waiver, approver: undefined }), /approver is required/);
+  
+  const secret = grantWaiver('vendor-key', { ...waiver, actor: 'alice' });
+  assert.strictEqual(secret.status, 'waived');
+  assert.deepStrictEqual(secret.waiver, { scope: 'rotation', ...waiver, grantedBy: 'alice', grantedAt: daysFromNow(0) });
+  assert.strictEqual(checkSecrets().waived.length, 1);
+  assert.deepStrictEqual(listWaivers().map(w => [w.name, w.state, w.approver]), [['vendor-key', 'active', 'sec-lead']]);
+  
+  assert.strictEqual(revokeWaiver('vendor-key').status, 'critical');
+  assert.strictEqual(listWaivers().length, 0);
+  assert.throws(() => revokeWaiver('vendor-key'), /has no waiver/);
+  
+  cleanupTestConfig();
+});
+
+test('secrets: writes go to the layer a secret is defined in', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'mpx-secrets-audit-layers-'));
+  const base = join(dir, 'base.json');
+  const project = join(dir, 'project.json');
+  const read = (path) => JSON.parse(readFileSync(path, 'utf8')).secrets.map(s => s.name);
+  
+  writeFileSync(base, JSON.stringify({
+    version: '1.1.0',
+    defaults: { owner: 'alice', rotationPolicy: 45, tags: ['inherited'] },
+    secrets: [{ name: 'base-key', lastRotated: '2020-01-01' }]
+  }));
+  writeFileSync(project, JSON.stringify({ version: '1.1.0', include: ['base.json'], secrets: [] }));
+  
+  useConfig({ path: project });
+  try {
+    const added = addSecret({ name: 'new-key', owner: 'bob' });
+    assert.strictEqual(added.owner, 'bob');
+    assert.strictEqual(added.rotationPolicy, 45, 'Defaults from included layers apply');
+    assert.deepStrictEqual(added.tags, ['inherited']);
+    assert.deepStrictEqual(read(project), ['new-key']);
+    
+    assert.throws(() => addSecret({ name: 'base-key' }), /already exists \(in .*base\.json\)/);
+    
+    rotateSecret('base-key');
+    assert.strictEqual(getSecret('base-key').lastRotated, new Date().toISOString().split('T')[0]);
+    assert.deepStrictEqual(read(project), ['new-key'], 'Rotation did not copy the secret into the project');
+    
+    assert.throws(() => updateSecret('new-key', { name: 'base-key' }), /already exists/);
+    updateSecret('base-key', { notes: 'shared' });
+    assert.strictEqual(JSON.parse(readFileSync(base, 'utf8')).secrets[0].notes, 'shared');
+    
+    removeSecret('base-key');
+    assert.deepStrictEqual(read(base), []);
+    assert.deepStrictEqual(listSecrets().map(s => s.name), ['new-key']);
+  } finally {
+    useConfig();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('secrets: policy rules set rotation defaults and thresholds are validated', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'mpx-secrets-audit-policy-'));
+  const path = join(dir, 'config.json');
+  
+  writeFileSync(path, JSON.stringify({
+    version: '1.1.0',
+    defaults: { rotationPolicy: 60 },
+    policy: {
+      rules: {
+        'aws/access_key': { rotationPolicy: 30 },
+        '*/password': { rotationPolicy: 365 }
+      }
+    },
+    secrets: []
+  }));
+  
+  useConfig({ path });
+  try {
+    assert.strictEqual(addSecret({ name: 'aws-key', provider: 'AWS', type: 'access_key' }).rotationPolicy, 30);
+    assert.strictEqual(addSecret({ name: 'db-pass', provider: 'postgres', type: 'password' }).rotationPolicy, 365);
+    assert.strictEqual(addSecret({ name: 'other', provider: 'stripe' }).rotationPolicy, 60, 'Defaults apply without a matching rule');
+    assert.strictEqual(addSecret({ name: 'pinned', provider: 'AWS', type: 'access_key', rotationPolicy: 7 }).rotationPolicy, 7);
+    
+    const overridden = addSecret({ name: 'cert', thresholds: { expiryWarningDays: 90 } });
+    assert.deepStrictEqual(overridden.thresholds, { expiryWarningDays: 90 });
+    assert.throws(() => addSecret({ name: 'bad', thresholds: { expiryDays: 5 } }), /Unknown threshold "expiryDays"/);
+    assert.throws(() => updateSecret('cert', { thresholds: { rotationWarningPercent: 150 } }), /Invalid threshold rotationWarningPercent/);
+    
+    updateSecret('cert', { thresholds: null });
+    assert.strictEqual(getSecret('cert').thresholds, null);
+  } finally {
+    useConfig();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('secrets: importSecrets validates each row and supports dry runs and upserts', () => {
+  setupTestConfig();
+  
+  addSecret({ name: 'existing', provider: 'aws', rotationPolicy: 90 });
+  const records = [
+    { row: 2, fields: { name: 'new-key', provider: 'stripe' } },
+    { row: 3, fields: { name: 'bad-date', expiresAt: '2025-02-30' } },
+    { row: 4, fields: { name: 'existing', rotationPolicy: 30 } },
+    { row: 5, fields: {}, error: 'Not a KEY=value line' }
+  ];
+  
+  const preview = importSecrets(records, { dryRun: true });
+  assert.deepStrictEqual(preview.results.map(r => r.action), ['create', 'error', 'error', 'error']);
+  assert.match(preview.results[1].error, /Invalid date for expiresAt/);
+  assert.match(preview.results[2].error, /already exists/);
+  assert.strictEqual(preview.results[3].error, 'Not a KEY=value line');
+  assert.strictEqual(listSecrets().length, 1, 'Dry run saves nothing');
+  
+  const result = importSecrets(records, { upsert: true });
+  assert.strictEqual(result.created, 1);
+  assert.strictEqual(result.updated, 1);
+  assert.strictEqual(result.failed, 2);
+  assert.deepStrictEqual(result.results[2].changes, [{ field: 'rotationPolicy', from: 90, to: 30 }]);
+  assert.strictEqual(getSecret('existing').provider, 'aws', 'Upserts only change the given fields');
+  assert.deepStrictEqual(listSecrets().map(s => s.name).sort(), ['existing', 'new-key']);
+  
+  cleanupTestConfig();
+});
+
+test('secrets: importSecrets dry run rejects the same upserts as a real import', () => {
+  setupTestConfig();
+  
+  addSecret({ name: 'existing', provider: 'aws' });
+  const records = [
+    { row: 2, fields: { name: 'existing', provider: 'gcp', status: 'healthy', rotations: [] } },
+    { row: 3, fields: { name: 'existing', owner: 'alice' } }
+  ];
+  
+  const preview = importSecrets(records, { upsert: true, dryRun: true });
+  const result = importSecrets(records, { upsert: true });
+  assert.deepStrictEqual(preview.results, result.results);
+  assert.strictEqual(preview.results[0].error, 'Cannot update fields: status, rotations');
+  assert.strictEqual(getSecret('existing').provider, 'aws');
+  
+  cleanupTestConfig();
+});
+
+test('secrets: importSecrets dry run enforces the free tier limit', () => {
+  setupTestConfig();
+  
+  const records = Array.from({ length: 11 }, (_, i) => ({ row: i + 2, fields: { name: `key-${i}` } }));
+  const preview = importSecrets(records, { dryRun: true });
+  
+  assert.strictEqual(preview.created, 10);
+  assert.match(preview.results[10].error, /Free tier limit/);
+  
+  cleanupTestConfig();
+});
@@ -1,6 +1,6 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { calculateStatus, getStatusEmoji, calculateAge, daysUntilExpiry } from '../lib/status.js';
+import { calculateStatus, getStatusEmoji, getStatusMessage, calculateAge, daysUntilExpiry, daysSinceUsed, resolvePolicy, deriveExpiry, renewalDue, isRenewalMissed, isAcknowledged, getActiveWaiver, setEvaluationDate, getEvaluationDate } from '../lib/status.js';
 
 test('status: healthy secret within rotation policy', () => {
   const secret = {
@@ -94,26 +94,236 @@ test('status: getStatusEmoji returns correct emoji', () => {
 });
 
 test('status: calculateAge returns correct age', () => {
-  const date = new Date();
-  date.setDate(date.getDate() - 30);
-  
   const secret = {
-    createdAt: date.toISOString().split('T')[0],
-    lastRotated: date.toISOString().split('T')[0]
+    createdAt: '2026-01-01',
+    lastRotated: '2026-03-01'
   };
   
-  const age = calculateAge(secret);
-  assert.ok(age >= 30 && age <= 31, 'Age should be approximately 30 days');
+  assert.strictEqual(calculateAge(secret, '2026-03-31'), 30);
+  assert.strictEqual(calculateAge({ createdAt: '2026-01-01' }, '2026-01-31'), 30, 'Falls back to the creation date');
+  assert.strictEqual(calculateAge({}, '2026-01-31'), null);
 });
 
 test('status: daysUntilExpiry returns correct days', () => {
-  const date = new Date();
-  date.setDate(date.getDate() + 45);
+  const secret = {
+    expiresAt: '2026-05-15'
+  };
+  
+  assert.strictEqual(daysUntilExpiry(secret, '2026-03-31'), 45);
+  assert.strictEqual(daysUntilExpiry(secret, '2026-05-20'), -5);
+  assert.strictEqual(daysUntilExpiry({ expiresAt: null }, '2026-03-31'), null);
+});
+
+test('status: statuses can be evaluated at another date', () => {
+  const secret = {
+    lastRotated: '2026-01-01',
+    rotationPolicy: 90,
+    expiresAt: '2026-06-30'
+  };
+  
+  assert.strictEqual(calculateStatus(secret, undefined, '2026-02-01'), 'healthy');
+  assert.strictEqual(calculateStatus(secret, undefined, '2026-03-15'), 'warning');
+  assert.strictEqual(calculateStatus(secret, undefined, '2026-04-10'), 'critical');
+  assert.strictEqual(calculateStatus(secret, undefined, '2026-07-01'), 'expired');
+  assert.strictEqual(getStatusMessage(secret, undefined, '2026-04-10'), 'Past rotation policy by 9 days');
+  
+  setEvaluationDate('2026-03-15');
+  try {
+    assert.strictEqual(getEvaluationDate().toISOString(), '2026-03-15T00:00:00.000Z');
+    assert.strictEqual(calculateStatus(secret), 'warning', 'The active evaluation date is the default');
+    assert.strictEqual(calculateAge(secret), 73);
+  } finally {
+    setEvaluationDate();
+  }
+  assert.strictEqual(getEvaluationDate(), null);
+  
+  assert.throws(() => calculateAge(secret, '2026-02-30'), /Invalid evaluation date "2026-02-30"/);
+  assert.throws(() => setEvaluationDate('next week'), /Use YYYY-MM-DD/);
+});
+
+test('status: isAcknowledged covers warnings until the date and never expired secrets', () => {
+  const secret = {
+    name: 'acked',
+    lastRotated: '2026-01-01',
+    rotationPolicy: 90,
+    expiresAt: '2026-06-30',
+    ack: { until: '2026-04-15', reason: 'CHG-1', by: 'alice', at: '2026-03-10' }
+  };
   
+  assert.strictEqual(isAcknowledged(secret, undefined, '2026-02-01'), false, 'Healthy secrets have nothing to acknowledge');
+  assert.strictEqual(isAcknowledged(secret, undefined, '2026-03-15'), true);
+  assert.strictEqual(isAcknowledged(secret, undefined, '2026-04-15'), true, 'The until date is inclusive');
+  assert.strictEqual(isAcknowledged(secret, undefined, '2026-04-16'), false, 'Lapsed');
+  assert.strictEqual(isAcknowledged({ ...secret, ack: { ...secret.ack, until: '2026-12-31' } }, undefined, '2026-07-01'), false, 'Expired is never acknowledged');
+  assert.strictEqual(isAcknowledged({ ...secret, ack: null }, undefined, '2026-03-15'), false);
+});
+
+test('status: a valid waiver reports waived for the checks in its scope', () => {
   const secret = {
-    expiresAt: date.toISOString().split('T')[0]
+    name: 'vendor-key',
+    lastRotated: '2025-01-01',
+    rotationPolicy: 90,
+    expiresAt: '2026-04-20',
+    waiver: { scope: 'rotation', justification: 'Vendor key never rotates', approver: 'sec-lead', until: '2026-03-31' }
+  };
+  
+  assert.strictEqual(calculateStatus(secret, undefined, '2026-03-01'), 'waived');
+  assert.strictEqual(getStatusEmoji('waived'), '🔵');
+  assert.strictEqual(getStatusMessage(secret, undefined, '2026-03-01'), 'Rotation waived until 2026-03-31 (approved by sec-lead)');
+  assert.strictEqual(calculateStatus(secret, undefined, '2026-03-25'), 'warning', 'Expiry is outside the scope');
+  assert.strictEqual(getActiveWaiver(secret, '2026-03-31'), secret.waiver, 'The until date is inclusive');
+  assert.strictEqual(getActiveWaiver(secret, '2026-04-01'), null);
+  assert.strictEqual(calculateStatus({ ...secret, expiresAt: null }, undefined, '2026-04-01'), 'critical', 'Reverts when the waiver lapses');
+  
+  const all = { ...secret, waiver: { ...secret.waiver, scope: 'all' } };
+  assert.strictEqual(calculateStatus(all, undefined, '2026-03-25'), 'waived');
+  assert.strictEqual(getStatusMessage(all, undefined, '2026-03-25'), 'Policy waived until 2026-03-31 (approved by sec-lead)');
+});
+
+test('status: stale when unused for longer than staleDays', () => {
+  const secret = {
+    name: 'deploy-key',
+    provider: 'aws',
+    type: 'access_key',
+    lastRotated: '2025-12-10',
+    rotationPolicy: 90,
+    expiresAt: null,
+    lastUsed: '2025-12-01'
+  };
+  const policy = { thresholds: { staleDays: 60 } };
+  
+  assert.strictEqual(daysSinceUsed(secret, '2026-03-01'), 90);
+  assert.strictEqual(daysSinceUsed({ ...secret, lastUsed: null }, '2026-03-01'), null);
+  assert.strictEqual(calculateStatus(secret, {}, '2026-03-01'), 'warning', 'Off by default');
+  assert.strictEqual(calculateStatus(secret, policy, '2026-01-30'), 'healthy', 'Not stale until the limit is passed');
+  assert.strictEqual(calculateStatus(secret, policy, '2026-03-01'), 'stale', 'Outranks a rotation warning');
+  assert.strictEqual(getStatusEmoji('stale'), '💤');
+  assert.strictEqual(getStatusMessage(secret, policy, '2026-03-01'), 'Unused for 90 days (stale after 60); revoke it if no longer needed');
+  assert.strictEqual(calculateStatus({ ...secret, expiresAt: '2026-02-15' }, policy, '2026-03-01'), 'expired', 'Expired still wins');
+  assert.strictEqual(calculateStatus({ ...secret, lastUsed: undefined }, policy, '2026-03-01'), 'warning', 'Unknown usage is never stale');
+  
+  const rule = { ...policy, rules: { 'aws/*': { thresholds: { staleDays: null } } } };
+  assert.strictEqual(calculateStatus(secret, rule, '2026-03-01'), 'warning', 'A rule can turn the check off');
+  
+  const waived = { ...secret, waiver: { scope: 'usage', justification: 'Break-glass key', approver: 'sec-lead', until: '2026-12-31' } };
+  assert.strictEqual(calculateStatus(waived, policy, '2026-03-01'), 'warning', 'A usage waiver skips only the usage check');
+  assert.strictEqual(getStatusMessage({ ...waived, lastRotated: '2026-02-20' }, policy, '2026-03-01'), 'Usage waived until 2026-12-31 (approved by sec-lead)');
+  
+  const acked = { ...secret, ack: { until: '2026-03-15', reason: 'Revocation scheduled', by: 'alice' } };
+  assert.strictEqual(isAcknowledged(acked, policy, '2026-03-01'), true);
+});
+
+test('status: renewing secrets are only flagged when a renewal is missed', () => {
+  const cert = {
+    name: 'api-tls-cert',
+    provider: 'letsencrypt',
+    type: 'certificate',
+    lastRotated: '2026-01-01',
+    rotationPolicy: 60,
+    expiresAt: '2026-03-05',
+    renewal: { everyDays: 60, graceDays: 7 }
+  };
+  
+  assert.strictEqual(renewalDue(cert), '2026-03-02');
+  assert.strictEqual(renewalDue({ ...cert, renewal: undefined }), null);
+  assert.strictEqual(isRenewalMissed(cert, '2026-03-09'), false);
+  assert.strictEqual(isRenewalMissed(cert, '2026-03-10'), true);
+  
+  // On schedule: neither the close expiry nor the rotation policy raise alarms
+  assert.strictEqual(calculateStatus(cert, {}, '2026-03-01'), 'healthy');
+  assert.strictEqual(calculateStatus({ ...cert, expiresAt: '2026-02-01' }, {}, '2026-03-01'), 'healthy');
+  assert.strictEqual(calculateStatus(cert, {}, '2026-03-09'), 'healthy', 'Late but within the grace period');
+  
+  // Missed: critical, and the expiry counts again
+  assert.strictEqual(calculateStatus({ ...cert, expiresAt: null }, {}, '2026-03-10'), 'critical');
+  assert.strictEqual(getStatusMessage({ ...cert, expiresAt: null }, {}, '2026-03-10'), 'Renewal missed: due 2026-03-02 (renews every 60 days)');
+  assert.strictEqual(calculateStatus(cert, {}, '2026-03-10'), 'expired');
+  const expiringSoon = { ...cert, expiresAt: '2026-03-20' };
+  assert.strictEqual(calculateStatus(expiringSoon, {}, '2026-03-10'), 'critical', 'Missed even though the expiry is only in the warning window');
+  assert.strictEqual(getStatusMessage(expiringSoon, {}, '2026-03-10'), 'Renewal missed: due 2026-03-02 (renews every 60 days)');
+  assert.strictEqual(getStatusMessage({ ...cert, expiresAt: '2026-03-13' }, {}, '2026-03-10'), 'Expires in 3 days');
+  
+  const waived = { ...cert, expiresAt: null, waiver: { scope: 'rotation', justification: 'Migrating issuer', approver: 'sec-lead', until: '2026-04-01' } };
+  assert.strictEqual(calculateStatus(waived, {}, '2026-03-10'), 'waived');
+});
+
+test('status: resolvePolicy applies thresholds and rules in precedence order', () => {
+  const policy = {
+    thresholds: { expiryWarningDays: 45 },
+    rules: {
+      'aws/*': { rotationPolicy: 60, thresholds: { expiryCriticalDays: 10 } },
+      '*/access_key': { thresholds: { expiryCriticalDays: 12, rotationWarningPercent: 60 } },
+      'AWS/Access_Key': { rotationPolicy: 30, thresholds: { rotationWarningPercent: 50 } }
+    }
+  };
+
+  assert.deepStrictEqual(resolvePolicy({ provider: 'aws', type: 'access_key' }, policy), {
+    rotationPolicy: 30,
+    maxLifetimeDays: null,
+    rotationWarningPercent: 50,
+    expiryWarningDays: 45,
+    expiryCriticalDays: 12,
+    staleDays: null
+  });
+
+  // The secret's own rotation policy and thresholds win over rules
+  const own = resolvePolicy({
+    provider: 'aws',
+    type: 'access_key',
+    rotationPolicy: 90,
+    thresholds: { expiryWarningDays: 5 }
+  }, policy);
+  assert.strictEqual(own.rotationPolicy, 90);
+  assert.strictEqual(own.expiryWarningDays, 5);
+
+  // No matching rule: built-in defaults plus global thresholds
+  assert.deepStrictEqual(resolvePolicy({ provider: 'github', type: 'token' }, policy), {
+    rotationPolicy: null,
+    maxLifetimeDays: null,
+    rotationWarningPercent: 75,
+    expiryWarningDays: 45,
+    expiryCriticalDays: 7,
+    staleDays: null
+  });
+});
+
+test('status: deriveExpiry adds the rule\'s max lifetime to the last rotation', () => {
+  const policy = {
+    rules: {
+      'azure/*': { maxLifetimeDays: 730 },
+      'azure/client_secret': { maxLifetimeDays: 365 }
+    }
   };
+  const secret = { provider: 'Azure', type: 'client_secret', createdAt: '2025-01-10', lastRotated: '2025-06-01' };
   
-  const days = daysUntilExpiry(secret);
-  assert.ok(days >= 44 && days <= 46, 'Days should be approximately 45');
+  assert.strictEqual(resolvePolicy(secret, policy).maxLifetimeDays, 365, 'Most specific rule wins');
+  assert.strictEqual(deriveExpiry(secret, policy), '2026-06-01');
+  assert.strictEqual(deriveExpiry({ ...secret, lastRotated: null }, policy), '2026-01-10', 'Falls back to createdAt');
+  assert.strictEqual(deriveExpiry({ ...secret, type: 'certificate' }, policy), '2027-06-01');
+  assert.strictEqual(deriveExpiry({ ...secret, provider: 'aws' }, policy), null);
+  assert.strictEqual(deriveExpiry(secret, {}), null);
+});
+
+test('status: custom thresholds change status and message', () => {
+  const rotated = new Date();
+  rotated.setDate(rotated.getDate() - 50);
+  const expires = new Date();
+  expires.setDate(expires.getDate() + 40);
+
+  const secret = {
+    provider: 'aws',
+    type: 'access_key',
+    lastRotated: rotated.toISOString().split('T')[0],
+    rotationPolicy: 90,
+    expiresAt: null
+  };
+
+  assert.strictEqual(calculateStatus(secret), 'healthy');
+  assert.strictEqual(calculateStatus(secret, { thresholds: { rotationWarningPercent: 50 } }), 'warning');
+
+  const expiring = { ...secret, lastRotated: new Date().toISOString().split('T')[0], expiresAt: expires.toISOString().split('T')[0] };
+  assert.strictEqual(calculateStatus(expiring), 'healthy');
+  const policy = { rules: { 'aws/*': { thresholds: { expiryWarningDays: 60, expiryCriticalDays: 45 } } } };
+  assert.strictEqual(calculateStatus(expiring, policy), 'critical');
+  assert.match(getStatusMessage(expiring, policy), /Expires in/);
 });